@@ -0,0 +1,464 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Authentication and workspace roles for the PDF platform, and for the chat
+ * server, which signs in the same users under its own session cookie.
+ *
+ * Users come from a JSON config (AUTH_CONFIG_PATH, default auth.config.json):
+ *
+ *   {
+ *     "users": [
+ *       {
+ *         "id": "alice",
+ *         "name": "Alice (Payments SRE)",
+ *         "password": "scrypt:<salt>:<hash>",
+ *         "apiKeys": ["sha256:<hash>"],
+ *         "workspaces": { "payments": "admin", "search": "viewer" }
+ *       }
+ *     ]
+ *   }
+ *
+ * Secrets are stored hashed only; `node lib/auth.js hash-password` and
+ * `node lib/auth.js hash-key` print the values to paste in. A workspace of
+ * "*" grants that role in every workspace. AUTH_ADMIN_API_KEY adds an "admin"
+ * user with the admin role everywhere, and AUTH_MODE=off disables
+ * authentication altogether for local development.
+ *
+ * Requests authenticate with an API key (Authorization: Bearer <key> or
+ * X-API-Key) or with the session cookie POST /api/auth/login sets, and pick a
+ * workspace with X-Workspace (or ?workspace=); Socket.IO clients pass the
+ * same in their handshake auth.
+ */
+
+const ROLES = ['viewer', 'contributor', 'admin']
+
+const DEFAULT_WORKSPACE = 'default'
+
+const WORKSPACE_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/
+
+const SESSION_COOKIE = 'devsecops_session'
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'auth.config.json')
+
+const DEFAULT_SESSION_TTL_MINUTES = 480
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message)
+    this.name = 'AuthError'
+    this.status = status
+  }
+}
+
+const isWorkspaceId = (value) =>
+  typeof value === 'string' && WORKSPACE_ID.test(value)
+
+const hasRole = (role, required) =>
+  ROLES.indexOf(role) >= ROLES.indexOf(required)
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest()
+
+const hashApiKey = (key) => `sha256:${sha256(key).toString('hex')}`
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16)
+  const hash = crypto.scryptSync(password, salt, 32)
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`
+}
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split(':')
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false
+  }
+
+  const expected = Buffer.from(hash, 'base64')
+  const actual = crypto.scryptSync(
+    String(password),
+    Buffer.from(salt, 'base64'),
+    expected.length
+  )
+  return crypto.timingSafeEqual(actual, expected)
+}
+
+const parseCookies = (header = '') => {
+  const cookies = {}
+  header.split(';').forEach((pair) => {
+    const separator = pair.indexOf('=')
+    if (separator > 0) {
+      cookies[pair.slice(0, separator).trim()] = pair
+        .slice(separator + 1)
+        .trim()
+    }
+  })
+  return cookies
+}
+
+const normalizeUser = (user, index) => {
+  const label = user.id ? `User ${user.id}` : `User #${index + 1}`
+  if (!user.id || typeof user.id !== 'string') {
+    throw new Error(`${label} needs a string id`)
+  }
+
+  const workspaces = user.workspaces || {}
+  Object.entries(workspaces).forEach(([workspace, role]) => {
+    if (workspace !== '*' && !isWorkspaceId(workspace)) {
+      throw new Error(
+        `${label} has an invalid workspace "${workspace}" (use lowercase letters, digits, - and _)`
+      )
+    }
+    if (!ROLES.includes(role)) {
+      throw new Error(
+        `${label} has an unknown role "${role}" in ${workspace} (expected ${ROLES.join(', ')})`
+      )
+    }
+  })
+
+  const apiKeys = (user.apiKeys || []).map((key) => {
+    const [scheme, hex] = String(key).split(':')
+    if (scheme !== 'sha256' || !/^[0-9a-f]{64}$/.test(hex || '')) {
+      throw new Error(
+        `${label} has an API key that is not a sha256:<hex> hash (see node lib/auth.js hash-key)`
+      )
+    }
+    return Buffer.from(hex, 'hex')
+  })
+
+  return {
+    id: user.id,
+    name: user.name || user.id,
+    password: user.password || null,
+    apiKeys,
+    workspaces,
+  }
+}
+
+/**
+ * Read the users file; a missing file just means no configured users
+ */
+const loadAuthConfig = (env = process.env) => {
+  const configPath = path.resolve(env.AUTH_CONFIG_PATH || DEFAULT_CONFIG_PATH)
+  let config
+
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { path: configPath, users: [] }
+    }
+    throw new Error(
+      `Failed to load auth config from ${configPath}: ${error.message}`
+    )
+  }
+
+  try {
+    return { path: configPath, users: (config.users || []).map(normalizeUser) }
+  } catch (error) {
+    throw new Error(`Invalid auth config ${configPath}: ${error.message}`)
+  }
+}
+
+/**
+ * In-memory login sessions, keyed by an opaque random token
+ */
+class SessionStore {
+  constructor(ttlMinutes = DEFAULT_SESSION_TTL_MINUTES) {
+    this.ttlMs = ttlMinutes * 60 * 1000
+    this.sessions = new Map()
+  }
+
+  create(userId) {
+    const token = crypto.randomBytes(32).toString('base64url')
+    this.sessions.set(token, { userId, expiresAt: Date.now() + this.ttlMs })
+    return token
+  }
+
+  get(token) {
+    const session = token && this.sessions.get(token)
+    if (!session) {
+      return null
+    }
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(token)
+      return null
+    }
+    return session
+  }
+
+  delete(token) {
+    this.sessions.delete(token)
+  }
+}
+
+class Authenticator {
+  constructor({
+    users = [],
+    env = process.env,
+    sessionCookie = SESSION_COOKIE,
+  } = {}) {
+    this.enabled = env.AUTH_MODE !== 'off'
+    // Servers on one host share cookies across ports, so each names its own
+    this.sessionCookie = sessionCookie
+    this.users = [...users]
+    this.secureCookie = env.AUTH_COOKIE_SECURE === 'true'
+    this.sessions = new SessionStore(
+      Number(env.AUTH_SESSION_TTL_MINUTES) || DEFAULT_SESSION_TTL_MINUTES
+    )
+
+    if (env.AUTH_ADMIN_API_KEY) {
+      this.users.push({
+        id: 'admin',
+        name: 'Administrator',
+        password: null,
+        apiKeys: [sha256(env.AUTH_ADMIN_API_KEY)],
+        workspaces: { '*': 'admin' },
+      })
+    }
+  }
+
+  static fromEnv(env = process.env, options = {}) {
+    return new Authenticator({
+      ...options,
+      users: loadAuthConfig(env).users,
+      env,
+    })
+  }
+
+  // Refuse to start with authentication on but nobody able to sign in
+  assertConfigured() {
+    if (this.enabled && this.users.length === 0) {
+      throw new Error(
+        'No users configured: add them to the auth config (AUTH_CONFIG_PATH), set AUTH_ADMIN_API_KEY, or set AUTH_MODE=off for local development'
+      )
+    }
+  }
+
+  findByApiKey(key) {
+    if (!key || typeof key !== 'string') {
+      return null
+    }
+
+    const hash = sha256(key)
+    return (
+      this.users.find((user) =>
+        user.apiKeys.some((stored) => crypto.timingSafeEqual(stored, hash))
+      ) || null
+    )
+  }
+
+  findById(id) {
+    return this.users.find((user) => user.id === id) || null
+  }
+
+  login({ username, password, apiKey } = {}) {
+    let user = null
+    if (apiKey) {
+      user = this.findByApiKey(apiKey)
+    } else if (username && password) {
+      const candidate = this.findById(username)
+      user =
+        candidate && verifyPassword(password, candidate.password)
+          ? candidate
+          : null
+    }
+
+    if (!user) {
+      throw new AuthError('Invalid credentials')
+    }
+
+    return { user, token: this.sessions.create(user.id) }
+  }
+
+  logout(token) {
+    this.sessions.delete(token)
+  }
+
+  /**
+   * Resolve the caller from an API key or session token; null when neither
+   * identifies anyone
+   */
+  identify({ apiKey, sessionToken }) {
+    if (!this.enabled) {
+      return {
+        id: 'anonymous',
+        name: 'Anonymous',
+        workspaces: { '*': 'admin' },
+      }
+    }
+    if (apiKey) {
+      return this.findByApiKey(apiKey)
+    }
+
+    const session = this.sessions.get(sessionToken)
+    return session ? this.findById(session.userId) : null
+  }
+
+  roleIn(user, workspace) {
+    return user.workspaces[workspace] || user.workspaces['*'] || null
+  }
+
+  // Every workspace the user can pick, with their role in it
+  workspacesFor(user) {
+    const ids = new Set(
+      Object.keys(user.workspaces).filter((workspace) => workspace !== '*')
+    )
+    if (user.workspaces['*']) {
+      ids.add(DEFAULT_WORKSPACE)
+      this.users.forEach((other) =>
+        Object.keys(other.workspaces)
+          .filter((workspace) => workspace !== '*')
+          .forEach((workspace) => ids.add(workspace))
+      )
+    }
+
+    return Array.from(ids)
+      .sort()
+      .map((id) => ({ id, role: this.roleIn(user, id) }))
+  }
+
+  // The workspace a request acts in: the one asked for, or the user's first
+  resolveWorkspace(user, requested) {
+    const workspace =
+      requested ||
+      Object.keys(user.workspaces).find((id) => id !== '*') ||
+      DEFAULT_WORKSPACE
+
+    if (!isWorkspaceId(workspace)) {
+      throw new AuthError(`Invalid workspace "${workspace}"`, 400)
+    }
+
+    const role = this.roleIn(user, workspace)
+    if (!role) {
+      throw new AuthError(`No access to workspace ${workspace}`, 403)
+    }
+
+    return { workspace, role }
+  }
+
+  // Attach user, workspace and role to the request, or answer 401/403
+  authenticate(req, res, next) {
+    const header = req.get('authorization') || ''
+    const bearer = header.match(/^Bearer\s+(.+)$/i)
+    const sessionToken = parseCookies(req.get('cookie'))[this.sessionCookie]
+    const user = this.identify({
+      apiKey: bearer ? bearer[1].trim() : req.get('x-api-key'),
+      sessionToken,
+    })
+
+    if (!user) {
+      res.set('WWW-Authenticate', 'Bearer')
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    try {
+      const { workspace, role } = this.resolveWorkspace(
+        user,
+        req.get('x-workspace') || req.query.workspace
+      )
+      req.user = user
+      req.sessionToken = sessionToken
+      req.workspace = workspace
+      req.role = role
+      next()
+    } catch (error) {
+      res.status(error.status || 500).json({ error: error.message })
+    }
+  }
+
+  /**
+   * Route middleware allowing only callers with at least `role` in the
+   * request's workspace
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      if (!hasRole(req.role, role)) {
+        return res.status(403).json({
+          error: `Requires the ${role} role in workspace ${req.workspace}`,
+        })
+      }
+      next()
+    }
+  }
+
+  // Socket.IO handshake middleware; same credentials as the REST API
+  authenticateSocket(socket, next) {
+    const { auth = {}, headers = {}, query = {} } = socket.handshake
+    const sessionToken = parseCookies(headers.cookie)[this.sessionCookie]
+    const user = this.identify({ apiKey: auth.apiKey, sessionToken })
+
+    if (!user) {
+      return next(new AuthError('Authentication required'))
+    }
+
+    try {
+      const { workspace, role } = this.resolveWorkspace(
+        user,
+        auth.workspace || query.workspace
+      )
+      socket.data.user = user
+      socket.data.sessionToken = auth.apiKey ? null : sessionToken
+      socket.data.workspace = workspace
+      socket.data.role = role
+      next()
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  // A socket signed in through a session stops working when it ends
+  isSocketActive(socket) {
+    return (
+      !this.enabled ||
+      !socket.data.sessionToken ||
+      Boolean(this.sessions.get(socket.data.sessionToken))
+    )
+  }
+
+  setSessionCookie(res, token) {
+    res.cookie(this.sessionCookie, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: this.secureCookie,
+      maxAge: this.sessions.ttlMs,
+      path: '/',
+    })
+  }
+
+  clearSessionCookie(res) {
+    res.clearCookie(this.sessionCookie, { path: '/' })
+  }
+}
+
+const describeUser = (auth, user) => ({
+  id: user.id,
+  name: user.name,
+  workspaces: auth.workspacesFor(user),
+})
+
+// Print a hash to paste into the auth config
+if (require.main === module) {
+  const [command, secret] = process.argv.slice(2)
+  const hashers = { 'hash-key': hashApiKey, 'hash-password': hashPassword }
+
+  if (!hashers[command] || !secret) {
+    console.error('Usage: node lib/auth.js hash-key|hash-password <secret>')
+    process.exit(1)
+  }
+  console.log(hashers[command](secret))
+}
+
+module.exports = {
+  AuthError,
+  Authenticator,
+  DEFAULT_WORKSPACE,
+  ROLES,
+  SessionStore,
+  describeUser,
+  hasRole,
+  hashApiKey,
+  hashPassword,
+  isWorkspaceId,
+  loadAuthConfig,
+}
@@ -0,0 +1,283 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  AuthError,
+  Authenticator,
+  SessionStore,
+  describeUser,
+  hasRole,
+  hashApiKey,
+  hashPassword,
+  loadAuthConfig,
+} = require('./auth')
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'))
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+const ALICE_KEY = 'k-' + 'alice'
+const BOB_KEY = 'k-' + 'bob'
+
+function writeConfig(name, config) {
+  const configPath = path.join(dir, name)
+  fs.writeFileSync(configPath, JSON.stringify(config))
+  return configPath
+}
+
+const CONFIG_PATH = writeConfig('auth.json', {
+  users: [
+    {
+      id: 'alice',
+      name: 'Alice (Payments SRE)',
+      password: hashPassword('correct horse'),
+      apiKeys: [hashApiKey(ALICE_KEY)],
+      workspaces: { payments: 'admin', search: 'viewer' },
+    },
+    {
+      id: 'bob',
+      apiKeys: [hashApiKey(BOB_KEY)],
+      workspaces: { search: 'contributor' },
+    },
+    { id: 'carol', workspaces: { '*': 'admin' } },
+  ],
+})
+
+function authenticator(env = {}) {
+  return Authenticator.fromEnv({ AUTH_CONFIG_PATH: CONFIG_PATH, ...env })
+}
+
+// Just enough of Express's req and res for the middleware
+function request(headers = {}, query = {}) {
+  const lower = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  )
+  return { query, get: (name) => lower[name.toLowerCase()] }
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value
+      return this
+    },
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(body) {
+      this.body = body
+      return this
+    },
+  }
+}
+
+function run(middleware, req) {
+  const res = response()
+  let nextCalled = false
+  middleware(req, res, () => {
+    nextCalled = true
+  })
+  return { res, nextCalled }
+}
+
+test('roles are ordered viewer < contributor < admin', () => {
+  assert.equal(hasRole('admin', 'contributor'), true)
+  assert.equal(hasRole('contributor', 'contributor'), true)
+  assert.equal(hasRole('viewer', 'contributor'), false)
+  assert.equal(hasRole(undefined, 'viewer'), false)
+})
+
+test('the config holds hashed secrets only and rejects bad entries', () => {
+  const { users } = loadAuthConfig({ AUTH_CONFIG_PATH: CONFIG_PATH })
+  assert.deepEqual(
+    users.map(({ id, name }) => [id, name]),
+    [
+      ['alice', 'Alice (Payments SRE)'],
+      ['bob', 'bob'],
+      ['carol', 'carol'],
+    ]
+  )
+  assert.deepEqual(
+    loadAuthConfig({ AUTH_CONFIG_PATH: path.join(dir, 'missing.json') }).users,
+    []
+  )
+
+  const invalid = (name, user) =>
+    loadAuthConfig({ AUTH_CONFIG_PATH: writeConfig(name, { users: [user] }) })
+  assert.throws(
+    () => invalid('role.json', { id: 'x', workspaces: { search: 'owner' } }),
+    /User x has an unknown role "owner" in search/
+  )
+  assert.throws(
+    () =>
+      invalid('workspace.json', { id: 'x', workspaces: { '../a': 'admin' } }),
+    /User x has an invalid workspace "\.\.\/a"/
+  )
+  assert.throws(
+    () => invalid('key.json', { id: 'x', apiKeys: ['plain-text-key'] }),
+    /User x has an API key that is not a sha256:<hex> hash/
+  )
+})
+
+test('users sign in with an API key or a password', () => {
+  const auth = authenticator()
+
+  assert.equal(auth.login({ apiKey: ALICE_KEY }).user.id, 'alice')
+  const { token } = auth.login({
+    username: 'alice',
+    password: 'correct horse',
+  })
+  assert.equal(auth.identify({ sessionToken: token }).id, 'alice')
+
+  auth.logout(token)
+  assert.equal(auth.identify({ sessionToken: token }), null)
+  assert.throws(
+    () => auth.login({ username: 'alice', password: 'wrong' }),
+    (error) => error instanceof AuthError && error.status === 401
+  )
+  assert.throws(() => auth.login({ apiKey: 'k-nobody' }), /Invalid credentials/)
+})
+
+test('a workspace resolves to the caller role, or 403 without one', () => {
+  const auth = authenticator()
+  const alice = auth.findById('alice')
+
+  assert.deepEqual(auth.resolveWorkspace(alice, 'search'), {
+    workspace: 'search',
+    role: 'viewer',
+  })
+  assert.deepEqual(auth.resolveWorkspace(alice), {
+    workspace: 'payments',
+    role: 'admin',
+  })
+  assert.throws(
+    () => auth.resolveWorkspace(auth.findById('bob'), 'payments'),
+    (error) =>
+      error instanceof AuthError &&
+      error.status === 403 &&
+      error.message === 'No access to workspace payments'
+  )
+  assert.throws(
+    () => auth.resolveWorkspace(alice, '../payments'),
+    (error) => error.status === 400
+  )
+})
+
+test('a "*" role applies in every workspace', () => {
+  const auth = authenticator()
+  const carol = auth.findById('carol')
+
+  assert.deepEqual(auth.resolveWorkspace(carol, 'payments'), {
+    workspace: 'payments',
+    role: 'admin',
+  })
+  assert.deepEqual(auth.resolveWorkspace(carol), {
+    workspace: 'default',
+    role: 'admin',
+  })
+  assert.deepEqual(describeUser(auth, carol).workspaces, [
+    { id: 'default', role: 'admin' },
+    { id: 'payments', role: 'admin' },
+    { id: 'search', role: 'admin' },
+  ])
+  assert.deepEqual(describeUser(auth, auth.findById('bob')).workspaces, [
+    { id: 'search', role: 'contributor' },
+  ])
+})
+
+test('requests need credentials and access to the workspace they pick', () => {
+  const auth = authenticator()
+  const authenticate = auth.authenticate.bind(auth)
+
+  const anonymous = run(authenticate, request())
+  assert.equal(anonymous.res.statusCode, 401)
+  assert.equal(anonymous.res.headers['WWW-Authenticate'], 'Bearer')
+
+  const req = request(
+    { Authorization: `Bearer ${BOB_KEY}` },
+    { workspace: 'search' }
+  )
+  assert.equal(run(authenticate, req).nextCalled, true)
+  assert.equal(req.user.id, 'bob')
+  assert.equal(req.role, 'contributor')
+
+  const denied = run(
+    authenticate,
+    request({ 'X-API-Key': BOB_KEY, 'X-Workspace': 'payments' })
+  )
+  assert.equal(denied.nextCalled, false)
+  assert.equal(denied.res.statusCode, 403)
+  assert.deepEqual(denied.res.body, {
+    error: 'No access to workspace payments',
+  })
+})
+
+test('requireRole turns away callers below the role in their workspace', () => {
+  const requireContributor = authenticator().requireRole('contributor')
+
+  const viewer = run(requireContributor, {
+    role: 'viewer',
+    workspace: 'search',
+  })
+  assert.equal(viewer.nextCalled, false)
+  assert.equal(viewer.res.statusCode, 403)
+  assert.deepEqual(viewer.res.body, {
+    error: 'Requires the contributor role in workspace search',
+  })
+
+  assert.equal(
+    run(requireContributor, { role: 'admin', workspace: 'payments' })
+      .nextCalled,
+    true
+  )
+})
+
+test('sockets authenticate in the handshake with the same rules', () => {
+  const auth = authenticator()
+  const connect = (handshake) => {
+    const socket = {
+      handshake: { headers: {}, query: {}, ...handshake },
+      data: {},
+    }
+    let result
+    auth.authenticateSocket(socket, (error) => {
+      result = error || socket.data
+    })
+    return result
+  }
+
+  const data = connect({ auth: { apiKey: ALICE_KEY, workspace: 'search' } })
+  assert.equal(data.workspace, 'search')
+  assert.equal(data.role, 'viewer')
+
+  const denied = connect({ auth: { apiKey: BOB_KEY, workspace: 'payments' } })
+  assert.equal(denied.status, 403)
+  assert.equal(connect({ auth: {} }).status, 401)
+})
+
+test('AUTH_ADMIN_API_KEY and AUTH_MODE=off', () => {
+  const adminKey = 'admin-' + 'key'
+  const withAdmin = authenticator({ AUTH_ADMIN_API_KEY: adminKey })
+  const admin = withAdmin.identify({ apiKey: adminKey })
+  assert.equal(withAdmin.roleIn(admin, 'anything'), 'admin')
+
+  const off = new Authenticator({ env: { AUTH_MODE: 'off' } })
+  assert.doesNotThrow(() => off.assertConfigured())
+  assert.equal(off.identify({}).id, 'anonymous')
+  assert.throws(
+    () => new Authenticator({ env: {} }).assertConfigured(),
+    /No users configured/
+  )
+})
+
+test('sessions expire after their TTL', () => {
+  const sessions = new SessionStore(0)
+  const token = sessions.create('alice')
+  assert.equal(sessions.get(token), null)
+  assert.equal(sessions.sessions.size, 0)
+})
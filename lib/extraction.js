@@ -0,0 +1,445 @@
+const crypto = require('crypto')
+
+/**
+ * Structured CUJ / SLI / SLO / best-practice extraction.
+ *
+ * Records are shaped after context/templates/cba-cuj-template.json (CUJs) and
+ * context/templates/slo-template.yaml (SLIs and SLOs). Every record carries a
+ * confidence score between 0 and 1 and the page/offset it was found at, so
+ * callers can separate well-parsed records from low-confidence candidates.
+ */
+
+// Records scoring below this are kept as candidates, not knowledge
+const CONFIDENCE_THRESHOLD = 0.6
+
+// Nearby SLIs within this many characters are linked to CUJs and SLOs
+const SLI_LINK_DISTANCE = 500
+
+const CUJ_PATTERN = /\b(?:critical user journeys?|user journeys?|cujs?)\b/i
+const SLI_PATTERN = /\b(?:service level indicators?|slis?)\b/i
+const SLO_PATTERN = /\b(?:service level objectives?|slos?)\b/i
+const BEST_PRACTICE_PATTERN = /\b(?:best practices?|recommendations?)\b/i
+const SHOULD_PATTERN = /\bshould\b/i
+
+// "should" sentences only count when they talk about something we care about
+const DOMAIN_TERMS =
+  /\b(?:security|secure|vulnerab\w*|monitor\w*|alert\w*|observab\w*|deploy\w*|pipeline|slo|sli|cuj|error budget|incident|latency|availability|reliab\w*|logging|metrics?|dashboards?|scan\w*)\b/i
+
+// Where an SLI's name stops and its description of how it's measured begins
+const SLI_NAME_END =
+  /\s+(?:measured|calculated|defined|tracked|collected|as|at|for|in|from|over)\b/i
+
+const SNAKE_CASE_NAME = /\b[a-z][a-z0-9]*(?:_[a-z0-9]+)+\b/
+const PROMQL_QUERY = /\b(?:sum|rate|histogram_quantile|avg|increase)\s*\(.*\)/i
+
+const UNIT_ALIASES = {
+  '%': 'percentage',
+  percent: 'percentage',
+  percentage: 'percentage',
+  ms: 'milliseconds',
+  millisecond: 'milliseconds',
+  milliseconds: 'milliseconds',
+  s: 'seconds',
+  sec: 'seconds',
+  second: 'seconds',
+  seconds: 'seconds',
+  min: 'minutes',
+  minute: 'minutes',
+  minutes: 'minutes',
+  h: 'hours',
+  hr: 'hours',
+  hour: 'hours',
+  hours: 'hours',
+}
+
+const TARGET_PATTERN =
+  /(?:(>=|<=|≥|≤|>|<)\s*)?(\d+(?:\.\d+)?)\s*(%|percent(?:age)?|ms|milliseconds?|s|sec|seconds?|min|minutes?|h|hr|hours?)(?![a-z])/i
+
+const WINDOW_PATTERN =
+  /\b(?:over|per|within|across|in)?\s*(?:a|the|each)?\s*(rolling|calendar)?\s*(\d+)\s*[- ]?\s*(d|days?|w|weeks?|h|hours?)\b/i
+
+const NAMED_WINDOWS = [
+  { pattern: /\b(?:monthly|per month|each month|a month)\b/i, duration: '30d' },
+  { pattern: /\b(?:weekly|per week|each week|a week)\b/i, duration: '7d' },
+  { pattern: /\b(?:daily|per day|each day|a day)\b/i, duration: '1d' },
+  { pattern: /\b(?:quarterly|per quarter)\b/i, duration: '90d' },
+]
+
+const AT_LEAST = /\b(?:at least|above|over|greater than|more than|minimum)\b/i
+const AT_MOST = /\b(?:at most|below|under|less than|within|no more than)\b/i
+
+// Sentence stops, blank lines, and line breaks that start a list item/heading
+const SENTENCE_BOUNDARY =
+  /[.!?](?=\s)|\n[ \t]*\n|\n(?=[ \t]*(?:[-*•#]|\d+[.)]\s))/g
+
+/**
+ * Split text into sentences, keeping each sentence's offset. Decimals such as
+ * "99.9%" survive because a sentence break needs whitespace after the stop,
+ * and wrapped lines are rejoined since PDF line breaks carry no meaning.
+ */
+function splitSentences(content) {
+  const sentences = []
+  let start = 0
+
+  const pushSentence = (end) => {
+    const raw = content.slice(start, end)
+    const text = raw.replace(/\s+/g, ' ').trim()
+    if (text.length > 0) {
+      sentences.push({ text, offset: start + raw.search(/\S/) })
+    }
+  }
+
+  let match
+  SENTENCE_BOUNDARY.lastIndex = 0
+  while ((match = SENTENCE_BOUNDARY.exec(content)) !== null) {
+    const end = match.index + (match[0].startsWith('\n') ? 0 : 1)
+    pushSentence(end)
+    start = match.index + match[0].length
+  }
+  pushSentence(content.length)
+
+  return sentences
+}
+
+/**
+ * Resolve a character offset to a 1-based page number
+ */
+function pageForOffset(offset, pageOffsets) {
+  if (!pageOffsets || pageOffsets.length === 0) {
+    return null
+  }
+
+  let page = 1
+  for (let i = 0; i < pageOffsets.length; i++) {
+    if (pageOffsets[i] <= offset) {
+      page = i + 1
+    }
+  }
+  return page
+}
+
+function recordId(type, source, offset, text) {
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${source}:${offset}:${text}`)
+    .digest('hex')
+    .slice(0, 12)
+  return `${type}-${hash}`
+}
+
+// Text after the keyword that triggered the match, e.g. "SLI: foo" -> "foo"
+function phraseAfter(sentence, pattern) {
+  const match = sentence.match(pattern)
+  if (!match) {
+    return ''
+  }
+
+  return sentence
+    .slice(match.index + match[0].length)
+    .replace(/^[\s:\-–—]+(?:is|are|=)?\s*/i, '')
+    .replace(/[.!?]+$/, '')
+    .trim()
+}
+
+function slugify(text, maxWords = 5) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, maxWords)
+    .join('_')
+}
+
+function clampConfidence(value) {
+  return Math.round(Math.min(1, Math.max(0, value)) * 100) / 100
+}
+
+function parseJourneyFlow(phrase) {
+  const steps = phrase
+    .split(/\s*(?:→|->|=>|>)\s*/)
+    .map((step) => step.trim())
+    .filter(Boolean)
+
+  if (steps.length >= 2) {
+    return {
+      entry: steps[0],
+      exit: steps[steps.length - 1],
+      segments: steps,
+    }
+  }
+
+  const fromTo = phrase.match(/\bfrom\s+(.+?)\s+(?:to|until|through)\s+(.+)$/i)
+  if (fromTo) {
+    return { entry: fromTo[1].trim(), exit: fromTo[2].trim(), segments: [] }
+  }
+
+  return null
+}
+
+function buildCuj(sentence, context) {
+  const phrase = phraseAfter(sentence.text, CUJ_PATTERN)
+  const flow = parseJourneyFlow(phrase)
+  const name = flow
+    ? phrase.split(/\s+from\s+|\s*(?:→|->|=>|>)\s*/i)[0].trim()
+    : phrase
+
+  let confidence = 0.2
+  if (name.length >= 3) confidence += 0.2
+  if (flow) confidence += 0.3
+  if (flow && flow.segments.length > 0) confidence += 0.2
+
+  return {
+    id: recordId('cuj', context.source, sentence.offset, sentence.text),
+    name: name || sentence.text,
+    description: sentence.text,
+    journey_flow: {
+      entry_point: { description: flow ? flow.entry : null },
+      exit_point: { description: flow ? flow.exit : null },
+    },
+    independent_segments: flow
+      ? flow.segments.map((segment) => ({
+          segment,
+          description: segment,
+          measurable: true,
+        }))
+      : [],
+    sli_reference: null,
+    confidence: clampConfidence(confidence),
+    source: context.locate(sentence.offset),
+  }
+}
+
+function measurementFor(text) {
+  if (/\b(?:latency|duration|response time|time to|p\d{2})\b/i.test(text)) {
+    return { measurement_method: 'distribution', unit: 'seconds' }
+  }
+  if (
+    /\b(?:rate|ratio|percentage|availability|success|error)\b|%/i.test(text)
+  ) {
+    return { measurement_method: 'event_based', unit: 'percentage' }
+  }
+  return { measurement_method: null, unit: null }
+}
+
+function buildSli(sentence, context) {
+  const phrase = phraseAfter(sentence.text, SLI_PATTERN)
+  const explicitName = sentence.text.match(SNAKE_CASE_NAME)
+  const query = sentence.text.match(PROMQL_QUERY)
+  const measurement = measurementFor(phrase || sentence.text)
+
+  let confidence = 0.2
+  if (explicitName) confidence += 0.3
+  else if (phrase.length >= 3) confidence += 0.2
+  if (measurement.measurement_method) confidence += 0.3
+  if (query) confidence += 0.2
+
+  return {
+    id: recordId('sli', context.source, sentence.offset, sentence.text),
+    name: explicitName
+      ? explicitName[0]
+      : slugify((phrase || sentence.text).split(SLI_NAME_END)[0]),
+    description: phrase || sentence.text,
+    measurement_method: measurement.measurement_method,
+    query: query ? query[0] : null,
+    unit: measurement.unit,
+    confidence: clampConfidence(confidence),
+    source: context.locate(sentence.offset),
+  }
+}
+
+function parseTarget(text) {
+  const match = text.match(TARGET_PATTERN)
+  if (!match) {
+    return null
+  }
+
+  const unit = UNIT_ALIASES[match[3].toLowerCase()]
+  let comparison = { '≥': '>=', '≤': '<=', '>': '>=', '<': '<=' }[match[1]]
+  comparison = comparison || match[1]
+
+  if (!comparison) {
+    if (AT_MOST.test(text)) comparison = '<='
+    else if (AT_LEAST.test(text)) comparison = '>='
+    else comparison = unit === 'percentage' ? '>=' : '<='
+  }
+
+  return { value: parseFloat(match[2]), unit, comparison }
+}
+
+function parseTimeWindow(text) {
+  const type = /\bcalendar\b/i.test(text) ? 'calendar' : 'rolling'
+  const match = text.match(WINDOW_PATTERN)
+
+  if (match) {
+    const unit = match[3][0].toLowerCase()
+    return { duration: `${match[2]}${unit}`, type }
+  }
+
+  const named = NAMED_WINDOWS.find(({ pattern }) => pattern.test(text))
+  return named ? { duration: named.duration, type } : null
+}
+
+function buildSlo(sentence, context) {
+  const phrase = phraseAfter(sentence.text, SLO_PATTERN)
+  // Strip the target first so "99.9% ... 30 days" doesn't read 9% as a window
+  const target = parseTarget(phrase || sentence.text)
+  const timeWindow = parseTimeWindow(
+    (phrase || sentence.text).replace(TARGET_PATTERN, ' ')
+  )
+  const explicitSli = sentence.text.match(SNAKE_CASE_NAME)
+
+  let confidence = 0.2
+  if (target) confidence += 0.4
+  if (timeWindow) confidence += 0.2
+  if (explicitSli) confidence += 0.2
+
+  return {
+    id: recordId('slo', context.source, sentence.offset, sentence.text),
+    name: slugify(phrase || sentence.text),
+    description: phrase || sentence.text,
+    sli: {
+      name: explicitSli ? explicitSli[0] : null,
+      description: null,
+    },
+    target,
+    time_window: timeWindow,
+    confidence: clampConfidence(confidence),
+    source: context.locate(sentence.offset),
+  }
+}
+
+function buildBestPractice(sentence, context) {
+  const explicit = BEST_PRACTICE_PATTERN.test(sentence.text)
+  const phrase = explicit
+    ? phraseAfter(sentence.text, BEST_PRACTICE_PATTERN)
+    : sentence.text
+  const onTopic = DOMAIN_TERMS.test(sentence.text)
+
+  // Bare "should" sentences never score high enough to be accepted alone
+  let confidence = explicit ? 0.5 : 0.1
+  if (onTopic) confidence += 0.3
+  if (phrase.length >= 15) confidence += 0.1
+
+  return {
+    id: recordId('bp', context.source, sentence.offset, sentence.text),
+    text: phrase || sentence.text,
+    confidence: clampConfidence(confidence),
+    source: context.locate(sentence.offset),
+  }
+}
+
+// A percentage SLO needs a ratio SLI; a time-based SLO needs a distribution
+function isCompatibleSli(slo, sli) {
+  if (!slo.target || !sli.unit) {
+    return true
+  }
+  return (slo.target.unit === 'percentage') === (sli.unit === 'percentage')
+}
+
+// Attach the nearest SLI in the same document to CUJs/SLOs that lack one
+function linkSlis(records) {
+  const distance = (a, b) => Math.abs(a.source.offset - b.source.offset)
+  const nearest = (candidates, record) =>
+    candidates
+      .filter((sli) => distance(sli, record) <= SLI_LINK_DISTANCE)
+      .sort((a, b) => distance(a, record) - distance(b, record))[0]
+
+  records.cujs.forEach((cuj) => {
+    // CUJ write-ups introduce the journey first and its SLIs afterwards
+    const sli = nearest(
+      records.slis.filter(({ source }) => source.offset > cuj.source.offset),
+      cuj
+    )
+    if (sli) cuj.sli_reference = sli.name
+  })
+
+  records.slos.forEach((slo) => {
+    if (slo.sli.name) {
+      const sli = records.slis.find(({ name }) => name === slo.sli.name)
+      if (sli) slo.sli.description = sli.description
+      return
+    }
+    const sli = nearest(
+      records.slis.filter((candidate) => isCompatibleSli(slo, candidate)),
+      slo
+    )
+    if (sli) {
+      slo.sli = { name: sli.name, description: sli.description }
+    }
+  })
+}
+
+/**
+ * Extract structured records from document text.
+ *
+ * @param {string} content - Full document text
+ * @param {object} options
+ * @param {string} options.source - Document the text came from
+ * @param {number[]} [options.pageOffsets] - Start offset of each page
+ * @returns {{cujs: object[], slis: object[], slos: object[], bestPractices: object[]}}
+ */
+function extractStructuredContent(content, { source, pageOffsets } = {}) {
+  const context = {
+    source,
+    locate: (offset) => ({
+      document: source,
+      page: pageForOffset(offset, pageOffsets),
+      offset,
+    }),
+  }
+  const records = { cujs: [], slis: [], slos: [], bestPractices: [] }
+
+  splitSentences(content).forEach((sentence) => {
+    if (CUJ_PATTERN.test(sentence.text)) {
+      records.cujs.push(buildCuj(sentence, context))
+    } else if (SLO_PATTERN.test(sentence.text)) {
+      records.slos.push(buildSlo(sentence, context))
+    } else if (SLI_PATTERN.test(sentence.text)) {
+      records.slis.push(buildSli(sentence, context))
+    } else if (
+      BEST_PRACTICE_PATTERN.test(sentence.text) ||
+      (SHOULD_PATTERN.test(sentence.text) && DOMAIN_TERMS.test(sentence.text))
+    ) {
+      records.bestPractices.push(buildBestPractice(sentence, context))
+    }
+  })
+
+  linkSlis(records)
+  return records
+}
+
+/**
+ * Split records into accepted knowledge and low-confidence candidates
+ */
+function partitionByConfidence(records, threshold = CONFIDENCE_THRESHOLD) {
+  const accepted = {}
+  const candidates = {}
+
+  Object.entries(records).forEach(([type, list]) => {
+    accepted[type] = list.filter((record) => record.confidence >= threshold)
+    candidates[type] = list.filter((record) => record.confidence < threshold)
+  })
+
+  return { accepted, candidates }
+}
+
+/**
+ * Human-readable text for a record, used for searching and display
+ */
+function recordText(record) {
+  if (typeof record === 'string') {
+    return record
+  }
+  return [record.name, record.description, record.text]
+    .filter(Boolean)
+    .join(' - ')
+}
+
+module.exports = {
+  CONFIDENCE_THRESHOLD,
+  extractStructuredContent,
+  partitionByConfidence,
+  recordText,
+  splitSentences,
+}
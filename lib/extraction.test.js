@@ -0,0 +1,120 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  CONFIDENCE_THRESHOLD,
+  extractStructuredContent,
+  partitionByConfidence,
+  recordText,
+  splitSentences,
+} = require('./extraction')
+
+test('splitSentences keeps decimals and offsets and rejoins wrapped lines', () => {
+  const content = 'Availability is 99.9% per\nmonth. Errors stay low.'
+  const sentences = splitSentences(content)
+
+  assert.deepEqual(
+    sentences.map(({ text }) => text),
+    ['Availability is 99.9% per month.', 'Errors stay low.']
+  )
+  assert.equal(sentences[1].offset, content.indexOf('Errors'))
+})
+
+test('extracts a CUJ with its journey flow, shaped after the CUJ template', () => {
+  const { cujs } = extractStructuredContent(
+    'CUJ: Checkout from cart to order confirmation.',
+    { source: 'guide.md' }
+  )
+
+  assert.equal(cujs.length, 1)
+  const [cuj] = cujs
+  assert.match(cuj.id, /^cuj-[0-9a-f]{12}$/)
+  assert.equal(cuj.name, 'Checkout')
+  assert.equal(cuj.journey_flow.entry_point.description, 'cart')
+  assert.equal(cuj.journey_flow.exit_point.description, 'order confirmation')
+  assert.ok(cuj.confidence >= CONFIDENCE_THRESHOLD)
+  assert.deepEqual(cuj.source, { document: 'guide.md', page: null, offset: 0 })
+})
+
+test('extracts an SLO target and window, and links the nearby SLI', () => {
+  const content = [
+    'SLI: checkout_success_ratio is the ratio of successful checkouts.',
+    'SLO: 99.9% of checkouts succeed over 30 days.',
+  ].join(' ')
+  const { slis, slos } = extractStructuredContent(content, {
+    source: 'slo.pdf',
+    pageOffsets: [0, content.indexOf('SLO:')],
+  })
+
+  assert.equal(slis.length, 1)
+  assert.equal(slis[0].name, 'checkout_success_ratio')
+  assert.equal(slis[0].measurement_method, 'event_based')
+  assert.equal(slis[0].unit, 'percentage')
+  assert.equal(slis[0].source.page, 1)
+
+  assert.equal(slos.length, 1)
+  const [slo] = slos
+  assert.deepEqual(slo.target, {
+    value: 99.9,
+    unit: 'percentage',
+    comparison: '>=',
+  })
+  assert.deepEqual(slo.time_window, { duration: '30d', type: 'rolling' })
+  assert.equal(slo.sli.name, 'checkout_success_ratio')
+  assert.equal(slo.source.page, 2)
+})
+
+test('a latency SLO reads its comparison from the wording', () => {
+  const { slos } = extractStructuredContent(
+    'SLO: p95 latency under 300ms, measured monthly on the calendar.',
+    { source: 'latency.md' }
+  )
+
+  assert.deepEqual(slos[0].target, {
+    value: 300,
+    unit: 'milliseconds',
+    comparison: '<=',
+  })
+  assert.deepEqual(slos[0].time_window, { duration: '30d', type: 'calendar' })
+})
+
+test('bare "should" sentences stay candidates; explicit best practices are accepted', () => {
+  const { bestPractices } = extractStructuredContent(
+    'Best practice: scan every container image for vulnerabilities in CI. ' +
+      'Teams should talk more.',
+    { source: 'bp.md' }
+  )
+  const { accepted, candidates } = partitionByConfidence({ bestPractices })
+
+  assert.equal(accepted.bestPractices.length, 1)
+  assert.match(accepted.bestPractices[0].text, /scan every container image/)
+  assert.equal(candidates.bestPractices.length, 0)
+
+  // On topic, but only a "should": kept for review, not accepted
+  const weak = partitionByConfidence(
+    extractStructuredContent(
+      'Deployments should be automated by the pipeline.',
+      { source: 'bp.md' }
+    )
+  )
+  assert.equal(weak.accepted.bestPractices.length, 0)
+  assert.equal(weak.candidates.bestPractices.length, 1)
+})
+
+test('record IDs are stable for the same text and source', () => {
+  const text = 'SLI: request_latency_seconds measures latency.'
+  const first = extractStructuredContent(text, { source: 'a.md' })
+  const again = extractStructuredContent(text, { source: 'a.md' })
+  const elsewhere = extractStructuredContent(text, { source: 'b.md' })
+
+  assert.equal(first.slis[0].id, again.slis[0].id)
+  assert.notEqual(first.slis[0].id, elsewhere.slis[0].id)
+})
+
+test('recordText joins the readable fields of a record', () => {
+  assert.equal(recordText('plain'), 'plain')
+  assert.equal(
+    recordText({ name: 'checkout', description: 'Checkout flow' }),
+    'checkout - Checkout flow'
+  )
+  assert.equal(recordText({ text: 'Use feature flags' }), 'Use feature flags')
+})
@@ -0,0 +1,547 @@
+const path = require('path')
+const fs = require('fs').promises
+const { Worker } = require('worker_threads')
+const pdfParse = require('pdf-parse')
+const mammoth = require('mammoth')
+const yaml = require('js-yaml')
+
+/**
+ * Content-type-aware document ingestion.
+ *
+ * Every format has one parser that turns the uploaded file into plain text
+ * (plus page offsets where the format has pages). The text then goes through
+ * the same extraction step regardless of where it came from. YAML/JSON files
+ * that already follow the SLO or CUJ templates are imported as records
+ * directly instead of being scraped.
+ *
+ * Uploads are untrusted: their bytes must match the format their name claims,
+ * and parsing runs in a worker thread with a time, memory and page budget so a
+ * PDF or zip bomb only ever takes down the worker.
+ */
+
+/**
+ * An upload refused because of its content or size; status is the HTTP
+ * status to answer with
+ */
+class UploadError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'UploadError'
+    this.status = status
+  }
+}
+
+/**
+ * Upload budgets from UPLOAD_MAX_MB, UPLOAD_MAX_PAGES,
+ * UPLOAD_EXTRACTION_TIMEOUT_SECONDS and UPLOAD_EXTRACTION_MEMORY_MB
+ */
+function uploadLimits(env = process.env) {
+  return {
+    maxBytes: (Number(env.UPLOAD_MAX_MB) || 25) * 1024 * 1024,
+    maxPages: Number(env.UPLOAD_MAX_PAGES) || 500,
+    timeoutMs: (Number(env.UPLOAD_EXTRACTION_TIMEOUT_SECONDS) || 60) * 1000,
+    maxMemoryMb: Number(env.UPLOAD_EXTRACTION_MEMORY_MB) || 512,
+  }
+}
+
+const FORMATS = {
+  pdf: {
+    extensions: ['.pdf'],
+    mimetypes: ['application/pdf'],
+  },
+  markdown: {
+    extensions: ['.md', '.markdown'],
+    mimetypes: ['text/markdown', 'text/x-markdown'],
+  },
+  html: {
+    extensions: ['.html', '.htm'],
+    mimetypes: ['text/html', 'application/xhtml+xml'],
+  },
+  docx: {
+    extensions: ['.docx'],
+    mimetypes: [
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ],
+  },
+  yaml: {
+    extensions: ['.yaml', '.yml'],
+    mimetypes: ['application/yaml', 'application/x-yaml', 'text/yaml'],
+  },
+  json: {
+    extensions: ['.json'],
+    mimetypes: ['application/json'],
+  },
+  text: {
+    extensions: ['.txt'],
+    mimetypes: ['text/plain'],
+  },
+}
+
+const SUPPORTED_EXTENSIONS = Object.values(FORMATS).flatMap(
+  ({ extensions }) => extensions
+)
+
+/**
+ * Work out a file's format from its extension, falling back to its mimetype
+ * (browsers report generic types such as application/octet-stream for many
+ * of these files, so the extension is the better signal)
+ */
+function detectFormat({ filename, mimetype }) {
+  const extension = path.extname(filename || '').toLowerCase()
+  const byExtension = Object.keys(FORMATS).find((format) =>
+    FORMATS[format].extensions.includes(extension)
+  )
+  if (byExtension) {
+    return byExtension
+  }
+
+  return (
+    Object.keys(FORMATS).find((format) =>
+      FORMATS[format].mimetypes.includes(mimetype)
+    ) || null
+  )
+}
+
+/**
+ * Storage name for an upload: no directory parts, only portable characters,
+ * and a bounded length, keeping the extension format detection relies on
+ */
+function sanitizeFilename(name) {
+  const base = path.basename(String(name || '').replace(/\\/g, '/'))
+  const cleaned = base
+    .normalize('NFKD')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^[._-]+/, '')
+  const extension = path.extname(cleaned).slice(0, 16)
+  const stem = cleaned.slice(0, cleaned.length - extension.length).slice(0, 100)
+
+  return `${stem || 'upload'}${extension}`
+}
+
+/**
+ * Name an upload is listed under: its own name without any directory parts
+ * or control characters
+ */
+function displayName(name) {
+  return path
+    .basename(String(name || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .slice(0, 255)
+}
+
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1')
+const PDF_SIGNATURE = Buffer.from('%PDF-', 'latin1')
+
+// Text formats must be UTF-8 without NUL bytes, and not a PDF or zip
+// renamed to look like one
+function isText(buffer) {
+  if (
+    buffer.subarray(0, 1024).includes(PDF_SIGNATURE) ||
+    buffer.subarray(0, 4).equals(ZIP_SIGNATURE) ||
+    buffer.includes(0)
+  ) {
+    return false
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+const CONTENT_CHECKS = {
+  // PDF readers accept the header anywhere in the first 1024 bytes
+  pdf: (buffer) => buffer.subarray(0, 1024).includes(PDF_SIGNATURE),
+  docx: (buffer) =>
+    buffer.subarray(0, 4).equals(ZIP_SIGNATURE) &&
+    buffer.includes('word/document.xml'),
+  markdown: isText,
+  html: isText,
+  yaml: isText,
+  json: isText,
+  text: isText,
+}
+
+async function parsePdf(buffer, { maxPages } = {}) {
+  // Render pages ourselves so extracted records can point at a page
+  const pages = []
+  // pdf.js misreads Node Buffers on current Node versions, so hand it a
+  // plain Uint8Array view of the file
+  const { numpages } = await pdfParse(new Uint8Array(buffer), {
+    max: maxPages || 0,
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent()
+      let lastY
+      let text = ''
+      textContent.items.forEach((item) => {
+        const y = item.transform[5]
+        text += lastY === undefined || lastY === y ? item.str : `\n${item.str}`
+        lastY = y
+      })
+      pages[pageData.pageIndex] = text
+      return text
+    },
+  })
+
+  if (maxPages && numpages > maxPages) {
+    throw new UploadError(
+      `PDF has ${numpages} pages; the limit is ${maxPages}`,
+      413
+    )
+  }
+
+  const pageOffsets = []
+  let content = ''
+  pages.forEach((pageText) => {
+    pageOffsets.push(content.length)
+    content += `${pageText || ''}\n\n`
+  })
+
+  return { content, pageOffsets }
+}
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value =
+        code[1].toLowerCase() === 'x'
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1), 10)
+      return Number.isNaN(value) ? entity : String.fromCodePoint(value)
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity
+  })
+}
+
+/**
+ * Convert HTML (e.g. a Confluence export) to text, keeping headings, list
+ * items and paragraphs on their own lines so sentence splitting still works
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>/gi, (tag, level) => `\n\n${'#'.repeat(level)} `)
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|tr|table|section|article|pre)>/gi, '\n\n')
+    .replace(/<(td|th)\b[^>]*>/gi, ' | ')
+    .replace(/<[^>]+>/g, '')
+
+  return decodeEntities(text)
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+async function parseDocx(buffer) {
+  // mammoth's HTML output keeps headings and lists, which plain text loses
+  const { value } = await mammoth.convertToHtml({ buffer })
+  return { content: htmlToText(value) }
+}
+
+const PARSERS = {
+  pdf: parsePdf,
+  docx: parseDocx,
+  html: async (buffer) => ({ content: htmlToText(buffer.toString('utf-8')) }),
+  markdown: async (buffer) => ({ content: buffer.toString('utf-8') }),
+  yaml: async (buffer) => ({ content: buffer.toString('utf-8') }),
+  json: async (buffer) => ({ content: buffer.toString('utf-8') }),
+  text: async (buffer) => ({ content: buffer.toString('utf-8') }),
+}
+
+/**
+ * Parse an uploaded file into text
+ *
+ * @returns {Promise<{format: string, content: string, pageOffsets: number[]}>}
+ */
+async function parseDocument(filePath, { filename, mimetype, maxPages } = {}) {
+  const format = detectFormat({
+    filename: filename || filePath,
+    mimetype,
+  })
+
+  if (!format) {
+    throw new UploadError(
+      `Unsupported file type. Supported extensions: ${SUPPORTED_EXTENSIONS.join(', ')}`,
+      415
+    )
+  }
+
+  const buffer = await fs.readFile(filePath)
+  if (!CONTENT_CHECKS[format](buffer)) {
+    throw new UploadError(`File content does not match its ${format} type`, 415)
+  }
+
+  const { content, pageOffsets = [] } = await PARSERS[format](buffer, {
+    maxPages,
+  })
+
+  return { format, content, pageOffsets, size: buffer.length }
+}
+
+/**
+ * parseDocument() in a worker thread that is stopped once it runs past
+ * limits.timeoutMs or limits.maxMemoryMb of heap
+ */
+function parseDocumentInWorker(
+  filePath,
+  options = {},
+  limits = uploadLimits()
+) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'parse-worker.js'), {
+      workerData: {
+        filePath,
+        options: { ...options, maxPages: limits.maxPages },
+      },
+      resourceLimits: { maxOldGenerationSizeMb: limits.maxMemoryMb },
+    })
+    const finish = (settle, value) => {
+      clearTimeout(timer)
+      worker.terminate()
+      settle(value)
+    }
+    const timer = setTimeout(
+      () =>
+        finish(
+          reject,
+          new UploadError(
+            `Extraction took longer than ${limits.timeoutMs / 1000}s`,
+            422
+          )
+        ),
+      limits.timeoutMs
+    )
+
+    worker.once('message', ({ result, error }) => {
+      if (error) {
+        const failure = error.upload
+          ? new UploadError(error.message, error.status)
+          : new Error(error.message)
+        finish(reject, failure)
+      } else {
+        finish(resolve, result)
+      }
+    })
+    worker.once('error', (error) =>
+      finish(
+        reject,
+        error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? new UploadError(
+              `Extraction used more than ${limits.maxMemoryMb} MB`,
+              422
+            )
+          : error
+      )
+    )
+    worker.once('exit', (code) =>
+      finish(reject, new Error(`Extraction worker exited with code ${code}`))
+    )
+  })
+}
+
+// Delete an uploaded file, ignoring files that are already gone
+async function removeUpload(filePath) {
+  if (!filePath) {
+    return
+  }
+
+  try {
+    await fs.unlink(filePath)
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error removing upload ${filePath}:`, error)
+    }
+  }
+}
+
+/**
+ * parseDocumentInWorker(), then delete the upload whether or not it parsed.
+ * Only the extracted text is kept (and redacted before it is stored), so
+ * secrets in the original file do not stay on disk.
+ */
+async function readUpload(filePath, options = {}, limits = uploadLimits()) {
+  try {
+    return await parseDocumentInWorker(filePath, options, limits)
+  } finally {
+    await removeUpload(filePath)
+  }
+}
+
+// The parsed document, or null when it does not parse and is only text
+function loadStructured(format, content) {
+  try {
+    return format === 'yaml' ? yaml.load(content) : JSON.parse(content)
+  } catch {
+    return null
+  }
+}
+
+function isMapping(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+// A template list's entries, refusing the upload when one has the wrong
+// shape; anything but a list is not that part of the template
+function templateEntries(list, listPath, isEntry, shape) {
+  if (!Array.isArray(list)) {
+    return []
+  }
+  list.forEach((entry, index) => {
+    if (!isEntry(entry)) {
+      throw new UploadError(`${listPath}[${index}] must be ${shape}`, 400)
+    }
+  })
+  return list
+}
+
+function importedRecord(type, source, recordPath, record) {
+  return {
+    ...record,
+    id: `${type}-${source}-${recordPath}`,
+    confidence: 1,
+    source: { document: source, page: null, offset: null, path: recordPath },
+  }
+}
+
+// A CUJ in the cba-cuj-template.json shape (cuj_definition)
+function importCujDefinition(definition, source, records) {
+  const segments =
+    (definition.boundaries_patterns &&
+      definition.boundaries_patterns.independent_segments) ||
+    []
+  const slis = templateEntries(
+    definition.slis,
+    'cuj_definition.slis',
+    isMapping,
+    'a mapping'
+  )
+  const slos = templateEntries(
+    definition.slos,
+    'cuj_definition.slos',
+    isMapping,
+    'a mapping'
+  )
+
+  records.cujs.push(
+    importedRecord('cuj', source, 'cuj_definition', {
+      name: definition.name,
+      description: definition.description,
+      squad_name: definition.squad_name,
+      customers_users: definition.customers_users,
+      journey_flow: definition.journey_flow,
+      independent_segments: segments,
+      failure_modes: definition.failure_modes,
+      sli_reference: slos.length > 0 ? slos[0].sli_reference : null,
+    })
+  )
+
+  slis.forEach((sli, index) => {
+    records.slis.push(
+      importedRecord('sli', source, `cuj_definition.slis[${index}]`, sli)
+    )
+  })
+
+  slos.forEach((slo, index) => {
+    records.slos.push(
+      importedRecord('slo', source, `cuj_definition.slos[${index}]`, {
+        ...slo,
+        sli: { name: slo.sli_reference, description: null },
+      })
+    )
+  })
+}
+
+/**
+ * Import records from a YAML/JSON document that follows one of the context
+ * templates: slo-template.yaml (slos[]), cba-cuj-template.json
+ * (cuj_definition) or the cujs-template.json list (cujs[]).
+ *
+ * @returns {object|null} Records by type, or null when the document does not
+ *   parse or has no recognisable structure and should be scraped as text
+ * @throws {UploadError} 400 when a template list holds an entry of the wrong
+ *   shape
+ */
+function importStructuredRecords(format, content, source) {
+  if (format !== 'yaml' && format !== 'json') {
+    return null
+  }
+
+  const data = loadStructured(format, content)
+  if (!data || typeof data !== 'object') {
+    return null
+  }
+
+  const records = { cujs: [], slis: [], slos: [], bestPractices: [] }
+
+  templateEntries(data.slos, 'slos', isMapping, 'a mapping').forEach(
+    (slo, index) => {
+      const recordPath = `slos[${index}]`
+      records.slos.push(importedRecord('slo', source, recordPath, slo))
+      if (slo.sli && slo.sli.name) {
+        records.slis.push(
+          importedRecord('sli', source, `${recordPath}.sli`, slo.sli)
+        )
+      }
+    }
+  )
+
+  if (isMapping(data.cuj_definition)) {
+    importCujDefinition(data.cuj_definition, source, records)
+  }
+
+  templateEntries(data.cujs, 'cujs', isMapping, 'a mapping').forEach(
+    (cuj, index) => {
+      records.cujs.push(importedRecord('cuj', source, `cujs[${index}]`, cuj))
+    }
+  )
+
+  const bestPractices = templateEntries(
+    (isMapping(data.usage) && data.usage.best_practices) ||
+      (isMapping(data.usage_instructions) &&
+        data.usage_instructions.best_practices),
+    'best_practices',
+    (text) => typeof text === 'string',
+    'text'
+  )
+  bestPractices.forEach((text, index) => {
+    records.bestPractices.push(
+      importedRecord('bp', source, `best_practices[${index}]`, { text })
+    )
+  })
+
+  const total = Object.values(records).reduce(
+    (sum, list) => sum + list.length,
+    0
+  )
+  return total > 0 ? records : null
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  UploadError,
+  detectFormat,
+  displayName,
+  htmlToText,
+  importStructuredRecords,
+  parseDocument,
+  parseDocumentInWorker,
+  readUpload,
+  removeUpload,
+  sanitizeFilename,
+  uploadLimits,
+}
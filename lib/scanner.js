@@ -0,0 +1,182 @@
+const net = require('net')
+const path = require('path')
+const fs = require('fs').promises
+const { createReadStream } = require('fs')
+
+/**
+ * Malware scanners for uploads, run before a file is parsed.
+ *
+ * A scanner is any object with a name and one async method:
+ * - scan(filePath): resolves to {clean: true} or {clean: false, signature},
+ *   and rejects when the file could not be scanned
+ *
+ * Built in are "none" (scanning off), "stub" (flags the EICAR test file
+ * only, to exercise quarantine without a real engine) and "clamav" (clamd's
+ * INSTREAM command over CLAMAV_SOCKET, or CLAMAV_HOST/CLAMAV_PORT).
+ */
+
+// The standard antivirus test string, split so this file is not flagged
+const EICAR = [
+  'X5O!P%@AP[4\\PZX54(P^)7CC)7}$',
+  'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*',
+].join('')
+
+const DEFAULT_QUARANTINE_DIR = path.join(__dirname, '..', 'data', 'quarantine')
+
+const CLAMAV_CHUNK_BYTES = 64 * 1024
+
+class NoopScanner {
+  constructor() {
+    this.name = 'none'
+  }
+
+  async scan() {
+    return { clean: true }
+  }
+}
+
+class StubScanner {
+  constructor() {
+    this.name = 'stub'
+  }
+
+  async scan(filePath) {
+    const content = await fs.readFile(filePath, 'latin1')
+    return content.includes(EICAR)
+      ? { clean: false, signature: 'Eicar-Test-Signature' }
+      : { clean: true }
+  }
+}
+
+/**
+ * Streams the file to clamd with INSTREAM: each chunk prefixed with its
+ * length as a 4-byte big-endian integer, then a zero-length chunk
+ */
+class ClamAvScanner {
+  constructor({ socketPath, host = 'localhost', port = 3310, timeoutMs }) {
+    this.name = 'clamav'
+    this.connectOptions = socketPath ? { path: socketPath } : { host, port }
+    this.timeoutMs = timeoutMs
+  }
+
+  scan(filePath) {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.connectOptions)
+      let reply = ''
+
+      socket.setTimeout(this.timeoutMs, () =>
+        socket.destroy(new Error(`clamd did not answer in ${this.timeoutMs}ms`))
+      )
+      socket.on('error', (error) =>
+        reject(new Error(`ClamAV scan failed: ${error.message}`))
+      )
+      socket.on('data', (data) => {
+        reply += data.toString()
+      })
+      socket.on('end', () => {
+        // "stream: OK" or "stream: <signature> FOUND"
+        const answer = reply.replace(/\0/g, '').trim()
+        const found = answer.match(/^stream: (.+) FOUND$/)
+        if (found) {
+          resolve({ clean: false, signature: found[1] })
+        } else if (answer === 'stream: OK') {
+          resolve({ clean: true })
+        } else {
+          reject(new Error(`ClamAV scan failed: ${answer || 'no answer'}`))
+        }
+      })
+
+      socket.on('connect', () => {
+        socket.write('zINSTREAM\0')
+        const file = createReadStream(filePath, {
+          highWaterMark: CLAMAV_CHUNK_BYTES,
+        })
+        file.on('data', (chunk) => {
+          const size = Buffer.alloc(4)
+          size.writeUInt32BE(chunk.length)
+          socket.write(Buffer.concat([size, chunk]))
+        })
+        file.on('end', () => socket.write(Buffer.alloc(4)))
+        file.on('error', (error) => socket.destroy(error))
+      })
+    })
+  }
+}
+
+const scannerFactories = {
+  none: () => new NoopScanner(),
+  stub: () => new StubScanner(),
+  clamav: (env) =>
+    new ClamAvScanner({
+      socketPath: env.CLAMAV_SOCKET,
+      host: env.CLAMAV_HOST,
+      port: Number(env.CLAMAV_PORT) || 3310,
+      timeoutMs: Number(env.CLAMAV_TIMEOUT_MS) || 30000,
+    }),
+}
+
+/**
+ * Register an additional scanner under a name usable in UPLOAD_SCANNER
+ */
+const registerScanner = (name, factory) => {
+  scannerFactories[name] = factory
+}
+
+/**
+ * Create the scanner UPLOAD_SCANNER names (none by default)
+ */
+const createScanner = (env = process.env) => {
+  const type = env.UPLOAD_SCANNER || 'none'
+  const factory = scannerFactories[type]
+
+  if (!factory) {
+    throw new Error(`Unknown upload scanner: ${type}`)
+  }
+
+  return factory(env)
+}
+
+/**
+ * Move a flagged upload out of uploads/ into the quarantine directory
+ * (UPLOAD_QUARANTINE_DIR), next to a JSON record of why it was held
+ *
+ * @returns {Promise<string>} The quarantine ID
+ */
+const quarantineFile = async (filePath, details, env = process.env) => {
+  const dir = path.resolve(env.UPLOAD_QUARANTINE_DIR || DEFAULT_QUARANTINE_DIR)
+  const id = path.basename(filePath)
+  await fs.mkdir(dir, { recursive: true })
+
+  const target = path.join(dir, id)
+  try {
+    await fs.rename(filePath, target)
+  } catch (error) {
+    // Across filesystems rename cannot move the file, so copy it instead
+    if (error.code !== 'EXDEV') {
+      throw error
+    }
+    await fs.copyFile(filePath, target)
+    await fs.unlink(filePath)
+  }
+  // The held file is never meant to be opened from here
+  await fs.chmod(target, 0o400)
+  await fs.writeFile(
+    `${target}.json`,
+    JSON.stringify(
+      { id, ...details, quarantinedAt: new Date().toISOString() },
+      null,
+      2
+    )
+  )
+
+  return id
+}
+
+module.exports = {
+  ClamAvScanner,
+  NoopScanner,
+  StubScanner,
+  createScanner,
+  quarantineFile,
+  registerScanner,
+}
@@ -0,0 +1,138 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+const {
+  ClamAvScanner,
+  StubScanner,
+  createScanner,
+  quarantineFile,
+  registerScanner,
+} = require('./scanner')
+
+// Split as in scanner.js so this file is not flagged itself
+const EICAR = [
+  'X5O!P%@AP[4\\PZX54(P^)7CC)7}$',
+  'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*',
+].join('')
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-test-'))
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+function writeUpload(name, content) {
+  const filePath = path.join(dir, name)
+  fs.writeFileSync(filePath, content)
+  return filePath
+}
+
+// A clamd that reads one INSTREAM upload and answers with `reply(bytes)`
+function fakeClamd(reply) {
+  const server = net.createServer((socket) => {
+    let received = Buffer.alloc(0)
+    socket.on('data', (data) => {
+      received = Buffer.concat([received, data])
+      const command = 'zINSTREAM\0'.length
+      const chunks = []
+      let offset = command
+      while (offset + 4 <= received.length) {
+        const size = received.readUInt32BE(offset)
+        if (size === 0) {
+          socket.end(`stream: ${reply(Buffer.concat(chunks))}\0`)
+          return
+        }
+        chunks.push(received.subarray(offset + 4, offset + 4 + size))
+        offset += 4 + size
+      }
+    })
+  })
+  return new Promise((resolve) =>
+    server.listen(0, '127.0.0.1', () => resolve(server))
+  )
+}
+
+test('createScanner picks UPLOAD_SCANNER, with scanning off by default', () => {
+  assert.equal(createScanner({}).name, 'none')
+  assert.equal(createScanner({ UPLOAD_SCANNER: 'stub' }).name, 'stub')
+  assert.throws(
+    () => createScanner({ UPLOAD_SCANNER: 'nope' }),
+    /Unknown upload scanner: nope/
+  )
+
+  registerScanner('custom', () => ({ name: 'custom', scan: async () => {} }))
+  assert.equal(createScanner({ UPLOAD_SCANNER: 'custom' }).name, 'custom')
+})
+
+test('the stub scanner flags the EICAR test file only', async () => {
+  const scanner = new StubScanner()
+
+  assert.deepEqual(
+    await scanner.scan(writeUpload('clean.md', 'Nothing to see')),
+    { clean: true }
+  )
+  assert.deepEqual(
+    await scanner.scan(writeUpload('eicar.md', `notes\n${EICAR}\n`)),
+    { clean: false, signature: 'Eicar-Test-Signature' }
+  )
+})
+
+test('ClamAV gets the file as INSTREAM chunks and its verdict is read', async () => {
+  const server = await fakeClamd((bytes) =>
+    bytes.toString('latin1').includes(EICAR)
+      ? 'Win.Test.EICAR_HDB-1 FOUND'
+      : 'OK'
+  )
+  test.after(() => server.close())
+  const scanner = new ClamAvScanner({
+    host: '127.0.0.1',
+    port: server.address().port,
+    timeoutMs: 5000,
+  })
+
+  // Bigger than one 64 KiB chunk, so the file has to be reassembled
+  const large = writeUpload('large.md', 'a'.repeat(200 * 1024) + EICAR)
+  assert.deepEqual(await scanner.scan(large), {
+    clean: false,
+    signature: 'Win.Test.EICAR_HDB-1',
+  })
+  assert.deepEqual(await scanner.scan(writeUpload('ok.md', 'fine')), {
+    clean: true,
+  })
+})
+
+test('ClamAV failures reject rather than pass the file', async () => {
+  const server = await fakeClamd(() => 'INSTREAM size limit exceeded. ERROR')
+  test.after(() => server.close())
+  const scanner = new ClamAvScanner({
+    host: '127.0.0.1',
+    port: server.address().port,
+    timeoutMs: 5000,
+  })
+
+  await assert.rejects(
+    scanner.scan(writeUpload('limit.md', 'text')),
+    /ClamAV scan failed: stream: INSTREAM size limit exceeded/
+  )
+})
+
+test('quarantine moves the file out, read-only, with a record of why', async () => {
+  const upload = writeUpload('1700000000000-abc-eicar.md', EICAR)
+  const quarantineDir = path.join(dir, 'quarantine')
+
+  const id = await quarantineFile(
+    upload,
+    { name: 'eicar.md', signature: 'Eicar-Test-Signature' },
+    { UPLOAD_QUARANTINE_DIR: quarantineDir }
+  )
+
+  assert.equal(id, '1700000000000-abc-eicar.md')
+  assert.equal(fs.existsSync(upload), false)
+  const held = path.join(quarantineDir, id)
+  assert.equal(fs.statSync(held).mode & 0o777, 0o400)
+
+  const record = JSON.parse(fs.readFileSync(`${held}.json`, 'utf-8'))
+  assert.equal(record.id, id)
+  assert.equal(record.signature, 'Eicar-Test-Signature')
+  assert.ok(!Number.isNaN(Date.parse(record.quarantinedAt)))
+})
@@ -0,0 +1,29 @@
+const path = require('path')
+const { pathToFileURL } = require('url')
+
+/**
+ * Loader for modules shared with the MCP server.
+ *
+ * Shared code (search index, ...) is written once in TypeScript under
+ * mcp-server/src and compiled to ES modules in mcp-server/build, so this
+ * CommonJS server pulls it in with a dynamic import.
+ */
+
+const SHARED_BUILD_DIR = path.join(__dirname, '..', 'mcp-server', 'build')
+
+const loadShared = async (name) => {
+  const modulePath = path.join(SHARED_BUILD_DIR, `${name}.js`)
+
+  try {
+    return await import(pathToFileURL(modulePath).href)
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error(
+        `Shared module ${name} is not built (${modulePath}). Run "npm run build" first.`
+      )
+    }
+    throw error
+  }
+}
+
+module.exports = { loadShared }
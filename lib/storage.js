@@ -0,0 +1,125 @@
+const path = require('path')
+const fs = require('fs').promises
+
+/**
+ * Storage backends for the DevSecOps knowledge base.
+ *
+ * A store is any object with two async methods:
+ * - load(): resolves to the last saved snapshot, or null when nothing is stored
+ * - save(snapshot): persists a snapshot, replacing the previous one
+ *
+ * Snapshots are plain JSON-serialisable objects produced by
+ * DevSecOpsKnowledgeBase#toSnapshot(), so any backend that can store a JSON
+ * document (a file, a key-value store, a database row) can implement it.
+ */
+
+const DEFAULT_STORAGE_PATH = path.join(
+  __dirname,
+  '..',
+  'data',
+  'knowledge-base.json'
+)
+
+/**
+ * Keeps the snapshot in process memory only (nothing survives a restart)
+ */
+class MemoryStore {
+  constructor() {
+    this.snapshot = null
+  }
+
+  async load() {
+    return this.snapshot ? JSON.parse(JSON.stringify(this.snapshot)) : null
+  }
+
+  async save(snapshot) {
+    this.snapshot = JSON.parse(JSON.stringify(snapshot))
+  }
+}
+
+/**
+ * Persists the snapshot as a single JSON file on disk
+ */
+class JsonFileStore {
+  constructor(filePath = DEFAULT_STORAGE_PATH) {
+    this.filePath = path.resolve(filePath)
+    this.pendingWrite = Promise.resolve()
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf-8')
+      return JSON.parse(raw)
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null
+      }
+      throw new Error(
+        `Failed to load knowledge base from ${this.filePath}: ${error.message}`
+      )
+    }
+  }
+
+  save(snapshot) {
+    // Serialise writes so a slow save can never overwrite a newer one
+    const write = this.pendingWrite.then(() => this.writeFile(snapshot))
+    this.pendingWrite = write.catch(() => {})
+    return write
+  }
+
+  async writeFile(snapshot) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+
+    // Write to a temporary file first so a crash never leaves a torn file
+    const tempPath = `${this.filePath}.${process.pid}.tmp`
+    await fs.writeFile(tempPath, JSON.stringify(snapshot, null, 2))
+    await fs.rename(tempPath, this.filePath)
+  }
+}
+
+const storeFactories = {
+  json: (options) => new JsonFileStore(options.path),
+  memory: () => new MemoryStore(),
+}
+
+/**
+ * Register an additional storage backend under a name usable in KB_STORAGE
+ */
+const registerStore = (name, factory) => {
+  storeFactories[name] = factory
+}
+
+/**
+ * Where a workspace other than the default keeps its json snapshot:
+ * <KB_WORKSPACES_DIR>/<workspace>.json, by default under data/workspaces
+ */
+const workspaceStoragePath = (workspace, env = process.env) =>
+  path.resolve(
+    env.KB_WORKSPACES_DIR || path.join(__dirname, '..', 'data', 'workspaces'),
+    `${workspace}.json`
+  )
+
+/**
+ * Create a store from options, falling back to KB_STORAGE / KB_STORAGE_PATH
+ */
+const createStore = (options = {}) => {
+  const type = options.type || process.env.KB_STORAGE || 'json'
+  const factory = storeFactories[type]
+
+  if (!factory) {
+    throw new Error(`Unknown knowledge base storage type: ${type}`)
+  }
+
+  return factory({
+    path: options.path || process.env.KB_STORAGE_PATH || DEFAULT_STORAGE_PATH,
+    ...options,
+  })
+}
+
+module.exports = {
+  JsonFileStore,
+  MemoryStore,
+  createStore,
+  registerStore,
+  workspaceStoragePath,
+}
@@ -0,0 +1,89 @@
+/**
+ * Numbered citations for chat answers
+ *
+ * Retrieved passages are numbered [1]..[n] in the prompt and the model is
+ * asked to cite them inline. After the completion we keep only the passages
+ * it actually cited, renumber them in order of first use, and map each one
+ * back to its resource ID and character offsets so the UI can open the exact
+ * passage.
+ */
+
+const SNIPPET_LENGTH = 240
+const CITATION_PATTERN = /([ \t]*)\[(\d+(?:\s*,\s*\d+)*)\]/g
+
+/**
+ * Passages block for the prompt, one numbered entry per chunk
+ */
+function formatContextPassages(chunks) {
+  return chunks
+    .map((chunk, index) => {
+      const label = chunk.heading
+        ? `${chunk.resource} (${chunk.heading})`
+        : chunk.resource
+      return `[${index + 1}] ${label}\n${chunk.text}`
+    })
+    .join('\n\n')
+}
+
+function snippetOf(text) {
+  const collapsed = text.replace(/\s+/g, ' ').trim()
+  return collapsed.length > SNIPPET_LENGTH
+    ? `${collapsed.slice(0, SNIPPET_LENGTH).replace(/\s+\S*$/, '')}…`
+    : collapsed
+}
+
+/**
+ * Turn a raw completion into a structured answer
+ *
+ * @param {string} answer - Model output citing passages as [n] or [n, m]
+ * @param {Array} chunks - The passages that were numbered in the prompt
+ * @returns {{message: string, citations: Array}} The answer with citations
+ *   renumbered 1..k, and one citation per passage actually used
+ */
+function extractCitations(answer, chunks = []) {
+  const renumbered = new Map()
+  const citations = []
+
+  const message = answer.replace(CITATION_PATTERN, (marker, space, list) => {
+    const numbers = list
+      .split(',')
+      .map((value) => parseInt(value, 10))
+      // Drop references to passages that weren't in the prompt
+      .filter((number) => number >= 1 && number <= chunks.length)
+
+    if (numbers.length === 0) {
+      return ''
+    }
+
+    const mapped = numbers.map((number) => {
+      if (!renumbered.has(number)) {
+        const chunk = chunks[number - 1]
+        renumbered.set(number, citations.length + 1)
+        citations.push({
+          number: citations.length + 1,
+          resource: chunk.resource,
+          docId: chunk.docId,
+          chunkId: chunk.chunkId,
+          title: chunk.title,
+          heading: chunk.heading,
+          start: chunk.start,
+          end: chunk.end,
+          snippet: snippetOf(chunk.text),
+        })
+      }
+      return renumbered.get(number)
+    })
+
+    return (
+      space +
+      Array.from(new Set(mapped))
+        .sort((a, b) => a - b)
+        .map((number) => `[${number}]`)
+        .join('')
+    )
+  })
+
+  return { message, citations }
+}
+
+module.exports = { extractCitations, formatContextPassages }
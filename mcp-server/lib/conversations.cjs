@@ -0,0 +1,224 @@
+const path = require('path')
+const fs = require('fs').promises
+const crypto = require('crypto')
+
+/**
+ * Per-session conversation memory for the chat server.
+ *
+ * Every Socket.IO session is bound to a conversation ID that the browser
+ * keeps, so a reload or reconnect resumes the same history. Each conversation
+ * belongs to the signed-in user who started it, and only they can list,
+ * resume, export or delete it. Conversations are saved to a JSON file. Only
+ * the most recent turns that fit the token budget are replayed to the model;
+ * older turns are folded into a running summary.
+ */
+
+const DEFAULT_CONVERSATIONS_PATH = path.join(
+  __dirname,
+  '..',
+  'data',
+  'conversations.json'
+)
+
+// Rough OpenAI-style estimate; close enough for budgeting without a tokenizer
+const CHARS_PER_TOKEN = 4
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN)
+}
+
+class ConversationStore {
+  constructor(filePath = DEFAULT_CONVERSATIONS_PATH) {
+    this.filePath = path.resolve(filePath)
+    this.conversations = new Map()
+    this.pendingWrite = Promise.resolve()
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf-8')
+      JSON.parse(raw).forEach((conversation) => {
+        this.conversations.set(conversation.id, conversation)
+      })
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(
+          `Failed to load conversations from ${this.filePath}: ${error.message}`
+        )
+      }
+    }
+  }
+
+  persist() {
+    // Serialise writes so a slow save can never overwrite a newer one
+    const snapshot = JSON.stringify(
+      Array.from(this.conversations.values()),
+      null,
+      2
+    )
+    const write = this.pendingWrite.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+      const tempPath = `${this.filePath}.${process.pid}.tmp`
+      await fs.writeFile(tempPath, snapshot)
+      await fs.rename(tempPath, this.filePath)
+    })
+    this.pendingWrite = write.catch(() => {})
+    return write
+  }
+
+  async create({ owner }) {
+    const now = new Date().toISOString()
+    const conversation = {
+      id: crypto.randomUUID(),
+      owner,
+      title: null,
+      createdAt: now,
+      updatedAt: now,
+      summary: null,
+      // Number of leading messages already folded into the summary
+      summarizedCount: 0,
+      messages: [],
+    }
+    this.conversations.set(conversation.id, conversation)
+    await this.persist()
+    return conversation
+  }
+
+  get(id) {
+    return this.conversations.get(id) || null
+  }
+
+  // The conversation if `owner` started it; saved before conversations had
+  // owners, a conversation belongs to nobody
+  getOwned(id, owner) {
+    const conversation = this.get(id)
+    return conversation && conversation.owner === owner ? conversation : null
+  }
+
+  list({ owner }) {
+    return Array.from(this.conversations.values())
+      .filter((conversation) => conversation.owner === owner)
+      .map(({ id, title, createdAt, updatedAt, messages }) => ({
+        id,
+        title,
+        createdAt,
+        updatedAt,
+        messageCount: messages.length,
+      }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  }
+
+  async delete(id) {
+    if (!this.conversations.delete(id)) {
+      return false
+    }
+    await this.persist()
+    return true
+  }
+
+  async appendMessage(id, message) {
+    const conversation = this.conversations.get(id)
+    if (!conversation) {
+      throw new Error(`Conversation ${id} not found`)
+    }
+
+    const entry = { ...message, timestamp: new Date().toISOString() }
+    conversation.messages.push(entry)
+    conversation.updatedAt = entry.timestamp
+    if (!conversation.title && message.role === 'user') {
+      conversation.title = message.content.slice(0, 80)
+    }
+    await this.persist()
+    return entry
+  }
+
+  async setSummary(id, summary, summarizedCount) {
+    const conversation = this.conversations.get(id)
+    if (!conversation) {
+      return
+    }
+    conversation.summary = summary
+    conversation.summarizedCount = summarizedCount
+    await this.persist()
+  }
+}
+
+/**
+ * Split a conversation into what gets replayed to the model
+ *
+ * @param {object} conversation
+ * @param {number} tokenBudget - Tokens available for replayed turns
+ * @returns {{summary: string|null, messages: Array, unsummarized: Array,
+ *   windowStart: number}} The running summary, the recent turns that fit the
+ *   budget (oldest first), and older turns that fell out of the window but
+ *   aren't in the summary yet
+ */
+function selectHistory(conversation, tokenBudget) {
+  const { messages, summarizedCount = 0, summary = null } = conversation
+  let used = estimateTokens(summary)
+  let windowStart = messages.length
+
+  while (windowStart > summarizedCount) {
+    const cost = estimateTokens(messages[windowStart - 1].content)
+    if (used + cost > tokenBudget) {
+      break
+    }
+    used += cost
+    windowStart--
+  }
+
+  // Never start the window on an assistant reply without its question
+  if (windowStart < messages.length && messages[windowStart].role !== 'user') {
+    windowStart++
+  }
+
+  return {
+    summary,
+    messages: messages
+      .slice(windowStart)
+      .map(({ role, content }) => ({ role, content })),
+    unsummarized: messages.slice(summarizedCount, windowStart),
+    windowStart,
+  }
+}
+
+/**
+ * Render a conversation as Markdown for export
+ */
+function toMarkdown(conversation) {
+  const lines = [
+    `# ${conversation.title || 'Conversation'}`,
+    '',
+    `- ID: ${conversation.id}`,
+    `- Started: ${conversation.createdAt}`,
+    `- Last message: ${conversation.updatedAt}`,
+    '',
+  ]
+
+  conversation.messages.forEach((message) => {
+    lines.push(
+      `## ${message.role === 'user' ? 'User' : 'Assistant'} (${message.timestamp})`,
+      '',
+      message.content,
+      ''
+    )
+    if (message.citations && message.citations.length > 0) {
+      lines.push('Sources:', '')
+      message.citations.forEach((citation) => {
+        lines.push(
+          `${citation.number}. ${citation.resource} (chars ${citation.start}-${citation.end})`
+        )
+      })
+      lines.push('')
+    }
+  })
+
+  return lines.join('\n')
+}
+
+module.exports = {
+  ConversationStore,
+  estimateTokens,
+  selectHistory,
+  toMarkdown,
+}
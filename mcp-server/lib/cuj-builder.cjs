@@ -0,0 +1,874 @@
+const path = require('path')
+const fs = require('fs').promises
+const crypto = require('crypto')
+
+/**
+ * Guided builder for context/templates/cba-cuj-template.json.
+ *
+ * A draft walks a squad through the template one step at a time. Each step
+ * is described by a field spec that the chat UI renders as a form and that
+ * validateStep checks the submitted section against. Drafts are kept
+ * server-side in a JSON file, so a squad can leave and resume one, and the
+ * finished draft is exported as a complete CUJ definition file.
+ */
+
+const DEFAULT_DRAFTS_PATH = path.join(
+  __dirname,
+  '..',
+  'data',
+  'cuj-drafts.json'
+)
+
+const TEMPLATE_PATH = path.join(
+  __dirname,
+  '..',
+  '..',
+  'context',
+  'templates',
+  'cba-cuj-template.json'
+)
+
+const CUSTOMER_TYPES = ['end_users', 'other_apps', 'other_teams']
+const LEVELS = ['low', 'medium', 'high', 'critical']
+const COMPARISONS = ['>=', '<=', '>', '<']
+const SLI_UNITS = ['percentage', 'seconds', 'milliseconds', 'count']
+const DURATION = /^\d+[mhdw]$/
+const SNAKE_CASE = /^[a-z][a-z0-9_]*$/
+
+/**
+ * Steps in the order the wizard asks them. Field types: text, textarea,
+ * number, boolean, select (options), tags (comma separated), lines (one per
+ * line) and list (repeated itemFields). Dotted keys nest, e.g.
+ * target.value.
+ */
+const STEPS = [
+  {
+    id: 'details',
+    title: 'Journey details',
+    description: 'Name the journey and the squad that owns it.',
+    fields: [
+      {
+        key: 'name',
+        label: 'Journey name',
+        type: 'text',
+        required: true,
+        placeholder: 'Payment Processing Journey',
+      },
+      {
+        key: 'description',
+        label: 'Description',
+        type: 'textarea',
+        required: true,
+        placeholder: 'End-to-end payment processing from request to completion',
+      },
+      { key: 'squad_name', label: 'Squad name', type: 'text', required: true },
+      {
+        key: 'team_members',
+        label: 'Team members',
+        type: 'text',
+        required: true,
+      },
+    ],
+  },
+  {
+    id: 'customers_users',
+    title: 'Customers and users',
+    description: 'Who relies on this journey, and who matters most?',
+    fields: [
+      {
+        key: 'primary_customer',
+        label: 'Primary customer',
+        type: 'select',
+        options: CUSTOMER_TYPES,
+        required: true,
+      },
+      {
+        key: 'customer_types',
+        label: 'Customer types',
+        type: 'list',
+        minItems: 1,
+        itemFields: [
+          {
+            key: 'type',
+            label: 'Type',
+            type: 'select',
+            options: CUSTOMER_TYPES,
+            required: true,
+          },
+          {
+            key: 'description',
+            label: 'Description',
+            type: 'text',
+            required: true,
+            placeholder: 'Customers making payments through the application',
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'journey_flow',
+    title: 'Journey flow',
+    description: 'Where does the journey start and where does it finish?',
+    fields: [
+      {
+        key: 'entry_point.description',
+        label: 'Entry point',
+        type: 'text',
+        required: true,
+        placeholder: 'User initiates payment request',
+      },
+      {
+        key: 'entry_point.trigger',
+        label: 'Trigger',
+        type: 'text',
+        required: true,
+        placeholder: 'Payment button clicked or API call received',
+      },
+      {
+        key: 'entry_point.systems_involved',
+        label: 'Entry systems involved',
+        type: 'tags',
+        required: true,
+        placeholder: 'Web UI, Mobile App, API Gateway',
+      },
+      {
+        key: 'exit_point.description',
+        label: 'Exit point',
+        type: 'text',
+        required: true,
+        placeholder: 'Payment confirmation delivered to user',
+      },
+      {
+        key: 'exit_point.completion_criteria',
+        label: 'Completion criteria',
+        type: 'text',
+        required: true,
+        placeholder: 'Payment status (success/failure) communicated',
+      },
+      {
+        key: 'exit_point.systems_involved',
+        label: 'Exit systems involved',
+        type: 'tags',
+        required: true,
+        placeholder: 'Notification Service, UI, Database',
+      },
+    ],
+  },
+  {
+    id: 'independent_segments',
+    title: 'Independent segments',
+    description:
+      'Break the journey into segments that can fail and be measured on their own.',
+    fields: [
+      {
+        key: 'segments',
+        label: 'Segments',
+        type: 'list',
+        minItems: 1,
+        itemFields: [
+          {
+            key: 'segment',
+            label: 'Segment',
+            type: 'text',
+            required: true,
+            placeholder: 'Request Validation',
+          },
+          {
+            key: 'description',
+            label: 'Description',
+            type: 'text',
+            required: true,
+          },
+          {
+            key: 'dependencies',
+            label: 'Dependencies',
+            type: 'text',
+            placeholder: 'none',
+          },
+          { key: 'measurable', label: 'Measurable', type: 'boolean' },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'failure_modes',
+    title: 'Failure modes',
+    description: 'How can the journey fail, and how would you know?',
+    fields: [
+      {
+        key: 'failure_modes',
+        label: 'Failure modes',
+        type: 'list',
+        minItems: 1,
+        itemFields: [
+          {
+            key: 'failure',
+            label: 'Failure',
+            type: 'text',
+            required: true,
+            placeholder: 'Payment gateway unavailable',
+          },
+          {
+            key: 'impact',
+            label: 'Impact',
+            type: 'select',
+            options: LEVELS,
+            required: true,
+          },
+          {
+            key: 'probability',
+            label: 'Probability',
+            type: 'select',
+            options: LEVELS.slice(0, 3),
+            required: true,
+          },
+          {
+            key: 'detection_method',
+            label: 'Detection method',
+            type: 'text',
+            required: true,
+            placeholder: 'Health check failures',
+          },
+          {
+            key: 'mitigation',
+            label: 'Mitigation',
+            type: 'text',
+            required: true,
+            placeholder: 'Circuit breaker, fallback to secondary gateway',
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'slis_slos',
+    title: 'SLIs and SLOs',
+    description:
+      'Measure each segment that matters, then set a target for each measurement.',
+    fields: [
+      {
+        key: 'slis',
+        label: 'SLIs',
+        type: 'list',
+        minItems: 1,
+        itemFields: [
+          {
+            key: 'name',
+            label: 'Name',
+            type: 'text',
+            required: true,
+            pattern: SNAKE_CASE.source,
+            placeholder: 'payment_success_rate',
+          },
+          {
+            key: 'description',
+            label: 'Description',
+            type: 'text',
+            required: true,
+          },
+          {
+            key: 'measurement_method',
+            label: 'Measurement method',
+            type: 'select',
+            options: ['event_based', 'distribution'],
+            required: true,
+          },
+          {
+            key: 'business_function',
+            label: 'Business function',
+            type: 'text',
+            required: true,
+          },
+          {
+            key: 'internal_deliverable',
+            label: 'Internal deliverable',
+            type: 'text',
+          },
+          {
+            key: 'query',
+            label: 'Query',
+            type: 'textarea',
+            required: true,
+            placeholder:
+              "sum(rate(payments_total{status='success'}[5m])) / sum(rate(payments_total[5m])) * 100",
+          },
+          {
+            key: 'unit',
+            label: 'Unit',
+            type: 'select',
+            options: SLI_UNITS,
+            required: true,
+          },
+          {
+            key: 'data_source',
+            label: 'Data source',
+            type: 'text',
+            placeholder: 'application_metrics',
+          },
+        ],
+      },
+      {
+        key: 'slos',
+        label: 'SLOs',
+        type: 'list',
+        minItems: 1,
+        itemFields: [
+          {
+            key: 'name',
+            label: 'Name',
+            type: 'text',
+            required: true,
+            placeholder: 'Payment Success SLO',
+          },
+          {
+            key: 'description',
+            label: 'Description',
+            type: 'text',
+            required: true,
+          },
+          {
+            key: 'sli_reference',
+            label: 'SLI',
+            type: 'text',
+            required: true,
+            placeholder: 'payment_success_rate',
+          },
+          {
+            key: 'target.value',
+            label: 'Target',
+            type: 'number',
+            required: true,
+          },
+          {
+            key: 'target.unit',
+            label: 'Target unit',
+            type: 'select',
+            options: SLI_UNITS,
+            required: true,
+          },
+          {
+            key: 'target.comparison',
+            label: 'Comparison',
+            type: 'select',
+            options: COMPARISONS,
+            required: true,
+          },
+          {
+            key: 'time_window.duration',
+            label: 'Window',
+            type: 'text',
+            required: true,
+            pattern: DURATION.source,
+            placeholder: '30d',
+          },
+          {
+            key: 'time_window.type',
+            label: 'Window type',
+            type: 'select',
+            options: ['rolling', 'calendar'],
+            required: true,
+          },
+          {
+            key: 'business_justification',
+            label: 'Business justification',
+            type: 'text',
+            required: true,
+          },
+          {
+            key: 'error_budget.burn_rate_threshold',
+            label: 'Burn rate threshold',
+            type: 'number',
+            placeholder: '2',
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'implementation_plan',
+    title: 'Implementation plan',
+    description: 'Plan the rollout in phases, starting with the foundations.',
+    fields: [
+      {
+        key: 'phases',
+        label: 'Phases',
+        type: 'list',
+        minItems: 1,
+        itemFields: [
+          {
+            key: 'name',
+            label: 'Phase',
+            type: 'text',
+            required: true,
+            placeholder: 'Foundation',
+          },
+          {
+            key: 'tasks',
+            label: 'Tasks (one per line)',
+            type: 'lines',
+            required: true,
+          },
+          {
+            key: 'timeline',
+            label: 'Timeline',
+            type: 'text',
+            required: true,
+            placeholder: '2-4 weeks',
+          },
+          {
+            key: 'success_criteria',
+            label: 'Success criteria',
+            type: 'text',
+            required: true,
+          },
+        ],
+      },
+    ],
+  },
+]
+
+function getPath(object, key) {
+  return key
+    .split('.')
+    .reduce((value, part) => (value == null ? undefined : value[part]), object)
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.')
+  const last = parts.pop()
+  let target = object
+  parts.forEach((part) => {
+    if (typeof target[part] !== 'object' || target[part] === null) {
+      target[part] = {}
+    }
+    target = target[part]
+  })
+  target[last] = value
+}
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === 'string' && !value.trim()) ||
+    (Array.isArray(value) && value.length === 0)
+  )
+}
+
+/**
+ * Coerce form input to the field's type and check it. Returns the cleaned
+ * value; problems are pushed to errors as {path, message}.
+ */
+function checkField(field, raw, fieldPath, errors) {
+  let value = typeof raw === 'string' ? raw.trim() : raw
+
+  if (field.type === 'list') {
+    const items = Array.isArray(value) ? value : []
+    if (items.length < (field.minItems || 0)) {
+      errors.push({
+        path: fieldPath,
+        message: `add at least ${field.minItems} ${field.minItems === 1 ? 'entry' : 'entries'}`,
+      })
+    }
+    return items.map((item, index) =>
+      checkFields(
+        field.itemFields,
+        item || {},
+        `${fieldPath}[${index}]`,
+        errors
+      )
+    )
+  }
+
+  if (field.type === 'tags' || field.type === 'lines') {
+    const separator = field.type === 'tags' ? ',' : '\n'
+    value = (
+      Array.isArray(value) ? value : String(value || '').split(separator)
+    )
+      .map((entry) => String(entry).trim())
+      .filter(Boolean)
+  } else if (field.type === 'number' && !isBlank(value)) {
+    value = Number(value)
+    if (Number.isNaN(value)) {
+      errors.push({ path: fieldPath, message: 'must be a number' })
+      return undefined
+    }
+  } else if (field.type === 'boolean') {
+    value = value === true || value === 'true'
+  }
+
+  if (isBlank(value)) {
+    if (field.required) {
+      errors.push({ path: fieldPath, message: 'is required' })
+    }
+    return undefined
+  }
+
+  if (field.options && !field.options.includes(value)) {
+    errors.push({
+      path: fieldPath,
+      message: `must be one of ${field.options.join(', ')} (got "${value}")`,
+    })
+  }
+  if (field.pattern && !new RegExp(field.pattern).test(value)) {
+    errors.push({
+      path: fieldPath,
+      message: `"${value}" does not match ${field.pattern}`,
+    })
+  }
+  return value
+}
+
+function checkFields(fields, input, prefix, errors) {
+  const section = {}
+  fields.forEach((field) => {
+    const fieldPath = prefix ? `${prefix}.${field.key}` : field.key
+    const value = checkField(
+      field,
+      getPath(input, field.key),
+      fieldPath,
+      errors
+    )
+    if (value !== undefined) {
+      setPath(section, field.key, value)
+    }
+  })
+  return section
+}
+
+function checkUnique(items, key, listPath, errors) {
+  const seen = new Map()
+  items.forEach((item, index) => {
+    const value = item[key]
+    if (value === undefined) return
+    if (seen.has(value)) {
+      errors.push({
+        path: `${listPath}[${index}].${key}`,
+        message: `duplicate "${value}" (also ${listPath}[${seen.get(value)}])`,
+      })
+    } else {
+      seen.set(value, index)
+    }
+  })
+}
+
+// Checks across fields that the spec alone can't express
+const SECTION_CHECKS = {
+  customers_users(section, errors) {
+    const types = section.customer_types.map(({ type }) => type)
+    if (section.primary_customer && !types.includes(section.primary_customer)) {
+      errors.push({
+        path: 'primary_customer',
+        message: `${section.primary_customer} is not one of the customer types listed`,
+      })
+    }
+    checkUnique(section.customer_types, 'type', 'customer_types', errors)
+  },
+
+  independent_segments(section, errors) {
+    checkUnique(section.segments, 'segment', 'segments', errors)
+  },
+
+  slis_slos(section, errors) {
+    checkUnique(section.slis, 'name', 'slis', errors)
+    checkUnique(section.slos, 'name', 'slos', errors)
+
+    section.slos.forEach((slo, index) => {
+      const sloPath = `slos[${index}]`
+      const sli = section.slis.find(({ name }) => name === slo.sli_reference)
+      if (slo.sli_reference && !sli) {
+        errors.push({
+          path: `${sloPath}.sli_reference`,
+          message: `no SLI named "${slo.sli_reference}"`,
+        })
+      }
+
+      const target = slo.target || {}
+      if (sli && target.unit && target.unit !== sli.unit) {
+        errors.push({
+          path: `${sloPath}.target.unit`,
+          message: `target unit ${target.unit} does not match the SLI unit ${sli.unit}`,
+        })
+      }
+      if (typeof target.value === 'number') {
+        if (
+          target.unit === 'percentage' &&
+          (target.value <= 0 || target.value > 100)
+        ) {
+          errors.push({
+            path: `${sloPath}.target.value`,
+            message: `percentage target must be above 0 and at most 100 (got ${target.value})`,
+          })
+        } else if (target.value < 0) {
+          errors.push({
+            path: `${sloPath}.target.value`,
+            message: `must not be negative (got ${target.value})`,
+          })
+        }
+      }
+
+      const burnRate = (slo.error_budget || {}).burn_rate_threshold
+      if (typeof burnRate === 'number' && burnRate <= 0) {
+        errors.push({
+          path: `${sloPath}.error_budget.burn_rate_threshold`,
+          message: `must be above 0 (got ${burnRate})`,
+        })
+      }
+    })
+
+    const referenced = new Set(section.slos.map((slo) => slo.sli_reference))
+    section.slis.forEach((sli, index) => {
+      if (sli.name && !referenced.has(sli.name)) {
+        errors.push({
+          path: `slis[${index}].name`,
+          message: `no SLO targets ${sli.name}`,
+          severity: 'warning',
+        })
+      }
+    })
+  },
+}
+
+function getStep(stepId) {
+  return STEPS.find(({ id }) => id === stepId) || null
+}
+
+/**
+ * Validate one step's input against its spec
+ *
+ * @returns {{valid: boolean, section: object, errors: Array,
+ *   warnings: Array}} The cleaned section plus problems as {path, message}
+ */
+function validateStep(stepId, input) {
+  const step = getStep(stepId)
+  if (!step) {
+    throw new Error(`Unknown CUJ builder step: ${stepId}`)
+  }
+
+  const problems = []
+  const section = checkFields(step.fields, input || {}, '', problems)
+  if (SECTION_CHECKS[stepId]) {
+    SECTION_CHECKS[stepId](section, problems)
+  }
+
+  const errors = problems
+    .filter(({ severity }) => severity !== 'warning')
+    .map(({ path, message }) => ({ path, message }))
+  const warnings = problems
+    .filter(({ severity }) => severity === 'warning')
+    .map(({ path, message }) => ({ path, message }))
+  return { valid: errors.length === 0, section, errors, warnings }
+}
+
+// The template names a 30d budget monthly_budget and a 7d one weekly_budget
+function errorBudget(slo) {
+  const { value, unit } = slo.target
+  const budget = {}
+  if (unit === 'percentage') {
+    const key =
+      { '30d': 'monthly_budget', '7d': 'weekly_budget' }[
+        slo.time_window.duration
+      ] || 'budget'
+    budget[key] = `${Number((100 - value).toPrecision(10))}%`
+  }
+  return { ...budget, ...slo.error_budget }
+}
+
+/**
+ * Assemble a finished draft into a cba-cuj-template.json document. Parts of
+ * the template the wizard doesn't ask about (dependencies, the maturity
+ * assessment, tools) are carried over for the squad to fill in.
+ */
+function toCujDocument(draft, template) {
+  const {
+    details,
+    customers_users: customersUsers,
+    journey_flow: journeyFlow,
+    independent_segments: segments,
+    failure_modes: failureModes,
+    slis_slos: slisSlos,
+    implementation_plan: plan,
+  } = draft.sections
+
+  const implementationPlan = {}
+  plan.phases.forEach((phase, index) => {
+    implementationPlan[`phase_${index + 1}`] = phase
+  })
+
+  return {
+    ...template,
+    metadata: {
+      ...template.metadata,
+      created_date: draft.createdAt.slice(0, 10),
+      updated_date: draft.updatedAt.slice(0, 10),
+    },
+    cuj_definition: {
+      ...details,
+      customers_users: customersUsers,
+      journey_flow: journeyFlow,
+      dependencies: {
+        what_you_depend_on: [],
+        what_depends_on_you: [],
+        what_you_deliver: [],
+      },
+      boundaries_patterns: {
+        application_boundaries: {
+          internal_operations: [],
+          external_integrations: [],
+        },
+        independent_segments: segments.segments.map(
+          ({ segment, description, dependencies = 'none', measurable }) => ({
+            segment,
+            description,
+            dependencies,
+            measurable,
+          })
+        ),
+      },
+      failure_modes: failureModes.failure_modes,
+      slis: slisSlos.slis,
+      slos: slisSlos.slos.map((slo) => ({
+        ...slo,
+        error_budget: errorBudget(slo),
+      })),
+    },
+    implementation_plan: implementationPlan,
+  }
+}
+
+class CujDraftStore {
+  constructor(filePath = DEFAULT_DRAFTS_PATH) {
+    this.filePath = path.resolve(filePath)
+    this.drafts = new Map()
+    this.pendingWrite = Promise.resolve()
+  }
+
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf-8')
+      JSON.parse(raw).forEach((draft) => {
+        this.drafts.set(draft.id, draft)
+      })
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(
+          `Failed to load CUJ drafts from ${this.filePath}: ${error.message}`
+        )
+      }
+    }
+  }
+
+  persist() {
+    // Serialise writes so a slow save can never overwrite a newer one
+    const snapshot = JSON.stringify(Array.from(this.drafts.values()), null, 2)
+    const write = this.pendingWrite.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+      const tempPath = `${this.filePath}.${process.pid}.tmp`
+      await fs.writeFile(tempPath, snapshot)
+      await fs.rename(tempPath, this.filePath)
+    })
+    this.pendingWrite = write.catch(() => {})
+    return write
+  }
+
+  async create({ owner }) {
+    const now = new Date().toISOString()
+    const draft = {
+      id: crypto.randomUUID(),
+      owner,
+      createdAt: now,
+      updatedAt: now,
+      sections: {},
+    }
+    this.drafts.set(draft.id, draft)
+    await this.persist()
+    return draft
+  }
+
+  get(id) {
+    return this.drafts.get(id) || null
+  }
+
+  // The draft if `owner` started it
+  getOwned(id, owner) {
+    const draft = this.get(id)
+    return draft && draft.owner === owner ? draft : null
+  }
+
+  async delete(id) {
+    if (!this.drafts.delete(id)) {
+      return false
+    }
+    await this.persist()
+    return true
+  }
+
+  /**
+   * Validate a step and save it to the draft when it passes. Invalid input
+   * is not saved, so a draft only ever holds valid sections.
+   */
+  async saveStep(id, stepId, input) {
+    const draft = this.drafts.get(id)
+    if (!draft) {
+      throw new Error(`CUJ draft ${id} not found`)
+    }
+
+    const result = validateStep(stepId, input)
+    if (result.valid) {
+      draft.sections[stepId] = result.section
+      draft.updatedAt = new Date().toISOString()
+      await this.persist()
+    }
+    return result
+  }
+
+  /**
+   * The draft with each step's status and the first step still to do
+   */
+  describe(id) {
+    const draft = this.drafts.get(id)
+    if (!draft) {
+      return null
+    }
+
+    const steps = STEPS.map(({ id: stepId, title }) => ({
+      id: stepId,
+      title,
+      complete: Boolean(draft.sections[stepId]),
+    }))
+    const next = steps.find(({ complete }) => !complete)
+    return {
+      ...draft,
+      steps,
+      nextStep: next ? next.id : null,
+      complete: !next,
+    }
+  }
+
+  /**
+   * The finished CUJ definition, or an error listing the missing steps
+   */
+  async export(id) {
+    const state = this.describe(id)
+    if (!state) {
+      throw new Error(`CUJ draft ${id} not found`)
+    }
+    const missing = state.steps.filter(({ complete }) => !complete)
+    if (missing.length > 0) {
+      throw new Error(
+        `Complete these steps first: ${missing.map(({ title }) => title).join(', ')}`
+      )
+    }
+
+    const template = JSON.parse(await fs.readFile(TEMPLATE_PATH, 'utf-8'))
+    return toCujDocument(state, template)
+  }
+}
+
+module.exports = {
+  CujDraftStore,
+  STEPS,
+  toCujDocument,
+  validateStep,
+}
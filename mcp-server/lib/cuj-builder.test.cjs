@@ -0,0 +1,236 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { CujDraftStore, STEPS, validateStep } = require('./cuj-builder.cjs')
+
+// Valid form input for every step, as the chat UI submits it
+const INPUT = {
+  details: {
+    name: 'Payment Processing Journey',
+    description: 'End-to-end payment processing',
+    squad_name: 'Payments',
+    team_members: 'alice, bob',
+  },
+  customers_users: {
+    primary_customer: 'end_users',
+    customer_types: [{ type: 'end_users', description: 'Paying customers' }],
+  },
+  journey_flow: {
+    entry_point: {
+      description: 'User initiates payment',
+      trigger: 'Pay button clicked',
+      systems_involved: 'Web UI, API Gateway',
+    },
+    exit_point: {
+      description: 'Confirmation delivered',
+      completion_criteria: 'Status communicated',
+      systems_involved: 'Notification Service',
+    },
+  },
+  independent_segments: {
+    segments: [
+      { segment: 'Request Validation', description: 'Checks the request' },
+    ],
+  },
+  failure_modes: {
+    failure_modes: [
+      {
+        failure: 'Gateway unavailable',
+        impact: 'critical',
+        probability: 'medium',
+        detection_method: 'Health checks',
+        mitigation: 'Fallback gateway',
+      },
+    ],
+  },
+  slis_slos: {
+    slis: [
+      {
+        name: 'payment_success_rate',
+        description: 'Payments that succeed',
+        measurement_method: 'event_based',
+        business_function: 'Take payments',
+        query: 'sum(rate(ok[5m])) / sum(rate(total[5m])) * 100',
+        unit: 'percentage',
+      },
+    ],
+    slos: [
+      {
+        name: 'Payment Success SLO',
+        description: '99.9% of payments succeed',
+        sli_reference: 'payment_success_rate',
+        target: { value: '99.9', unit: 'percentage', comparison: '>=' },
+        time_window: { duration: '30d', type: 'rolling' },
+        business_justification: 'Failed payments lose revenue',
+      },
+    ],
+  },
+  implementation_plan: {
+    phases: [
+      {
+        name: 'Foundation',
+        tasks: 'Instrument the gateway\nBuild the dashboard',
+        timeline: '2-4 weeks',
+        success_criteria: 'SLI visible',
+      },
+    ],
+  },
+}
+
+function store() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cuj-builder-test-'))
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return new CujDraftStore(path.join(dir, 'cuj-drafts.json'))
+}
+
+test('every step has valid example input', () => {
+  assert.deepEqual(
+    STEPS.map(({ id }) => id),
+    Object.keys(INPUT)
+  )
+  STEPS.forEach(({ id }) => {
+    assert.deepEqual(validateStep(id, INPUT[id]).errors, [], id)
+  })
+})
+
+test('validateStep coerces form values to the field types', () => {
+  const flow = validateStep('journey_flow', INPUT.journey_flow).section
+  assert.deepEqual(flow.entry_point.systems_involved, ['Web UI', 'API Gateway'])
+
+  const { section } = validateStep('slis_slos', INPUT.slis_slos)
+  assert.equal(section.slos[0].target.value, 99.9)
+
+  const plan = validateStep('implementation_plan', INPUT.implementation_plan)
+  assert.deepEqual(plan.section.phases[0].tasks, [
+    'Instrument the gateway',
+    'Build the dashboard',
+  ])
+})
+
+test('validateStep reports missing, unknown and inconsistent values', () => {
+  const details = validateStep('details', { name: '  ' })
+  assert.equal(details.valid, false)
+  assert.deepEqual(
+    details.errors.map(({ path }) => path),
+    ['name', 'description', 'squad_name', 'team_members']
+  )
+
+  assert.deepEqual(
+    validateStep('customers_users', {
+      primary_customer: 'other_apps',
+      customer_types: [
+        { type: 'end_users', description: 'a' },
+        { type: 'end_users', description: 'b' },
+      ],
+    }).errors,
+    [
+      {
+        path: 'primary_customer',
+        message: 'other_apps is not one of the customer types listed',
+      },
+      {
+        path: 'customer_types[1].type',
+        message: 'duplicate "end_users" (also customer_types[0])',
+      },
+    ]
+  )
+
+  const [slo] = INPUT.slis_slos.slos
+  const slisSlos = validateStep('slis_slos', {
+    slis: [
+      ...INPUT.slis_slos.slis,
+      { ...INPUT.slis_slos.slis[0], name: 'Payment Latency', unit: 'seconds' },
+    ],
+    slos: [
+      { ...slo, target: { ...slo.target, value: 'high' } },
+      {
+        ...slo,
+        name: 'Latency SLO',
+        sli_reference: 'payment_latency',
+        time_window: { duration: 'monthly', type: 'rolling' },
+      },
+    ],
+  })
+  assert.deepEqual(slisSlos.errors, [
+    {
+      path: 'slis[1].name',
+      message: '"Payment Latency" does not match ^[a-z][a-z0-9_]*$',
+    },
+    { path: 'slos[0].target.value', message: 'must be a number' },
+    {
+      path: 'slos[1].time_window.duration',
+      message: '"monthly" does not match ^\\d+[mhdw]$',
+    },
+    {
+      path: 'slos[1].sli_reference',
+      message: 'no SLI named "payment_latency"',
+    },
+  ])
+  assert.deepEqual(slisSlos.warnings, [
+    { path: 'slis[1].name', message: 'no SLO targets Payment Latency' },
+  ])
+
+  assert.throws(() => validateStep('metadata', {}), /Unknown CUJ builder step/)
+})
+
+test('drafts belong to the user who started them', async () => {
+  const drafts = store()
+  const draft = await drafts.create({ owner: 'alice' })
+
+  assert.equal(drafts.getOwned(draft.id, 'alice'), draft)
+  assert.equal(drafts.getOwned(draft.id, 'bob'), null)
+  assert.equal(drafts.getOwned('missing', 'alice'), null)
+
+  const reloaded = new CujDraftStore(drafts.filePath)
+  await reloaded.load()
+  assert.equal(reloaded.getOwned(draft.id, 'alice').owner, 'alice')
+
+  assert.equal(await drafts.delete(draft.id), true)
+  assert.equal(await drafts.delete(draft.id), false)
+})
+
+test('a draft saves valid steps only and exports once complete', async () => {
+  const drafts = store()
+  const { id } = await drafts.create({ owner: 'alice' })
+
+  const rejected = await drafts.saveStep(id, 'details', { name: 'Payments' })
+  assert.equal(rejected.valid, false)
+  assert.equal(drafts.describe(id).nextStep, 'details')
+
+  await drafts.saveStep(id, 'details', INPUT.details)
+  assert.equal(drafts.describe(id).nextStep, 'customers_users')
+  await assert.rejects(
+    drafts.export(id),
+    /Complete these steps first: Customers and users, Journey flow/
+  )
+
+  for (const { id: stepId } of STEPS.slice(1)) {
+    assert.equal((await drafts.saveStep(id, stepId, INPUT[stepId])).valid, true)
+  }
+  const state = drafts.describe(id)
+  assert.equal(state.complete, true)
+  assert.equal(state.nextStep, null)
+
+  const cuj = await drafts.export(id)
+  assert.equal(cuj.cuj_definition.name, 'Payment Processing Journey')
+  assert.deepEqual(cuj.cuj_definition.slos[0].error_budget, {
+    monthly_budget: '0.1%',
+  })
+  assert.deepEqual(
+    cuj.cuj_definition.boundaries_patterns.independent_segments[0],
+    {
+      segment: 'Request Validation',
+      description: 'Checks the request',
+      dependencies: 'none',
+      measurable: false,
+    }
+  )
+  assert.equal(cuj.implementation_plan.phase_1.name, 'Foundation')
+
+  await assert.rejects(
+    drafts.saveStep('missing', 'details', INPUT.details),
+    /CUJ draft missing not found/
+  )
+})
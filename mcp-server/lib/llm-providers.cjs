@@ -0,0 +1,760 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const OpenAI = require('openai')
+const { accumulateToolCalls } = require('./tool-bridge.cjs')
+
+/**
+ * Pluggable LLM providers for the chat server
+ *
+ * A provider has a name, a few capability flags and one async method:
+ * - complete(request, {signal, onDelta}): streams the answer's text through
+ *   onDelta and resolves to {content, toolCalls, usage}, with tool calls in
+ *   OpenAI's shape so the tool loop doesn't care which backend answered, and
+ *   usage as {promptTokens, completionTokens} or null when the backend
+ *   didn't report it
+ *
+ * The request carries OpenAI-style messages and function tools plus the
+ * model settings, and also the raw question and retrieved passages for
+ * providers that don't use a model at all.
+ *
+ * Built in are:
+ * - openai: the OpenAI API or any OpenAI-compatible server (llama.cpp's
+ *   llama-server, vLLM, LiteLLM) at OPENAI_BASE_URL
+ * - anthropic: the Anthropic Messages API at ANTHROPIC_BASE_URL
+ * - ollama: a local Ollama server's /api/chat at OLLAMA_BASE_URL
+ * - extractive: no model; quotes the retrieved passages that best match the
+ *   question, deterministic and fully offline
+ *
+ * Which provider, model and parameters answer is resolved per request, see
+ * resolveLlmSettings().
+ */
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-3.5-turbo',
+  anthropic: 'claude-3-5-haiku-latest',
+  ollama: 'llama3.1',
+  extractive: null,
+}
+
+const ANTHROPIC_VERSION = '2023-06-01'
+
+// Sentences quoted by the extractive provider, and the most of each shown
+const EXTRACTIVE_MAX_SENTENCES = 4
+const EXTRACTIVE_MAX_SENTENCE_CHARS = 400
+const EXTRACTIVE_MIN_SENTENCE_WORDS = 6
+const STOPWORDS = new Set(
+  (
+    'the and for are but not you all any can had her was one our out has ' +
+    'how what when where which who why with this that from your have does ' +
+    'into about should would could there their them then than these those ' +
+    'some more most also just like make show tell give need want use using'
+  ).split(' ')
+)
+
+class LlmSettingsError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'LlmSettingsError'
+    this.status = status
+  }
+}
+
+// Split a streamed HTTP body into lines, however the chunks fall
+async function* readLines(body) {
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true })
+    let newline
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newline).replace(/\r$/, '')
+      buffer = buffer.slice(newline + 1)
+    }
+  }
+  buffer += decoder.decode()
+  if (buffer) {
+    yield buffer
+  }
+}
+
+async function postStream(url, body, { headers = {}, signal } = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  })
+  if (!response.ok) {
+    throw new Error(
+      `Request to ${url} failed: ${response.status} ${await response.text()}`
+    )
+  }
+  return response.body
+}
+
+function parseArguments(text) {
+  try {
+    return text ? JSON.parse(text) : {}
+  } catch {
+    return {}
+  }
+}
+
+class OpenAICompatibleProvider {
+  constructor({ apiKey, baseURL }) {
+    this.name = 'openai'
+    this.generative = true
+    this.supportsTools = true
+    this.configured = Boolean(apiKey) || baseURL !== 'https://api.openai.com/v1'
+    // Local OpenAI-compatible servers usually take any key
+    this.client = new OpenAI({ apiKey: apiKey || 'none', baseURL })
+  }
+
+  async complete(request, { signal, onDelta = () => {} } = {}) {
+    const {
+      model,
+      messages,
+      tools = [],
+      toolChoice,
+      maxTokens,
+      temperature,
+    } = request
+    const stream = await this.client.chat.completions.create(
+      {
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        // The last chunk then carries the token counts
+        stream_options: { include_usage: true },
+        ...(tools.length > 0 && { tools, tool_choice: toolChoice }),
+      },
+      { signal }
+    )
+
+    let content = ''
+    let usage = null
+    const calls = []
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        usage = {
+          promptTokens: chunk.usage.prompt_tokens,
+          completionTokens: chunk.usage.completion_tokens,
+        }
+      }
+      const choice = chunk.choices[0]
+      if (!choice) continue
+
+      if (choice.delta.content) {
+        content += choice.delta.content
+        onDelta(choice.delta.content)
+      }
+      if (choice.delta.tool_calls) {
+        accumulateToolCalls(calls, choice.delta.tool_calls)
+      }
+    }
+
+    return { content, toolCalls: calls.filter(Boolean), usage }
+  }
+}
+
+/**
+ * OpenAI-style messages as Anthropic Messages API content blocks: system
+ * messages move to the top-level system prompt, tool calls become tool_use
+ * blocks and tool results go back as tool_result blocks in a user turn
+ */
+function toAnthropicMessages(messages) {
+  const system = []
+  const turns = []
+  const push = (role, blocks) => {
+    const last = turns[turns.length - 1]
+    if (last && last.role === role) {
+      last.content.push(...blocks)
+    } else {
+      turns.push({ role, content: blocks })
+    }
+  }
+
+  messages.forEach((message) => {
+    if (message.role === 'system') {
+      system.push(message.content)
+    } else if (message.role === 'tool') {
+      push('user', [
+        {
+          type: 'tool_result',
+          tool_use_id: message.tool_call_id,
+          content: message.content,
+        },
+      ])
+    } else if (message.role === 'assistant') {
+      push('assistant', [
+        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+        ...(message.tool_calls || []).map((call) => ({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function.name,
+          input: parseArguments(call.function.arguments),
+        })),
+      ])
+    } else {
+      push('user', [{ type: 'text', text: message.content }])
+    }
+  })
+
+  return { system: system.join('\n\n'), messages: turns }
+}
+
+class AnthropicProvider {
+  constructor({ apiKey, baseURL }) {
+    this.name = 'anthropic'
+    this.generative = true
+    this.supportsTools = true
+    this.configured = Boolean(apiKey)
+    this.apiKey = apiKey
+    this.baseURL = baseURL
+  }
+
+  async complete(request, { signal, onDelta = () => {} } = {}) {
+    const {
+      model,
+      messages,
+      tools = [],
+      toolChoice,
+      maxTokens,
+      temperature,
+    } = request
+    const { system, messages: turns } = toAnthropicMessages(messages)
+
+    const body = await postStream(
+      `${this.baseURL}/v1/messages`,
+      {
+        model,
+        system: system || undefined,
+        messages: turns,
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        ...(tools.length > 0 && {
+          tools: tools.map(({ function: fn }) => ({
+            name: fn.name,
+            description: fn.description,
+            input_schema: fn.parameters,
+          })),
+          tool_choice: { type: toolChoice === 'none' ? 'none' : 'auto' },
+        }),
+      },
+      {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+        },
+        signal,
+      }
+    )
+
+    let content = ''
+    const usage = { promptTokens: 0, completionTokens: 0 }
+    // Tool calls by content block index
+    const calls = []
+    for await (const line of readLines(body)) {
+      if (!line.startsWith('data:')) continue
+      const event = JSON.parse(line.slice(5))
+
+      if (event.type === 'error') {
+        throw new Error(`Anthropic stream error: ${event.error.message}`)
+      }
+      // Input tokens come at the start, the output count with the last delta
+      if (event.type === 'message_start' && event.message.usage) {
+        usage.promptTokens = event.message.usage.input_tokens || 0
+      }
+      if (event.type === 'message_delta' && event.usage) {
+        usage.completionTokens = event.usage.output_tokens || 0
+      }
+      if (
+        event.type === 'content_block_start' &&
+        event.content_block.type === 'tool_use'
+      ) {
+        calls[event.index] = {
+          id: event.content_block.id,
+          type: 'function',
+          function: { name: event.content_block.name, arguments: '' },
+        }
+      }
+      if (event.type === 'content_block_delta') {
+        if (event.delta.type === 'text_delta') {
+          content += event.delta.text
+          onDelta(event.delta.text)
+        } else if (event.delta.type === 'input_json_delta') {
+          calls[event.index].function.arguments += event.delta.partial_json
+        }
+      }
+    }
+
+    return { content, toolCalls: calls.filter(Boolean), usage }
+  }
+}
+
+/**
+ * OpenAI-style messages for Ollama's /api/chat, which takes tool call
+ * arguments as objects rather than JSON strings
+ */
+function toOllamaMessages(messages) {
+  return messages.map((message) =>
+    message.role === 'assistant' && message.tool_calls
+      ? {
+          role: 'assistant',
+          content: message.content || '',
+          tool_calls: message.tool_calls.map((call) => ({
+            function: {
+              name: call.function.name,
+              arguments: parseArguments(call.function.arguments),
+            },
+          })),
+        }
+      : { role: message.role, content: message.content }
+  )
+}
+
+class OllamaProvider {
+  constructor({ baseURL }) {
+    this.name = 'ollama'
+    this.generative = true
+    this.supportsTools = true
+    // Nothing to check without a request; a missing server fails the answer
+    this.configured = true
+    this.baseURL = baseURL
+  }
+
+  async complete(request, { signal, onDelta = () => {} } = {}) {
+    const {
+      model,
+      messages,
+      tools = [],
+      toolChoice,
+      maxTokens,
+      temperature,
+    } = request
+    // Ollama has no tool_choice, so "none" means not offering the tools
+    const offerTools = tools.length > 0 && toolChoice !== 'none'
+
+    const body = await postStream(
+      `${this.baseURL}/api/chat`,
+      {
+        model,
+        messages: toOllamaMessages(messages),
+        stream: true,
+        options: { temperature, num_predict: maxTokens },
+        ...(offerTools && { tools }),
+      },
+      { signal }
+    )
+
+    let content = ''
+    let usage = null
+    const toolCalls = []
+    for await (const line of readLines(body)) {
+      if (!line.trim()) continue
+      const chunk = JSON.parse(line)
+
+      if (chunk.error) {
+        throw new Error(`Ollama error: ${chunk.error}`)
+      }
+      if (chunk.done) {
+        usage = {
+          promptTokens: chunk.prompt_eval_count || 0,
+          completionTokens: chunk.eval_count || 0,
+        }
+      }
+      const message = chunk.message || {}
+      if (message.content) {
+        content += message.content
+        onDelta(message.content)
+      }
+      for (const call of message.tool_calls || []) {
+        toolCalls.push({
+          id: `call_${crypto.randomUUID()}`,
+          type: 'function',
+          function: {
+            name: call.function.name,
+            arguments: JSON.stringify(call.function.arguments || {}),
+          },
+        })
+      }
+    }
+
+    return { content, toolCalls, usage }
+  }
+}
+
+function questionTerms(question) {
+  return Array.from(
+    new Set(
+      (question.toLowerCase().match(/[a-z0-9]+/g) || []).filter(
+        (term) => term.length >= 3 && !STOPWORDS.has(term)
+      )
+    )
+  )
+}
+
+// Prose sentences of a passage; headings, list stubs, questions and JSON
+// keys don't answer anything when quoted
+function sentencesOf(text) {
+  return text
+    .split(/\n+|(?<=[.!?])\s+/)
+    .filter((line) => !/^\s*"[^"]*"\s*:/.test(line))
+    .map((sentence) =>
+      sentence
+        .replace(/\*\*|`/g, '')
+        .replace(/^[\s#>*|"-]+|[\s",|]+$/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+    )
+    .filter(
+      (sentence) =>
+        sentence.split(' ').length >= EXTRACTIVE_MIN_SENTENCE_WORDS &&
+        !sentence.endsWith('?')
+    )
+}
+
+// Terms match on a shared prefix, so "journeys" finds "journey"
+function matches(sentence, term) {
+  return sentence.includes(term.length > 5 ? term.slice(0, 5) : term)
+}
+
+/**
+ * Answer by quoting the passages: the sentences sharing the most terms with
+ * the question, each cited with its passage number. Ties go to the earlier
+ * (higher-ranked) passage, so the same question and passages always give
+ * the same answer.
+ */
+function extractiveAnswer(question, passages = []) {
+  if (passages.length === 0) {
+    return 'I could not find anything in the documentation about that. Try rephrasing with the terms your documents use, or ask about CUJs, SLIs and SLOs, observability maturity or DevSecOps practices.'
+  }
+
+  const terms = questionTerms(question)
+  const scored = []
+  passages.forEach((passage, index) => {
+    sentencesOf(passage.text).forEach((sentence, position) => {
+      const lower = sentence.toLowerCase()
+      const score = terms.filter((term) => matches(lower, term)).length
+      scored.push({ sentence, number: index + 1, position, score })
+    })
+  })
+
+  let picked = scored
+    .filter(({ score }) => score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score || a.number - b.number || a.position - b.position
+    )
+    .slice(0, EXTRACTIVE_MAX_SENTENCES)
+  if (picked.length === 0) {
+    // Nothing overlaps; the retriever still ranked these passages first
+    picked = scored.filter(({ position }) => position === 0).slice(0, 2)
+  }
+
+  const quotes = picked.map(({ sentence, number }) => {
+    const quote =
+      sentence.length > EXTRACTIVE_MAX_SENTENCE_CHARS
+        ? `${sentence.slice(0, EXTRACTIVE_MAX_SENTENCE_CHARS)}…`
+        : sentence
+    return `- ${quote} [${number}]`
+  })
+  return `From the documentation (quoted directly, no language model):\n\n${quotes.join('\n')}`
+}
+
+class ExtractiveProvider {
+  constructor() {
+    this.name = 'extractive'
+    this.generative = false
+    this.supportsTools = false
+    this.configured = true
+  }
+
+  async complete({ question, context }, { onDelta = () => {} } = {}) {
+    const content = extractiveAnswer(question || '', context || [])
+    onDelta(content)
+    return {
+      content,
+      toolCalls: [],
+      usage: { promptTokens: 0, completionTokens: 0 },
+    }
+  }
+}
+
+const providerFactories = {
+  openai: (env) =>
+    new OpenAICompatibleProvider({
+      apiKey: env.OPENAI_API_KEY,
+      baseURL: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    }),
+  anthropic: (env) =>
+    new AnthropicProvider({
+      apiKey: env.ANTHROPIC_API_KEY,
+      baseURL: env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    }),
+  ollama: (env) =>
+    new OllamaProvider({
+      baseURL: env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    }),
+  extractive: () => new ExtractiveProvider(),
+}
+
+/**
+ * Register an additional provider under a name usable in LLM_PROVIDER, the
+ * LLM config file and per-request settings
+ */
+function registerProvider(name, factory, defaultModel = null) {
+  providerFactories[name] = factory
+  DEFAULT_MODELS[name] = defaultModel
+}
+
+function providerNames() {
+  return Object.keys(providerFactories)
+}
+
+/**
+ * Create a provider by name, connected with the settings in env
+ */
+function createProvider(name, env = process.env) {
+  const factory = providerFactories[name]
+  if (!factory) {
+    throw new LlmSettingsError(`Unknown LLM provider: ${name}`)
+  }
+  return factory(env)
+}
+
+// Model used when no layer of settings names one for the provider
+function defaultModel(provider, env = process.env) {
+  const fromEnv = {
+    openai: env.OPENAI_MODEL,
+    anthropic: env.ANTHROPIC_MODEL,
+    ollama: env.OLLAMA_MODEL,
+  }[provider]
+  return fromEnv || DEFAULT_MODELS[provider] || null
+}
+
+function number(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined
+  }
+  const parsed = Number(value)
+  return Number.isFinite(parsed) ? parsed : undefined
+}
+
+function listOf(value) {
+  if (Array.isArray(value)) return value
+  return value
+    ? String(value)
+        .split(/[\s,]+/)
+        .filter(Boolean)
+    : undefined
+}
+
+// Keep only the settings a layer may set, dropping anything unset
+function pickSettings(layer = {}) {
+  const settings = {
+    provider: layer.provider || undefined,
+    model: layer.model || undefined,
+    temperature: number(layer.temperature),
+    maxTokens: number(layer.maxTokens),
+  }
+  Object.keys(settings).forEach(
+    (key) => settings[key] === undefined && delete settings[key]
+  )
+  return settings
+}
+
+// The most tokens a response may ask for unless LLM_MAX_TOKENS_LIMIT says
+const DEFAULT_MAX_TOKENS_LIMIT = 4096
+
+/**
+ * Defaults from LLM_PROVIDER, LLM_MODEL, LLM_TEMPERATURE, LLM_MAX_TOKENS,
+ * LLM_MAX_TOKENS_LIMIT and LLM_ALLOWED_PROVIDERS (the OPENAI_* settings still
+ * work), overlaid by the JSON file LLM_CONFIG_PATH names:
+ *
+ *   {
+ *     "defaults": { "provider": "ollama", "model": "llama3.1:8b" },
+ *     "allowedProviders": ["ollama", "extractive"],
+ *     "maxTokensLimit": 2000,
+ *     "workspaces": {
+ *       "payments": { "provider": "extractive" },
+ *       "platform": {
+ *         "provider": "anthropic",
+ *         "allowedProviders": ["anthropic", "extractive"]
+ *       }
+ *     }
+ *   }
+ *
+ * Without an OpenAI key or LLM_PROVIDER the default is extractive, so
+ * nothing leaves the machine until a provider is chosen.
+ */
+function loadLlmConfig(env = process.env) {
+  let raw = {}
+  let source = 'environment'
+
+  if (env.LLM_CONFIG_PATH) {
+    const configPath = path.resolve(env.LLM_CONFIG_PATH)
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    } catch (error) {
+      throw new Error(
+        `Could not read LLM config ${configPath}: ${error.message}`
+      )
+    }
+    source = configPath
+  }
+
+  // The LLM_* variables win over the file, as DEVSECOPS_REDACTION does
+  const defaults = {
+    provider: env.OPENAI_API_KEY ? 'openai' : 'extractive',
+    ...pickSettings({
+      temperature: env.OPENAI_TEMPERATURE ?? 0.7,
+      maxTokens: env.OPENAI_MAX_TOKENS ?? 1000,
+    }),
+    ...pickSettings(raw.defaults),
+    ...pickSettings({
+      provider: env.LLM_PROVIDER,
+      model: env.LLM_MODEL,
+      temperature: env.LLM_TEMPERATURE,
+      maxTokens: env.LLM_MAX_TOKENS,
+    }),
+  }
+
+  const workspaces = {}
+  Object.entries(raw.workspaces || {}).forEach(([workspace, settings]) => {
+    workspaces[workspace] = {
+      ...pickSettings(settings),
+      allowedProviders: listOf(settings.allowedProviders),
+    }
+  })
+
+  const config = {
+    source,
+    defaults,
+    allowedProviders:
+      listOf(raw.allowedProviders) || listOf(env.LLM_ALLOWED_PROVIDERS),
+    maxTokensLimit:
+      number(env.LLM_MAX_TOKENS_LIMIT) ??
+      number(raw.maxTokensLimit) ??
+      DEFAULT_MAX_TOKENS_LIMIT,
+    workspaces,
+  }
+
+  // Catch typos at startup rather than on the first message
+  const named = [
+    defaults.provider,
+    ...(config.allowedProviders || []),
+    ...Object.values(workspaces).flatMap((settings) => [
+      ...(settings.provider ? [settings.provider] : []),
+      ...(settings.allowedProviders || []),
+    ]),
+  ]
+  named.forEach((name) => {
+    if (!providerFactories[name]) {
+      throw new Error(`Unknown LLM provider in ${source}: ${name}`)
+    }
+  })
+  Object.entries({ defaults, ...workspaces }).forEach(([name, settings]) => {
+    if (settings.maxTokens > config.maxTokensLimit) {
+      throw new Error(
+        `maxTokens for ${name} in ${source} is over the limit of ${config.maxTokensLimit}`
+      )
+    }
+  })
+
+  return config
+}
+
+// Providers a workspace may use: its own list, else the global one, else all
+function allowedProviders(config, workspace) {
+  const settings = config.workspaces[workspace] || {}
+  return settings.allowedProviders || config.allowedProviders || providerNames()
+}
+
+/**
+ * The provider, model and parameters for one request: the request's own
+ * settings over its workspace's over the defaults. A layer's model only
+ * carries over while the provider it was set for is still the one in use.
+ *
+ * @param {object} config - From loadLlmConfig()
+ * @param {{workspace?: string, overrides?: object}} request - The workspace
+ *   must be the one the server signed the caller in to, never one the
+ *   client names, or its allowed providers are trivially bypassed
+ * @returns {{provider, model, temperature, maxTokens, workspace}}
+ * @throws {LlmSettingsError} For unknown providers (400), providers the
+ *   workspace does not allow (403) and out-of-range parameters (400)
+ */
+function resolveLlmSettings(
+  config,
+  { workspace, overrides } = {},
+  env = process.env
+) {
+  const layers = [
+    config.defaults,
+    pickSettings(config.workspaces[workspace]),
+    pickSettings(overrides || {}),
+  ]
+
+  const provider = layers.reduce(
+    (current, layer) => layer.provider || current,
+    null
+  )
+  if (!providerFactories[provider]) {
+    throw new LlmSettingsError(`Unknown LLM provider: ${provider}`)
+  }
+  if (!allowedProviders(config, workspace).includes(provider)) {
+    throw new LlmSettingsError(
+      `LLM provider ${provider} is not allowed${workspace ? ` in workspace ${workspace}` : ''}`,
+      403
+    )
+  }
+
+  const settings = { provider, workspace: workspace || null }
+  layers.forEach((layer) => {
+    if (layer.model && (!layer.provider || layer.provider === provider)) {
+      settings.model = layer.model
+    }
+    if (layer.temperature !== undefined) {
+      settings.temperature = layer.temperature
+    }
+    if (layer.maxTokens !== undefined) {
+      settings.maxTokens = layer.maxTokens
+    }
+  })
+  settings.model = settings.model || defaultModel(provider, env)
+
+  if (settings.temperature < 0 || settings.temperature > 2) {
+    throw new LlmSettingsError('temperature must be between 0 and 2')
+  }
+  if (!Number.isInteger(settings.maxTokens) || settings.maxTokens < 1) {
+    throw new LlmSettingsError('maxTokens must be a positive integer')
+  }
+  if (settings.maxTokens > config.maxTokensLimit) {
+    throw new LlmSettingsError(
+      `maxTokens must be at most ${config.maxTokensLimit}`
+    )
+  }
+
+  return settings
+}
+
+module.exports = {
+  AnthropicProvider,
+  ExtractiveProvider,
+  LlmSettingsError,
+  OllamaProvider,
+  OpenAICompatibleProvider,
+  allowedProviders,
+  createProvider,
+  extractiveAnswer,
+  loadLlmConfig,
+  providerNames,
+  registerProvider,
+  resolveLlmSettings,
+  toAnthropicMessages,
+}
@@ -0,0 +1,262 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  LlmSettingsError,
+  createProvider,
+  extractiveAnswer,
+  loadLlmConfig,
+  resolveLlmSettings,
+  toAnthropicMessages,
+} = require('./llm-providers.cjs')
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-providers-test-'))
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+let configFiles = 0
+function configFile(config) {
+  const configPath = path.join(dir, `llm-${++configFiles}.json`)
+  fs.writeFileSync(configPath, JSON.stringify(config))
+  return configPath
+}
+
+const CONFIG = {
+  defaults: { provider: 'ollama', model: 'llama3.1:8b', maxTokens: 800 },
+  maxTokensLimit: 2000,
+  workspaces: {
+    payments: { provider: 'extractive' },
+    platform: {
+      provider: 'anthropic',
+      allowedProviders: ['anthropic', 'extractive'],
+    },
+  },
+}
+
+function settingsError(status, message) {
+  return (error) =>
+    error instanceof LlmSettingsError &&
+    error.status === status &&
+    message.test(error.message)
+}
+
+test('without a key or LLM_PROVIDER nothing leaves the machine', () => {
+  const config = loadLlmConfig({})
+  assert.equal(config.source, 'environment')
+  assert.deepEqual(config.defaults, {
+    provider: 'extractive',
+    temperature: 0.7,
+    maxTokens: 1000,
+  })
+  assert.equal(config.maxTokensLimit, 4096)
+
+  assert.equal(
+    loadLlmConfig({ OPENAI_API_KEY: 'sk-' + 'test' }).defaults.provider,
+    'openai'
+  )
+})
+
+test('the config file sets defaults and the LLM_* variables win', () => {
+  const configPath = configFile(CONFIG)
+
+  const fromFile = loadLlmConfig({ LLM_CONFIG_PATH: configPath })
+  assert.equal(fromFile.source, configPath)
+  assert.equal(fromFile.defaults.provider, 'ollama')
+  assert.equal(fromFile.maxTokensLimit, 2000)
+  assert.deepEqual(fromFile.workspaces.platform.allowedProviders, [
+    'anthropic',
+    'extractive',
+  ])
+
+  const overridden = loadLlmConfig({
+    LLM_CONFIG_PATH: configPath,
+    LLM_PROVIDER: 'extractive',
+    LLM_MAX_TOKENS_LIMIT: '900',
+    LLM_ALLOWED_PROVIDERS: 'ollama, extractive',
+  })
+  assert.equal(overridden.defaults.provider, 'extractive')
+  assert.equal(overridden.maxTokensLimit, 900)
+  assert.deepEqual(overridden.allowedProviders, ['ollama', 'extractive'])
+})
+
+test('typos and over-limit maxTokens are caught when loading', () => {
+  assert.throws(
+    () => loadLlmConfig({ LLM_PROVIDER: 'olama' }),
+    /Unknown LLM provider in environment: olama/
+  )
+  assert.throws(
+    () =>
+      loadLlmConfig({
+        LLM_CONFIG_PATH: configFile({
+          ...CONFIG,
+          workspaces: { search: { maxTokens: 5000 } },
+        }),
+      }),
+    /maxTokens for search in .* is over the limit of 2000/
+  )
+  assert.throws(
+    () => loadLlmConfig({ LLM_CONFIG_PATH: path.join(dir, 'missing.json') }),
+    /Could not read LLM config/
+  )
+})
+
+test('settings layer request over workspace over defaults', () => {
+  const config = loadLlmConfig({ LLM_CONFIG_PATH: configFile(CONFIG) })
+
+  assert.deepEqual(resolveLlmSettings(config, { workspace: 'search' }, {}), {
+    provider: 'ollama',
+    workspace: 'search',
+    model: 'llama3.1:8b',
+    temperature: 0.7,
+    maxTokens: 800,
+  })
+  assert.deepEqual(resolveLlmSettings(config, { workspace: 'payments' }, {}), {
+    provider: 'extractive',
+    workspace: 'payments',
+    model: null,
+    temperature: 0.7,
+    maxTokens: 800,
+  })
+
+  // The default model belongs to ollama, so it doesn't carry over
+  const anthropic = resolveLlmSettings(
+    config,
+    { workspace: 'platform', overrides: { temperature: '0.2' } },
+    { ANTHROPIC_MODEL: 'claude-test' }
+  )
+  assert.equal(anthropic.model, 'claude-test')
+  assert.equal(anthropic.temperature, 0.2)
+})
+
+test('a workspace can only pick its allowed providers', () => {
+  const config = loadLlmConfig({ LLM_CONFIG_PATH: configFile(CONFIG) })
+
+  assert.equal(
+    resolveLlmSettings(config, {
+      workspace: 'platform',
+      overrides: { provider: 'extractive' },
+    }).provider,
+    'extractive'
+  )
+  assert.throws(
+    () =>
+      resolveLlmSettings(config, {
+        workspace: 'platform',
+        overrides: { provider: 'ollama' },
+      }),
+    settingsError(
+      403,
+      /LLM provider ollama is not allowed in workspace platform/
+    )
+  )
+  assert.throws(
+    () => resolveLlmSettings(config, { overrides: { provider: 'gpt' } }),
+    settingsError(400, /Unknown LLM provider: gpt/)
+  )
+})
+
+test('maxTokens and temperature must stay within range', () => {
+  const config = loadLlmConfig({ LLM_CONFIG_PATH: configFile(CONFIG) })
+  const resolve = (overrides) => () =>
+    resolveLlmSettings(config, { workspace: 'search', overrides })
+
+  assert.equal(resolve({ maxTokens: 2000 })().maxTokens, 2000)
+  assert.throws(
+    resolve({ maxTokens: 2001 }),
+    settingsError(400, /maxTokens must be at most 2000/)
+  )
+  assert.throws(
+    resolve({ maxTokens: 1.5 }),
+    settingsError(400, /maxTokens must be a positive integer/)
+  )
+  assert.throws(
+    resolve({ temperature: 3 }),
+    settingsError(400, /temperature must be between 0 and 2/)
+  )
+})
+
+test('providers are created by name', () => {
+  assert.equal(createProvider('extractive', {}).generative, false)
+  assert.equal(createProvider('anthropic', {}).configured, false)
+  assert.equal(
+    createProvider('openai', { OPENAI_BASE_URL: 'http://localhost:8080/v1' })
+      .configured,
+    true
+  )
+  assert.throws(
+    () => createProvider('gpt', {}),
+    settingsError(400, /Unknown LLM provider: gpt/)
+  )
+})
+
+test('OpenAI-style messages map onto Anthropic content blocks', () => {
+  const call = {
+    id: 'call_1',
+    type: 'function',
+    function: { name: 'search_docs', arguments: '{"query":"slo"}' },
+  }
+
+  assert.deepEqual(
+    toAnthropicMessages([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'What is an SLO?' },
+      { role: 'assistant', content: '', tool_calls: [call] },
+      { role: 'tool', tool_call_id: 'call_1', content: 'An objective.' },
+      { role: 'user', content: 'Thanks' },
+    ]),
+    {
+      system: 'Be brief.',
+      messages: [
+        { role: 'user', content: [{ type: 'text', text: 'What is an SLO?' }] },
+        {
+          role: 'assistant',
+          content: [
+            {
+              type: 'tool_use',
+              id: 'call_1',
+              name: 'search_docs',
+              input: { query: 'slo' },
+            },
+          ],
+        },
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'tool_result',
+              tool_use_id: 'call_1',
+              content: 'An objective.',
+            },
+            { type: 'text', text: 'Thanks' },
+          ],
+        },
+      ],
+    }
+  )
+})
+
+test('the extractive answer quotes and cites the best matching sentences', () => {
+  const passages = [
+    {
+      text: '# Error budgets\nAn error budget is the share of requests allowed to fail.',
+    },
+    {
+      text: 'Burn rate alerts page when the error budget burns too quickly for the window.',
+    },
+  ]
+
+  const answer = extractiveAnswer(
+    'How fast does the error budget burn?',
+    passages
+  )
+  assert.equal(
+    answer,
+    extractiveAnswer('How fast does the error budget burn?', passages)
+  )
+  assert.deepEqual(answer.split('\n').slice(2), [
+    '- Burn rate alerts page when the error budget burns too quickly for the window. [2]',
+    '- An error budget is the share of requests allowed to fail. [1]',
+  ])
+  assert.match(extractiveAnswer('anything', []), /could not find anything/)
+})
@@ -0,0 +1,324 @@
+const { spawn } = require('child_process')
+const { EventEmitter } = require('events')
+
+/**
+ * JSON-RPC client for an MCP server running as a stdio subprocess.
+ *
+ * - Messages are newline-delimited JSON; stdout is buffered so a message
+ *   split across chunks (or several in one chunk) is parsed correctly
+ * - Requests get monotonic IDs and are tracked in a pending map, so any
+ *   number can be in flight, each with its own timeout
+ * - The client is ready only after the initialize request succeeds and
+ *   notifications/initialized has been sent
+ * - If the process exits it is restarted with exponential backoff, and
+ *   health() reports the current state for monitoring
+ *
+ * Events: 'ready' (initialize result), 'exit' ({code, signal}),
+ * 'notification' (JSON-RPC notification from the server), 'log' (stderr line)
+ */
+
+const PROTOCOL_VERSION = '2024-11-05'
+
+const DEFAULTS = {
+  requestTimeoutMs: 10000,
+  initializeTimeoutMs: 15000,
+  restartInitialDelayMs: 500,
+  restartMaxDelayMs: 30000,
+  // A process that stayed up this long resets the backoff
+  restartStableAfterMs: 30000,
+}
+
+class McpError extends Error {
+  constructor(message, code, data) {
+    super(message)
+    this.name = 'McpError'
+    this.code = code
+    this.data = data
+  }
+}
+
+class McpClient extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.command - Executable to spawn (e.g. 'node')
+   * @param {string[]} options.args - Arguments for the executable
+   * @param {{name: string, version: string}} options.clientInfo
+   */
+  constructor(options) {
+    super()
+    this.options = { ...DEFAULTS, ...options }
+    this.process = null
+    this.state = 'stopped'
+    this.buffer = ''
+    this.nextId = 1
+    this.pending = new Map()
+    this.restartTimer = null
+    this.stopping = false
+
+    this.serverInfo = null
+    this.serverCapabilities = null
+    this.protocolVersion = null
+    this.startedAt = null
+    this.readyAt = null
+    this.restarts = 0
+    this.consecutiveFailures = 0
+    this.nextRestartAt = null
+    this.lastExit = null
+    this.lastError = null
+  }
+
+  get ready() {
+    return this.state === 'ready'
+  }
+
+  start() {
+    this.stopping = false
+    this.spawnProcess()
+  }
+
+  stop() {
+    this.stopping = true
+    clearTimeout(this.restartTimer)
+    this.restartTimer = null
+    this.nextRestartAt = null
+    this.state = 'stopped'
+    if (this.process) {
+      this.process.kill()
+    }
+  }
+
+  /**
+   * Send a request and resolve with its result
+   *
+   * @param {string} method
+   * @param {object} params
+   * @param {{timeoutMs?: number}} options
+   */
+  request(method, params = {}, { timeoutMs } = {}) {
+    if (!this.ready) {
+      return Promise.reject(new McpError('MCP server not ready', 'NOT_READY'))
+    }
+    return this.send(method, params, timeoutMs ?? this.options.requestTimeoutMs)
+  }
+
+  notify(method, params) {
+    this.write({ jsonrpc: '2.0', method, ...(params && { params }) })
+  }
+
+  health() {
+    return {
+      state: this.state,
+      ready: this.ready,
+      pid: this.process ? this.process.pid : null,
+      protocolVersion: this.protocolVersion,
+      serverInfo: this.serverInfo,
+      startedAt: this.startedAt,
+      readyAt: this.readyAt,
+      uptimeMs:
+        this.ready && this.readyAt
+          ? Date.now() - new Date(this.readyAt).getTime()
+          : 0,
+      pendingRequests: this.pending.size,
+      restarts: this.restarts,
+      consecutiveFailures: this.consecutiveFailures,
+      nextRestartAt: this.nextRestartAt,
+      lastExit: this.lastExit,
+      lastError: this.lastError,
+    }
+  }
+
+  spawnProcess() {
+    const { command, args = [], env } = this.options
+    this.state = 'starting'
+    this.buffer = ''
+    this.startedAt = new Date().toISOString()
+    this.readyAt = null
+    this.nextRestartAt = null
+
+    const child = spawn(command, args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: env || process.env,
+    })
+    this.process = child
+
+    // Decode as UTF-8 so multi-byte characters split across chunks survive
+    child.stdout.setEncoding('utf8')
+    child.stderr.setEncoding('utf8')
+    child.stdout.on('data', (chunk) => this.handleData(chunk))
+    child.stderr.on('data', (chunk) => {
+      chunk
+        .split('\n')
+        .filter((line) => line.trim())
+        .forEach((line) => this.emit('log', line))
+    })
+    // Writes to a dead process fail asynchronously; the exit handler copes
+    child.stdin.on('error', (error) => {
+      this.lastError = error.message
+    })
+    child.on('error', (error) => {
+      // spawn failures (e.g. ENOENT) never emit 'exit'
+      this.lastError = error.message
+      this.handleExit(child, null, null)
+    })
+    child.on('exit', (code, signal) => this.handleExit(child, code, signal))
+
+    this.initialize(child)
+  }
+
+  async initialize(child) {
+    try {
+      const result = await this.send(
+        'initialize',
+        {
+          protocolVersion: PROTOCOL_VERSION,
+          capabilities: {},
+          clientInfo: this.options.clientInfo,
+        },
+        this.options.initializeTimeoutMs
+      )
+      if (this.process !== child) return
+
+      this.protocolVersion = result.protocolVersion
+      this.serverInfo = result.serverInfo || null
+      this.serverCapabilities = result.capabilities || {}
+      this.notify('notifications/initialized')
+
+      this.state = 'ready'
+      this.readyAt = new Date().toISOString()
+      this.lastError = null
+      this.emit('ready', result)
+    } catch (error) {
+      if (this.process !== child) return
+      this.lastError = `Initialize failed: ${error.message}`
+      // Restarting is the only way to retry the handshake
+      child.kill()
+    }
+  }
+
+  send(method, params, timeoutMs) {
+    const id = this.nextId++
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id)
+        // Let the server stop work nobody is waiting for
+        this.notify('notifications/cancelled', {
+          requestId: id,
+          reason: 'timeout',
+        })
+        reject(
+          new McpError(
+            `MCP request ${method} timed out after ${timeoutMs}ms`,
+            'TIMEOUT'
+          )
+        )
+      }, timeoutMs)
+
+      this.pending.set(id, { method, resolve, reject, timer })
+      this.write({ jsonrpc: '2.0', id, method, params })
+    })
+  }
+
+  write(message) {
+    if (this.process && this.process.stdin.writable) {
+      this.process.stdin.write(JSON.stringify(message) + '\n')
+    }
+  }
+
+  handleData(chunk) {
+    this.buffer += chunk
+    const lines = this.buffer.split('\n')
+    // The last piece is an incomplete line (or '') until more data arrives
+    this.buffer = lines.pop()
+
+    for (const line of lines) {
+      if (!line.trim()) continue
+      let message
+      try {
+        message = JSON.parse(line)
+      } catch (error) {
+        this.emit('log', `Unparseable output: ${line}`)
+        continue
+      }
+      this.handleMessage(message)
+    }
+  }
+
+  handleMessage(message) {
+    // Response to one of our requests
+    if (message.id !== undefined && !message.method) {
+      const entry = this.pending.get(message.id)
+      if (!entry) return
+      clearTimeout(entry.timer)
+      this.pending.delete(message.id)
+
+      if (message.error) {
+        entry.reject(
+          new McpError(
+            message.error.message,
+            message.error.code,
+            message.error.data
+          )
+        )
+      } else {
+        entry.resolve(message.result)
+      }
+      return
+    }
+
+    // Request from the server; we only implement ping
+    if (message.id !== undefined) {
+      this.write(
+        message.method === 'ping'
+          ? { jsonrpc: '2.0', id: message.id, result: {} }
+          : {
+              jsonrpc: '2.0',
+              id: message.id,
+              error: { code: -32601, message: 'Method not found' },
+            }
+      )
+      return
+    }
+
+    this.emit('notification', message)
+  }
+
+  handleExit(child, code, signal) {
+    if (this.process !== child) return
+    this.process = null
+
+    const uptime = Date.now() - new Date(this.startedAt).getTime()
+    this.lastExit = { code, signal, at: new Date().toISOString() }
+
+    this.pending.forEach((entry) => {
+      clearTimeout(entry.timer)
+      entry.reject(new McpError('MCP server exited', 'EXITED'))
+    })
+    this.pending.clear()
+    this.emit('exit', { code, signal })
+
+    if (this.stopping) {
+      this.state = 'stopped'
+      return
+    }
+
+    this.consecutiveFailures =
+      uptime >= this.options.restartStableAfterMs
+        ? 1
+        : this.consecutiveFailures + 1
+    const delay = Math.min(
+      this.options.restartInitialDelayMs * 2 ** (this.consecutiveFailures - 1),
+      this.options.restartMaxDelayMs
+    )
+
+    this.state = 'restarting'
+    this.nextRestartAt = new Date(Date.now() + delay).toISOString()
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null
+      this.restarts++
+      this.spawnProcess()
+    }, delay)
+  }
+}
+
+module.exports = { McpClient, McpError }
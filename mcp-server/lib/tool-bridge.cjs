@@ -0,0 +1,116 @@
+/**
+ * Bridge between MCP tools and OpenAI function calling
+ *
+ * The MCP server's tools/list is exposed to the model as function
+ * definitions. When the model asks for a tool, the call is forwarded to the
+ * MCP server with tools/call and the result goes back to the model as a tool
+ * message. Every invocation is recorded so it can be returned with the
+ * answer.
+ */
+
+// Tool results beyond this are cut before going back to the model
+const MAX_TOOL_RESULT_CHARS = 8000
+
+/**
+ * Convert MCP tool definitions to OpenAI function tools
+ *
+ * @param {Array} mcpTools - Tools from the MCP tools/list result
+ * @param {string[]} exclude - Tool names not to offer to the model
+ */
+function toOpenAITools(mcpTools, exclude = []) {
+  return mcpTools
+    .filter((tool) => !exclude.includes(tool.name))
+    .map((tool) => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description || '',
+        parameters: tool.inputSchema || { type: 'object', properties: {} },
+      },
+    }))
+}
+
+/**
+ * Merge streamed tool_call deltas into complete calls, keyed by index
+ */
+function accumulateToolCalls(calls, deltas) {
+  deltas.forEach((delta) => {
+    const call = calls[delta.index] || {
+      id: '',
+      type: 'function',
+      function: { name: '', arguments: '' },
+    }
+    if (delta.id) call.id = delta.id
+    if (delta.function && delta.function.name) {
+      call.function.name += delta.function.name
+    }
+    if (delta.function && delta.function.arguments) {
+      call.function.arguments += delta.function.arguments
+    }
+    calls[delta.index] = call
+  })
+  return calls
+}
+
+function resultText(result) {
+  const text = ((result && result.content) || [])
+    .filter((item) => item.type === 'text')
+    .map((item) => item.text)
+    .join('\n')
+  return text.length > MAX_TOOL_RESULT_CHARS
+    ? `${text.slice(0, MAX_TOOL_RESULT_CHARS)}\n[truncated]`
+    : text
+}
+
+/**
+ * Run the tool calls the model asked for
+ *
+ * @param {Array} calls - Complete OpenAI tool calls
+ * @param {Function} callTool - async (name, args) => MCP tools/call result
+ * @returns {Promise<{messages: Array, invocations: Array}>} Tool messages to
+ *   send back to the model, and a record of each invocation
+ */
+async function runToolCalls(calls, callTool) {
+  const messages = []
+  const invocations = []
+
+  for (const call of calls) {
+    const startedAt = Date.now()
+    const invocation = {
+      id: call.id,
+      name: call.function.name,
+      arguments: null,
+      result: null,
+      error: null,
+      durationMs: 0,
+    }
+
+    try {
+      invocation.arguments = call.function.arguments
+        ? JSON.parse(call.function.arguments)
+        : {}
+      invocation.result = resultText(
+        await callTool(invocation.name, invocation.arguments)
+      )
+    } catch (error) {
+      invocation.error =
+        error instanceof SyntaxError
+          ? `Invalid tool arguments: ${error.message}`
+          : error.message
+    }
+    invocation.durationMs = Date.now() - startedAt
+
+    invocations.push(invocation)
+    messages.push({
+      role: 'tool',
+      tool_call_id: call.id,
+      content: invocation.error
+        ? `Error: ${invocation.error}`
+        : invocation.result,
+    })
+  }
+
+  return { messages, invocations }
+}
+
+module.exports = { accumulateToolCalls, runToolCalls, toOpenAITools }
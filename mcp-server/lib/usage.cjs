@@ -0,0 +1,432 @@
+const path = require('path')
+const fs = require('fs').promises
+const { readFileSync } = require('fs')
+
+/**
+ * Rate limits, daily token quotas and cost accounting for LLM calls.
+ *
+ * Every provider call is recorded in an append-only JSON Lines ledger with
+ * its prompt and completion tokens (as the provider reported them, or
+ * estimated when it didn't) and an estimated cost from a per-model price
+ * table. The ledger backs the daily quotas and the usage report.
+ *
+ * Before a chat message is answered, the sender is checked against:
+ * - messages per minute, per user and per workspace (a sliding window)
+ * - tokens per UTC day, per user and per workspace
+ *
+ * Defaults come from the USAGE_* variables; USAGE_LIMITS_PATH names a JSON
+ * file that can change them, set limits for particular users and workspaces
+ * and add model prices (USD per million tokens):
+ *
+ *   {
+ *     "user": { "messagesPerMinute": 10, "dailyTokens": 100000 },
+ *     "workspace": { "messagesPerMinute": 60, "dailyTokens": 2000000 },
+ *     "users": { "alice@acme.io": { "dailyTokens": 500000 } },
+ *     "workspaces": { "payments": { "dailyTokens": 5000000 } },
+ *     "prices": { "gpt-4.1": { "input": 2, "output": 8 } }
+ *   }
+ *
+ * A limit of 0 means no limit.
+ */
+
+const DEFAULT_USAGE_PATH = path.join(__dirname, '..', 'data', 'usage.jsonl')
+
+const WINDOW_MS = 60 * 1000
+
+// USD per million tokens; models match on the longest listed prefix, so
+// dated snapshots such as gpt-4o-2024-08-06 are covered
+const DEFAULT_PRICES = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-opus-4': { input: 15, output: 75 },
+}
+
+// Providers running on our own hardware cost nothing per token
+const FREE_PROVIDERS = ['ollama', 'extractive']
+
+const REPORT_GROUPS = ['day', 'user', 'workspace', 'provider', 'model']
+
+class UsageLimitError extends Error {
+  /**
+   * @param {string} message - Shown to the user as is
+   * @param {'rate_limited'|'quota_exceeded'} code
+   * @param {number} retryAfterSeconds - When the limit lifts
+   */
+  constructor(message, code, retryAfterSeconds) {
+    super(message)
+    this.name = 'UsageLimitError'
+    this.status = 429
+    this.code = code
+    this.retryAfterSeconds = retryAfterSeconds
+  }
+}
+
+function limit(value, fallback) {
+  const parsed = parseInt(value, 10)
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed
+}
+
+function pickLimits(raw = {}) {
+  const limits = {}
+  if (raw.messagesPerMinute !== undefined) {
+    limits.messagesPerMinute = limit(raw.messagesPerMinute, 0)
+  }
+  if (raw.dailyTokens !== undefined) {
+    limits.dailyTokens = limit(raw.dailyTokens, 0)
+  }
+  return limits
+}
+
+/**
+ * Limits and prices from USAGE_USER_MESSAGES_PER_MINUTE,
+ * USAGE_WORKSPACE_MESSAGES_PER_MINUTE, USAGE_USER_DAILY_TOKENS and
+ * USAGE_WORKSPACE_DAILY_TOKENS, overlaid by the USAGE_LIMITS_PATH file
+ */
+function loadUsageConfig(env = process.env) {
+  let raw = {}
+  if (env.USAGE_LIMITS_PATH) {
+    const configPath = path.resolve(env.USAGE_LIMITS_PATH)
+    try {
+      raw = JSON.parse(readFileSync(configPath, 'utf-8'))
+    } catch (error) {
+      throw new Error(
+        `Could not read usage limits ${configPath}: ${error.message}`
+      )
+    }
+  }
+
+  const perEntry = (entries = {}) =>
+    Object.fromEntries(
+      Object.entries(entries).map(([name, limits]) => [
+        name,
+        pickLimits(limits),
+      ])
+    )
+
+  return {
+    user: {
+      messagesPerMinute: limit(env.USAGE_USER_MESSAGES_PER_MINUTE, 20),
+      dailyTokens: limit(env.USAGE_USER_DAILY_TOKENS, 200000),
+      ...pickLimits(raw.user),
+    },
+    workspace: {
+      messagesPerMinute: limit(env.USAGE_WORKSPACE_MESSAGES_PER_MINUTE, 120),
+      dailyTokens: limit(env.USAGE_WORKSPACE_DAILY_TOKENS, 2000000),
+      ...pickLimits(raw.workspace),
+    },
+    users: perEntry(raw.users),
+    workspaces: perEntry(raw.workspaces),
+    prices: { ...DEFAULT_PRICES, ...(raw.prices || {}) },
+  }
+}
+
+/**
+ * Estimated cost in USD, or null for a model with no known price
+ */
+function estimateCost(
+  { provider, model, promptTokens, completionTokens },
+  prices = DEFAULT_PRICES
+) {
+  if (FREE_PROVIDERS.includes(provider)) {
+    return 0
+  }
+  const match = Object.keys(prices)
+    .filter((prefix) => (model || '').startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0]
+  if (!match) {
+    return null
+  }
+  const { input, output } = prices[match]
+  const cost = (promptTokens * input + completionTokens * output) / 1e6
+  return Math.round(cost * 1e6) / 1e6
+}
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10)
+}
+
+function secondsUntilTomorrow(now = Date.now()) {
+  const tomorrow = new Date(now)
+  tomorrow.setUTCHours(24, 0, 0, 0)
+  return Math.ceil((tomorrow.getTime() - now) / 1000)
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds}s`
+  }
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.ceil((seconds % 3600) / 60)
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`
+}
+
+/**
+ * Append-only record of every LLM call, with running per-day totals
+ */
+class UsageLedger {
+  constructor(filePath = DEFAULT_USAGE_PATH) {
+    this.filePath = path.resolve(filePath)
+    this.entries = []
+    // Tokens by `${day}|user|${id}` and `${day}|workspace|${id}`
+    this.dailyTokens = new Map()
+    this.pendingWrite = Promise.resolve()
+  }
+
+  async load() {
+    let raw = ''
+    try {
+      raw = await fs.readFile(this.filePath, 'utf-8')
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(
+          `Failed to load usage from ${this.filePath}: ${error.message}`
+        )
+      }
+    }
+    raw
+      .split('\n')
+      .filter((line) => line.trim())
+      .forEach((line) => this.track(JSON.parse(line)))
+  }
+
+  track(entry) {
+    this.entries.push(entry)
+    const day = entry.at.slice(0, 10)
+    const keys = []
+    if (entry.user) keys.push(`${day}|user|${entry.user}`)
+    if (entry.workspace) keys.push(`${day}|workspace|${entry.workspace}`)
+    keys.forEach((key) => {
+      this.dailyTokens.set(
+        key,
+        (this.dailyTokens.get(key) || 0) + entry.totalTokens
+      )
+    })
+  }
+
+  tokensToday(scope, id, now = new Date()) {
+    return this.dailyTokens.get(`${utcDay(now)}|${scope}|${id}`) || 0
+  }
+
+  /**
+   * Record one call and append it to the ledger file
+   *
+   * @param {object} call - user, workspace, conversationId, messageId,
+   *   kind ('chat' or 'summary'), provider, model, promptTokens,
+   *   completionTokens, estimated (true when the tokens were estimated)
+   * @param {object} prices - From loadUsageConfig()
+   */
+  record(call, prices) {
+    const entry = {
+      at: new Date().toISOString(),
+      user: call.user || null,
+      workspace: call.workspace || null,
+      conversationId: call.conversationId || null,
+      messageId: call.messageId || null,
+      kind: call.kind || 'chat',
+      provider: call.provider,
+      model: call.model || null,
+      promptTokens: call.promptTokens || 0,
+      completionTokens: call.completionTokens || 0,
+      totalTokens: (call.promptTokens || 0) + (call.completionTokens || 0),
+      estimated: Boolean(call.estimated),
+    }
+    entry.costUsd = estimateCost(entry, prices)
+    this.track(entry)
+
+    // Serialise appends so lines never interleave
+    const write = this.pendingWrite.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+      await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`)
+    })
+    this.pendingWrite = write.catch(() => {})
+    return write.then(() => entry)
+  }
+
+  /**
+   * Totals per group over a range of UTC days
+   *
+   * @param {object} options
+   * @param {string} options.from - First day (YYYY-MM-DD), inclusive
+   * @param {string} options.to - Last day, inclusive
+   * @param {string} options.user - Only this user
+   * @param {string} options.workspace - Only this workspace
+   * @param {string[]} options.groupBy - Any of day, user, workspace,
+   *   provider and model
+   */
+  report({ from, to, user, workspace, groupBy = ['day', 'user'] } = {}) {
+    const unknown = groupBy.filter((group) => !REPORT_GROUPS.includes(group))
+    if (unknown.length > 0) {
+      const error = new Error(
+        `Cannot group usage by ${unknown.join(', ')} (expected ${REPORT_GROUPS.join(', ')})`
+      )
+      error.status = 400
+      throw error
+    }
+
+    const empty = () => ({
+      calls: 0,
+      estimatedCalls: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      costUsd: 0,
+      unpricedCalls: 0,
+    })
+    const add = (totals, entry) => {
+      totals.calls += 1
+      totals.estimatedCalls += entry.estimated ? 1 : 0
+      totals.promptTokens += entry.promptTokens
+      totals.completionTokens += entry.completionTokens
+      totals.totalTokens += entry.totalTokens
+      if (entry.costUsd === null) {
+        totals.unpricedCalls += 1
+      } else {
+        totals.costUsd =
+          Math.round((totals.costUsd + entry.costUsd) * 1e6) / 1e6
+      }
+    }
+
+    const rows = new Map()
+    const totals = empty()
+    this.entries.forEach((entry) => {
+      const day = entry.at.slice(0, 10)
+      if ((from && day < from) || (to && day > to)) return
+      if (user && entry.user !== user) return
+      if (workspace && entry.workspace !== workspace) return
+
+      const keys = { day, ...entry }
+      const group = Object.fromEntries(
+        groupBy.map((name) => [name, keys[name]])
+      )
+      const key = JSON.stringify(group)
+      if (!rows.has(key)) {
+        rows.set(key, { ...group, ...empty() })
+      }
+      add(rows.get(key), entry)
+      add(totals, entry)
+    })
+
+    return {
+      from: from || null,
+      to: to || null,
+      groupBy,
+      rows: Array.from(rows.values()).sort(
+        (a, b) =>
+          groupBy
+            .map((name) => String(a[name]).localeCompare(String(b[name])))
+            .find((order) => order !== 0) || 0
+      ),
+      totals,
+    }
+  }
+}
+
+/**
+ * Rate limits and daily token quotas for chat messages
+ */
+class UsageLimiter {
+  constructor(config, ledger) {
+    this.config = config
+    this.ledger = ledger
+    // Recent message times by `user|${id}` and `workspace|${id}`
+    this.windows = new Map()
+  }
+
+  limitsFor(scope, id) {
+    const overrides =
+      scope === 'user' ? this.config.users : this.config.workspaces
+    return { ...this.config[scope], ...(overrides[id] || {}) }
+  }
+
+  recentMessages(key, now) {
+    const recent = (this.windows.get(key) || []).filter(
+      (time) => time > now - WINDOW_MS
+    )
+    this.windows.set(key, recent)
+    return recent
+  }
+
+  /**
+   * Admit one chat message, or throw a UsageLimitError saying which limit it
+   * hit and when to try again. Admitted messages count towards the rate
+   * limits; tokens count once the calls are recorded.
+   */
+  check({ user, workspace }, now = Date.now()) {
+    const scopes = [
+      { scope: 'user', id: user, label: 'your' },
+      { scope: 'workspace', id: workspace, label: `workspace ${workspace}'s` },
+    ].filter(({ id }) => id)
+
+    scopes.forEach(({ scope, id, label }) => {
+      const { dailyTokens } = this.limitsFor(scope, id)
+      const used = this.ledger.tokensToday(scope, id, new Date(now))
+      if (dailyTokens > 0 && used >= dailyTokens) {
+        const wait = secondsUntilTomorrow(now)
+        throw new UsageLimitError(
+          `Daily token quota reached: ${used.toLocaleString('en-US')} of ${label} ${dailyTokens.toLocaleString('en-US')} tokens used today. It resets at midnight UTC, in ${formatWait(wait)}.`,
+          'quota_exceeded',
+          wait
+        )
+      }
+    })
+
+    scopes.forEach(({ scope, id, label }) => {
+      const { messagesPerMinute } = this.limitsFor(scope, id)
+      const recent = this.recentMessages(`${scope}|${id}`, now)
+      if (messagesPerMinute > 0 && recent.length >= messagesPerMinute) {
+        const wait = Math.ceil((recent[0] + WINDOW_MS - now) / 1000)
+        throw new UsageLimitError(
+          `Too many messages: ${label} limit is ${messagesPerMinute} per minute. Try again in ${formatWait(wait)}.`,
+          'rate_limited',
+          wait
+        )
+      }
+    })
+
+    scopes.forEach(({ scope, id }) => {
+      this.windows.get(`${scope}|${id}`).push(now)
+    })
+  }
+
+  /**
+   * Today's use against the quotas for a user and workspace
+   */
+  status({ user, workspace }, now = new Date()) {
+    const describe = (scope, id) => {
+      const { dailyTokens, messagesPerMinute } = this.limitsFor(scope, id)
+      const used = this.ledger.tokensToday(scope, id, now)
+      return {
+        id,
+        messagesPerMinute,
+        dailyTokens,
+        usedToday: used,
+        remainingToday:
+          dailyTokens > 0 ? Math.max(0, dailyTokens - used) : null,
+      }
+    }
+    return {
+      day: utcDay(now),
+      user: user ? describe('user', user) : null,
+      workspace: workspace ? describe('workspace', workspace) : null,
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  UsageLedger,
+  UsageLimitError,
+  UsageLimiter,
+  estimateCost,
+  loadUsageConfig,
+  utcDay,
+}
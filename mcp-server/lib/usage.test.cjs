@@ -0,0 +1,177 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+  UsageLedger,
+  UsageLimitError,
+  UsageLimiter,
+  estimateCost,
+  loadUsageConfig,
+} = require('./usage.cjs')
+
+const NOON = Date.parse('2026-03-10T12:00:00Z')
+
+function call(at, user, workspace, totalTokens, extra = {}) {
+  return {
+    at: new Date(at).toISOString(),
+    user,
+    workspace,
+    provider: 'openai',
+    model: 'gpt-4o',
+    promptTokens: totalTokens,
+    completionTokens: 0,
+    totalTokens,
+    estimated: false,
+    costUsd: 0.01,
+    ...extra,
+  }
+}
+
+function limiter(env, entries = []) {
+  const ledger = new UsageLedger(path.join(os.tmpdir(), 'unused.jsonl'))
+  entries.forEach((entry) => ledger.track(entry))
+  return new UsageLimiter(loadUsageConfig(env), ledger)
+}
+
+test('estimateCost matches the longest model prefix; local providers are free', () => {
+  const usage = { promptTokens: 1000000, completionTokens: 1000000 }
+
+  assert.equal(
+    estimateCost({ ...usage, provider: 'openai', model: 'gpt-4o-2024-08-06' }),
+    12.5
+  )
+  assert.equal(
+    estimateCost({ ...usage, provider: 'openai', model: 'gpt-4o-mini' }),
+    0.75
+  )
+  assert.equal(estimateCost({ ...usage, provider: 'ollama', model: 'x' }), 0)
+  assert.equal(
+    estimateCost({ ...usage, provider: 'openai', model: 'mystery' }),
+    null
+  )
+})
+
+test('daily token quotas count the UTC day and reset at midnight', () => {
+  const usage = limiter({ USAGE_USER_DAILY_TOKENS: '1000' }, [
+    call(NOON - 24 * 3600 * 1000, 'alice', 'payments', 5000),
+    call(NOON - 3600 * 1000, 'alice', 'payments', 1000),
+  ])
+
+  assert.throws(
+    () => usage.check({ user: 'alice', workspace: 'payments' }, NOON),
+    (error) =>
+      error instanceof UsageLimitError &&
+      error.code === 'quota_exceeded' &&
+      error.status === 429 &&
+      error.retryAfterSeconds === 12 * 3600
+  )
+  // Yesterday's 5000 tokens no longer count
+  assert.doesNotThrow(() =>
+    usage.check(
+      { user: 'alice', workspace: 'payments' },
+      NOON + 12 * 3600 * 1000
+    )
+  )
+  assert.doesNotThrow(() => usage.check({ user: 'bob' }, NOON))
+})
+
+test('workspace quotas apply across users and can be set per workspace', () => {
+  const configPath = path.join(os.tmpdir(), `usage-limits-${process.pid}.json`)
+  fs.writeFileSync(
+    configPath,
+    JSON.stringify({ workspaces: { payments: { dailyTokens: 1500 } } })
+  )
+  test.after(() => fs.rmSync(configPath, { force: true }))
+
+  const usage = limiter({ USAGE_LIMITS_PATH: configPath }, [
+    call(NOON - 60000, 'alice', 'payments', 1000),
+    call(NOON - 60000, 'bob', 'payments', 1000),
+  ])
+
+  assert.throws(
+    () => usage.check({ user: 'carol', workspace: 'payments' }, NOON),
+    /workspace payments's 1,500 tokens/
+  )
+  assert.doesNotThrow(() =>
+    usage.check({ user: 'carol', workspace: 'search' }, NOON)
+  )
+  assert.equal(
+    usage.status({ user: 'carol', workspace: 'payments' }, new Date(NOON))
+      .workspace.remainingToday,
+    0
+  )
+})
+
+test('the message rate limit is a sliding one-minute window', () => {
+  const usage = limiter({ USAGE_USER_MESSAGES_PER_MINUTE: '2' })
+  const sender = { user: 'alice', workspace: 'payments' }
+
+  usage.check(sender, NOON)
+  usage.check(sender, NOON + 20000)
+  assert.throws(
+    () => usage.check(sender, NOON + 30000),
+    (error) => error.code === 'rate_limited' && error.retryAfterSeconds === 30
+  )
+  // The first message has left the window
+  assert.doesNotThrow(() => usage.check(sender, NOON + 60001))
+})
+
+test('a limit of 0 turns it off', () => {
+  const usage = limiter(
+    { USAGE_USER_MESSAGES_PER_MINUTE: '0', USAGE_USER_DAILY_TOKENS: '0' },
+    [call(NOON, 'alice', null, 10000000)]
+  )
+
+  for (let i = 0; i < 50; i++) {
+    usage.check({ user: 'alice' }, NOON)
+  }
+  assert.equal(
+    usage.status({ user: 'alice' }, new Date(NOON)).user.remainingToday,
+    null
+  )
+})
+
+test('the ledger appends calls, reloads them and reports totals', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'))
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const filePath = path.join(dir, 'usage.jsonl')
+  const { prices } = loadUsageConfig({})
+
+  const ledger = new UsageLedger(filePath)
+  const entry = await ledger.record(
+    {
+      user: 'alice',
+      workspace: 'payments',
+      provider: 'openai',
+      model: 'gpt-4o',
+      promptTokens: 1000,
+      completionTokens: 500,
+    },
+    prices
+  )
+  assert.equal(entry.totalTokens, 1500)
+  assert.equal(entry.costUsd, 0.0075)
+  await ledger.record(
+    { user: 'bob', workspace: 'search', provider: 'mystery', promptTokens: 10 },
+    prices
+  )
+
+  const reloaded = new UsageLedger(filePath)
+  await reloaded.load()
+  assert.equal(reloaded.tokensToday('workspace', 'payments'), 1500)
+
+  const report = reloaded.report({ groupBy: ['workspace'] })
+  assert.deepEqual(
+    report.rows.map(({ workspace, totalTokens }) => [workspace, totalTokens]),
+    [
+      ['payments', 1500],
+      ['search', 10],
+    ]
+  )
+  assert.equal(report.totals.calls, 2)
+  assert.equal(report.totals.unpricedCalls, 1)
+  assert.equal(reloaded.report({ user: 'bob' }).totals.calls, 1)
+  assert.throws(() => reloaded.report({ groupBy: ['team'] }), /Cannot group/)
+})
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import yaml from 'js-yaml'
+import { generateAlertRules } from './alert-rules.js'
+
+const AVAILABILITY = {
+  name: 'checkout_availability',
+  description: 'Checkout requests that succeed',
+  service: 'checkout',
+  sli: {
+    name: 'checkout_success_ratio',
+    measurement_method: 'event_based',
+    query: 'sum(rate(ok[5m])) / sum(rate(total[5m])) * 100',
+    unit: 'percentage',
+  },
+  target: { value: 99.9, unit: 'percentage', comparison: '>=' },
+  time_window: { duration: '30d', type: 'rolling' },
+  alerting: {
+    severity: 'critical',
+    notification_channels: ['pagerduty', 'slack'],
+    burn_rate_threshold: 10,
+  },
+}
+
+const LATENCY = {
+  name: 'checkout_latency',
+  description: 'Checkout p99 latency',
+  sli: {
+    name: 'checkout_p99_latency',
+    measurement_method: 'distribution',
+    query: 'checkout_p99_latency_ms',
+    unit: 'milliseconds',
+  },
+  target: { value: 300, unit: 'milliseconds', comparison: '<=' },
+  time_window: { duration: '30d', type: 'rolling' },
+}
+
+const DOCUMENT = { slos: [AVAILABILITY, LATENCY] }
+
+test('event-based SLOs get recording rules and burn-rate alerts', () => {
+  const { groups } = generateAlertRules(DOCUMENT, {
+    sloNames: ['checkout_availability'],
+  })
+
+  assert.deepEqual(
+    groups.map(({ name }) => name),
+    ['slo-checkout_availability-recording', 'slo-checkout_availability-alerts']
+  )
+  const [recording, alerts] = groups
+  assert.deepEqual(recording.rules[2], {
+    record: 'slo:sli_error:ratio_rate1h',
+    expr: '1 - ((sum(rate(ok[1h])) / sum(rate(total[1h])) * 100) / 100)',
+    labels: { slo: 'checkout_availability', service: 'checkout' },
+  })
+  assert.equal(recording.rules.at(-1)?.expr, 'vector(0.999)')
+
+  const [page, ticket, threshold] = alerts.rules
+  assert.equal(page.alert, 'CheckoutAvailabilityErrorBudgetBurn')
+  assert.equal(
+    page.expr,
+    '(slo:sli_error:ratio_rate1h{slo="checkout_availability"} > (14.4 * 0.001) and slo:sli_error:ratio_rate5m{slo="checkout_availability"} > (14.4 * 0.001))\nor\n' +
+      '(slo:sli_error:ratio_rate6h{slo="checkout_availability"} > (6 * 0.001) and slo:sli_error:ratio_rate30m{slo="checkout_availability"} > (6 * 0.001))'
+  )
+  assert.deepEqual(page.labels, {
+    slo: 'checkout_availability',
+    service: 'checkout',
+    severity: 'critical',
+    tier: 'page',
+    notification_channels: 'pagerduty,slack',
+  })
+  // Slow burns open a ticket one severity step down
+  assert.equal(ticket.alert, 'CheckoutAvailabilityErrorBudgetSlowBurn')
+  assert.equal(ticket.for, '15m')
+  assert.equal(ticket.labels?.severity, 'high')
+  assert.equal(threshold.alert, 'CheckoutAvailabilityBurnRateThreshold')
+  assert.match(
+    threshold.expr,
+    /ratio_rate1h\{slo="checkout_availability"\} > \(10 \* 0\.001\)/
+  )
+})
+
+test('distribution SLOs alert when the SLI crosses the target', () => {
+  const { groups, warnings } = generateAlertRules(DOCUMENT, {
+    sloNames: ['checkout_latency'],
+  })
+
+  const [recording, alerts] = groups
+  assert.equal(
+    recording.rules[0].expr,
+    'avg_over_time((checkout_p99_latency_ms)[5m:])'
+  )
+  assert.deepEqual(alerts.rules[0].labels, {
+    slo: 'checkout_latency',
+    severity: 'high',
+    tier: 'page',
+  })
+  assert.equal(
+    alerts.rules[0].expr,
+    'slo:sli_value:rate1h{slo="checkout_latency"} > 300 and slo:sli_value:rate5m{slo="checkout_latency"} > 300'
+  )
+  assert.deepEqual(warnings, [
+    'checkout_latency: sli.query has no range selector, so windows use avg_over_time subqueries',
+  ])
+})
+
+test('the YAML output is a loadable rules file with a summary header', () => {
+  const result = generateAlertRules(yaml.dump(DOCUMENT))
+
+  assert.match(
+    result.yaml,
+    /^# Prometheus rules for 2 SLOs: checkout_availability, checkout_latency\n/
+  )
+  assert.match(
+    result.yaml,
+    /# Warning: checkout_latency: sli\.query has no range selector/
+  )
+  assert.deepEqual(yaml.load(result.yaml), { groups: result.groups })
+})
+
+test('invalid definitions and unknown SLO names are refused', () => {
+  assert.throws(
+    () =>
+      generateAlertRules({
+        slos: [
+          { ...LATENCY, target: { ...LATENCY.target, unit: 'percentage' } },
+        ],
+      }),
+    /^Error: Fix the SLO definitions first:\n(- .+\n)*- slos\[0\]\.target\.unit: target unit percentage does not match/
+  )
+  assert.throws(
+    () => generateAlertRules(DOCUMENT, { sloNames: ['search_latency'] }),
+    /No SLO named search_latency in the definitions/
+  )
+})
@@ -0,0 +1,253 @@
+/**
+ * Prometheus rules generated from SLO definitions (slo-template format)
+ *
+ * For each SLO:
+ * - Recording rules evaluate the SLI over every alerting window. The window
+ *   replaces the range selectors in sli.query (e.g. [5m] becomes [1h]); a
+ *   query without one is averaged over the window instead.
+ * - Event-based percentage SLOs get multi-window, multi-burn-rate alerts
+ *   (see BURN_RATE_ALERTS): a page for fast burns and a ticket for slow ones.
+ *   The SLO's own alerting.burn_rate_threshold adds a third alert over the
+ *   1h/5m windows.
+ * - Distribution SLOs, such as latency, alert when the SLI breaks the
+ *   target over both the 1h and 5m windows.
+ *
+ * alerting.severity and notification_channels become alert labels for
+ * Alertmanager routing.
+ */
+
+import yaml from 'js-yaml'
+import { BURN_RATE_ALERTS } from './error-budget.js'
+import { parseSloDefinitions, validateSloDocument } from './slo-validation.js'
+
+export interface AlertRulesResult {
+  yaml: string
+  groups: RuleGroup[]
+  warnings: string[]
+}
+
+interface Rule {
+  record?: string
+  alert?: string
+  expr: string
+  for?: string
+  labels?: Record<string, string>
+  annotations?: Record<string, string>
+}
+
+interface RuleGroup {
+  name: string
+  rules: Rule[]
+}
+
+const RULE_WINDOWS = ['5m', '30m', '1h', '2h', '6h', '1d', '3d']
+const RANGE_SELECTOR = /\[\s*\d+(?:ms|[smhdwy])\s*\]/
+
+// Slow burns alert one step below the SLO's severity
+const SEVERITY_LADDER = ['low', 'medium', 'high', 'critical']
+const DEFAULT_SEVERITY = 'high'
+
+// How long a burn must hold before firing, per tier
+const ALERT_FOR = { page: '2m', ticket: '15m' }
+
+function lowerSeverity(severity: string): string {
+  const index = SEVERITY_LADDER.indexOf(severity)
+  return index > 0 ? SEVERITY_LADDER[index - 1] : severity
+}
+
+function alertName(sloName: string, suffix: string): string {
+  const camel = sloName
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('')
+  return `${camel}${suffix}`
+}
+
+function windowedQuery(query: string, window: string): string {
+  const trimmed = query.trim()
+  if (RANGE_SELECTOR.test(trimmed)) {
+    return trimmed.replace(
+      new RegExp(RANGE_SELECTOR.source, 'g'),
+      `[${window}]`
+    )
+  }
+  return `avg_over_time((${trimmed})[${window}:])`
+}
+
+function rulesForSlo(
+  slo: Record<string, any>,
+  warnings: string[]
+): RuleGroup[] {
+  const name: string = slo.name
+  const selector = `{slo="${name}"}`
+  const sli = slo.sli || {}
+  const target = slo.target || {}
+  const alerting = slo.alerting || {}
+  const query = String(sli.query)
+
+  const baseLabels: Record<string, string> = { slo: name }
+  if (slo.service) baseLabels.service = String(slo.service)
+
+  const severity = String(alerting.severity || DEFAULT_SEVERITY)
+  const channels: string[] = Array.isArray(alerting.notification_channels)
+    ? alerting.notification_channels.map(String)
+    : []
+  const alertLabels = (tierSeverity: string, tier: string) => ({
+    ...baseLabels,
+    severity: tierSeverity,
+    tier,
+    ...(channels.length > 0 && { notification_channels: channels.join(',') }),
+  })
+
+  if (!RANGE_SELECTOR.test(query.trim())) {
+    warnings.push(
+      `${name}: sli.query has no range selector, so windows use avg_over_time subqueries`
+    )
+  }
+
+  const recording: Rule[] = []
+  const alerts: Rule[] = []
+  const description = slo.description ? ` ${slo.description}.` : ''
+
+  if (sli.measurement_method === 'event_based' && sli.unit === 'percentage') {
+    const budget = Number((1 - target.value / 100).toPrecision(10))
+
+    RULE_WINDOWS.forEach((window) => {
+      recording.push({
+        record: `slo:sli_error:ratio_rate${window}`,
+        expr: `1 - ((${windowedQuery(query, window)}) / 100)`,
+        labels: baseLabels,
+      })
+    })
+    recording.push({
+      record: 'slo:objective:ratio',
+      expr: `vector(${Number((target.value / 100).toPrecision(10))})`,
+      labels: baseLabels,
+    })
+
+    const burning = (long: string, short: string, burnRate: number) =>
+      `(slo:sli_error:ratio_rate${long}${selector} > (${burnRate} * ${budget}) and slo:sli_error:ratio_rate${short}${selector} > (${burnRate} * ${budget}))`
+
+    const tiers = [
+      { tier: 'page', suffix: 'ErrorBudgetBurn', severity },
+      {
+        tier: 'ticket',
+        suffix: 'ErrorBudgetSlowBurn',
+        severity: lowerSeverity(severity),
+      },
+    ] as const
+    tiers.forEach(({ tier, suffix, severity: tierSeverity }) => {
+      const windows = BURN_RATE_ALERTS.filter(
+        (alert) => alert.severity === tier
+      )
+      alerts.push({
+        alert: alertName(name, suffix),
+        expr: windows
+          .map(({ long, short, burnRate }) => burning(long, short, burnRate))
+          .join('\nor\n'),
+        for: ALERT_FOR[tier],
+        labels: alertLabels(tierSeverity, tier),
+        annotations: {
+          summary: `${name} is burning its error budget ${tier === 'page' ? 'fast' : 'steadily'}`,
+          description: `Burn rate above ${windows.map((w) => `${w.burnRate}x over ${w.long}/${w.short}`).join(' or ')} against a ${target.value}% target.${description}`,
+        },
+      })
+    })
+
+    if (typeof alerting.burn_rate_threshold === 'number') {
+      alerts.push({
+        alert: alertName(name, 'BurnRateThreshold'),
+        expr: burning('1h', '5m', alerting.burn_rate_threshold),
+        for: ALERT_FOR.page,
+        labels: alertLabels(severity, 'slo'),
+        annotations: {
+          summary: `${name} burn rate is above ${alerting.burn_rate_threshold}`,
+          description: `The 1h and 5m burn rates exceed the SLO's burn_rate_threshold of ${alerting.burn_rate_threshold}.${description}`,
+        },
+      })
+    }
+  } else if (sli.measurement_method === 'distribution') {
+    RULE_WINDOWS.forEach((window) => {
+      recording.push({
+        record: `slo:sli_value:rate${window}`,
+        expr: windowedQuery(query, window),
+        labels: baseLabels,
+      })
+    })
+
+    // The SLI breaks the target when it crosses it the wrong way
+    const breach = { '<=': '>', '<': '>=', '>=': '<', '>': '<=' }[
+      target.comparison as string
+    ]
+    alerts.push({
+      alert: alertName(name, 'TargetBreached'),
+      expr: `slo:sli_value:rate1h${selector} ${breach} ${target.value} and slo:sli_value:rate5m${selector} ${breach} ${target.value}`,
+      for: ALERT_FOR.page,
+      labels: alertLabels(severity, 'page'),
+      annotations: {
+        summary: `${name} is outside its ${target.comparison} ${target.value} ${target.unit} target`,
+        description: `${sli.name || 'The SLI'} has been ${breach} ${target.value} ${target.unit} over both the last hour and the last 5 minutes.${description}`,
+      },
+    })
+  } else {
+    warnings.push(
+      `${name}: no alerts generated for a ${sli.measurement_method} SLI measured in ${sli.unit}`
+    )
+  }
+
+  return [
+    { name: `slo-${name}-recording`, rules: recording },
+    ...(alerts.length > 0
+      ? [{ name: `slo-${name}-alerts`, rules: alerts }]
+      : []),
+  ]
+}
+
+/**
+ * Generate a Prometheus rules file from SLO definitions. Definitions must
+ * pass validate_slo first; validation warnings are carried over.
+ *
+ * @param sloNames - Only generate rules for these SLOs
+ */
+export function generateAlertRules(
+  input: string | object,
+  { format, sloNames }: { format?: 'yaml' | 'json'; sloNames?: string[] } = {}
+): AlertRulesResult {
+  const validation = validateSloDocument(input, { format })
+  if (!validation.valid) {
+    throw new Error(
+      `Fix the SLO definitions first:\n${validation.errors
+        .map(({ path, message }) => `- ${path}: ${message}`)
+        .join('\n')}`
+    )
+  }
+
+  let slos = parseSloDefinitions(input, { format })
+  if (sloNames && sloNames.length > 0) {
+    const missing = sloNames.filter(
+      (name) => !slos.some((slo) => slo.name === name)
+    )
+    if (missing.length > 0) {
+      throw new Error(`No SLO named ${missing.join(', ')} in the definitions`)
+    }
+    slos = slos.filter((slo) => sloNames.includes(slo.name))
+  }
+
+  const warnings = validation.warnings.map(
+    ({ path, message }) => `${path}: ${message}`
+  )
+  const groups = slos.flatMap((slo) => rulesForSlo(slo, warnings))
+
+  const header = [
+    `# Prometheus rules for ${slos.length} SLO${slos.length === 1 ? '' : 's'}: ${slos.map((slo) => slo.name).join(', ')}`,
+    '# Generated from SLO definitions; edit the definitions and regenerate',
+    ...warnings.map((warning) => `# Warning: ${warning}`),
+  ].join('\n')
+
+  return {
+    yaml: `${header}\n${yaml.dump({ groups }, { lineWidth: -1, noRefs: true })}`,
+    groups,
+    warnings,
+  }
+}
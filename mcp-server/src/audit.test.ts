@@ -0,0 +1,214 @@
+import assert from 'node:assert/strict'
+import { after, test } from 'node:test'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import {
+  AuditLog,
+  GENESIS_HASH,
+  formatAuditCsv,
+  queryAuditLogs,
+  verifyAuditLog,
+} from './audit.js'
+
+const dirs: string[] = []
+after(() =>
+  Promise.all(
+    dirs.map((dir) => fs.promises.rm(dir, { recursive: true, force: true }))
+  )
+)
+
+async function tempDir() {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'audit-test-'))
+  dirs.push(dir)
+  return dir
+}
+
+async function sampleLog(env: NodeJS.ProcessEnv = {}) {
+  const dir = await tempDir()
+  const log = new AuditLog('platform', { ...env, AUDIT_LOG_DIR: dir })
+  await log.record({
+    type: 'document.upload',
+    user: 'alice',
+    workspace: 'payments',
+    details: { name: 'runbook.md' },
+  })
+  await log.record({
+    type: 'search.query',
+    user: 'bob',
+    workspace: 'search',
+    details: { query: 'error budget' },
+  })
+  await log.record({
+    type: 'document.delete',
+    user: 'alice',
+    workspace: 'payments',
+    details: { name: 'runbook.md' },
+  })
+  return { dir, log }
+}
+
+async function rewriteLines(
+  file: string,
+  change: (lines: string[]) => string[]
+) {
+  const lines = (await fs.promises.readFile(file, 'utf-8')).trim().split('\n')
+  await fs.promises.writeFile(file, `${change(lines).join('\n')}\n`)
+}
+
+test('entries chain from the genesis hash and verify', async () => {
+  const { log } = await sampleLog()
+  const verification = await verifyAuditLog(log.filePath)
+
+  assert.equal(verification.valid, true)
+  assert.equal(verification.entries, 3)
+  assert.equal(verification.error, null)
+  assert.equal(verification.head?.seq, 3)
+
+  const [first, second] = await queryAuditLogs(
+    {},
+    () => true,
+    path.dirname(log.filePath)
+  )
+  assert.equal(first.prevHash, GENESIS_HASH)
+  assert.equal(second.prevHash, first.hash)
+})
+
+test('an edited entry breaks the chain where it was changed', async () => {
+  const { log } = await sampleLog()
+  await rewriteLines(log.filePath, (lines) => {
+    const entry = JSON.parse(lines[1])
+    entry.details.query = 'something else'
+    lines[1] = JSON.stringify(entry)
+    return lines
+  })
+
+  const verification = await verifyAuditLog(log.filePath)
+  assert.equal(verification.valid, false)
+  assert.deepEqual(verification.error, {
+    seq: 2,
+    line: 2,
+    reason: 'hash does not match the entry contents',
+  })
+})
+
+test('removed and unreadable entries are found', async () => {
+  const removed = await sampleLog()
+  await rewriteLines(removed.log.filePath, (lines) => [lines[0], lines[2]])
+  assert.equal(
+    (await verifyAuditLog(removed.log.filePath)).error?.reason,
+    'expected entry 2, found 3'
+  )
+
+  const garbled = await sampleLog()
+  await rewriteLines(garbled.log.filePath, (lines) => [
+    lines[0],
+    '{not json',
+    lines[2],
+  ])
+  assert.equal(
+    (await verifyAuditLog(garbled.log.filePath)).error?.reason,
+    'not valid JSON'
+  )
+})
+
+test('with AUDIT_HMAC_KEY the chain only verifies with the key', async () => {
+  const { log } = await sampleLog({ AUDIT_HMAC_KEY: 'secret' })
+
+  assert.equal(
+    (await verifyAuditLog(log.filePath, 'platform', 'secret')).valid,
+    true
+  )
+  assert.equal((await verifyAuditLog(log.filePath)).valid, false)
+})
+
+test('a reopened log continues the chain', async () => {
+  const { dir, log } = await sampleLog()
+  const reopened = new AuditLog('platform', { AUDIT_LOG_DIR: dir })
+  const entry = await reopened.record({ type: 'search.query', user: 'carol' })
+
+  assert.equal(entry.seq, 4)
+  assert.equal(entry.workspace, null)
+  assert.deepEqual(entry.details, {})
+  assert.equal((await verifyAuditLog(log.filePath)).valid, true)
+})
+
+test('queries filter by user, type prefix and date across sources', async () => {
+  const { dir } = await sampleLog()
+  await new AuditLog('chat', { AUDIT_LOG_DIR: dir }).record({
+    type: 'llm.prompt',
+    user: 'alice',
+    workspace: 'payments',
+  })
+
+  const alice = await queryAuditLogs({ user: 'alice' }, () => true, dir)
+  assert.deepEqual(
+    alice.map(({ source, type }) => `${source}:${type}`).sort(),
+    ['chat:llm.prompt', 'platform:document.delete', 'platform:document.upload']
+  )
+
+  const documents = await queryAuditLogs(
+    { types: ['document'] },
+    () => true,
+    dir
+  )
+  assert.equal(documents.length, 2)
+
+  const today = new Date().toISOString().slice(0, 10)
+  assert.equal((await queryAuditLogs({ to: today }, () => true, dir)).length, 4)
+  assert.equal(
+    (await queryAuditLogs({ to: '2000-01-01' }, () => true, dir)).length,
+    0
+  )
+
+  const visible = await queryAuditLogs(
+    {},
+    (entry) => entry.workspace === 'search',
+    dir
+  )
+  assert.deepEqual(
+    visible.map(({ user }) => user),
+    ['bob']
+  )
+})
+
+test('CSV export quotes fields and keeps details as JSON', async () => {
+  const { dir } = await sampleLog()
+  const csv = formatAuditCsv(await queryAuditLogs({}, () => true, dir))
+  const lines = csv.trim().split('\n')
+
+  assert.equal(
+    lines[0],
+    'seq,at,source,type,user,workspace,details,prevHash,hash'
+  )
+  assert.equal(lines.length, 4)
+  assert.match(lines[1], /,"{""name"":""runbook\.md""}",/)
+})
+
+test('CSV export keeps values from being read as formulas', async () => {
+  const dir = await tempDir()
+  const log = new AuditLog('platform', { AUDIT_LOG_DIR: dir })
+  await log.record({
+    type: 'search.query',
+    user: '=SUM(A1:A9)',
+    workspace: '@payments',
+    details: { query: '+cmd|calc' },
+  })
+  await log.record({
+    type: 'search.query',
+    user: '-2+3',
+    workspace: 'payments',
+    details: {},
+  })
+
+  const csv = formatAuditCsv(await queryAuditLogs({}, () => true, dir))
+  const [, first, second] = csv.trim().split('\n')
+  const cells = (line: string) => line.split(',').slice(4, 7)
+
+  assert.deepEqual(cells(first), [
+    "'=SUM(A1:A9)",
+    "'@payments",
+    '"{""query"":""+cmd|calc""}"',
+  ])
+  assert.deepEqual(cells(second), ["'-2+3", 'payments', '{}'])
+})
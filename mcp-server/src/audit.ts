@@ -0,0 +1,357 @@
+/**
+ * Append-only, hash-chained audit log
+ *
+ * Each process that audits writes its own JSON Lines file, named after its
+ * source ("platform" for the PDF platform, "chat" for the chat server), in
+ * AUDIT_LOG_DIR (default data/audit under the repository root). Every entry
+ * carries the hash of the entry before it and its own hash over both, so
+ * editing, removing or reordering any entry breaks the chain from that
+ * point on; verifyAuditLog() finds where. With AUDIT_HMAC_KEY set the hashes
+ * are HMACs, so the chain cannot be rebuilt after an edit without the key.
+ * Truncating the newest entries is only visible against a head hash kept
+ * elsewhere, which is why verification reports the head.
+ *
+ * Entries record who did what: user, workspace, an event type such as
+ * document.upload or llm.response, and details specific to the type.
+ */
+
+import { createHash, createHmac } from 'crypto'
+import * as fs from 'fs'
+import * as path from 'path'
+import * as readline from 'readline'
+import { fileURLToPath } from 'url'
+
+export interface AuditEvent {
+  type: string
+  user?: string | null
+  workspace?: string | null
+  details?: Record<string, unknown>
+}
+
+export interface AuditEntry {
+  seq: number
+  at: string
+  source: string
+  type: string
+  user: string | null
+  workspace: string | null
+  details: Record<string, unknown>
+  prevHash: string
+  hash: string
+}
+
+export interface AuditFilter {
+  user?: string
+  workspace?: string
+  source?: string
+  /** Event types; "document" also matches document.upload, ... */
+  types?: string[]
+  /** ISO timestamps, inclusive; a bare date as `to` covers that whole day */
+  from?: string
+  to?: string
+}
+
+export interface AuditVerification {
+  source: string
+  file: string
+  entries: number
+  valid: boolean
+  /** The newest entry; compare with a copy kept elsewhere to spot truncation */
+  head: { seq: number; hash: string } | null
+  /** Where the chain first breaks */
+  error: { seq: number | null; line: number; reason: string } | null
+}
+
+// The hash every chain starts from
+export const GENESIS_HASH = '0'.repeat(64)
+
+// build/audit.js -> repository root
+const REPO_ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  '..'
+)
+
+/**
+ * Where audit logs live; relative paths resolve against the repository root
+ */
+export function auditLogDir(env: NodeJS.ProcessEnv = process.env) {
+  return path.resolve(
+    REPO_ROOT,
+    env.AUDIT_LOG_DIR || path.join('data', 'audit')
+  )
+}
+
+/**
+ * The hash of an entry: over every field but the hash itself, in a fixed
+ * order, chained through prevHash
+ */
+export function entryHash(
+  entry: Omit<AuditEntry, 'hash'>,
+  key?: string
+): string {
+  const payload = JSON.stringify([
+    entry.seq,
+    entry.at,
+    entry.source,
+    entry.type,
+    entry.user,
+    entry.workspace,
+    entry.details,
+    entry.prevHash,
+  ])
+  return key
+    ? createHmac('sha256', key).update(payload).digest('hex')
+    : createHash('sha256').update(payload).digest('hex')
+}
+
+async function* readEntries(
+  filePath: string
+): AsyncGenerator<{ line: number; entry: AuditEntry | null }> {
+  let input: fs.ReadStream
+  try {
+    await fs.promises.access(filePath)
+    input = fs.createReadStream(filePath, 'utf-8')
+  } catch (error: any) {
+    if (error.code === 'ENOENT') return
+    throw error
+  }
+
+  let line = 0
+  for await (const text of readline.createInterface({
+    input,
+    crlfDelay: Infinity,
+  })) {
+    line++
+    if (!text.trim()) continue
+    try {
+      yield { line, entry: JSON.parse(text) }
+    } catch {
+      yield { line, entry: null }
+    }
+  }
+}
+
+export class AuditLog {
+  readonly filePath: string
+  private readonly key?: string
+  private seq = 0
+  private head = GENESIS_HASH
+  private pending: Promise<unknown>
+  private opened: Promise<void> | null = null
+
+  /**
+   * @param source - Names the log file and is stamped on every entry
+   */
+  constructor(
+    readonly source: string,
+    env: NodeJS.ProcessEnv = process.env
+  ) {
+    this.filePath = path.join(auditLogDir(env), `${source}.jsonl`)
+    this.key = env.AUDIT_HMAC_KEY || undefined
+    this.pending = Promise.resolve()
+  }
+
+  /**
+   * Pick the chain up where the file ends. A chain that no longer verifies
+   * is reported and continued, so the break stays visible rather than being
+   * papered over by a fresh chain.
+   */
+  open(): Promise<void> {
+    if (!this.opened) {
+      this.opened = (async () => {
+        const verification = await verifyAuditLog(
+          this.filePath,
+          this.source,
+          this.key
+        )
+        if (!verification.valid && verification.error) {
+          console.error(
+            `Audit log ${this.filePath} fails verification at line ${verification.error.line}: ${verification.error.reason}`
+          )
+        }
+        if (verification.head) {
+          this.seq = verification.head.seq
+          this.head = verification.head.hash
+        }
+      })()
+    }
+    return this.opened
+  }
+
+  /**
+   * Append one event. Appends are serialised so the chain has no forks.
+   */
+  record(event: AuditEvent): Promise<AuditEntry> {
+    const write = this.pending.then(async () => {
+      await this.open()
+      const entry: Omit<AuditEntry, 'hash'> = {
+        seq: this.seq + 1,
+        at: new Date().toISOString(),
+        source: this.source,
+        type: event.type,
+        user: event.user ?? null,
+        workspace: event.workspace ?? null,
+        details: event.details ?? {},
+        prevHash: this.head,
+      }
+      const hashed: AuditEntry = { ...entry, hash: entryHash(entry, this.key) }
+
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(hashed)}\n`)
+      this.seq = hashed.seq
+      this.head = hashed.hash
+      return hashed
+    })
+    this.pending = write.catch(() => {})
+    return write
+  }
+}
+
+/**
+ * Walk a log file's chain and report whether it is intact
+ */
+export async function verifyAuditLog(
+  filePath: string,
+  source = path.basename(filePath, '.jsonl'),
+  key?: string
+): Promise<AuditVerification> {
+  const result: AuditVerification = {
+    source,
+    file: filePath,
+    entries: 0,
+    valid: true,
+    head: null,
+    error: null,
+  }
+  let expectedHash = GENESIS_HASH
+  let expectedSeq = 1
+
+  for await (const { line, entry } of readEntries(filePath)) {
+    result.entries++
+    let reason: string | null = null
+    if (!entry) {
+      reason = 'not valid JSON'
+    } else if (entry.seq !== expectedSeq) {
+      reason = `expected entry ${expectedSeq}, found ${entry.seq}`
+    } else if (entry.prevHash !== expectedHash) {
+      reason = 'previous hash does not match the entry before it'
+    } else if (entryHash(entry, key) !== entry.hash) {
+      reason = 'hash does not match the entry contents'
+    }
+
+    if (reason && result.valid) {
+      result.valid = false
+      result.error = { seq: entry ? entry.seq : null, line, reason }
+    }
+    if (entry) {
+      expectedSeq = entry.seq + 1
+      expectedHash = entry.hash
+      result.head = { seq: entry.seq, hash: entry.hash }
+    }
+  }
+
+  return result
+}
+
+/**
+ * Every log file in the audit directory, by source
+ */
+export async function auditLogFiles(
+  dir = auditLogDir()
+): Promise<Array<{ source: string; file: string }>> {
+  try {
+    return (await fs.promises.readdir(dir))
+      .filter((name) => name.endsWith('.jsonl'))
+      .sort()
+      .map((name) => ({
+        source: path.basename(name, '.jsonl'),
+        file: path.join(dir, name),
+      }))
+  } catch (error: any) {
+    if (error.code === 'ENOENT') return []
+    throw error
+  }
+}
+
+function matches(entry: AuditEntry, filter: AuditFilter): boolean {
+  const to =
+    filter.to && /^\d{4}-\d{2}-\d{2}$/.test(filter.to)
+      ? `${filter.to}T23:59:59.999Z`
+      : filter.to
+  return (
+    (!filter.user || entry.user === filter.user) &&
+    (!filter.workspace || entry.workspace === filter.workspace) &&
+    (!filter.source || entry.source === filter.source) &&
+    (!filter.from || entry.at >= filter.from) &&
+    (!to || entry.at <= to) &&
+    (!filter.types ||
+      filter.types.length === 0 ||
+      filter.types.some(
+        (type) => entry.type === type || entry.type.startsWith(`${type}.`)
+      ))
+  )
+}
+
+/**
+ * Entries from every source matching the filter, oldest first
+ *
+ * @param visible - Further narrows what the caller may see
+ */
+export async function queryAuditLogs(
+  filter: AuditFilter = {},
+  visible: (entry: AuditEntry) => boolean = () => true,
+  dir = auditLogDir()
+): Promise<AuditEntry[]> {
+  const found: AuditEntry[] = []
+  for (const { file } of await auditLogFiles(dir)) {
+    for await (const { entry } of readEntries(file)) {
+      if (entry && matches(entry, filter) && visible(entry)) {
+        found.push(entry)
+      }
+    }
+  }
+  return found.sort(
+    (a, b) =>
+      a.at.localeCompare(b.at) ||
+      a.source.localeCompare(b.source) ||
+      a.seq - b.seq
+  )
+}
+
+const CSV_COLUMNS = [
+  'seq',
+  'at',
+  'source',
+  'type',
+  'user',
+  'workspace',
+  'details',
+  'prevHash',
+  'hash',
+] as const
+
+function csvField(value: unknown): string {
+  let text =
+    value === null || value === undefined
+      ? ''
+      : typeof value === 'object'
+        ? JSON.stringify(value)
+        : String(value)
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Entries as CSV, one row each, with details as a JSON column and values
+ * that would start a spreadsheet formula prefixed with '
+ */
+export function formatAuditCsv(entries: AuditEntry[]): string {
+  const rows = entries.map((entry) =>
+    CSV_COLUMNS.map((column) => csvField(entry[column])).join(',')
+  )
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n'
+}
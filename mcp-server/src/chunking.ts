@@ -0,0 +1,201 @@
+/**
+ * Split documents into retrieval-sized chunks
+ *
+ * Markdown is split at headings so each chunk is one section (carrying its
+ * heading path, e.g. "Observability Maturity Levels > Level 2"); everything
+ * else is split at paragraphs. Oversized sections are packed paragraph by
+ * paragraph, and every chunk keeps its character offsets in the source so
+ * answers can point back at the exact passage.
+ */
+
+export interface Chunk {
+  id: string
+  docId: string
+  heading: string
+  text: string
+  start: number
+  end: number
+}
+
+export interface ChunkOptions {
+  maxChars?: number
+  minChars?: number
+}
+
+interface Section {
+  heading: string
+  start: number
+  end: number
+}
+
+const DEFAULT_MAX_CHARS = 1200
+const DEFAULT_MIN_CHARS = 80
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/gm
+
+/**
+ * Find markdown sections, tracking the heading path down to each one
+ */
+function markdownSections(content: string): Section[] {
+  const sections: Section[] = []
+  const path: string[] = []
+  let current: Section = { heading: '', start: 0, end: content.length }
+
+  HEADING_PATTERN.lastIndex = 0
+  let match: RegExpExecArray | null
+  while ((match = HEADING_PATTERN.exec(content)) !== null) {
+    current.end = match.index
+    sections.push(current)
+
+    const level = match[1].length
+    path.length = level - 1
+    path[level - 1] = match[2]
+    current = {
+      heading: path.filter(Boolean).join(' > '),
+      start: match.index,
+      end: content.length,
+    }
+  }
+  sections.push(current)
+
+  return sections.filter(
+    (section) => content.slice(section.start, section.end).trim().length > 0
+  )
+}
+
+/**
+ * Paragraph ranges within [start, end)
+ */
+function paragraphs(
+  content: string,
+  start: number,
+  end: number
+): Array<[number, number]> {
+  const ranges: Array<[number, number]> = []
+  const pattern = /\n[ \t]*\n/g
+  pattern.lastIndex = start
+
+  let cursor = start
+  let match: RegExpExecArray | null
+  while ((match = pattern.exec(content)) !== null && match.index < end) {
+    ranges.push([cursor, match.index])
+    cursor = match.index + match[0].length
+  }
+  ranges.push([cursor, end])
+
+  return ranges.filter(([s, e]) => content.slice(s, e).trim().length > 0)
+}
+
+/**
+ * Cut a range that is still too long at sentence ends, or hard at maxChars
+ */
+function splitLongRange(
+  content: string,
+  start: number,
+  end: number,
+  maxChars: number
+): Array<[number, number]> {
+  const ranges: Array<[number, number]> = []
+  let cursor = start
+
+  while (end - cursor > maxChars) {
+    const window = content.slice(cursor, cursor + maxChars)
+    const lastStop = Math.max(
+      window.lastIndexOf('. '),
+      window.lastIndexOf('.\n'),
+      window.lastIndexOf('\n')
+    )
+    const cut =
+      lastStop > maxChars / 2 ? cursor + lastStop + 1 : cursor + maxChars
+    ranges.push([cursor, cut])
+    cursor = cut
+  }
+  ranges.push([cursor, end])
+
+  return ranges
+}
+
+/**
+ * Pack a section's paragraphs into chunks no longer than maxChars
+ */
+function packSection(
+  content: string,
+  section: Section,
+  maxChars: number
+): Array<[number, number]> {
+  if (section.end - section.start <= maxChars) {
+    return [[section.start, section.end]]
+  }
+
+  const packed: Array<[number, number]> = []
+  let current: [number, number] | null = null
+
+  for (const [start, end] of paragraphs(content, section.start, section.end)) {
+    if (current && end - current[0] <= maxChars) {
+      current[1] = end
+      continue
+    }
+    if (current) packed.push(current)
+
+    if (end - start > maxChars) {
+      const pieces = splitLongRange(content, start, end, maxChars)
+      packed.push(...pieces.slice(0, -1))
+      current = pieces[pieces.length - 1]
+    } else {
+      current = [start, end]
+    }
+  }
+  if (current) packed.push(current)
+
+  return packed
+}
+
+export function chunkDocument(
+  docId: string,
+  content: string,
+  type: string,
+  options: ChunkOptions = {}
+): Chunk[] {
+  const maxChars = options.maxChars ?? DEFAULT_MAX_CHARS
+  const minChars = options.minChars ?? DEFAULT_MIN_CHARS
+
+  const sections =
+    type === 'markdown'
+      ? markdownSections(content)
+      : [{ heading: '', start: 0, end: content.length }]
+
+  const ranges: Array<{ heading: string; start: number; end: number }> = []
+  for (const section of sections) {
+    for (const [start, end] of packSection(content, section, maxChars)) {
+      const previous = ranges[ranges.length - 1]
+      // Fold tiny fragments (e.g. a heading with one line) into the previous
+      // chunk of the same section instead of indexing them on their own
+      if (
+        previous &&
+        previous.heading === section.heading &&
+        end - start < minChars &&
+        end - previous.start <= maxChars
+      ) {
+        previous.end = end
+        continue
+      }
+      ranges.push({ heading: section.heading, start, end })
+    }
+  }
+
+  return ranges
+    .map(({ heading, start, end }) => {
+      // Trim whitespace but keep the offsets pointing at the trimmed text
+      const raw = content.slice(start, end)
+      const leading = raw.length - raw.trimStart().length
+      const text = raw.trim()
+      return {
+        heading,
+        text,
+        start: start + leading,
+        end: start + leading + text.length,
+      }
+    })
+    .filter(({ text }) => text.length > 0)
+    .map((chunk, index) => ({ id: `${docId}#${index}`, docId, ...chunk }))
+}
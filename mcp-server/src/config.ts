@@ -0,0 +1,401 @@
+/**
+ * Documentation roots for the MCP server
+ *
+ * Roots come from, in order of precedence:
+ * 1. CLI: --config <file>, or one or more --docs-root <dir> (with optional
+ *    --include/--exclude globs applied to those roots)
+ * 2. Env: DEVSECOPS_DOCS_CONFIG=<file>, or DEVSECOPS_DOCS_ROOTS=<dir>[:<dir>]
+ * 3. The repository this server ships in (context/ plus the root guides)
+ *
+ * A config file looks like:
+ *
+ *   {
+ *     "roots": [
+ *       {
+ *         "path": "../context",
+ *         "prefix": "context",
+ *         "include": ["**\/*.md", "**\/*.json"],
+ *         "exclude": ["**\/drafts/**"],
+ *         "category": "framework",
+ *         "categories": { "templates/**": "template" }
+ *       }
+ *     ]
+ *   }
+ *
+ * Relative root paths resolve against the config file's directory. Globs
+ * match paths relative to the root; the first matching "categories" entry
+ * wins, falling back to "category".
+ */
+
+import * as fs from 'fs'
+import * as path from 'path'
+import { fileURLToPath } from 'url'
+
+export interface DocRoot {
+  path: string
+  prefix: string
+  include: string[]
+  exclude: string[]
+  category: string
+  categories: Array<{ pattern: string; category: string }>
+}
+
+export interface DocsConfig {
+  source: string
+  roots: DocRoot[]
+}
+
+export type FileDecision =
+  | { included: true; resourceId: string; category: string }
+  | { included: false; reason: 'excluded' | 'not included' }
+
+const DEFAULT_INCLUDE = ['**/*.{md,txt,json,yaml,yml,js,py,sh}']
+const DEFAULT_EXCLUDE = ['**/node_modules/**', '**/.git/**']
+const DEFAULT_CATEGORY = 'framework'
+
+// build/config.js -> repository root
+const REPO_ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  '..'
+)
+
+/**
+ * The documentation bundled with this repository: everything under context/
+ * plus the guides at the top level
+ */
+function repositoryRoots(): DocRoot[] {
+  return [
+    {
+      path: path.join(REPO_ROOT, 'context'),
+      prefix: 'context',
+      include: DEFAULT_INCLUDE,
+      exclude: DEFAULT_EXCLUDE,
+      category: DEFAULT_CATEGORY,
+      categories: [
+        { pattern: 'templates/**', category: 'template' },
+        { pattern: 'knowledge-base/**', category: 'knowledge' },
+        { pattern: 'docs/**', category: 'docs' },
+      ],
+    },
+    {
+      path: REPO_ROOT,
+      prefix: '',
+      include: [
+        '{README,CONTEXT_GUIDE,AI_SETUP_GUIDE,CHATBOT_ALTERNATIVES}.md',
+      ],
+      // Top-level files only; context/ is its own root
+      exclude: ['*/**'],
+      category: DEFAULT_CATEGORY,
+      categories: [],
+    },
+  ]
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+}
+
+function globSource(glob: string): string {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more whole directories
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?'
+        i += 2
+      } else {
+        source += '.*'
+        i += 1
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i)
+      const options = glob
+        .slice(i + 1, end)
+        .split(',')
+        .map(globSource)
+      source += `(?:${options.join('|')})`
+      i = end
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+  return source
+}
+
+/**
+ * Convert a glob (*, **, ?, {a,b}) to a RegExp over "/"-separated paths
+ */
+export function globToRegExp(glob: string): RegExp {
+  return new RegExp(`^${globSource(glob)}$`)
+}
+
+function matchesAny(globs: string[], relativePath: string): boolean {
+  return globs.some((glob) => globToRegExp(glob).test(relativePath))
+}
+
+/**
+ * Whether a directory can be skipped without walking it
+ */
+export function isExcludedDirectory(
+  root: DocRoot,
+  relativePath: string
+): boolean {
+  return matchesAny(root.exclude, `${relativePath}/`)
+}
+
+/**
+ * Decide whether a file under a root is loaded, and as what
+ */
+export function resolveDocFile(
+  root: DocRoot,
+  relativePath: string
+): FileDecision {
+  const normalized = relativePath.split(path.sep).join('/')
+
+  if (matchesAny(root.exclude, normalized)) {
+    return { included: false, reason: 'excluded' }
+  }
+  if (!matchesAny(root.include, normalized)) {
+    return { included: false, reason: 'not included' }
+  }
+
+  const mapping = root.categories.find(({ pattern }) =>
+    globToRegExp(pattern).test(normalized)
+  )
+  return {
+    included: true,
+    resourceId: root.prefix ? `${root.prefix}/${normalized}` : normalized,
+    category: mapping ? mapping.category : root.category,
+  }
+}
+
+export interface DocFile {
+  path: string
+  resourceId: string
+  category: string
+}
+
+export interface SkippedEntry {
+  path: string
+  reason: string
+}
+
+/**
+ * Walk a root (or a directory under it) and list the files it includes,
+ * along with what was skipped and why
+ */
+export function collectDocFiles(
+  root: DocRoot,
+  dirPath: string = root.path
+): { files: DocFile[]; skipped: SkippedEntry[] } {
+  const files: DocFile[] = []
+  const skipped: SkippedEntry[] = []
+
+  const walk = (directory: string) => {
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const fullPath = path.join(directory, entry.name)
+      const relativePath = path.relative(root.path, fullPath)
+
+      if (entry.isDirectory()) {
+        if (isExcludedDirectory(root, relativePath)) {
+          skipped.push({ path: `${relativePath}/`, reason: 'excluded' })
+        } else {
+          walk(fullPath)
+        }
+        continue
+      }
+      if (!entry.isFile()) continue
+
+      const decision = resolveDocFile(root, relativePath)
+      if (decision.included) {
+        files.push({
+          path: fullPath,
+          resourceId: decision.resourceId,
+          category: decision.category,
+        })
+      } else {
+        skipped.push({ path: relativePath, reason: decision.reason })
+      }
+    }
+  }
+
+  walk(dirPath)
+  return { files, skipped }
+}
+
+function asStringList(value: unknown, field: string): string[] | undefined {
+  if (value === undefined) return undefined
+  const list = Array.isArray(value) ? value : [value]
+  if (!list.every((item) => typeof item === 'string')) {
+    throw new Error(`Docs config: "${field}" must be a string or string list`)
+  }
+  return list as string[]
+}
+
+function normalizeRoot(raw: unknown, baseDir: string, index: number): DocRoot {
+  const entry = (typeof raw === 'string' ? { path: raw } : raw) as Record<
+    string,
+    unknown
+  >
+  if (!entry || typeof entry.path !== 'string') {
+    throw new Error(`Docs config: roots[${index}] needs a "path"`)
+  }
+
+  const categories = entry.categories ?? {}
+  if (typeof categories !== 'object' || Array.isArray(categories)) {
+    throw new Error(
+      `Docs config: roots[${index}].categories must map globs to categories`
+    )
+  }
+
+  return {
+    path: path.resolve(baseDir, entry.path),
+    prefix: typeof entry.prefix === 'string' ? entry.prefix : '',
+    include:
+      asStringList(entry.include, `roots[${index}].include`) ?? DEFAULT_INCLUDE,
+    exclude: [
+      ...DEFAULT_EXCLUDE,
+      ...(asStringList(entry.exclude, `roots[${index}].exclude`) ?? []),
+    ],
+    category:
+      typeof entry.category === 'string' ? entry.category : DEFAULT_CATEGORY,
+    categories: Object.entries(categories as Record<string, unknown>).map(
+      ([pattern, category]) => ({ pattern, category: String(category) })
+    ),
+  }
+}
+
+function readConfigFile(file: string): DocsConfig {
+  const configPath = path.resolve(file)
+  let raw: { roots?: unknown }
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+  } catch (error) {
+    throw new Error(
+      `Could not read docs config ${configPath}: ${error instanceof Error ? error.message : error}`
+    )
+  }
+
+  if (!Array.isArray(raw.roots) || raw.roots.length === 0) {
+    throw new Error(
+      `Docs config ${configPath}: "roots" must be a non-empty list`
+    )
+  }
+
+  return {
+    source: configPath,
+    roots: raw.roots.map((root, index) =>
+      normalizeRoot(root, path.dirname(configPath), index)
+    ),
+  }
+}
+
+interface CliOptions {
+  config?: string
+  roots: string[]
+  include: string[]
+  exclude: string[]
+}
+
+function parseArgs(argv: string[]): CliOptions {
+  const options: CliOptions = { roots: [], include: [], exclude: [] }
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s)
+    const value = () => {
+      const next = inline ?? argv[++i]
+      if (next === undefined) {
+        throw new Error(`Missing value for ${flag}`)
+      }
+      return next
+    }
+
+    switch (flag) {
+      case '--config':
+        options.config = value()
+        break
+      case '--docs-root':
+        options.roots.push(value())
+        break
+      case '--include':
+        options.include.push(value())
+        break
+      case '--exclude':
+        options.exclude.push(value())
+        break
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`)
+    }
+  }
+  return options
+}
+
+function rootsFromDirectories(
+  directories: string[],
+  include: string[] = [],
+  exclude: string[] = []
+): DocRoot[] {
+  return directories.map((directory, index) =>
+    normalizeRoot(
+      {
+        path: directory,
+        // Keep resource IDs unique when several roots are given
+        prefix: directories.length > 1 ? path.basename(directory) : '',
+        ...(include.length > 0 && { include }),
+        ...(exclude.length > 0 && { exclude }),
+      },
+      process.cwd(),
+      index
+    )
+  )
+}
+
+/**
+ * Work out the documentation roots from CLI arguments, env and defaults
+ */
+export function loadDocsConfig(
+  argv: string[] = process.argv.slice(2),
+  env: NodeJS.ProcessEnv = process.env
+): DocsConfig {
+  const cli = parseArgs(argv)
+
+  if (cli.config) {
+    return readConfigFile(cli.config)
+  }
+  if (cli.roots.length > 0) {
+    return {
+      source: 'command line',
+      roots: rootsFromDirectories(cli.roots, cli.include, cli.exclude),
+    }
+  }
+  if (env.DEVSECOPS_DOCS_CONFIG) {
+    return readConfigFile(env.DEVSECOPS_DOCS_CONFIG)
+  }
+  if (env.DEVSECOPS_DOCS_ROOTS) {
+    return {
+      source: 'DEVSECOPS_DOCS_ROOTS',
+      roots: rootsFromDirectories(
+        env.DEVSECOPS_DOCS_ROOTS.split(path.delimiter).filter(Boolean)
+      ),
+    }
+  }
+
+  return { source: 'repository default', roots: repositoryRoots() }
+}
+
+/**
+ * Categories a search can be filtered by under this config
+ */
+export function configuredCategories(config: DocsConfig): string[] {
+  const categories = new Set<string>()
+  config.roots.forEach((root) => {
+    categories.add(root.category)
+    root.categories.forEach(({ category }) => categories.add(category))
+  })
+  return Array.from(categories)
+}
@@ -0,0 +1,198 @@
+/**
+ * Pluggable text embedding providers
+ *
+ * - hashing: deterministic feature-hashing vectors, fully offline (default)
+ * - ollama: a local embedding model served by Ollama (/api/embed)
+ * - openai: any OpenAI-compatible /embeddings endpoint, including local
+ *   servers such as llama.cpp
+ *
+ * Configured with EMBEDDING_PROVIDER, EMBEDDING_MODEL and EMBEDDING_BASE_URL.
+ */
+
+import { tokenize } from './search-index.js'
+
+export interface EmbeddingProvider {
+  name: string
+  embed(texts: string[]): Promise<number[][]>
+}
+
+const DEFAULT_HASHING_DIMENSIONS = 512
+const EMBEDDING_BATCH_SIZE = 32
+
+function normalize(vector: number[]): number[] {
+  const length = Math.sqrt(
+    vector.reduce((sum, value) => sum + value * value, 0)
+  )
+  return length > 0 ? vector.map((value) => value / length) : vector
+}
+
+/**
+ * Cosine similarity; vectors from every provider here are unit length, so
+ * this is a plain dot product
+ */
+export function cosineSimilarity(a: number[], b: number[]): number {
+  let dot = 0
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i]
+  }
+  return dot
+}
+
+// 32-bit FNV-1a
+function hash(text: string): number {
+  let h = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i)
+    h = Math.imul(h, 0x01000193)
+  }
+  return h >>> 0
+}
+
+/**
+ * Offline fallback: hashes stemmed words and word pairs into a fixed-size
+ * signed vector. It captures vocabulary overlap rather than meaning, but
+ * needs no model and gives stable results across restarts.
+ */
+export class HashingEmbeddingProvider implements EmbeddingProvider {
+  name = 'hashing'
+
+  constructor(private dimensions = DEFAULT_HASHING_DIMENSIONS) {}
+
+  async embed(texts: string[]): Promise<number[][]> {
+    return texts.map((text) => this.embedOne(text))
+  }
+
+  private embedOne(text: string): number[] {
+    const vector = new Array<number>(this.dimensions).fill(0)
+    const terms = tokenize(text).map((token) => token.term)
+    const features = [
+      ...terms,
+      ...terms.slice(1).map((term, i) => `${terms[i]} ${term}`),
+    ]
+
+    for (const feature of features) {
+      const h = hash(feature)
+      // The top bit picks the sign so collisions tend to cancel out
+      const sign = h & 0x80000000 ? -1 : 1
+      vector[h % this.dimensions] += sign
+    }
+
+    // Dampen repeated features the way tf-idf would
+    return normalize(
+      vector.map((value) => Math.sign(value) * Math.log1p(Math.abs(value)))
+    )
+  }
+}
+
+async function postJson(url: string, body: unknown, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  })
+  if (!response.ok) {
+    throw new Error(
+      `Embedding request to ${url} failed: ${response.status} ${await response.text()}`
+    )
+  }
+  return response.json()
+}
+
+export class OllamaEmbeddingProvider implements EmbeddingProvider {
+  name = 'ollama'
+
+  constructor(
+    private model = 'nomic-embed-text',
+    private baseUrl = 'http://localhost:11434'
+  ) {}
+
+  async embed(texts: string[]): Promise<number[][]> {
+    const result = (await postJson(`${this.baseUrl}/api/embed`, {
+      model: this.model,
+      input: texts,
+    })) as { embeddings: number[][] }
+    return result.embeddings.map(normalize)
+  }
+}
+
+export class OpenAICompatibleEmbeddingProvider implements EmbeddingProvider {
+  name = 'openai'
+
+  constructor(
+    private model = 'text-embedding-3-small',
+    private baseUrl = 'https://api.openai.com/v1',
+    private apiKey?: string
+  ) {}
+
+  async embed(texts: string[]): Promise<number[][]> {
+    const result = (await postJson(
+      `${this.baseUrl}/embeddings`,
+      { model: this.model, input: texts },
+      this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    )) as { data: Array<{ index: number; embedding: number[] }> }
+    return result.data
+      .sort((a, b) => a.index - b.index)
+      .map((item) => normalize(item.embedding))
+  }
+}
+
+/**
+ * Embed texts in batches so large documents don't exceed request limits
+ */
+export async function embedAll(
+  provider: EmbeddingProvider,
+  texts: string[]
+): Promise<number[][]> {
+  const vectors: number[][] = []
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    vectors.push(
+      ...(await provider.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE)))
+    )
+  }
+  return vectors
+}
+
+function configuredProvider(): EmbeddingProvider {
+  const model = process.env.EMBEDDING_MODEL
+  const baseUrl = process.env.EMBEDDING_BASE_URL
+
+  switch (process.env.EMBEDDING_PROVIDER || 'hashing') {
+    case 'ollama':
+      return new OllamaEmbeddingProvider(model, baseUrl)
+    case 'openai':
+      return new OpenAICompatibleEmbeddingProvider(
+        model,
+        baseUrl,
+        process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY
+      )
+    case 'hashing':
+      return new HashingEmbeddingProvider()
+    default:
+      throw new Error(
+        `Unknown EMBEDDING_PROVIDER: ${process.env.EMBEDDING_PROVIDER}`
+      )
+  }
+}
+
+/**
+ * Create the configured provider, falling back to hashing when it can't be
+ * reached. All vectors in an index must come from one provider, so this is
+ * decided once up front rather than per request.
+ */
+export async function createEmbeddingProvider(): Promise<EmbeddingProvider> {
+  const provider = configuredProvider()
+  if (provider instanceof HashingEmbeddingProvider) {
+    return provider
+  }
+
+  try {
+    await provider.embed(['probe'])
+    return provider
+  } catch (error) {
+    console.error(
+      `Embedding provider ${provider.name} unavailable, using hashing fallback:`,
+      error instanceof Error ? error.message : error
+    )
+    return new HashingEmbeddingProvider()
+  }
+}
@@ -0,0 +1,205 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import {
+  calculateErrorBudget,
+  formatErrorBudgetReport,
+  SeriesPoint,
+} from './error-budget.js'
+
+const NOW = Date.parse('2026-03-02T00:00:00Z')
+const HOUR_MS = 3600 * 1000
+
+// Hourly points for the last `hours` hours, all good except the last one
+function hourlySeries(hours: number, lastBad: number): SeriesPoint[] {
+  return Array.from({ length: hours }, (_, index) => {
+    const isLast = index === hours - 1
+    return {
+      timestamp: new Date(NOW - (hours - 1 - index) * HOUR_MS).toISOString(),
+      good: isLast ? 1000 - lastBad : 1000,
+      total: 1000,
+    }
+  })
+}
+
+const SLO_YAML = `slos:
+  - name: checkout_availability
+    target: { value: 99.9, unit: percentage }
+    time_window: { duration: 30d }
+    error_budget:
+      actions:
+        - { type: notify, threshold: 25 }
+        - { type: freeze, threshold: 75 }
+  - name: checkout_latency
+    target: { value: 300, unit: milliseconds }
+`
+
+test('counts part-way through the window are scaled to the whole window', () => {
+  const report = calculateErrorBudget({
+    target: 99.9,
+    window: '30d',
+    good: 999_000,
+    total: 1_000_000,
+    elapsed: '15d',
+    now: NOW,
+  })
+
+  assert.equal(report.errorBudget, 0.001)
+  assert.deepEqual(report.coverage, {
+    from: '2026-02-15T00:00:00.000Z',
+    hours: 360,
+  })
+  assert.deepEqual(report.budget, {
+    allowedBadEvents: 2000,
+    consumedPercent: 50,
+    remainingPercent: 50,
+    exhausted: false,
+  })
+  assert.deepEqual(report.burnRates, [
+    {
+      window: '15d',
+      good: 999_000,
+      total: 1_000_000,
+      burnRate: 1,
+      complete: true,
+    },
+  ])
+  assert.deepEqual(report.alerts, [])
+  assert.deepEqual(report.projection, {
+    basis: '15d',
+    burnRate: 1,
+    hoursToExhaustion: 360,
+    exhaustsAt: '2026-03-17T00:00:00.000Z',
+  })
+})
+
+test('a series gives short-window burn rates and multi-window alerts', () => {
+  const report = calculateErrorBudget({
+    target: 99.9,
+    window: '30d',
+    series: hourlySeries(48, 100),
+  })
+
+  assert.equal(report.now, new Date(NOW).toISOString())
+  assert.equal(report.coverage.hours, 48)
+  assert.deepEqual(report.events, {
+    good: 47_900,
+    total: 48_000,
+    bad: 100,
+    sli: 99.7917,
+  })
+
+  const rates = Object.fromEntries(
+    report.burnRates.map(({ window, burnRate, complete }) => [
+      window,
+      [burnRate, complete],
+    ])
+  )
+  assert.deepEqual(rates['1h'], [100, true])
+  assert.deepEqual(rates['1d'], [4.1667, true])
+  assert.deepEqual(rates['3d'], [2.0833, false])
+
+  assert.deepEqual(
+    report.alerts.map(
+      ({ long, short, firing }) => `${long}/${short} ${firing}`
+    ),
+    ['1h/5m true', '6h/30m true', '1d/2h true', '3d/6h true']
+  )
+  // The longest complete window is the steadiest basis
+  assert.equal(report.projection?.basis, '1d')
+})
+
+test('a quiet series does not fire and never exhausts the budget', () => {
+  const report = calculateErrorBudget({
+    target: 99.9,
+    window: '30d',
+    series: hourlySeries(24, 0),
+  })
+
+  assert.equal(report.budget.consumedPercent, 0)
+  assert.ok(report.alerts.every(({ firing }) => !firing))
+  assert.equal(report.projection?.hoursToExhaustion, null)
+  assert.match(
+    formatErrorBudgetReport(report),
+    /Projection: not burning budget at the 1d rate/
+  )
+})
+
+test('the SLO definition supplies target, window and budget actions', () => {
+  const report = calculateErrorBudget({
+    slo: SLO_YAML,
+    sloName: 'checkout_availability',
+    good: 999_500,
+    total: 1_000_000,
+    now: NOW,
+  })
+
+  assert.equal(report.slo, 'checkout_availability')
+  assert.equal(report.target, 99.9)
+  assert.equal(report.window, '30d')
+  assert.equal(report.budget.consumedPercent, 50)
+  assert.deepEqual(report.actions, [
+    { type: 'notify', threshold: 25, firing: true },
+    { type: 'freeze', threshold: 75, firing: false },
+  ])
+})
+
+test('unusable input is rejected with a reason', () => {
+  const counts = { good: 10, total: 10, now: NOW }
+
+  assert.throws(
+    () => calculateErrorBudget({ slo: SLO_YAML, ...counts }),
+    /The definition has 2 SLOs; choose one by name/
+  )
+  assert.throws(
+    () => calculateErrorBudget({ slo: SLO_YAML, sloName: 'search', ...counts }),
+    /No SLO named "search"/
+  )
+  assert.throws(
+    () =>
+      calculateErrorBudget({
+        slo: SLO_YAML,
+        sloName: 'checkout_latency',
+        ...counts,
+      }),
+    /has a milliseconds target/
+  )
+  assert.throws(
+    () => calculateErrorBudget({ target: 100, ...counts }),
+    /A percentage target above 0 and below 100 is required/
+  )
+  assert.throws(
+    () => calculateErrorBudget({ target: 99.9, good: 11, total: 10 }),
+    /counts needs numeric good and total counts/
+  )
+  assert.throws(
+    () => calculateErrorBudget({ target: 99.9, series: hourlySeries(1, 0) }),
+    /A series needs at least two points/
+  )
+  assert.throws(
+    () => calculateErrorBudget({ target: 99.9 }),
+    /Pass either good\/total counts or a series of counts/
+  )
+})
+
+test('the text report flags an exhausted budget and triggered actions', () => {
+  const text = formatErrorBudgetReport(
+    calculateErrorBudget({
+      slo: SLO_YAML,
+      sloName: 'checkout_availability',
+      good: 990,
+      total: 1000,
+      now: NOW,
+    })
+  )
+
+  assert.match(
+    text,
+    /^Error budget for checkout_availability: 99\.9% over 30d \(budget 0\.1% of events\)/
+  )
+  assert.match(
+    text,
+    /Consumed: 1000% of the budget, -900% remaining \(EXHAUSTED\)/
+  )
+  assert.match(text, /Projection: the budget is already exhausted/)
+  assert.match(text, /- freeze at 75%: TRIGGERED/)
+})
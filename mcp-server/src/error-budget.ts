@@ -0,0 +1,482 @@
+/**
+ * Error budget and burn-rate calculations for event-based SLOs
+ *
+ * The error budget is the share of events allowed to fail, 1 - target. A
+ * burn rate is how fast it is being spent: the observed bad-event ratio
+ * divided by the budget, so a burn rate of 1 spends exactly the whole budget
+ * over the SLO window.
+ *
+ * Input is either cumulative good/total counts for the part of the window
+ * elapsed so far, or a time series of per-interval counts. Only a series can
+ * give burn rates over the short and long alerting windows.
+ *
+ * Everything here is deterministic: the same input always gives the same
+ * report, with "now" taken from the input rather than the clock when a
+ * series is given.
+ */
+
+import { durationHours, parseSloDefinitions } from './slo-validation.js'
+
+export interface SeriesPoint {
+  /** End of the interval the counts cover (ISO string or epoch ms) */
+  timestamp: string | number
+  good: number
+  total: number
+}
+
+export interface ErrorBudgetInput {
+  /** Percentage target, e.g. 99.9; taken from the SLO when omitted */
+  target?: number
+  /** SLO window, e.g. "30d"; taken from the SLO when omitted */
+  window?: string
+  /** SLO definition (YAML/JSON text or object); supplies target, window and actions */
+  slo?: string | Record<string, any>
+  /** Which SLO to use when the definition holds several */
+  sloName?: string
+  good?: number
+  total?: number
+  /** How much of the window the good/total counts cover (default: all of it) */
+  elapsed?: string
+  series?: SeriesPoint[]
+  /** End of the measurement; defaults to the last series point, or the clock */
+  now?: string | number
+}
+
+export interface BurnRate {
+  window: string
+  good: number
+  total: number
+  burnRate: number | null
+  /** False when the data doesn't reach back the whole window */
+  complete: boolean
+}
+
+/**
+ * Multi-window, multi-burn-rate alert conditions (Google SRE workbook,
+ * tuned for a 30 day SLO): both windows must burn faster than the
+ * threshold, so the alert fires fast on big incidents and resets quickly.
+ */
+export const BURN_RATE_ALERTS = [
+  { long: '1h', short: '5m', burnRate: 14.4, severity: 'page' },
+  { long: '6h', short: '30m', burnRate: 6, severity: 'page' },
+  { long: '1d', short: '2h', burnRate: 3, severity: 'ticket' },
+  { long: '3d', short: '6h', burnRate: 1, severity: 'ticket' },
+]
+
+const STANDARD_WINDOWS = ['5m', '30m', '1h', '2h', '6h', '1d', '3d']
+const DEFAULT_WINDOW = '30d'
+const HOUR_MS = 3600 * 1000
+
+export interface ErrorBudgetReport {
+  slo: string | null
+  target: number
+  window: string
+  /** Allowed failure ratio, 1 - target */
+  errorBudget: number
+  now: string
+  coverage: { from: string; hours: number }
+  events: { good: number; total: number; bad: number; sli: number | null }
+  budget: {
+    allowedBadEvents: number
+    consumedPercent: number
+    remainingPercent: number
+    exhausted: boolean
+  }
+  burnRates: BurnRate[]
+  alerts: Array<{
+    long: string
+    short: string
+    threshold: number
+    severity: string
+    longBurnRate: number | null
+    shortBurnRate: number | null
+    firing: boolean
+  }>
+  projection: {
+    basis: string
+    burnRate: number
+    hoursToExhaustion: number | null
+    exhaustsAt: string | null
+  } | null
+  actions: Array<{ type: string; threshold: number; firing: boolean }>
+  sloAlerting: {
+    burnRateThreshold: number | null
+    consumptionRateThreshold: number | null
+    basis: string
+    burnRate: number | null
+    consumptionRatePerHour: number | null
+    firing: boolean
+  } | null
+}
+
+function round(value: number, digits = 4): number {
+  return Number(value.toFixed(digits))
+}
+
+function toTime(value: string | number, field: string): number {
+  const time = typeof value === 'number' ? value : Date.parse(value)
+  if (!Number.isFinite(time)) {
+    throw new Error(`${field} is not a valid timestamp: ${value}`)
+  }
+  return time
+}
+
+function checkCounts(good: unknown, total: unknown, field: string) {
+  if (
+    typeof good !== 'number' ||
+    typeof total !== 'number' ||
+    good < 0 ||
+    total < 0 ||
+    good > total
+  ) {
+    throw new Error(
+      `${field} needs numeric good and total counts with 0 <= good <= total`
+    )
+  }
+}
+
+function burnRateOf(good: number, total: number, budget: number) {
+  return total > 0 ? round((total - good) / total / budget) : null
+}
+
+function median(values: number[]): number {
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+function selectSlo(input: ErrorBudgetInput): Record<string, any> | null {
+  if (!input.slo) return null
+
+  const slos = parseSloDefinitions(input.slo)
+  if (input.sloName) {
+    const slo = slos.find((candidate) => candidate.name === input.sloName)
+    if (!slo) {
+      throw new Error(`No SLO named "${input.sloName}" in the definition`)
+    }
+    return slo
+  }
+  if (slos.length !== 1) {
+    throw new Error(
+      `The definition has ${slos.length} SLOs; choose one by name (${slos.map((slo) => slo.name).join(', ')})`
+    )
+  }
+  return slos[0]
+}
+
+/**
+ * Work out where an SLO stands against its error budget
+ */
+export function calculateErrorBudget(
+  input: ErrorBudgetInput
+): ErrorBudgetReport {
+  const slo = selectSlo(input)
+
+  let target = input.target
+  if (target === undefined && slo?.target) {
+    if (slo.target.unit !== 'percentage') {
+      throw new Error(
+        `SLO ${slo.name} has a ${slo.target.unit} target; pass the percentage of good events as "target"`
+      )
+    }
+    target = slo.target.value
+  }
+  if (typeof target !== 'number' || target <= 0 || target >= 100) {
+    throw new Error(
+      'A percentage target above 0 and below 100 is required, e.g. 99.9'
+    )
+  }
+
+  const window = input.window || slo?.time_window?.duration || DEFAULT_WINDOW
+  const windowHours = durationHours(window)
+  if (!windowHours) {
+    throw new Error(`Invalid window "${window}"; use e.g. 7d or 30d`)
+  }
+  const windowMs = windowHours * HOUR_MS
+  const errorBudget = round(1 - target / 100, 10)
+
+  let now: number
+  let coverageMs: number
+  let good = 0
+  let total = 0
+  // Counts within a trailing window, or null when the data can't tell
+  let countsWithin: (ms: number) => { good: number; total: number } | null
+
+  if (input.series && input.series.length > 0) {
+    if (input.series.length < 2) {
+      throw new Error(
+        'A series needs at least two points; pass good/total for a single count'
+      )
+    }
+    const points = input.series
+      .map((point, index) => {
+        checkCounts(point.good, point.total, `series[${index}]`)
+        return {
+          time: toTime(point.timestamp, `series[${index}].timestamp`),
+          good: point.good,
+          total: point.total,
+        }
+      })
+      .sort((a, b) => a.time - b.time)
+
+    now =
+      input.now !== undefined
+        ? toTime(input.now, 'now')
+        : points[points.length - 1].time
+    const step = median(
+      points.slice(1).map((point, index) => point.time - points[index].time)
+    )
+    const inWindow = points.filter(
+      (point) => point.time > now - windowMs && point.time <= now
+    )
+    if (inWindow.length === 0) {
+      throw new Error(`No series points fall within the ${window} window`)
+    }
+    // Each point counts the interval ending at its timestamp
+    coverageMs = Math.min(now - inWindow[0].time + step, windowMs)
+    inWindow.forEach((point) => {
+      good += point.good
+      total += point.total
+    })
+
+    countsWithin = (ms) => {
+      const recent = inWindow.filter((point) => point.time > now - ms)
+      if (recent.length === 0) return null
+      return recent.reduce(
+        (sum, point) => ({
+          good: sum.good + point.good,
+          total: sum.total + point.total,
+        }),
+        { good: 0, total: 0 }
+      )
+    }
+  } else if (input.good !== undefined || input.total !== undefined) {
+    checkCounts(input.good, input.total, 'counts')
+    good = input.good!
+    total = input.total!
+    now = input.now !== undefined ? toTime(input.now, 'now') : Date.now()
+
+    const elapsedHours = input.elapsed ? durationHours(input.elapsed) : null
+    if (input.elapsed && !elapsedHours) {
+      throw new Error(`Invalid elapsed "${input.elapsed}"; use e.g. 12d`)
+    }
+    coverageMs = Math.min((elapsedHours ?? windowHours) * HOUR_MS, windowMs)
+    countsWithin = () => null
+  } else {
+    throw new Error('Pass either good/total counts or a series of counts')
+  }
+
+  const bad = total - good
+  const coverageHours = coverageMs / HOUR_MS
+  // The whole window is expected to see events at the same rate as so far
+  const allowedBadEvents = errorBudget * total * (windowMs / coverageMs)
+  const consumedPercent =
+    allowedBadEvents > 0 ? round((bad / allowedBadEvents) * 100, 2) : 0
+  const remainingPercent = round(100 - consumedPercent, 2)
+
+  const overall: BurnRate = {
+    window: input.series ? 'observed' : input.elapsed || window,
+    good,
+    total,
+    burnRate: burnRateOf(good, total, errorBudget),
+    complete: true,
+  }
+  const burnRates: BurnRate[] = STANDARD_WINDOWS.filter(
+    (name) => durationHours(name)! < windowHours
+  ).flatMap((name) => {
+    const ms = durationHours(name)! * HOUR_MS
+    const counts = countsWithin(ms)
+    return counts
+      ? [
+          {
+            window: name,
+            good: counts.good,
+            total: counts.total,
+            burnRate: burnRateOf(counts.good, counts.total, errorBudget),
+            complete: coverageMs >= ms,
+          },
+        ]
+      : []
+  })
+  burnRates.push(overall)
+
+  const rateFor = (name: string) =>
+    burnRates.find((rate) => rate.window === name) || null
+  const alerts = input.series
+    ? BURN_RATE_ALERTS.map(({ long, short, burnRate, severity }) => {
+        const longRate = rateFor(long)?.burnRate ?? null
+        const shortRate = rateFor(short)?.burnRate ?? null
+        return {
+          long,
+          short,
+          threshold: burnRate,
+          severity,
+          longBurnRate: longRate,
+          shortBurnRate: shortRate,
+          firing:
+            longRate !== null &&
+            shortRate !== null &&
+            longRate > burnRate &&
+            shortRate > burnRate,
+        }
+      })
+    : []
+
+  // Project with the longest complete standard window: steadier than a
+  // short one, and closer to "now" than the whole window
+  const basis =
+    [...burnRates]
+      .reverse()
+      .find(
+        (rate) => rate !== overall && rate.complete && rate.burnRate !== null
+      ) || overall
+  let projection: ErrorBudgetReport['projection'] = null
+  if (basis.burnRate !== null) {
+    const exhausted = remainingPercent <= 0
+    const hoursToExhaustion = exhausted
+      ? 0
+      : basis.burnRate > 0
+        ? round(((remainingPercent / 100) * windowHours) / basis.burnRate, 2)
+        : null
+    projection = {
+      basis: basis.window,
+      burnRate: basis.burnRate,
+      hoursToExhaustion,
+      exhaustsAt:
+        hoursToExhaustion === null
+          ? null
+          : new Date(now + hoursToExhaustion * HOUR_MS).toISOString(),
+    }
+  }
+
+  const actions = (
+    Array.isArray(slo?.error_budget?.actions) ? slo!.error_budget.actions : []
+  )
+    .filter((action: any) => action && typeof action.threshold === 'number')
+    .map((action: any) => ({
+      type: String(action.type),
+      threshold: action.threshold,
+      firing: consumedPercent >= action.threshold,
+    }))
+
+  let sloAlerting: ErrorBudgetReport['sloAlerting'] = null
+  const burnRateThreshold = slo?.alerting?.burn_rate_threshold
+  const consumptionRateThreshold = slo?.error_budget?.consumption_rate_threshold
+  if (
+    typeof burnRateThreshold === 'number' ||
+    typeof consumptionRateThreshold === 'number'
+  ) {
+    const current = rateFor('1h') || overall
+    const consumptionRatePerHour =
+      current.burnRate === null
+        ? null
+        : round((current.burnRate * 100) / windowHours, 4)
+    sloAlerting = {
+      burnRateThreshold:
+        typeof burnRateThreshold === 'number' ? burnRateThreshold : null,
+      consumptionRateThreshold:
+        typeof consumptionRateThreshold === 'number'
+          ? consumptionRateThreshold
+          : null,
+      basis: current.window,
+      burnRate: current.burnRate,
+      consumptionRatePerHour,
+      firing:
+        (typeof burnRateThreshold === 'number' &&
+          current.burnRate !== null &&
+          current.burnRate > burnRateThreshold) ||
+        (typeof consumptionRateThreshold === 'number' &&
+          consumptionRatePerHour !== null &&
+          consumptionRatePerHour > consumptionRateThreshold),
+    }
+  }
+
+  return {
+    slo: slo?.name ?? null,
+    target,
+    window,
+    errorBudget,
+    now: new Date(now).toISOString(),
+    coverage: {
+      from: new Date(now - coverageMs).toISOString(),
+      hours: round(coverageHours, 2),
+    },
+    events: {
+      good,
+      total,
+      bad,
+      sli: total > 0 ? round((good / total) * 100) : null,
+    },
+    budget: {
+      allowedBadEvents: round(allowedBadEvents, 2),
+      consumedPercent,
+      remainingPercent,
+      exhausted: remainingPercent <= 0,
+    },
+    burnRates,
+    alerts,
+    projection,
+    actions,
+    sloAlerting,
+  }
+}
+
+/**
+ * Plain-text summary of a report, for tool output
+ */
+export function formatErrorBudgetReport(report: ErrorBudgetReport): string {
+  const lines = [
+    `Error budget for ${report.slo || 'SLO'}: ${report.target}% over ${report.window} (budget ${round(report.errorBudget * 100, 6)}% of events)`,
+    `SLI: ${report.events.sli ?? 'n/a'}% (${report.events.bad} bad of ${report.events.total} events, ${report.coverage.hours}h of data)`,
+    `Consumed: ${report.budget.consumedPercent}% of the budget, ${report.budget.remainingPercent}% remaining${report.budget.exhausted ? ' (EXHAUSTED)' : ''}`,
+    '',
+    'Burn rates:',
+    ...report.burnRates.map(
+      (rate) =>
+        `- ${rate.window}: ${rate.burnRate ?? 'n/a'}${rate.complete ? '' : ' (partial window)'}`
+    ),
+  ]
+
+  if (report.alerts.length > 0) {
+    lines.push(
+      '',
+      'Multi-window alerts:',
+      ...report.alerts.map(
+        (alert) =>
+          `- ${alert.severity} ${alert.long}/${alert.short} > ${alert.threshold}: ${alert.firing ? 'FIRING' : 'ok'} (${alert.longBurnRate ?? 'n/a'} / ${alert.shortBurnRate ?? 'n/a'})`
+      )
+    )
+  }
+
+  if (report.projection) {
+    const { basis, burnRate, hoursToExhaustion, exhaustsAt } = report.projection
+    lines.push(
+      '',
+      report.budget.exhausted
+        ? 'Projection: the budget is already exhausted'
+        : hoursToExhaustion === null
+          ? `Projection: not burning budget at the ${basis} rate`
+          : `Projection: at the ${basis} burn rate of ${burnRate}, the budget runs out in ${hoursToExhaustion}h (${exhaustsAt})`
+    )
+  }
+
+  if (report.sloAlerting) {
+    const alerting = report.sloAlerting
+    lines.push(
+      '',
+      `SLO alerting (${alerting.basis}): burn rate ${alerting.burnRate ?? 'n/a'}${alerting.burnRateThreshold !== null ? ` vs threshold ${alerting.burnRateThreshold}` : ''}, consumption ${alerting.consumptionRatePerHour ?? 'n/a'}%/h${alerting.consumptionRateThreshold !== null ? ` vs threshold ${alerting.consumptionRateThreshold}%/h` : ''}: ${alerting.firing ? 'FIRING' : 'ok'}`
+    )
+  }
+
+  if (report.actions.length > 0) {
+    lines.push(
+      '',
+      'Error budget actions:',
+      ...report.actions.map(
+        (action) =>
+          `- ${action.type} at ${action.threshold}%: ${action.firing ? 'TRIGGERED' : 'not triggered'}`
+      )
+    )
+  }
+
+  return lines.join('\n')
+}
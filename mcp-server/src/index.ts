@@ -20,14 +20,62 @@ import {
   ReadResourceRequestSchema,
   ListPromptsRequestSchema,
   GetPromptRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js'
 import * as fs from 'fs'
 import * as path from 'path'
+import { SearchIndex, SearchResult } from './search-index.js'
+import { createEmbeddingProvider } from './embeddings.js'
+import { HybridRetriever } from './retrieval.js'
+import {
+  DocRoot,
+  DocsConfig,
+  collectDocFiles,
+  configuredCategories,
+  isExcludedDirectory,
+  loadDocsConfig,
+  SkippedEntry,
+  resolveDocFile,
+} from './config.js'
+import { DocWatcher, PathChange } from './watcher.js'
+import {
+  DEFAULT_WORKSPACE,
+  KB_URI_SCHEME,
+  KbChanges,
+  KbKind,
+  KnowledgeBaseMirror,
+  knowledgeBasePath,
+  workspaceKnowledgeBasePath,
+} from './knowledge-base.js'
+import {
+  calculateErrorBudget,
+  formatErrorBudgetReport,
+  SeriesPoint,
+} from './error-budget.js'
+import { generateAlertRules } from './alert-rules.js'
+import {
+  AssessmentStore,
+  MATURITY_LEVELS,
+  formatGapReport,
+  formatQuestionnaire,
+  scoreAssessment,
+  workspaceAssessmentsPath,
+} from './maturity.js'
+import {
+  formatValidationReport,
+  validateSloDocument,
+} from './slo-validation.js'
+import {
+  RedactionReport,
+  Redactor,
+  formatRedactionReport,
+} from './redaction.js'
 
 /**
- * Path to the DevSecOps platform documentation
+ * Documentation roots (see config.ts), resolved in main()
  */
-const DOCS_BASE_PATH = '/Users/luciakennedy/Documents/devsecops-sme-platform'
+let docsConfig: DocsConfig
 
 /**
  * Interface for documentation content
@@ -36,7 +84,7 @@ interface DocContent {
   title: string
   content: string
   type: 'markdown' | 'json' | 'pdf' | 'text'
-  category: 'framework' | 'template' | 'knowledge' | 'docs'
+  category: string
   lastModified: Date
 }
 
@@ -46,96 +94,447 @@ interface DocContent {
 const docCache = new Map<string, DocContent>()
 
 /**
- * Load documentation files from the platform
+ * File each cached document was loaded from, by resource ID
  */
-async function loadDocumentation(): Promise<void> {
-  const contextPath = path.join(DOCS_BASE_PATH, 'context')
+const docSources = new Map<string, string>()
 
-  try {
-    await loadDirectoryRecursively(contextPath, 'context')
-
-    // Also load key files from the root
-    const rootFiles = [
-      'README.md',
-      'CONTEXT_GUIDE.md',
-      'AI_SETUP_GUIDE.md',
-      'CHATBOT_ALTERNATIVES.md',
-    ]
-    for (const file of rootFiles) {
-      const filePath = path.join(DOCS_BASE_PATH, file)
-      if (fs.existsSync(filePath)) {
-        await loadFile(filePath, file)
-      }
-    }
+/**
+ * Resource URIs clients have subscribed to with resources/subscribe
+ */
+const subscriptions = new Set<string>()
 
-    console.error(`Loaded ${docCache.size} documentation files`)
-  } catch (error) {
-    console.error('Error loading documentation:', error)
-  }
+/**
+ * Full-text index over docCache, kept in step with it by loadFile()
+ */
+const searchIndex = new SearchIndex<DocContent>()
+
+/**
+ * Chunk-level hybrid (keyword + embedding) retriever over docCache, created
+ * in main() once the embedding provider is known
+ */
+let retriever: HybridRetriever
+
+/**
+ * Uploaded documents and extracted records from the PDF platform's default
+ * workspace, served as devsecops-kb:/// resources (see knowledge-base.ts)
+ */
+let knowledgeBase: KnowledgeBaseMirror
+
+/**
+ * Other workspaces' knowledge bases, loaded the first time a request is for
+ * one (see knowledgeBaseFor)
+ */
+const workspaceKnowledgeBases = new Map<string, KnowledgeBaseMirror>()
+
+/**
+ * Secret and PII redaction applied to every file before it is cached,
+ * created in main() from the redaction config
+ */
+let redactor: Redactor
+
+/**
+ * Findings for every loaded or blocked file that had any, by resource ID
+ */
+const redactionReports = new Map<string, RedactionReport>()
+
+/**
+ * What happened to the files under one documentation root
+ */
+interface RootReport {
+  root: DocRoot
+  found: boolean
+  loaded: Map<string, number>
+  skipped: SkippedEntry[]
 }
 
+// Skipped files listed per root in the startup report
+const MAX_REPORTED_SKIPS = 10
+
 /**
- * Recursively load files from a directory
+ * Load documentation files from every configured root
  */
-async function loadDirectoryRecursively(
-  dirPath: string,
-  prefix: string
-): Promise<void> {
-  if (!fs.existsSync(dirPath)) {
-    return
+async function loadDocumentation(): Promise<void> {
+  const reports: RootReport[] = []
+  for (const root of docsConfig.roots) {
+    reports.push(await loadRoot(root))
+  }
+  console.error(formatStartupReport(reports))
+}
+
+async function loadRoot(root: DocRoot): Promise<RootReport> {
+  const report: RootReport = {
+    root,
+    found: fs.existsSync(root.path),
+    loaded: new Map(),
+    skipped: [],
+  }
+  if (!report.found) {
+    return report
+  }
+
+  const { files, skipped } = collectDocFiles(root)
+  report.skipped.push(...skipped)
+
+  for (const file of files) {
+    const relativePath = path.relative(root.path, file.path)
+    if (docCache.has(file.resourceId)) {
+      report.skipped.push({
+        path: relativePath,
+        reason: `duplicate of ${file.resourceId}`,
+      })
+    } else {
+      const outcome = await loadFile(file.path, file.resourceId, file.category)
+      if (outcome === 'loaded') {
+        report.loaded.set(
+          file.category,
+          (report.loaded.get(file.category) || 0) + 1
+        )
+      } else {
+        report.skipped.push({
+          path: relativePath,
+          reason: outcome === 'blocked' ? 'blocked by redaction' : 'read error',
+        })
+      }
+    }
   }
+  return report
+}
 
-  const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+function plural(count: number, singular: string, pluralForm = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : pluralForm}`
+}
 
-  for (const entry of entries) {
-    const fullPath = path.join(dirPath, entry.name)
-    const resourceId = `${prefix}/${entry.name}`
+function formatStartupReport(reports: RootReport[]): string {
+  const lines = [`Documentation roots (${docsConfig.source}):`]
 
-    if (entry.isDirectory()) {
-      await loadDirectoryRecursively(fullPath, resourceId)
-    } else if (entry.isFile() && isTextFile(entry.name)) {
-      await loadFile(fullPath, resourceId)
+  for (const { root, found, loaded, skipped } of reports) {
+    lines.push(`  ${root.path}${root.prefix ? ` as ${root.prefix}/` : ''}`)
+    if (!found) {
+      lines.push('    not found, nothing loaded')
+      continue
     }
+
+    const total = Array.from(loaded.values()).reduce((a, b) => a + b, 0)
+    const byCategory = Array.from(loaded.entries())
+      .map(([category, count]) => `${category} ${count}`)
+      .join(', ')
+    lines.push(
+      `    loaded ${plural(total, 'file')}${total ? ` (${byCategory})` : ''}`
+    )
+
+    if (skipped.length > 0) {
+      const reasons = new Map<string, number>()
+      skipped.forEach(({ reason }) =>
+        reasons.set(reason, (reasons.get(reason) || 0) + 1)
+      )
+      lines.push(
+        `    skipped ${plural(skipped.length, 'entry', 'entries')} (${Array.from(
+          reasons.entries()
+        )
+          .map(([reason, count]) => `${count} ${reason}`)
+          .join(', ')})`
+      )
+      skipped.slice(0, MAX_REPORTED_SKIPS).forEach((skip) => {
+        lines.push(`      - ${skip.path}: ${skip.reason}`)
+      })
+      if (skipped.length > MAX_REPORTED_SKIPS) {
+        lines.push(`      ... and ${skipped.length - MAX_REPORTED_SKIPS} more`)
+      }
+    }
+  }
+
+  lines.push(
+    `Loaded ${docCache.size} documentation files (${retriever.size} chunks, ${retriever.providerName} embeddings)`
+  )
+
+  const findings = Array.from(redactionReports.values())
+  if (findings.length > 0) {
+    const total = findings.reduce((sum, r) => sum + r.findings.length, 0)
+    lines.push(
+      `Redaction (${redactor.mode}): ${plural(total, 'sensitive value')} in ${plural(findings.length, 'file')}; see get_redaction_report`
+    )
   }
+  return lines.join('\n')
 }
 
 /**
- * Load a single file into the cache
+ * Read a file and redact it, recording the findings under its resource ID
+ */
+function readRedacted(filePath: string, resourceId: string) {
+  const { content, report } = redactor.redact(
+    fs.readFileSync(filePath, 'utf-8'),
+    resourceId
+  )
+  if (report.findings.length > 0) {
+    redactionReports.set(resourceId, report)
+  } else {
+    redactionReports.delete(resourceId)
+  }
+  return { content, blocked: report.blocked }
+}
+
+type LoadOutcome = 'loaded' | 'blocked' | 'error'
+
+/**
+ * Load a single file into the cache, unless redaction blocks it
  */
-async function loadFile(filePath: string, resourceId: string): Promise<void> {
+async function loadFile(
+  filePath: string,
+  resourceId: string,
+  category: string
+): Promise<LoadOutcome> {
   try {
-    const content = fs.readFileSync(filePath, 'utf-8')
+    const { content, blocked } = readRedacted(filePath, resourceId)
+    if (blocked) {
+      console.error(formatRedactionReport(redactionReports.get(resourceId)!))
+      return 'blocked'
+    }
     const stats = fs.statSync(filePath)
     const fileType = getFileType(path.extname(filePath))
-    const category = getCategory(resourceId)
 
-    docCache.set(resourceId, {
+    const doc: DocContent = {
       title: path.basename(filePath),
       content,
       type: fileType,
       category,
       lastModified: stats.mtime,
-    })
+    }
+
+    docCache.set(resourceId, doc)
+    docSources.set(resourceId, filePath)
+    searchIndex.add(resourceId, { title: doc.title, text: content, data: doc })
+    await retriever.addDocument(resourceId, doc)
+    return 'loaded'
   } catch (error) {
     console.error(`Error loading file ${filePath}:`, error)
+    return 'error'
+  }
+}
+
+/**
+ * Drop a document from the cache and both indexes
+ */
+function unloadFile(resourceId: string): void {
+  docCache.delete(resourceId)
+  docSources.delete(resourceId)
+  redactionReports.delete(resourceId)
+  searchIndex.remove(resourceId)
+  retriever.removeDocument(resourceId)
+}
+
+/**
+ * Resource IDs touched by one batch of file changes
+ */
+interface SyncResult {
+  added: string[]
+  updated: string[]
+  removed: string[]
+}
+
+/**
+ * Bring the cache in line with a changed file or directory
+ */
+async function syncPath(
+  { root, path: changedPath }: PathChange,
+  result: SyncResult
+): Promise<void> {
+  // Whatever was loaded from this path, or below it, and is gone now
+  for (const [resourceId, source] of Array.from(docSources.entries())) {
+    if (
+      (source === changedPath || source.startsWith(changedPath + path.sep)) &&
+      !fs.existsSync(source)
+    ) {
+      unloadFile(resourceId)
+      result.removed.push(resourceId)
+    }
+  }
+
+  let stats: fs.Stats
+  try {
+    stats = fs.statSync(changedPath)
+  } catch {
+    return
+  }
+
+  if (stats.isFile()) {
+    await syncFile(root, changedPath, result)
+  } else if (
+    stats.isDirectory() &&
+    !isExcludedDirectory(root, path.relative(root.path, changedPath))
+  ) {
+    // A directory created or moved into the root brings its files with it
+    for (const file of collectDocFiles(root, changedPath).files) {
+      await syncFile(root, file.path, result)
+    }
+  }
+}
+
+async function syncFile(
+  root: DocRoot,
+  filePath: string,
+  result: SyncResult
+): Promise<void> {
+  const decision = resolveDocFile(root, path.relative(root.path, filePath))
+  if (!decision.included) return
+
+  const { resourceId, category } = decision
+  const source = docSources.get(resourceId)
+  // Another root already serves this resource ID
+  if (source && source !== filePath) return
+
+  const existing = docCache.get(resourceId)
+  if (existing) {
+    let current: { content: string; blocked: boolean }
+    try {
+      current = readRedacted(filePath, resourceId)
+    } catch {
+      return
+    }
+    // Saves that leave the content as it was (touch, editor swap files)
+    if (
+      !current.blocked &&
+      current.content === existing.content &&
+      category === existing.category
+    ) {
+      return
+    }
+  }
+
+  const outcome = await loadFile(filePath, resourceId, category)
+  if (outcome === 'blocked' && existing) {
+    // The new version may not be served, and the old one is out of date
+    unloadFile(resourceId)
+    result.removed.push(resourceId)
+    return
+  }
+  if (outcome !== 'loaded') return
+  if (existing) {
+    result.updated.push(resourceId)
+  } else {
+    result.added.push(resourceId)
   }
 }
 
 /**
- * Check if a file is a text file we can process
- */
-function isTextFile(filename: string): boolean {
-  const textExtensions = [
-    '.md',
-    '.txt',
-    '.json',
-    '.yaml',
-    '.yml',
-    '.js',
-    '.py',
-    '.sh',
-  ]
-  return textExtensions.some((ext) => filename.toLowerCase().endsWith(ext))
+ * Apply a batch of watcher changes and tell clients what changed
+ */
+async function applyChanges(changes: PathChange[]): Promise<void> {
+  const result: SyncResult = { added: [], updated: [], removed: [] }
+  for (const change of changes) {
+    await syncPath(change, result)
+  }
+
+  const { added, updated, removed } = result
+  if (added.length + updated.length + removed.length === 0) return
+
+  console.error(
+    `Documentation reloaded: ${added.length} added, ${updated.length} changed, ${removed.length} removed (${docCache.size} files)`
+  )
+
+  const toUri = (resourceId: string) => `devsecops:///${resourceId}`
+  await notifyResourceChanges({
+    added: added.map(toUri),
+    updated: updated.map(toUri),
+    removed: removed.map(toUri),
+  })
+}
+
+/**
+ * Send list_changed when resources come or go, and resources/updated to
+ * subscribers of each changed or removed resource
+ */
+async function notifyResourceChanges({
+  added,
+  updated,
+  removed,
+}: KbChanges): Promise<void> {
+  if (added.length > 0 || removed.length > 0) {
+    await server.sendResourceListChanged()
+  }
+  for (const uri of [...updated, ...removed]) {
+    if (subscriptions.has(uri)) {
+      await server.sendResourceUpdated({ uri })
+    }
+  }
+}
+
+// Batches are applied one at a time so a slow embedding call for one batch
+// can't interleave with the next
+let pendingChanges = Promise.resolve()
+
+function queueChanges(changes: PathChange[]): void {
+  pendingChanges = pendingChanges
+    .then(() => applyChanges(changes))
+    .catch((error) => console.error('Error reloading documentation:', error))
+}
+
+/**
+ * Watch every root for changes, unless DEVSECOPS_DOCS_WATCH=false
+ */
+function watchDocumentation(): void {
+  if (process.env.DEVSECOPS_DOCS_WATCH === 'false') {
+    console.error('Documentation watching disabled (DEVSECOPS_DOCS_WATCH)')
+    return
+  }
+
+  const watcher = new DocWatcher(queueChanges)
+  docsConfig.roots.forEach((root) => watcher.watchRoot(root))
+  console.error(
+    `Watching ${plural(watcher.directoryCount, 'directory', 'directories')} for documentation changes`
+  )
+
+  knowledgeBase.watch((changes) => {
+    console.error(
+      `Knowledge base reloaded: ${changes.added.length} added, ${changes.updated.length} changed, ${changes.removed.length} removed (${knowledgeBase.size} resources)`
+    )
+    notifyResourceChanges(changes).catch((error) =>
+      console.error('Error sending resource notifications:', error)
+    )
+  })
+}
+
+/**
+ * The workspace a request is for. The chat server passes its signed-in
+ * user's as _meta.workspace; clients that pass none get the default
+ * workspace.
+ */
+function workspaceOf(params?: { _meta?: { [key: string]: unknown } }): string {
+  const workspace = params?._meta?.workspace
+  return typeof workspace === 'string' ? workspace : DEFAULT_WORKSPACE
+}
+
+/**
+ * A workspace's knowledge base, kept up to date like the default one
+ */
+function knowledgeBaseFor(workspace: string): KnowledgeBaseMirror {
+  if (workspace === DEFAULT_WORKSPACE) {
+    return knowledgeBase
+  }
+
+  const loaded = workspaceKnowledgeBases.get(workspace)
+  if (loaded) {
+    return loaded
+  }
+
+  const mirror = new KnowledgeBaseMirror(workspaceKnowledgeBasePath(workspace))
+  mirror.load()
+  if (process.env.DEVSECOPS_DOCS_WATCH !== 'false') {
+    mirror.watch((changes) =>
+      console.error(
+        `Knowledge base ${workspace} reloaded: ${changes.added.length} added, ${changes.updated.length} changed, ${changes.removed.length} removed (${mirror.size} resources)`
+      )
+    )
+  }
+  workspaceKnowledgeBases.set(workspace, mirror)
+  return mirror
+}
+
+/**
+ * Teams' maturity self-assessments in a workspace, shared with the PDF
+ * platform
+ */
+function assessmentsFor(workspace: string): AssessmentStore {
+  return new AssessmentStore(workspaceAssessmentsPath(workspace))
 }
 
 /**
@@ -155,80 +554,65 @@ function getFileType(extension: string): DocContent['type'] {
 }
 
 /**
- * Categorize content based on path
- */
-function getCategory(resourceId: string): DocContent['category'] {
-  if (resourceId.includes('template')) return 'template'
-  if (resourceId.includes('knowledge-base')) return 'knowledge'
-  if (resourceId.includes('docs')) return 'docs'
-  return 'framework'
-}
-
-/**
- * Search documentation content
+ * Search documentation content, ranked by BM25 relevance
  */
 function searchDocumentation(
   query: string,
-  category?: string
-): Array<{ id: string; doc: DocContent; relevance: number }> {
-  const results: Array<{ id: string; doc: DocContent; relevance: number }> = []
-  const queryLower = query.toLowerCase()
-
-  for (const [id, doc] of docCache.entries()) {
-    if (category && doc.category !== category) continue
-
-    let relevance = 0
-    const titleLower = doc.title.toLowerCase()
-    const contentLower = doc.content.toLowerCase()
-
-    // Title matches are highly relevant
-    if (titleLower.includes(queryLower)) relevance += 10
-
-    // Content matches
-    const contentMatches = (
-      contentLower.match(new RegExp(queryLower, 'g')) || []
-    ).length
-    relevance += contentMatches
-
-    // Boost relevance for key terms
-    const keyTerms = [
-      'cuj',
-      'sli',
-      'slo',
-      'observability',
-      'devsecops',
-      'monitoring',
-    ]
-    for (const term of keyTerms) {
-      if (queryLower.includes(term) && contentLower.includes(term)) {
-        relevance += 5
-      }
-    }
-
-    if (relevance > 0) {
-      results.push({ id, doc, relevance })
-    }
-  }
+  category?: string,
+  limit?: number
+): SearchResult<DocContent>[] {
+  return searchIndex.search(query, {
+    limit,
+    filter: category ? (doc) => doc.category === category : undefined,
+  })
+}
 
-  return results.sort((a, b) => b.relevance - a.relevance)
+// Knowledge base SLIs/SLOs listed with get_sli_slo_guidance
+const MAX_KB_GUIDANCE_RECORDS = 5
+
+function describeRecord(record: Record<string, any>): string {
+  const target = record.target
+    ? ` (${[record.target.comparison, record.target.value, record.target.unit]
+        .filter((part) => part !== null && part !== undefined)
+        .join(
+          ' '
+        )}${record.time_window ? ` over ${record.time_window.duration}` : ''})`
+    : ''
+  return `${record.name || record.description || record.text}${target}`
 }
 
 /**
- * Extract relevant snippets from content
+ * SLIs/SLOs from the uploaded knowledge base, most relevant to the use case
+ * first when one is given
  */
-function extractSnippets(
-  content: string,
-  query: string,
-  maxSnippets: number = 3
-): string[] {
-  const sentences = content.split(/[.!?]+/)
-  const queryLower = query.toLowerCase()
-
-  return sentences
-    .filter((sentence) => sentence.toLowerCase().includes(queryLower))
-    .slice(0, maxSnippets)
-    .map((sentence) => sentence.trim())
-    .filter((sentence) => sentence.length > 0)
+function knowledgeBaseGuidance(
+  mirror: KnowledgeBaseMirror,
+  type: string,
+  useCase: string
+): string {
+  const kinds: KbKind[] =
+    type === 'sli' ? ['slis'] : type === 'slo' ? ['slos'] : ['slis', 'slos']
+  const resources = useCase
+    ? mirror
+        .search(useCase, { kinds, limit: MAX_KB_GUIDANCE_RECORDS })
+        .map(({ data }) => data)
+    : kinds.flatMap((kind) =>
+        mirror.records(kind).slice(0, MAX_KB_GUIDANCE_RECORDS)
+      )
+
+  if (resources.length === 0) {
+    return ''
+  }
+  return (
+    '\n**From your knowledge base:**\n' +
+    resources
+      .map(
+        (resource) =>
+          `- ${resource.kind === 'slis' ? 'SLI' : 'SLO'} ${describeRecord(resource.record || {})} (${resource.uri})`
+      )
+      .join('\n') +
+    '\n'
+  )
 }
 
 /**
@@ -241,7 +625,7 @@ const server = new Server(
   },
   {
     capabilities: {
-      resources: {},
+      resources: { subscribe: true, listChanged: true },
       tools: {},
       prompts: {},
     },
@@ -251,7 +635,7 @@ const server = new Server(
 /**
  * Handler for listing available documentation resources
  */
-server.setRequestHandler(ListResourcesRequestSchema, async () => {
+server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
   const resources = Array.from(docCache.entries()).map(([id, doc]) => ({
     uri: `devsecops:///${id}`,
     mimeType: doc.type === 'markdown' ? 'text/markdown' : 'text/plain',
@@ -259,6 +643,12 @@ server.setRequestHandler(ListResourcesRequestSchema, async () => {
     description: `${doc.category}: ${doc.title} (${doc.type})`,
   }))
 
+  knowledgeBaseFor(workspaceOf(request.params))
+    .list()
+    .forEach(({ uri, mimeType, name, description }) => {
+      resources.push({ uri, mimeType, name, description })
+    })
+
   return { resources }
 })
 
@@ -267,6 +657,25 @@ server.setRequestHandler(ListResourcesRequestSchema, async () => {
  */
 server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   const url = new URL(request.params.uri)
+
+  if (url.protocol === `${KB_URI_SCHEME}:`) {
+    const resource = knowledgeBaseFor(workspaceOf(request.params)).read(
+      request.params.uri
+    )
+    if (!resource) {
+      throw new Error(`Knowledge base resource ${request.params.uri} not found`)
+    }
+    return {
+      contents: [
+        {
+          uri: resource.uri,
+          mimeType: resource.mimeType,
+          text: resource.text,
+        },
+      ],
+    }
+  }
+
   const id = url.pathname.replace(/^\//, '')
   const doc = docCache.get(id)
 
@@ -285,6 +694,20 @@ server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   }
 })
 
+/**
+ * Handlers for resource subscriptions; subscribers get
+ * notifications/resources/updated when the file behind a resource changes
+ */
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  subscriptions.add(request.params.uri)
+  return {}
+})
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  subscriptions.delete(request.params.uri)
+  return {}
+})
+
 /**
  * Handler for listing available tools
  */
@@ -293,7 +716,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
     tools: [
       {
         name: 'search_docs',
-        description: 'Search DevSecOps documentation for specific topics',
+        description:
+          'Search DevSecOps documentation, uploaded documents and extracted CUJs/SLIs/SLOs for specific topics',
         inputSchema: {
           type: 'object',
           properties: {
@@ -303,8 +727,15 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             category: {
               type: 'string',
-              enum: ['framework', 'template', 'knowledge', 'docs'],
-              description: 'Optional: Filter by document category',
+              enum: configuredCategories(docsConfig),
+              description:
+                'Optional: Filter documentation by category (leaves out knowledge base results)',
+            },
+            source: {
+              type: 'string',
+              enum: ['all', 'docs', 'knowledge_base'],
+              description:
+                "Optional: Search the documentation, the uploaded knowledge base, or both (default: 'all')",
             },
             max_results: {
               type: 'number',
@@ -316,6 +747,32 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ['query'],
         },
       },
+      {
+        name: 'retrieve_context',
+        description:
+          'Retrieve the documentation passages most relevant to a question (hybrid keyword and semantic search). Returns JSON chunks with their resource IDs and character offsets.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: 'Question or topic to find supporting passages for',
+            },
+            top_k: {
+              type: 'number',
+              description: 'Number of chunks to return (default: 5)',
+              minimum: 1,
+              maximum: 20,
+            },
+            category: {
+              type: 'string',
+              enum: configuredCategories(docsConfig),
+              description: 'Optional: Filter by document category',
+            },
+          },
+          required: ['query'],
+        },
+      },
       {
         name: 'get_cuj_guidance',
         description: 'Get specific guidance on Critical User Journeys',
@@ -350,9 +807,121 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ['type'],
         },
       },
+      {
+        name: 'validate_slo',
+        description:
+          'Validate SLO definitions (YAML or JSON shaped like the slo-template) against the template schema and check targets, burn rates and error budget actions. Reports each problem with its path, e.g. slos[0].target.comparison.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            content: {
+              type: 'string',
+              description:
+                'The SLO document: a slos list as in slo-template.yaml, or a single SLO',
+            },
+            format: {
+              type: 'string',
+              enum: ['yaml', 'json'],
+              description:
+                'Optional: Parse as JSON only (default: yaml, which accepts JSON too)',
+            },
+          },
+          required: ['content'],
+        },
+      },
+      {
+        name: 'calculate_error_budget',
+        description:
+          'Calculate the remaining error budget, consumption, burn rates over standard alerting windows (5m to 3d), projected exhaustion time and which error_budget actions would fire. Give a percentage target and window (or an SLO definition) plus either good/total counts or a time series of counts.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            target: {
+              type: 'number',
+              description:
+                'SLO target as a percentage of good events, e.g. 99.9 (optional when slo is given)',
+            },
+            window: {
+              type: 'string',
+              description:
+                "SLO window, e.g. '30d' (default: the SLO's, or 30d)",
+            },
+            slo: {
+              type: 'string',
+              description:
+                'Optional: SLO definition as YAML/JSON (slo-template format); supplies target, window, alerting and error_budget actions',
+            },
+            slo_name: {
+              type: 'string',
+              description: 'Which SLO to use when the definition has several',
+            },
+            good: {
+              type: 'number',
+              description: 'Good events so far in the window',
+            },
+            total: {
+              type: 'number',
+              description: 'Total events so far in the window',
+            },
+            elapsed: {
+              type: 'string',
+              description:
+                "How much of the window good/total cover, e.g. '12d' (default: the whole window)",
+            },
+            series: {
+              type: 'array',
+              description:
+                'Per-interval counts, oldest first; each point counts the interval ending at its timestamp',
+              items: {
+                type: 'object',
+                properties: {
+                  timestamp: { type: 'string' },
+                  good: { type: 'number' },
+                  total: { type: 'number' },
+                },
+                required: ['timestamp', 'good', 'total'],
+              },
+            },
+            now: {
+              type: 'string',
+              description:
+                'Optional: End of the measurement (default: the last series point, or the current time)',
+            },
+          },
+        },
+      },
+      {
+        name: 'generate_alert_rules',
+        description:
+          'Generate a Prometheus rules file from SLO definitions (slo-template format): recording rules for the SLI over each alerting window and multi-window, multi-burn-rate alerts. alerting.severity and notification_channels become alert labels. Definitions must pass validate_slo.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            content: {
+              type: 'string',
+              description:
+                'The SLO document: a slos list as in slo-template.yaml, or a single SLO',
+            },
+            format: {
+              type: 'string',
+              enum: ['yaml', 'json'],
+              description:
+                'Optional: Parse as JSON only (default: yaml, which accepts JSON too)',
+            },
+            slo_names: {
+              type: 'array',
+              items: { type: 'string' },
+              description:
+                'Optional: Only generate rules for these SLOs (default: all)',
+            },
+          },
+          required: ['content'],
+        },
+      },
       {
         name: 'get_observability_maturity',
-        description: 'Get information about CBA observability maturity levels',
+        description:
+          'Get the CBA observability maturity levels (0-3): what observability data, alerting and measurement look like at each level',
         inputSchema: {
           type: 'object',
           properties: {
@@ -364,6 +933,66 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           },
         },
       },
+      {
+        name: 'assess_observability_maturity',
+        description:
+          "Score a team's observability maturity self-assessment: computes the current level (0-3) per pillar and overall, and a gap report with next steps per pillar towards the target level. With save set to true the assessment is stored for the team so progress can be tracked by quarter; only set it when the team asked for that. Call without answers to get the questionnaire.",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            team: {
+              type: 'string',
+              description: 'Team or squad name',
+            },
+            answers: {
+              type: 'object',
+              description:
+                'Level (0-3) of the chosen option for every question ID in the questionnaire, e.g. {"logs": 1, "metrics": 2, ...}',
+              additionalProperties: { type: 'number', enum: [0, 1, 2, 3] },
+            },
+            target_level: {
+              type: 'number',
+              enum: [0, 1, 2, 3],
+              description:
+                'Optional: Level to plan for (default: one above the current level)',
+            },
+            save: {
+              type: 'boolean',
+              description:
+                "Optional: Store the assessment in the team's history (default false)",
+            },
+          },
+        },
+      },
+      {
+        name: 'get_redaction_report',
+        description:
+          'Secrets and PII found in the documentation when it was loaded: per file, the rule, line and a masked preview of every value that was redacted (or, in block mode, the files refused). Values themselves are never shown.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            resource_id: {
+              type: 'string',
+              description:
+                'Optional: Only this document (resource ID, e.g. context/runbooks/deploy.sh)',
+            },
+          },
+        },
+      },
+      {
+        name: 'get_maturity_history',
+        description:
+          "A team's observability maturity assessments by quarter, with the level and score changes between them. Without a team, lists every assessed team and its latest level.",
+        inputSchema: {
+          type: 'object',
+          properties: {
+            team: {
+              type: 'string',
+              description: 'Optional: Team or squad name',
+            },
+          },
+        },
+      },
     ],
   }
 })
@@ -376,13 +1005,39 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     case 'search_docs': {
       const query = String(request.params.arguments?.query || '')
       const category = request.params.arguments?.category as string | undefined
+      const source = String(request.params.arguments?.source || 'all')
       const maxResults = Number(request.params.arguments?.max_results || 5)
 
       if (!query) {
         throw new Error('Search query is required')
       }
 
-      const results = searchDocumentation(query, category).slice(0, maxResults)
+      const results = [
+        ...(source !== 'knowledge_base'
+          ? searchDocumentation(query, category, maxResults).map(
+              ({ id, data: doc, score, snippets }) => ({
+                title: doc.title,
+                label: doc.category,
+                score,
+                snippets,
+                uri: `devsecops:///${id}`,
+              })
+            )
+          : []),
+        ...(source !== 'docs' && !category
+          ? knowledgeBaseFor(workspaceOf(request.params))
+              .search(query, { limit: maxResults })
+              .map(({ data: resource, score, snippets }) => ({
+                title: resource.name,
+                label: `knowledge base ${resource.kind}`,
+                score,
+                snippets,
+                uri: resource.uri,
+              }))
+          : []),
+      ]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxResults)
 
       if (results.length === 0) {
         return {
@@ -396,15 +1051,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       const response = results
-        .map(({ id, doc, relevance }) => {
-          const snippets = extractSnippets(doc.content, query)
+        .map(({ title, label, score, snippets, uri }) => {
           return (
-            `**${doc.title}** (${doc.category})\n` +
-            `Relevance: ${relevance}\n` +
+            `**${title}** (${label})\n` +
+            `Relevance: ${score}\n` +
             (snippets.length > 0
-              ? `Snippets:\n${snippets.map((s) => `- ${s}`).join('\n')}\n`
+              ? `Snippets:\n${snippets.map((s) => `- ${s.highlighted}`).join('\n')}\n`
               : '') +
-            `Resource: devsecops:///${id}\n`
+            `Resource: ${uri}\n`
           )
         })
         .join('\n---\n\n')
@@ -419,6 +1073,34 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
     }
 
+    case 'retrieve_context': {
+      const query = String(request.params.arguments?.query || '')
+      const category = request.params.arguments?.category as string | undefined
+      const topK = Number(request.params.arguments?.top_k || 5)
+
+      if (!query) {
+        throw new Error('Query is required')
+      }
+
+      const chunks = await retriever.retrieve(query, { k: topK, category })
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(
+              chunks.map((chunk) => ({
+                ...chunk,
+                resource: `devsecops:///${chunk.docId}`,
+              })),
+              null,
+              2
+            ),
+          },
+        ],
+      }
+    }
+
     case 'get_cuj_guidance': {
       const topic = String(request.params.arguments?.topic || 'definition')
 
@@ -475,6 +1157,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           'Consider metrics like success rates, response times, and availability that directly impact user experience.\n'
       }
 
+      guidance += knowledgeBaseGuidance(
+        knowledgeBaseFor(workspaceOf(request.params)),
+        type,
+        useCase
+      )
+
       return {
         content: [
           {
@@ -485,43 +1173,231 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
     }
 
+    case 'validate_slo': {
+      const content = String(request.params.arguments?.content || '')
+      const format = request.params.arguments?.format as
+        'yaml' | 'json' | undefined
+
+      if (!content.trim()) {
+        throw new Error('SLO content is required')
+      }
+
+      const result = validateSloDocument(content, { format })
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: formatValidationReport(result),
+          },
+        ],
+      }
+    }
+
+    case 'calculate_error_budget': {
+      const args = request.params.arguments || {}
+      const report = calculateErrorBudget({
+        target: args.target as number | undefined,
+        window: args.window as string | undefined,
+        slo: args.slo as string | undefined,
+        sloName: args.slo_name as string | undefined,
+        good: args.good as number | undefined,
+        total: args.total as number | undefined,
+        elapsed: args.elapsed as string | undefined,
+        series: args.series as SeriesPoint[] | undefined,
+        now: args.now as string | undefined,
+      })
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${formatErrorBudgetReport(report)}\n\n${JSON.stringify(report, null, 2)}`,
+          },
+        ],
+      }
+    }
+
+    case 'generate_alert_rules': {
+      const content = String(request.params.arguments?.content || '')
+      const format = request.params.arguments?.format as
+        'yaml' | 'json' | undefined
+      const sloNames = request.params.arguments?.slo_names as
+        string[] | undefined
+
+      if (!content.trim()) {
+        throw new Error('SLO content is required')
+      }
+
+      const result = generateAlertRules(content, { format, sloNames })
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result.yaml,
+          },
+        ],
+      }
+    }
+
     case 'get_observability_maturity': {
       const level = request.params.arguments?.level as number | undefined
 
-      const maturityLevels = {
-        0: '**Level 0 - No Visibility:** No systematic monitoring or logging. Issues discovered by users.',
-        1: '**Level 1 - Basic Logging:** Basic application and infrastructure logging. Reactive problem-solving.',
-        2: '**Level 2 - Structured Monitoring:** Organized metrics, dashboards, and alerts. Proactive monitoring begins.',
-        3: '**Level 3 - Advanced Observability:** Predictive monitoring, user-focused metrics, full observability stack.',
-      }
+      const describe = (entry: (typeof MATURITY_LEVELS)[number]) =>
+        `**Level ${entry.level} - ${entry.name}:**\n- Data: ${entry.data}\n- Alerting: ${entry.alerting}\n- Measurement: ${entry.measurement}`
 
       if (level !== undefined) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: MATURITY_LEVELS[level]
+                ? describe(MATURITY_LEVELS[level])
+                : 'Invalid maturity level',
+            },
+          ],
+        }
+      }
+
+      const allLevels = MATURITY_LEVELS.map(describe).join('\n\n')
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `**CBA Observability Maturity Levels:**\n\n${allLevels}\n\nThe goal is to progress from reactive (Level 0-1) to proactive (Level 2-3) observability. assess_observability_maturity scores a team against these levels.`,
+          },
+        ],
+      }
+    }
+
+    case 'assess_observability_maturity': {
+      const args = request.params.arguments || {}
+
+      if (!args.answers) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatQuestionnaire(),
+            },
+          ],
+        }
+      }
+
+      const assessments = assessmentsFor(workspaceOf(request.params))
+      const team = String(args.team || '')
+      const previous = team ? assessments.quarterly(team).pop() : undefined
+      const assessment = scoreAssessment({
+        team,
+        answers: args.answers as Record<string, number>,
+        targetLevel: args.target_level as number | undefined,
+      })
+      // Opt-in, so a chat answer cannot add to a team's history unasked
+      if (args.save === true) {
+        assessments.save(assessment)
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `${formatGapReport(assessment, previous)}\n\n${JSON.stringify(assessment, null, 2)}`,
+          },
+        ],
+      }
+    }
+
+    case 'get_maturity_history': {
+      const team = request.params.arguments?.team as string | undefined
+      const assessments = assessmentsFor(workspaceOf(request.params))
+
+      if (!team) {
+        const teams = assessments.teams()
         return {
           content: [
             {
               type: 'text',
               text:
-                maturityLevels[level as keyof typeof maturityLevels] ||
-                'Invalid maturity level',
+                teams.length === 0
+                  ? 'No maturity assessments stored yet.'
+                  : teams
+                      .map(
+                        (entry) =>
+                          `- ${entry.team}: level ${entry.currentLevel} (${entry.score}%) in ${entry.quarter}, ${entry.assessments} assessment(s)`
+                      )
+                      .join('\n'),
+            },
+          ],
+        }
+      }
+
+      const quarters = assessments.quarterly(team)
+      if (quarters.length === 0) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `No maturity assessments stored for ${team}.`,
             },
           ],
         }
       }
 
-      const allLevels = Object.entries(maturityLevels)
-        .map(([lvl, desc]) => desc)
-        .join('\n\n')
+      const rows = quarters.map((assessment) =>
+        [
+          assessment.quarter,
+          assessment.currentLevel,
+          `${assessment.score}%`,
+          ...assessment.pillars.map(({ level }) => level),
+        ].join(' | ')
+      )
+      const latest = quarters[quarters.length - 1]
 
       return {
         content: [
           {
             type: 'text',
-            text: `**CBA Observability Maturity Levels:**\n\n${allLevels}\n\nThe goal is to progress from reactive (Level 0-1) to proactive (Level 2-3) observability.`,
+            text: [
+              `**Observability maturity history: ${latest.team}**`,
+              '',
+              'Quarter | Level | Score | Data | Detection | Measurement',
+              '--- | --- | --- | --- | --- | ---',
+              ...rows,
+              '',
+              formatGapReport(
+                latest,
+                quarters.length > 1 ? quarters[quarters.length - 2] : null
+              ),
+            ].join('\n'),
           },
         ],
       }
     }
 
+    case 'get_redaction_report': {
+      const resourceId = request.params.arguments?.resource_id as
+        string | undefined
+      const reports = resourceId
+        ? [redactionReports.get(resourceId)].filter(
+            (report): report is RedactionReport => Boolean(report)
+          )
+        : Array.from(redactionReports.values())
+
+      const header = `Redaction mode: ${redactor.mode} (${redactor.config.source})`
+      const body =
+        reports.length === 0
+          ? resourceId
+            ? `${resourceId}: no sensitive values found`
+            : 'No sensitive values found in the documentation.'
+          : reports.map(formatRedactionReport).join('\n\n')
+
+      return {
+        content: [{ type: 'text', text: `${header}\n\n${body}` }],
+      }
+    }
+
     default:
       throw new Error(`Unknown tool: ${request.params.name}`)
   }
@@ -578,7 +1454,7 @@ server.setRequestHandler(GetPromptRequestSchema, async (request) => {
             role: 'user',
             content: {
               type: 'text',
-              text: 'Using the CBA framework and available templates, help create a Critical User Journey template. Ask about the application type, key user workflows, and business value delivery to create a comprehensive CUJ definition.',
+              text: "Using the CBA framework, help create a Critical User Journey definition in the format of context/templates/cba-cuj-template.json. Work through it one section at a time, in this order: journey name, description and squad; customers_users (primary customer and customer types); journey_flow (entry and exit points, triggers, completion criteria and systems involved); independent_segments; failure_modes (impact, probability, detection and mitigation); slis and slos (every SLO references an SLI with the same unit); and implementation_plan phases. Ask for what is missing before moving on, then give the finished JSON. The chat UI's CUJ builder walks through the same steps and exports the file.",
             },
           },
         ],
@@ -606,12 +1482,24 @@ server.setRequestHandler(GetPromptRequestSchema, async (request) => {
  * Start the server
  */
 async function main() {
+  docsConfig = loadDocsConfig()
+  redactor = new Redactor()
+  retriever = new HybridRetriever(await createEmbeddingProvider())
+
   // Load documentation on startup
   await loadDocumentation()
 
+  knowledgeBase = new KnowledgeBaseMirror(knowledgeBasePath())
+  knowledgeBase.load()
+  console.error(
+    `Loaded ${knowledgeBase.size} knowledge base resources from ${knowledgeBase.filePath}`
+  )
+
   const transport = new StdioServerTransport()
   await server.connect(transport)
   console.error('DevSecOps Documentation MCP server running on stdio')
+
+  watchDocumentation()
 }
 
 main().catch((error) => {
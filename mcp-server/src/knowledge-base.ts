@@ -0,0 +1,261 @@
+/**
+ * Read-only mirror of the PDF platform's knowledge base
+ *
+ * server.js persists uploaded documents and the CUJs/SLIs/SLOs extracted from
+ * them as a JSON snapshot (see lib/storage.js). This module loads that
+ * snapshot, reloads it whenever the file changes, and serves its contents as
+ * MCP resources under their own URI scheme:
+ *
+ *   devsecops-kb:///documents/<filename>
+ *   devsecops-kb:///cujs/<id>            (also slis, slos, best-practices)
+ *
+ * The snapshot path is DEVSECOPS_KB_PATH, defaulting to the platform's
+ * default data/knowledge-base.json. Other workspaces' snapshots are read from
+ * DEVSECOPS_KB_WORKSPACES_DIR (see workspaceKnowledgeBasePath). Only the json
+ * storage backend writes a file this can read.
+ */
+
+import * as fs from 'fs'
+import * as path from 'path'
+import { fileURLToPath } from 'url'
+import { SearchIndex, SearchResult } from './search-index.js'
+
+export const KB_URI_SCHEME = 'devsecops-kb'
+
+export type KbKind = 'documents' | 'cujs' | 'slis' | 'slos' | 'best-practices'
+
+export interface KbResource {
+  uri: string
+  kind: KbKind
+  name: string
+  description: string
+  mimeType: string
+  text: string
+  /** The extracted record, for everything but documents */
+  record: Record<string, any> | null
+}
+
+export interface KbChanges {
+  added: string[]
+  updated: string[]
+  removed: string[]
+}
+
+// Snapshot collection -> URI path segment
+const RECORD_KINDS: Record<string, KbKind> = {
+  cujs: 'cujs',
+  slis: 'slis',
+  slos: 'slos',
+  bestPractices: 'best-practices',
+}
+
+const KIND_LABELS: Record<KbKind, string> = {
+  documents: 'Uploaded document',
+  cujs: 'CUJ',
+  slis: 'SLI',
+  slos: 'SLO',
+  'best-practices': 'Best practice',
+}
+
+// How often the snapshot file is checked for changes
+const POLL_INTERVAL_MS = 1000
+
+// build/knowledge-base.js -> repository root
+const REPO_ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  '..'
+)
+
+/**
+ * Where the PDF platform's snapshot lives; relative paths resolve against
+ * the repository root, where server.js runs
+ */
+export function knowledgeBasePath(env: NodeJS.ProcessEnv = process.env) {
+  return path.resolve(
+    REPO_ROOT,
+    env.DEVSECOPS_KB_PATH || path.join('data', 'knowledge-base.json')
+  )
+}
+
+/**
+ * The workspace clients that name none get, as in lib/auth.js
+ */
+export const DEFAULT_WORKSPACE = 'default'
+
+// Workspace IDs lib/auth.js accepts, so a name cannot point outside the
+// directory
+const WORKSPACE_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/
+
+/**
+ * Where the PDF platform keeps a workspace's snapshot: knowledgeBasePath()
+ * for the default one, <DEVSECOPS_KB_WORKSPACES_DIR>/<workspace>.json for
+ * any other (default data/workspaces, like KB_WORKSPACES_DIR in
+ * lib/storage.js)
+ */
+export function workspaceKnowledgeBasePath(
+  workspace: string,
+  env: NodeJS.ProcessEnv = process.env
+) {
+  if (workspace === DEFAULT_WORKSPACE) {
+    return knowledgeBasePath(env)
+  }
+  if (!WORKSPACE_ID.test(workspace)) {
+    throw new Error(`Invalid workspace "${workspace}"`)
+  }
+  return path.resolve(
+    REPO_ROOT,
+    env.DEVSECOPS_KB_WORKSPACES_DIR || path.join('data', 'workspaces'),
+    `${workspace}.json`
+  )
+}
+
+export function kbUri(kind: KbKind, id: string): string {
+  return `${KB_URI_SCHEME}:///${kind}/${encodeURIComponent(id)}`
+}
+
+/**
+ * Same text server.js indexes a record by (lib/extraction.js recordText)
+ */
+export function recordText(record: Record<string, any>): string {
+  return [record.name, record.description, record.text]
+    .filter(Boolean)
+    .join(' - ')
+}
+
+function toResources(snapshot: any): KbResource[] {
+  const resources: KbResource[] = []
+
+  for (const doc of snapshot.documents || []) {
+    resources.push({
+      uri: kbUri('documents', doc.filename),
+      kind: 'documents',
+      name: doc.name || doc.filename,
+      description: `${KIND_LABELS.documents}: ${doc.name || doc.filename} (${doc.format || 'pdf'})`,
+      mimeType: doc.format === 'markdown' ? 'text/markdown' : 'text/plain',
+      text: doc.content || '',
+      record: null,
+    })
+  }
+
+  // Snapshots before version 2 stored records as bare strings without IDs;
+  // server.js migrates them on its next save
+  if (snapshot.version >= 2) {
+    Object.entries(RECORD_KINDS).forEach(([collection, kind]) => {
+      const records: Record<string, any>[] =
+        (snapshot.knowledgeBase || {})[collection] || []
+      records.forEach((record) => {
+        const text = recordText(record)
+        resources.push({
+          uri: kbUri(kind, record.id),
+          kind,
+          name: record.name || text.slice(0, 80),
+          description: `${KIND_LABELS[kind]}: ${text.slice(0, 160)}`,
+          mimeType: 'application/json',
+          text: JSON.stringify(record, null, 2),
+          record,
+        })
+      })
+    })
+  }
+
+  return resources
+}
+
+export class KnowledgeBaseMirror {
+  private resources = new Map<string, KbResource>()
+  private index = new SearchIndex<KbResource>()
+
+  constructor(readonly filePath: string) {}
+
+  get size(): number {
+    return this.resources.size
+  }
+
+  /**
+   * (Re)load the snapshot and report which resources changed. A missing
+   * file is an empty knowledge base; an unreadable one keeps the last good
+   * contents.
+   */
+  load(): KbChanges {
+    let snapshot: any = {}
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'))
+    } catch (error: any) {
+      if (error.code !== 'ENOENT') {
+        console.error(
+          `Error loading knowledge base ${this.filePath}:`,
+          error.message
+        )
+        return { added: [], updated: [], removed: [] }
+      }
+    }
+
+    const next = new Map(
+      toResources(snapshot).map((resource) => [resource.uri, resource])
+    )
+    const changes: KbChanges = { added: [], updated: [], removed: [] }
+
+    this.resources.forEach((_resource, uri) => {
+      if (!next.has(uri)) {
+        this.index.remove(uri)
+        changes.removed.push(uri)
+      }
+    })
+    next.forEach((resource, uri) => {
+      const previous = this.resources.get(uri)
+      if (previous && previous.text === resource.text) return
+
+      this.index.add(uri, {
+        title: resource.name,
+        text: resource.record ? recordText(resource.record) : resource.text,
+        data: resource,
+      })
+      if (previous) {
+        changes.updated.push(uri)
+      } else {
+        changes.added.push(uri)
+      }
+    })
+
+    this.resources = next
+    return changes
+  }
+
+  /**
+   * Reload whenever the snapshot file changes. The file is polled rather
+   * than watched because server.js replaces it with a rename on every save,
+   * and it may not exist yet.
+   */
+  watch(onChange: (changes: KbChanges) => void): void {
+    fs.watchFile(this.filePath, { interval: POLL_INTERVAL_MS }, () => {
+      const changes = this.load()
+      const { added, updated, removed } = changes
+      if (added.length > 0 || updated.length > 0 || removed.length > 0) {
+        onChange(changes)
+      }
+    })
+  }
+
+  list(): KbResource[] {
+    return Array.from(this.resources.values())
+  }
+
+  read(uri: string): KbResource | null {
+    return this.resources.get(uri) || null
+  }
+
+  records(kind: KbKind): KbResource[] {
+    return this.list().filter((resource) => resource.kind === kind)
+  }
+
+  search(
+    query: string,
+    { limit, kinds }: { limit?: number; kinds?: KbKind[] } = {}
+  ): SearchResult<KbResource>[] {
+    return this.index.search(query, {
+      limit,
+      filter: kinds ? (resource) => kinds.includes(resource.kind) : undefined,
+    })
+  }
+}
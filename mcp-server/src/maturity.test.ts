@@ -0,0 +1,203 @@
+import assert from 'node:assert/strict'
+import { after, test } from 'node:test'
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import {
+  AssessmentStore,
+  QUESTIONNAIRE,
+  assessmentsPath,
+  formatGapReport,
+  quarterOf,
+  scoreAssessment,
+  workspaceAssessmentsPath,
+} from './maturity.js'
+
+const dirs: string[] = []
+after(() =>
+  Promise.all(
+    dirs.map((dir) => fs.promises.rm(dir, { recursive: true, force: true }))
+  )
+)
+
+async function tempDir() {
+  const dir = await fs.promises.mkdtemp(
+    path.join(os.tmpdir(), 'maturity-test-')
+  )
+  dirs.push(dir)
+  return dir
+}
+
+// Every question at `level`, with any overrides
+function answers(level: number, overrides: Record<string, number> = {}) {
+  return {
+    ...Object.fromEntries(QUESTIONNAIRE.map(({ id }) => [id, level])),
+    ...overrides,
+  }
+}
+
+test('the team is at the level of its weakest answer', () => {
+  const assessment = scoreAssessment({
+    team: ' Payments ',
+    answers: { ...answers(2, { logs: 1 }), slos: '3' },
+    assessedAt: '2026-05-20T09:00:00Z',
+  })
+
+  assert.equal(assessment.team, 'Payments')
+  assert.equal(assessment.quarter, '2026-Q2')
+  assert.equal(assessment.answers.slos, 3)
+  assert.equal(assessment.currentLevel, 1)
+  assert.equal(assessment.targetLevel, 2)
+  assert.deepEqual(
+    assessment.pillars.map(({ pillar, level, score }) => [
+      pillar,
+      level,
+      score,
+    ]),
+    [
+      ['observability_data', 1, 56],
+      ['failure_detection', 2, 67],
+      ['reliability_measurement', 2, 78],
+    ]
+  )
+  assert.equal(assessment.score, 67)
+  assert.deepEqual(
+    assessment.pillars.flatMap(({ gaps }) => gaps.map((gap) => gap.questionId)),
+    ['logs']
+  )
+  assert.equal(
+    assessment.observability_maturity.assessment.reliability_measurement
+      .improvement_areas,
+    'Observability data'
+  )
+})
+
+test('a target level sets which answers count as gaps', () => {
+  const assessment = scoreAssessment({
+    team: 'search',
+    answers: answers(3, { cujs: 1 }),
+    targetLevel: 3,
+  })
+
+  assert.equal(assessment.currentLevel, 1)
+  assert.deepEqual(
+    assessment.pillars.map(({ gaps }) => gaps.length),
+    [0, 0, 1]
+  )
+  assert.equal(
+    scoreAssessment({ team: 'search', answers: answers(3) }).targetLevel,
+    3
+  )
+})
+
+test('incomplete or out-of-range answers are refused', () => {
+  assert.throws(
+    () => scoreAssessment({ team: ' ', answers: answers(1) }),
+    /team is required/
+  )
+  assert.throws(
+    () => scoreAssessment({ team: 'x', answers: { logs: 1 } }),
+    /Answer every question; missing metrics, dashboards/
+  )
+  assert.throws(
+    () => scoreAssessment({ team: 'x', answers: answers(1, { tracing: 2 }) }),
+    /Unknown questions: tracing/
+  )
+  assert.throws(
+    () => scoreAssessment({ team: 'x', answers: answers(1, { logs: 4 }) }),
+    /answers\.logs must be a level from 0 to 3 \(got 4\)/
+  )
+  assert.throws(
+    () => scoreAssessment({ team: 'x', answers: answers(1), targetLevel: 1.5 }),
+    /targetLevel must be a level from 0 to 3/
+  )
+})
+
+test('the gap report lists next steps and the change since last time', () => {
+  const previous = scoreAssessment({
+    team: 'payments',
+    answers: answers(1),
+    assessedAt: '2026-02-01T00:00:00Z',
+  })
+  const current = scoreAssessment({
+    team: 'payments',
+    answers: answers(2, { logs: 1 }),
+    assessedAt: '2026-05-01T00:00:00Z',
+  })
+  const report = formatGapReport(current, previous).split('\n')
+  const logs = QUESTIONNAIRE.find(({ id }) => id === 'logs')!
+
+  assert.deepEqual(report.slice(0, 5), [
+    '# Observability maturity: payments (2026-Q2)',
+    '',
+    'Current level: **1 - Basic Logging** (score 63%)',
+    'Target level: **2 - Structured Monitoring**',
+    'Since 2026-Q1: level 1 -> 1, score 33% -> 63%',
+  ])
+  assert.ok(
+    report.includes(`- ${logs.nextSteps[1]} (${logs.question} Now at level 1.)`)
+  )
+  assert.equal(
+    report.filter((line) => line === 'At or above the target level.').length,
+    2
+  )
+})
+
+test('the store keeps history per team and the latest per quarter', async () => {
+  const store = new AssessmentStore(
+    path.join(await tempDir(), 'assessments.json')
+  )
+  const save = (team: string, level: number, assessedAt: string) =>
+    store.save(scoreAssessment({ team, answers: answers(level), assessedAt }))
+
+  assert.deepEqual(store.history('payments'), [])
+  save('Payments', 1, '2026-02-10T00:00:00Z')
+  save('payments', 0, '2026-01-05T00:00:00Z')
+  save('payments', 2, '2026-04-02T00:00:00Z')
+  save('search', 3, '2026-04-03T00:00:00Z')
+
+  assert.deepEqual(
+    store.history(' PAYMENTS').map(({ currentLevel }) => currentLevel),
+    [0, 1, 2]
+  )
+  assert.deepEqual(
+    store
+      .quarterly('payments')
+      .map(({ quarter, currentLevel }) => `${quarter}:${currentLevel}`),
+    ['2026-Q1:1', '2026-Q2:2']
+  )
+  assert.deepEqual(
+    store
+      .teams()
+      .map(({ team, currentLevel, assessments }) => [
+        team,
+        currentLevel,
+        assessments,
+      ]),
+    [
+      ['payments', 2, 3],
+      ['search', 3, 1],
+    ]
+  )
+
+  fs.writeFileSync(store.filePath, '{')
+  assert.throws(() => store.history('payments'), /Failed to load assessments/)
+})
+
+test('each workspace stores assessments next to its knowledge base', () => {
+  const env = {
+    DEVSECOPS_ASSESSMENTS_PATH: '/srv/kb/maturity-assessments.json',
+    DEVSECOPS_KB_WORKSPACES_DIR: '/srv/kb/workspaces',
+  }
+
+  assert.equal(workspaceAssessmentsPath('default', env), assessmentsPath(env))
+  assert.equal(
+    workspaceAssessmentsPath('payments', env),
+    '/srv/kb/workspaces/payments.maturity-assessments.json'
+  )
+  assert.throws(
+    () => workspaceAssessmentsPath('../etc', env),
+    /Invalid workspace "\.\.\/etc"/
+  )
+  assert.equal(quarterOf(new Date('2026-12-31T23:59:59Z')), '2026-Q4')
+})
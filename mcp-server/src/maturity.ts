@@ -0,0 +1,581 @@
+/**
+ * Observability maturity self-assessment
+ *
+ * A questionnaire over the three pillars of the CBA framework's assessment
+ * (context/knowledge-base/cba-observability-summary.md): observability data,
+ * failure detection and reliability measurement. Every answer maps to one of
+ * the maturity levels 0-3.
+ *
+ * A pillar is at the lowest level any of its answers reaches, and the team is
+ * at the level of its weakest pillar, since each level in the framework
+ * describes all three pillars together. The gap report lists, per pillar,
+ * the next step for every answer below the target level.
+ *
+ * Assessments are stored per team in a JSON file shared by the MCP server
+ * and the PDF platform, so progress can be tracked quarter by quarter.
+ */
+
+import { randomUUID } from 'crypto'
+import * as fs from 'fs'
+import * as path from 'path'
+import { fileURLToPath } from 'url'
+import {
+  DEFAULT_WORKSPACE,
+  workspaceKnowledgeBasePath,
+} from './knowledge-base.js'
+
+export type Pillar =
+  'observability_data' | 'failure_detection' | 'reliability_measurement'
+
+export interface MaturityQuestion {
+  id: string
+  pillar: Pillar
+  question: string
+  /** Answer for each level, 0-3 */
+  options: string[]
+  /** What to do next from each level below 3 */
+  nextSteps: string[]
+}
+
+export interface PillarResult {
+  pillar: Pillar
+  title: string
+  level: number
+  /** Share of the maximum score, 0-100 */
+  score: number
+  gaps: {
+    questionId: string
+    question: string
+    level: number
+    nextStep: string
+  }[]
+}
+
+export interface MaturityAssessment {
+  id: string
+  team: string
+  /** e.g. 2026-Q4 */
+  quarter: string
+  assessedAt: string
+  answers: Record<string, number>
+  currentLevel: number
+  targetLevel: number
+  score: number
+  pillars: PillarResult[]
+  /** The cba-cuj-template.json observability_maturity section */
+  observability_maturity: Record<string, any>
+}
+
+export interface AssessmentInput {
+  team: string
+  answers: Record<string, number | string>
+  /** Default: one level above the current one */
+  targetLevel?: number
+  /** Default: the quarter of assessedAt */
+  quarter?: string
+  /** Default: now */
+  assessedAt?: string
+}
+
+export const MATURITY_LEVELS = [
+  {
+    level: 0,
+    name: 'No Visibility',
+    data: 'No metrics or logs generated or captured',
+    alerting: 'No alerts, relying on user complaints',
+    measurement: 'No level of measure',
+  },
+  {
+    level: 1,
+    name: 'Basic Logging',
+    data: 'Logs going to Observe',
+    alerting: 'Alerts going to FlightDeck (central team)',
+    measurement: 'Basic indicators for alert triggers',
+  },
+  {
+    level: 2,
+    name: 'Structured Monitoring',
+    data: 'Baseline metrics to Obstack with dashboards, logs to Observe',
+    alerting: 'Alerts to PagerDuty and team members',
+    measurement:
+      'First pass defined CUJ, mix of generalized and defined SLI/SLOs',
+  },
+  {
+    level: 3,
+    name: 'Advanced Observability',
+    data: 'Well-defined metrics to ObStack, detailed dashboards with dependencies',
+    alerting: 'Tiered alerts with critical ones to PagerDuty',
+    measurement:
+      'Well-defined SLI/SLOs based on CUJs, constant revision; dashboards used to predict and mitigate issues before customer impact',
+  },
+]
+
+export const PILLAR_TITLES: Record<Pillar, string> = {
+  observability_data: 'Observability data',
+  failure_detection: 'Failure detection',
+  reliability_measurement: 'Reliability measurement',
+}
+
+const PILLARS = Object.keys(PILLAR_TITLES) as Pillar[]
+
+export const QUESTIONNAIRE: MaturityQuestion[] = [
+  {
+    id: 'logs',
+    pillar: 'observability_data',
+    question: 'Where do your application logs go?',
+    options: [
+      'Not captured, or only on the hosts',
+      'Centralised in Observe',
+      'Centralised in Observe, structured, with request or correlation IDs',
+      'Structured in Observe and linked from dashboards for diagnosis',
+    ],
+    nextSteps: [
+      'Ship application and error logs to Observe',
+      'Log in a structured format and add correlation IDs so a request can be followed across services',
+      'Link Observe log queries from your dashboards so alerts lead straight to diagnostics',
+    ],
+  },
+  {
+    id: 'metrics',
+    pillar: 'observability_data',
+    question: 'What metrics does your service publish?',
+    options: [
+      'None',
+      'Infrastructure metrics only (CPU, memory)',
+      'Baseline application metrics (requests, errors, latency) in Obstack',
+      'Well-defined metrics for each CUJ segment and dependency in Obstack',
+    ],
+    nextSteps: [
+      'Publish basic request and error counts for the service',
+      'Instrument baseline application metrics (request rate, errors, latency) and send them to Obstack',
+      'Add metrics for each independent CUJ segment and for the calls to each dependency',
+    ],
+  },
+  {
+    id: 'dashboards',
+    pillar: 'observability_data',
+    question: 'How do you look at the health of your service?',
+    options: [
+      'We cannot',
+      'Ad-hoc log searches or queries',
+      'Service dashboards in Grafana (metrics.cba)',
+      'Detailed dashboards with dependencies, used to spot issues before customers do',
+    ],
+    nextSteps: [
+      'Save the queries the team uses to check the service',
+      'Build a service dashboard in Grafana on metrics.cba from the baseline metrics',
+      'Add dependency panels and SLO/error budget panels, and review them to catch trends before customers are affected',
+    ],
+  },
+  {
+    id: 'detection',
+    pillar: 'failure_detection',
+    question: 'How does the squad find out the service is broken?',
+    options: [
+      'Users complain',
+      'The central team (FlightDeck) tells us',
+      'Our own alerts notify the team',
+      'SLO burn-rate alerts warn us before customers are affected',
+    ],
+    nextSteps: [
+      'Set up at least basic alerts on errors so failures are not first reported by users',
+      'Route alerts for the service to the squad itself rather than only the central team',
+      'Alert on SLO burn rates (generate_alert_rules) instead of individual symptoms',
+    ],
+  },
+  {
+    id: 'alert_routing',
+    pillar: 'failure_detection',
+    question: 'Where do your alerts go?',
+    options: [
+      'There are no alerts',
+      'FlightDeck (central team)',
+      'PagerDuty and team members',
+      'Tiered: critical alerts page through PagerDuty, the rest raise tickets',
+    ],
+    nextSteps: [
+      'Create alerts and send them to FlightDeck',
+      "Configure PagerDuty routing for the squad's support group",
+      'Split alerts into tiers: page only for fast error budget burn, raise tickets for slow burn',
+    ],
+  },
+  {
+    id: 'alert_basis',
+    pillar: 'failure_detection',
+    question: 'What do your alerts fire on?',
+    options: [
+      'Nothing',
+      'Error lines in logs or infrastructure thresholds',
+      'Thresholds on application metrics',
+      'SLO burn rates and error budget consumption',
+    ],
+    nextSteps: [
+      'Alert on error logs or basic health checks',
+      'Move alerts from logs and infrastructure to application metrics such as error rate and latency',
+      'Replace static thresholds with multi-window burn-rate alerts on your SLOs',
+    ],
+  },
+  {
+    id: 'cujs',
+    pillar: 'reliability_measurement',
+    question: 'Have you defined your Critical User Journeys?',
+    options: [
+      'No',
+      'We know our key journeys informally',
+      'A first-pass CUJ is written down',
+      'CUJs are defined and revised as the service changes',
+    ],
+    nextSteps: [
+      'List the customers and users of the service and the journeys they rely on',
+      "Write a first-pass CUJ with the chat UI's CUJ builder",
+      'Review CUJs with the business each quarter and update them as the service changes',
+    ],
+  },
+  {
+    id: 'slos',
+    pillar: 'reliability_measurement',
+    question: 'How do you measure reliability?',
+    options: [
+      'We do not',
+      'Basic indicators behind alert triggers',
+      'A mix of generalised and defined SLIs/SLOs',
+      'Well-defined SLIs/SLOs based on CUJs, with error budgets',
+    ],
+    nextSteps: [
+      'Pick basic indicators (availability, error rate) to watch',
+      'Define SLIs and SLOs for the main journey (validate_slo checks them)',
+      'Derive SLIs from each CUJ segment and track error budgets (calculate_error_budget)',
+    ],
+  },
+  {
+    id: 'review',
+    pillar: 'reliability_measurement',
+    question: "How do reliability measures shape the squad's work?",
+    options: [
+      'They do not',
+      'We look at them after incidents',
+      'We review them periodically',
+      'They are revised constantly and error budgets drive priorities',
+    ],
+    nextSteps: [
+      'Review reliability after each incident',
+      'Schedule a regular SLO review with the squad',
+      'Agree an error budget policy with the business and use it to prioritise reliability work',
+    ],
+  },
+]
+
+// build/maturity.js -> repository root
+const REPO_ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  '..'
+)
+
+/**
+ * Where assessments are stored; relative paths resolve against the
+ * repository root
+ */
+export function assessmentsPath(env: NodeJS.ProcessEnv = process.env) {
+  return path.resolve(
+    REPO_ROOT,
+    env.DEVSECOPS_ASSESSMENTS_PATH ||
+      path.join('data', 'maturity-assessments.json')
+  )
+}
+
+/**
+ * Where a workspace's assessments are stored: assessmentsPath() for the
+ * default one, next to the workspace's knowledge base snapshot for any other,
+ * as server.js stores them
+ */
+export function workspaceAssessmentsPath(
+  workspace: string,
+  env: NodeJS.ProcessEnv = process.env
+) {
+  return workspace === DEFAULT_WORKSPACE
+    ? assessmentsPath(env)
+    : workspaceKnowledgeBasePath(workspace, env).replace(
+        /\.json$/,
+        '.maturity-assessments.json'
+      )
+}
+
+export function quarterOf(date: Date): string {
+  return `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`
+}
+
+function checkLevel(value: unknown, field: string): number {
+  const level = typeof value === 'string' ? Number(value) : value
+  if (
+    typeof level !== 'number' ||
+    !Number.isInteger(level) ||
+    level < 0 ||
+    level > 3
+  ) {
+    throw new Error(`${field} must be a level from 0 to 3 (got ${value})`)
+  }
+  return level
+}
+
+/**
+ * Score a team's answers. Every question must be answered with the level of
+ * the option that fits, 0-3.
+ */
+export function scoreAssessment(input: AssessmentInput): MaturityAssessment {
+  const team = String(input.team || '').trim()
+  if (!team) {
+    throw new Error('team is required')
+  }
+
+  const answers: Record<string, number> = {}
+  const unknown = Object.keys(input.answers || {}).filter(
+    (id) => !QUESTIONNAIRE.some((question) => question.id === id)
+  )
+  if (unknown.length > 0) {
+    throw new Error(`Unknown questions: ${unknown.join(', ')}`)
+  }
+  const unanswered = QUESTIONNAIRE.filter(
+    ({ id }) => (input.answers || {})[id] === undefined
+  )
+  if (unanswered.length > 0) {
+    throw new Error(
+      `Answer every question; missing ${unanswered.map(({ id }) => id).join(', ')}`
+    )
+  }
+  QUESTIONNAIRE.forEach(({ id }) => {
+    answers[id] = checkLevel(input.answers[id], `answers.${id}`)
+  })
+
+  const assessedAt = input.assessedAt ? new Date(input.assessedAt) : new Date()
+  if (Number.isNaN(assessedAt.getTime())) {
+    throw new Error(`Invalid assessedAt: ${input.assessedAt}`)
+  }
+
+  const levels = PILLARS.map((pillar) => {
+    const questions = QUESTIONNAIRE.filter((q) => q.pillar === pillar)
+    const total = questions.reduce((sum, { id }) => sum + answers[id], 0)
+    return {
+      pillar,
+      questions,
+      level: Math.min(...questions.map(({ id }) => answers[id])),
+      score: Math.round((total / (questions.length * 3)) * 100),
+    }
+  })
+  const currentLevel = Math.min(...levels.map(({ level }) => level))
+  const targetLevel =
+    input.targetLevel === undefined
+      ? Math.min(currentLevel + 1, 3)
+      : checkLevel(input.targetLevel, 'targetLevel')
+
+  const pillars: PillarResult[] = levels.map(
+    ({ pillar, questions, level, score }) => ({
+      pillar,
+      title: PILLAR_TITLES[pillar],
+      level,
+      score,
+      gaps: questions
+        .filter(({ id }) => answers[id] < targetLevel)
+        .map(({ id, question, nextSteps }) => ({
+          questionId: id,
+          question,
+          level: answers[id],
+          nextStep: nextSteps[answers[id]],
+        })),
+    })
+  )
+
+  const answer = (id: string) =>
+    (QUESTIONNAIRE.find((q) => q.id === id) as MaturityQuestion).options[
+      answers[id]
+    ]
+  const belowTarget = pillars.filter(({ level }) => level < targetLevel)
+
+  return {
+    id: randomUUID(),
+    team,
+    quarter: input.quarter || quarterOf(assessedAt),
+    assessedAt: assessedAt.toISOString(),
+    answers,
+    currentLevel,
+    targetLevel,
+    score: Math.round(
+      levels.reduce((sum, { score }) => sum + score, 0) / levels.length
+    ),
+    pillars,
+    observability_maturity: {
+      current_level: String(currentLevel),
+      target_level: String(targetLevel),
+      assessment: {
+        observability_data: {
+          current_state: answer('metrics'),
+          tools_used: `Logs: ${answer('logs')}. Metrics: ${answer('metrics')}`,
+          accessibility: answer('dashboards'),
+        },
+        failure_detection: {
+          current_process: answer('detection'),
+          alert_mechanisms: `${answer('alert_routing')}. Fires on: ${answer('alert_basis')}`,
+          response_time: '[How quickly do you detect issues]',
+        },
+        reliability_measurement: {
+          current_metrics: answer('slos'),
+          business_alignment: answer('review'),
+          improvement_areas:
+            belowTarget.length > 0
+              ? belowTarget.map(({ title }) => title).join(', ')
+              : 'None below the target level',
+        },
+      },
+    },
+  }
+}
+
+/**
+ * Markdown gap report for an assessment, compared with the team's previous
+ * one when given
+ */
+export function formatGapReport(
+  assessment: MaturityAssessment,
+  previous?: MaturityAssessment | null
+): string {
+  const level = MATURITY_LEVELS[assessment.currentLevel]
+  const lines = [
+    `# Observability maturity: ${assessment.team} (${assessment.quarter})`,
+    '',
+    `Current level: **${assessment.currentLevel} - ${level.name}** (score ${assessment.score}%)`,
+    `Target level: **${assessment.targetLevel} - ${MATURITY_LEVELS[assessment.targetLevel].name}**`,
+  ]
+  if (previous) {
+    const change = assessment.currentLevel - previous.currentLevel
+    lines.push(
+      `Since ${previous.quarter}: level ${previous.currentLevel} -> ${assessment.currentLevel}` +
+        `${change > 0 ? ' (up)' : change < 0 ? ' (down)' : ''}, score ${previous.score}% -> ${assessment.score}%`
+    )
+  }
+
+  assessment.pillars.forEach((pillar) => {
+    lines.push(
+      '',
+      `## ${pillar.title}: level ${pillar.level} (${pillar.score}%)`
+    )
+    if (pillar.gaps.length === 0) {
+      lines.push('', 'At or above the target level.')
+      return
+    }
+    lines.push('', 'Next steps:')
+    pillar.gaps.forEach((gap) => {
+      lines.push(
+        `- ${gap.nextStep} (${gap.question} Now at level ${gap.level}.)`
+      )
+    })
+  })
+
+  return lines.join('\n')
+}
+
+/**
+ * Questionnaire as Markdown, for answering in a chat
+ */
+export function formatQuestionnaire(): string {
+  const lines = [
+    '# Observability maturity self-assessment',
+    '',
+    'Answer each question with the level (0-3) of the option that fits best.',
+  ]
+  PILLARS.forEach((pillar) => {
+    lines.push('', `## ${PILLAR_TITLES[pillar]}`)
+    QUESTIONNAIRE.filter((q) => q.pillar === pillar).forEach((question) => {
+      lines.push('', `**${question.id}**: ${question.question}`)
+      question.options.forEach((option, level) => {
+        lines.push(`- ${level}: ${option}`)
+      })
+    })
+  })
+  return lines.join('\n')
+}
+
+/**
+ * Assessments by team in a JSON file. Every call re-reads the file, since
+ * the MCP server and the PDF platform both write to it.
+ */
+export class AssessmentStore {
+  constructor(readonly filePath: string = assessmentsPath()) {}
+
+  private read(): MaturityAssessment[] {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf-8')).assessments
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return []
+      throw new Error(
+        `Failed to load assessments from ${this.filePath}: ${error.message}`
+      )
+    }
+  }
+
+  save(assessment: MaturityAssessment): MaturityAssessment {
+    const assessments = this.read()
+    assessments.push(assessment)
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    const tempPath = `${this.filePath}.${process.pid}.tmp`
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify({ version: 1, assessments }, null, 2)
+    )
+    fs.renameSync(tempPath, this.filePath)
+    return assessment
+  }
+
+  /**
+   * A team's assessments, oldest first. Team names match case-insensitively.
+   */
+  history(team: string): MaturityAssessment[] {
+    const key = team.trim().toLowerCase()
+    return this.read()
+      .filter((assessment) => assessment.team.toLowerCase() === key)
+      .sort((a, b) => a.assessedAt.localeCompare(b.assessedAt))
+  }
+
+  /**
+   * The latest assessment for each quarter, oldest first
+   */
+  quarterly(team: string): MaturityAssessment[] {
+    const byQuarter = new Map<string, MaturityAssessment>()
+    this.history(team).forEach((assessment) => {
+      byQuarter.set(assessment.quarter, assessment)
+    })
+    return Array.from(byQuarter.values())
+  }
+
+  teams(): {
+    team: string
+    quarter: string
+    currentLevel: number
+    score: number
+    assessments: number
+  }[] {
+    const latest = new Map<
+      string,
+      { assessment: MaturityAssessment; count: number }
+    >()
+    this.read().forEach((assessment) => {
+      const key = assessment.team.toLowerCase()
+      const entry = latest.get(key)
+      if (!entry) {
+        latest.set(key, { assessment, count: 1 })
+        return
+      }
+      entry.count++
+      if (assessment.assessedAt > entry.assessment.assessedAt) {
+        entry.assessment = assessment
+      }
+    })
+    return Array.from(latest.values()).map(({ assessment, count }) => ({
+      team: assessment.team,
+      quarter: assessment.quarter,
+      currentLevel: assessment.currentLevel,
+      score: assessment.score,
+      assessments: count,
+    }))
+  }
+}
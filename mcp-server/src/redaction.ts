@@ -0,0 +1,540 @@
+/**
+ * Secret and PII redaction for ingested documents
+ *
+ * Both ingestion paths run text through a Redactor before it is stored or
+ * indexed: the MCP server's documentation loader and the PDF platform's
+ * uploads (and its copy of the documentation). Whatever reaches the search
+ * indexes, the knowledge base snapshot or an LLM prompt has already been
+ * redacted.
+ *
+ * Detectors are regular expressions for well-known secret formats (cloud and
+ * SaaS keys, private keys, JWTs, credentials in connection strings and
+ * assignments), PII (emails, phone numbers, card numbers) and a Shannon
+ * entropy check for random-looking tokens. Every match is reported with its
+ * rule, line and a masked preview, never the value itself.
+ *
+ * Modes (DEVSECOPS_REDACTION or the config file's "mode"):
+ * - redact: replace each match with [REDACTED:<rule>] (default)
+ * - block: refuse the whole document when anything is found
+ * - off: ingest as-is
+ *
+ * DEVSECOPS_REDACTION_CONFIG names a JSON file that can change the mode,
+ * disable built-in rules, add rules and allowlist known-safe values:
+ *
+ *   {
+ *     "mode": "block",
+ *     "disable": ["phone_number"],
+ *     "rules": [
+ *       { "id": "internal_token", "kind": "secret", "pattern": "itk_[a-z0-9]{32}" }
+ *     ],
+ *     "allowlist": ["noreply@acme.io", "^sha256:"],
+ *     "entropy": { "minLength": 24, "threshold": 4.2 }
+ *   }
+ */
+
+import * as fs from 'fs'
+import * as path from 'path'
+
+export type RedactionMode = 'redact' | 'block' | 'off'
+
+export type FindingKind = 'secret' | 'pii'
+
+export interface RedactionRule {
+  id: string
+  kind: FindingKind
+  description: string
+  pattern: RegExp
+  /** Capture group holding the sensitive part; the whole match by default */
+  group?: number
+  /** Extra check on the matched value, e.g. a checksum */
+  validate?: (value: string) => boolean
+}
+
+export interface RedactionFinding {
+  rule: string
+  kind: FindingKind
+  line: number
+  /** First characters of the value and its length; the value is never kept */
+  preview: string
+}
+
+export interface RedactionReport {
+  document: string
+  mode: RedactionMode
+  /** True when block mode refused the document */
+  blocked: boolean
+  findings: RedactionFinding[]
+  /** Findings by rule ID */
+  counts: Record<string, number>
+}
+
+export interface RedactionConfig {
+  mode: RedactionMode
+  source: string
+  rules: RedactionRule[]
+  allowlist: RegExp[]
+  entropy: { enabled: boolean; minLength: number; threshold: number }
+}
+
+export interface RedactionResult {
+  content: string
+  report: RedactionReport
+  /** Where a position in the original text is in the redacted content */
+  mapOffset: (offset: number) => number
+}
+
+const MODES: RedactionMode[] = ['redact', 'block', 'off']
+
+// Values that are obviously placeholders in docs and examples
+const PLACEHOLDER =
+  /^(?:\$\{[^}]*\}|\$[A-Z_]+|<[^>]*>|\{\{[^}]*\}\}|\*+|x+|.*\.{3}|your[_-].*|changeme|example.*|placeholder|redacted.*|none|null|true|false)$/i
+
+// Values that name where a secret comes from rather than holding it:
+// process.env.API_KEY, settings.token, getToken()
+const CODE_REFERENCE = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+$|\(/
+
+// Emails at the domains reserved for documentation, and the company.com
+// placeholder the templates use
+const EXAMPLE_EMAIL =
+  /@(?:[a-z0-9-]+\.)*(?:example\.(?:com|org|net)|company\.com)$/i
+
+export const DEFAULT_RULES: RedactionRule[] = [
+  {
+    id: 'private_key',
+    kind: 'secret',
+    description: 'PEM private key block',
+    pattern:
+      /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY-----/g,
+  },
+  {
+    id: 'aws_access_key_id',
+    kind: 'secret',
+    description: 'AWS access key ID',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    id: 'aws_secret_access_key',
+    kind: 'secret',
+    description: 'AWS secret access key assignment',
+    pattern:
+      /\baws_?secret_?(?:access_?)?key\b["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})/gi,
+    group: 1,
+  },
+  {
+    id: 'github_token',
+    kind: 'secret',
+    description: 'GitHub token',
+    pattern:
+      /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+  },
+  {
+    id: 'gitlab_token',
+    kind: 'secret',
+    description: 'GitLab personal access token',
+    pattern: /\bglpat-[A-Za-z0-9_-]{20,}\b/g,
+  },
+  {
+    id: 'slack_token',
+    kind: 'secret',
+    description: 'Slack token or webhook URL',
+    pattern:
+      /\bxox[abprs]-[A-Za-z0-9-]{10,}\b|https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/g,
+  },
+  {
+    id: 'openai_api_key',
+    kind: 'secret',
+    description: 'OpenAI or Anthropic API key',
+    pattern: /\bsk-(?:proj-|ant-[a-z0-9]+-)?[A-Za-z0-9_-]{20,}\b/g,
+  },
+  {
+    id: 'google_api_key',
+    kind: 'secret',
+    description: 'Google API key',
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  },
+  {
+    id: 'stripe_key',
+    kind: 'secret',
+    description: 'Stripe secret or restricted key',
+    pattern: /\b[rs]k_(?:live|test)_[0-9a-zA-Z]{16,}\b/g,
+  },
+  {
+    id: 'jwt',
+    kind: 'secret',
+    description: 'JSON Web Token',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  },
+  {
+    id: 'connection_string_password',
+    kind: 'secret',
+    description: 'Password in a connection string URL',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s@/]+)@[^\s]+/gi,
+    group: 1,
+  },
+  {
+    id: 'secret_assignment',
+    kind: 'secret',
+    description: 'Password, secret, token or API key assigned a value',
+    pattern:
+      /\b(?:[A-Za-z0-9]+[_-])*(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?key|auth[_-]?token|token|client[_-]?secret)\b["']?\s*[:=]\s*["']?([^\s"',;]{6,})/gi,
+    group: 1,
+    // Real values have a digit or symbol; "token: string" is a type
+    validate: (value) => /[\d\W_]/.test(value) && !CODE_REFERENCE.test(value),
+  },
+  {
+    id: 'email_address',
+    kind: 'pii',
+    description: 'Email address',
+    pattern:
+      /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+    validate: (value) => !EXAMPLE_EMAIL.test(value),
+  },
+  {
+    id: 'phone_number',
+    kind: 'pii',
+    description: 'International or Australian mobile phone number',
+    pattern:
+      /(?<![\w+])(?:\+\d{1,3}(?:[ .-]?\d){7,12}|04\d{2}[ ]?\d{3}[ ]?\d{3})\b/g,
+  },
+  {
+    id: 'credit_card',
+    kind: 'pii',
+    description: 'Payment card number (Luhn-valid)',
+    // Visa, Mastercard, Amex and Discover prefixes, so timestamps and IDs
+    // that happen to pass the checksum are left alone
+    pattern:
+      /\b(?:4\d{3}|5[1-5]\d{2}|2[2-7]\d{2}|3[47]\d{2}|6(?:011|5\d{2}))(?:[ -]?\d){9,15}\b/g,
+    validate: (value) => luhnValid(value.replace(/\D/g, '')),
+  },
+]
+
+// Candidate tokens for the entropy check: long runs of key-like characters
+const TOKEN = /[A-Za-z0-9+/_-]{16,}={0,2}/g
+
+function luhnValid(digits: string): boolean {
+  if (digits.length < 13 || digits.length > 19) {
+    return false
+  }
+
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Shannon entropy in bits per character
+ */
+export function shannonEntropy(value: string): number {
+  const counts = new Map<string, number>()
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1)
+  }
+
+  let entropy = 0
+  counts.forEach((count) => {
+    const p = count / value.length
+    entropy -= p * Math.log2(p)
+  })
+  return entropy
+}
+
+// Random-looking: mixes upper and lower case letters and digits, and is not
+// a path or identifier made of words
+function looksRandom(token: string): boolean {
+  return (
+    /[a-z]/.test(token) &&
+    /[A-Z]/.test(token) &&
+    /\d/.test(token) &&
+    !token.includes('/')
+  )
+}
+
+function maskedPreview(value: string): string {
+  return `${value.slice(0, 2)}… (${value.length} chars)`
+}
+
+function toPattern(value: string): RegExp {
+  try {
+    return new RegExp(value)
+  } catch {
+    throw new Error(`invalid pattern ${JSON.stringify(value)}`)
+  }
+}
+
+function customRule(rule: any, index: number): RedactionRule {
+  const label = rule && rule.id ? `rule ${rule.id}` : `rule #${index + 1}`
+  if (
+    !rule ||
+    typeof rule.id !== 'string' ||
+    typeof rule.pattern !== 'string'
+  ) {
+    throw new Error(`${label} needs a string id and pattern`)
+  }
+  if (
+    rule.kind !== undefined &&
+    rule.kind !== 'secret' &&
+    rule.kind !== 'pii'
+  ) {
+    throw new Error(`${label}: kind must be "secret" or "pii"`)
+  }
+
+  let pattern: RegExp
+  try {
+    const flags = String(rule.flags || '').replace('g', '')
+    pattern = new RegExp(rule.pattern, `${flags}g`)
+  } catch (error) {
+    throw new Error(
+      `${label}: ${error instanceof Error ? error.message : error}`
+    )
+  }
+
+  return {
+    id: rule.id,
+    kind: rule.kind || 'secret',
+    description: rule.description || `Custom rule ${rule.id}`,
+    pattern,
+    group: typeof rule.group === 'number' ? rule.group : undefined,
+  }
+}
+
+/**
+ * Redaction settings from DEVSECOPS_REDACTION_CONFIG (JSON file) and
+ * DEVSECOPS_REDACTION (mode), which wins over the file's mode
+ */
+export function loadRedactionConfig(
+  env: NodeJS.ProcessEnv = process.env
+): RedactionConfig {
+  let raw: any = {}
+  let source = 'built-in rules'
+
+  if (env.DEVSECOPS_REDACTION_CONFIG) {
+    const configPath = path.resolve(env.DEVSECOPS_REDACTION_CONFIG)
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    } catch (error) {
+      throw new Error(
+        `Could not read redaction config ${configPath}: ${error instanceof Error ? error.message : error}`
+      )
+    }
+    source = configPath
+  }
+
+  const mode = (env.DEVSECOPS_REDACTION ||
+    raw.mode ||
+    'redact') as RedactionMode
+  if (!MODES.includes(mode)) {
+    throw new Error(
+      `Unknown redaction mode "${mode}" (expected ${MODES.join(', ')})`
+    )
+  }
+
+  try {
+    const disabled = new Set<string>(raw.disable || [])
+    const rules = [
+      ...DEFAULT_RULES.filter((rule) => !disabled.has(rule.id)),
+      ...(raw.rules || []).map(customRule),
+    ]
+    const entropy = raw.entropy || {}
+
+    return {
+      mode,
+      source,
+      rules,
+      allowlist: (raw.allowlist || []).map(toPattern),
+      entropy: {
+        enabled: entropy.enabled !== false && !disabled.has('high_entropy'),
+        minLength: Number(entropy.minLength) || 24,
+        threshold: Number(entropy.threshold) || 4.2,
+      },
+    }
+  } catch (error) {
+    throw new Error(
+      `Redaction config ${source}: ${error instanceof Error ? error.message : error}`
+    )
+  }
+}
+
+/**
+ * Thrown where block mode refuses a document; carries the findings report
+ */
+export class RedactionBlockedError extends Error {
+  report: RedactionReport
+
+  constructor(report: RedactionReport) {
+    super(
+      `${report.document} contains ${report.findings.length} sensitive value(s) (${Object.keys(
+        report.counts
+      ).join(', ')}) and redaction is set to block`
+    )
+    this.name = 'RedactionBlockedError'
+    this.report = report
+  }
+}
+
+interface Match {
+  start: number
+  end: number
+  rule: string
+  kind: FindingKind
+}
+
+export class Redactor {
+  readonly config: RedactionConfig
+
+  constructor(config: RedactionConfig = loadRedactionConfig()) {
+    this.config = config
+  }
+
+  get mode(): RedactionMode {
+    return this.config.mode
+  }
+
+  private allowed(value: string): boolean {
+    return (
+      PLACEHOLDER.test(value) ||
+      this.config.allowlist.some((pattern) => pattern.test(value))
+    )
+  }
+
+  // Every sensitive span, earliest first; rules listed first win overlaps
+  private scan(text: string): Match[] {
+    const matches: Match[] = []
+    const overlaps = (start: number, end: number) =>
+      matches.some((match) => start < match.end && end > match.start)
+
+    for (const rule of this.config.rules) {
+      for (const match of text.matchAll(rule.pattern)) {
+        const value = rule.group ? match[rule.group] : match[0]
+        if (!value || this.allowed(value)) continue
+        if (rule.validate && !rule.validate(value)) continue
+
+        const start = match.index! + (rule.group ? match[0].indexOf(value) : 0)
+        const end = start + value.length
+        if (!overlaps(start, end)) {
+          matches.push({ start, end, rule: rule.id, kind: rule.kind })
+        }
+      }
+    }
+
+    const { entropy } = this.config
+    if (entropy.enabled) {
+      for (const match of text.matchAll(TOKEN)) {
+        const token = match[0]
+        const start = match.index!
+        if (
+          token.length >= entropy.minLength &&
+          looksRandom(token) &&
+          shannonEntropy(token) >= entropy.threshold &&
+          !this.allowed(token) &&
+          !overlaps(start, start + token.length)
+        ) {
+          matches.push({
+            start,
+            end: start + token.length,
+            rule: 'high_entropy',
+            kind: 'secret',
+          })
+        }
+      }
+    }
+
+    return matches.sort((a, b) => a.start - b.start)
+  }
+
+  /**
+   * Redact one document's text. In block mode the content comes back
+   * unchanged with report.blocked set when anything was found; callers must
+   * then refuse the document.
+   */
+  redact(text: string, document: string): RedactionResult {
+    const report: RedactionReport = {
+      document,
+      mode: this.mode,
+      blocked: false,
+      findings: [],
+      counts: {},
+    }
+    const unchanged = (offset: number) => offset
+    if (this.mode === 'off') {
+      return { content: text, report, mapOffset: unchanged }
+    }
+
+    const matches = this.scan(text)
+    let line = 1
+    let lineCursor = 0
+    for (const match of matches) {
+      for (; lineCursor < match.start; lineCursor++) {
+        if (text[lineCursor] === '\n') line++
+      }
+      report.findings.push({
+        rule: match.rule,
+        kind: match.kind,
+        line,
+        preview: maskedPreview(text.slice(match.start, match.end)),
+      })
+      report.counts[match.rule] = (report.counts[match.rule] || 0) + 1
+    }
+
+    if (matches.length === 0) {
+      return { content: text, report, mapOffset: unchanged }
+    }
+    if (this.mode === 'block') {
+      report.blocked = true
+      return { content: text, report, mapOffset: unchanged }
+    }
+
+    let content = ''
+    let cursor = 0
+    // Length change from each replacement, by where it ends
+    const shifts: Array<{ end: number; delta: number }> = []
+    for (const match of matches) {
+      const replacement = `[REDACTED:${match.rule}]`
+      content += `${text.slice(cursor, match.start)}${replacement}`
+      cursor = match.end
+      shifts.push({
+        end: match.end,
+        delta: replacement.length - (match.end - match.start),
+      })
+    }
+    content += text.slice(cursor)
+
+    const mapOffset = (offset: number) =>
+      shifts.reduce(
+        (mapped, shift) =>
+          shift.end <= offset ? mapped + shift.delta : mapped,
+        offset
+      )
+    return { content, report, mapOffset }
+  }
+}
+
+/**
+ * A findings report as plain text, for tool output and logs
+ */
+export function formatRedactionReport(report: RedactionReport): string {
+  if (report.findings.length === 0) {
+    return `${report.document}: no sensitive values found`
+  }
+
+  const action = report.blocked
+    ? 'blocked'
+    : report.mode === 'redact'
+      ? 'redacted'
+      : 'found'
+  const lines = [
+    `${report.document}: ${report.findings.length} sensitive value(s) ${action}`,
+  ]
+  report.findings.forEach((finding) => {
+    lines.push(
+      `  - line ${finding.line}: ${finding.rule} (${finding.kind}) ${finding.preview}`
+    )
+  })
+  return lines.join('\n')
+}
@@ -0,0 +1,187 @@
+/**
+ * Hybrid chunk retrieval for grounding chat answers
+ *
+ * Documents are split into chunks (see chunking.ts), and each chunk is both
+ * keyword-indexed (BM25) and embedded. A query runs against both, and the two
+ * rankings are merged with Reciprocal Rank Fusion so a chunk that is strong
+ * on either signal surfaces without having to calibrate the raw scores
+ * against each other.
+ */
+
+import { Chunk, chunkDocument } from './chunking.js'
+import { EmbeddingProvider, cosineSimilarity, embedAll } from './embeddings.js'
+import { SearchIndex } from './search-index.js'
+
+export interface RetrievableDocument {
+  title: string
+  content: string
+  type: string
+  category: string
+}
+
+export interface RetrievedChunk {
+  chunkId: string
+  docId: string
+  title: string
+  category: string
+  heading: string
+  text: string
+  start: number
+  end: number
+  score: number
+}
+
+export interface RetrieveOptions {
+  k?: number
+  category?: string
+}
+
+interface StoredChunk extends Chunk {
+  title: string
+  category: string
+  vector: number[]
+}
+
+// Standard RRF damping constant
+const RRF_K = 60
+// How deep into each ranking to look before fusing
+const CANDIDATE_POOL = 50
+
+export class HybridRetriever {
+  private chunks = new Map<string, StoredChunk>()
+  private chunkIdsByDoc = new Map<string, string[]>()
+  private keywordIndex = new SearchIndex<StoredChunk>()
+  // Bumped on every add/remove so a slow embedding call for an outdated
+  // version of a document can't overwrite a newer one
+  private versions = new Map<string, number>()
+
+  constructor(private provider: EmbeddingProvider) {}
+
+  get providerName(): string {
+    return this.provider.name
+  }
+
+  get size(): number {
+    return this.chunks.size
+  }
+
+  /**
+   * Chunk, index and embed a document, replacing any previous version
+   */
+  async addDocument(docId: string, doc: RetrievableDocument): Promise<void> {
+    const version = this.bumpVersion(docId)
+    const chunks = chunkDocument(docId, doc.content, doc.type)
+    const vectors = await embedAll(
+      this.provider,
+      chunks.map((chunk) => embeddingText(doc.title, chunk))
+    )
+
+    if (this.versions.get(docId) !== version) {
+      return
+    }
+
+    this.dropChunks(docId)
+    chunks.forEach((chunk, i) => {
+      const stored: StoredChunk = {
+        ...chunk,
+        title: doc.title,
+        category: doc.category,
+        vector: vectors[i],
+      }
+      this.chunks.set(chunk.id, stored)
+      this.keywordIndex.add(chunk.id, {
+        title: [doc.title, chunk.heading].filter(Boolean).join(' '),
+        text: chunk.text,
+        data: stored,
+      })
+    })
+    this.chunkIdsByDoc.set(
+      docId,
+      chunks.map((chunk) => chunk.id)
+    )
+  }
+
+  removeDocument(docId: string): void {
+    this.bumpVersion(docId)
+    this.dropChunks(docId)
+  }
+
+  /**
+   * Top-k chunks for a query, best first
+   */
+  async retrieve(
+    query: string,
+    options: RetrieveOptions = {}
+  ): Promise<RetrievedChunk[]> {
+    const k = options.k ?? 5
+    const matchesCategory = (chunk: StoredChunk) =>
+      !options.category || chunk.category === options.category
+
+    const keywordRanking = this.keywordIndex
+      .search(query, {
+        limit: CANDIDATE_POOL,
+        filter: matchesCategory,
+        maxSnippets: 0,
+      })
+      .map((result) => result.id)
+
+    const [queryVector] = await this.provider.embed([query])
+    const vectorRanking = Array.from(this.chunks.values())
+      .filter(matchesCategory)
+      .map((chunk) => ({
+        id: chunk.id,
+        similarity: cosineSimilarity(queryVector, chunk.vector),
+      }))
+      .filter(({ similarity }) => similarity > 0)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, CANDIDATE_POOL)
+      .map(({ id }) => id)
+
+    const fused = new Map<string, number>()
+    for (const ranking of [keywordRanking, vectorRanking]) {
+      ranking.forEach((id, rank) => {
+        fused.set(id, (fused.get(id) || 0) + 1 / (RRF_K + rank + 1))
+      })
+    }
+
+    return Array.from(fused.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k)
+      .map(([id, score]) => {
+        const { vector, ...chunk } = this.chunks.get(id)!
+        return {
+          chunkId: chunk.id,
+          docId: chunk.docId,
+          title: chunk.title,
+          category: chunk.category,
+          heading: chunk.heading,
+          text: chunk.text,
+          start: chunk.start,
+          end: chunk.end,
+          score: Math.round(score * 10000) / 10000,
+        }
+      })
+  }
+
+  private bumpVersion(docId: string): number {
+    const version = (this.versions.get(docId) || 0) + 1
+    this.versions.set(docId, version)
+    return version
+  }
+
+  private dropChunks(docId: string): void {
+    for (const id of this.chunkIdsByDoc.get(docId) || []) {
+      this.chunks.delete(id)
+      this.keywordIndex.remove(id)
+    }
+    this.chunkIdsByDoc.delete(docId)
+  }
+}
+
+/**
+ * Prefix the document and section so a chunk's vector reflects where it
+ * sits, not only its own words
+ */
+function embeddingText(title: string, chunk: Chunk): string {
+  return [title, chunk.heading, chunk.text].filter(Boolean).join('\n')
+}
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { SearchIndex, parseQuery, stem, tokenize } from './search-index.js'
+
+function sampleIndex() {
+  const index = new SearchIndex<{ kind: string }>()
+  index.add('alerting', {
+    title: 'Alerting guide',
+    text: 'Alerts fire when the error budget burns too fast. Page the on-call engineer.',
+    data: { kind: 'guide' },
+  })
+  index.add('slo', {
+    title: 'SLO template',
+    text: 'Every SLO names its SLI, a target and a window. The budget is what remains of the error allowance.',
+    data: { kind: 'template' },
+  })
+  index.add('deploy', {
+    title: 'Deployments',
+    text: 'Blue-green deployments let you roll back quickly.',
+    data: { kind: 'guide' },
+  })
+  return index
+}
+
+test('stem conflates plural and tense variants but leaves "ss" words alone', () => {
+  assert.equal(stem('alerts'), stem('alerting'))
+  assert.equal(stem('alerted'), stem('alert'))
+  assert.equal(stem('journeys'), 'journey')
+  assert.equal(stem('running'), 'run')
+  assert.equal(stem('process'), 'process')
+  assert.equal(stem('p99'), 'p99')
+})
+
+test('tokenize drops stop words and keeps offsets into the original text', () => {
+  const text = 'The Alerts are noisy'
+  const tokens = tokenize(text)
+
+  assert.deepEqual(
+    tokens.map(({ term }) => term),
+    ['alert', 'noisy']
+  )
+  assert.equal(text.slice(tokens[0].start, tokens[0].end), 'Alerts')
+})
+
+test('parseQuery separates quoted phrases and counts their words as terms', () => {
+  const { terms, phrases } = parseQuery('paging "error budget"')
+
+  assert.deepEqual(phrases, [['error', 'budget']])
+  assert.deepEqual(terms, ['pag', 'error', 'budget'])
+})
+
+test('search ranks by BM25 with a boost for title matches', () => {
+  const results = sampleIndex().search('alerting')
+
+  assert.equal(results[0].id, 'alerting')
+  assert.ok(results[0].score > 0)
+  assert.deepEqual(
+    results.map(({ id }) => id),
+    ['alerting']
+  )
+})
+
+test('quoted phrases must appear in order', () => {
+  const index = sampleIndex()
+
+  assert.deepEqual(
+    index.search('"error budget"').map(({ id }) => id),
+    ['alerting']
+  )
+  assert.deepEqual(index.search('"budget error"'), [])
+})
+
+test('filter, limit and snippets with highlighted matches', () => {
+  const index = sampleIndex()
+  const guides = index.search('budget', {
+    filter: (data) => data.kind === 'guide',
+  })
+  assert.deepEqual(
+    guides.map(({ id }) => id),
+    ['alerting']
+  )
+
+  assert.equal(index.search('error budget', { limit: 1 }).length, 1)
+
+  const [snippet] = guides[0].snippets
+  assert.match(snippet.highlighted, /\*\*budget\*\*/)
+  assert.ok(snippet.text.includes('error budget'))
+})
+
+test('documents are replaced and removed without a rebuild', () => {
+  const index = sampleIndex()
+
+  index.add('deploy', {
+    title: 'Deployments',
+    text: 'Canary releases limit the blast radius.',
+    data: { kind: 'guide' },
+  })
+  assert.equal(index.size, 3)
+  assert.deepEqual(index.search('blue-green'), [])
+  assert.equal(index.search('canary')[0].id, 'deploy')
+
+  assert.equal(index.remove('deploy'), true)
+  assert.equal(index.remove('deploy'), false)
+  assert.deepEqual(index.search('canary'), [])
+  assert.deepEqual(index.ids().sort(), ['alerting', 'slo'])
+})
@@ -0,0 +1,463 @@
+/**
+ * In-process full-text search index
+ *
+ * Shared by the MCP server (search_docs) and the Express platform
+ * (searchKnowledgeBase). Documents are tokenized and stemmed into an inverted
+ * index with term positions, ranked with BM25, and can be added, replaced or
+ * removed one at a time so the index never needs a full rebuild.
+ *
+ * Query syntax: plain terms are ranked together ("slo burn rate"), and
+ * double-quoted phrases must appear in that order ("error budget").
+ */
+
+/**
+ * A token with its position in the original text
+ */
+export interface Token {
+  term: string
+  start: number
+  end: number
+}
+
+export interface IndexInput<T> {
+  title: string
+  text: string
+  data: T
+}
+
+export interface Snippet {
+  text: string
+  highlighted: string
+  offset: number
+}
+
+export interface SearchResult<T> {
+  id: string
+  score: number
+  data: T
+  snippets: Snippet[]
+}
+
+export interface SearchOptions<T> {
+  limit?: number
+  filter?: (data: T) => boolean
+  maxSnippets?: number
+  snippetLength?: number
+  highlight?: [string, string]
+}
+
+interface IndexedEntry<T> {
+  title: string
+  text: string
+  data: T
+  bodyTokens: Token[]
+  titleLength: number
+  bodyLength: number
+}
+
+// Positions of a term within one field of one document
+type Postings = Map<string, number[]>
+
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+const TITLE_WEIGHT = 2
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'do',
+  'does',
+  'for',
+  'from',
+  'how',
+  'i',
+  'in',
+  'is',
+  'it',
+  'me',
+  'my',
+  'of',
+  'on',
+  'or',
+  'show',
+  'that',
+  'the',
+  'this',
+  'to',
+  'what',
+  'when',
+  'where',
+  'which',
+  'with',
+])
+
+const TOKEN_PATTERN = /[a-z0-9]+(?:[.'][a-z0-9]+)*/g
+
+// Ordered longest-first so "ational" wins over "al"
+const SUFFIX_RULES: Array<[string, string]> = [
+  ['ational', 'ate'],
+  ['ization', 'ize'],
+  ['fulness', 'ful'],
+  ['iveness', 'ive'],
+  ['ousness', 'ous'],
+  ['ements', ''],
+  ['ement', ''],
+  ['ments', ''],
+  ['ment', ''],
+  ['ations', 'ate'],
+  ['ation', 'ate'],
+  ['ities', ''],
+  ['ness', ''],
+  ['ingly', ''],
+  ['ings', ''],
+  ['ing', ''],
+  ['edly', ''],
+  ['ies', 'y'],
+  ['ied', 'y'],
+  ['ed', ''],
+  ['ly', ''],
+  ['es', ''],
+  ['s', ''],
+]
+
+/**
+ * Light suffix-stripping English stemmer. Not a full Porter stemmer, but it
+ * conflates the plural/tense variants that matter for documentation search
+ * ("alerts"/"alerting"/"alerted", "journeys"/"journey").
+ */
+export function stem(word: string): string {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word
+  }
+
+  for (const [suffix, replacement] of SUFFIX_RULES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      // "ss" endings (e.g. "process", "access") are not plurals
+      if (suffix === 's' && /(ss|us|is)$/.test(word)) {
+        return word
+      }
+      if (suffix === 'es' && !/(ches|shes|sses|xes|zes)$/.test(word)) {
+        continue
+      }
+      let stemmed = word.slice(0, word.length - suffix.length) + replacement
+      // "running" -> "runn" -> "run"
+      if (/([^aeiouslz])\1$/.test(stemmed)) {
+        stemmed = stemmed.slice(0, -1)
+      }
+      return stemmed
+    }
+  }
+
+  return word
+}
+
+/**
+ * Split text into stemmed tokens, keeping their character offsets
+ */
+export function tokenize(text: string, keepStopWords = false): Token[] {
+  const tokens: Token[] = []
+  const lower = text.toLowerCase()
+  TOKEN_PATTERN.lastIndex = 0
+
+  let match: RegExpExecArray | null
+  while ((match = TOKEN_PATTERN.exec(lower)) !== null) {
+    const word = match[0]
+    if (!keepStopWords && STOP_WORDS.has(word)) {
+      continue
+    }
+    tokens.push({
+      term: stem(word),
+      start: match.index,
+      end: match.index + word.length,
+    })
+  }
+
+  return tokens
+}
+
+interface ParsedQuery {
+  terms: string[]
+  phrases: string[][]
+}
+
+/**
+ * Split a query into free terms and quoted phrases
+ */
+export function parseQuery(query: string): ParsedQuery {
+  const phrases: string[][] = []
+  const rest = query.replace(/"([^"]*)"/g, (_, phrase: string) => {
+    const terms = tokenize(phrase).map((token) => token.term)
+    if (terms.length > 0) {
+      phrases.push(terms)
+    }
+    return ' '
+  })
+
+  const terms = tokenize(rest).map((token) => token.term)
+  // Phrase words also count towards ranking
+  phrases.forEach((phrase) => terms.push(...phrase))
+
+  return { terms: Array.from(new Set(terms)), phrases }
+}
+
+export class SearchIndex<T = unknown> {
+  private entries = new Map<string, IndexedEntry<T>>()
+  private bodyIndex = new Map<string, Postings>()
+  private titleIndex = new Map<string, Postings>()
+  private totalBodyLength = 0
+  private totalTitleLength = 0
+
+  get size(): number {
+    return this.entries.size
+  }
+
+  has(id: string): boolean {
+    return this.entries.has(id)
+  }
+
+  ids(): string[] {
+    return Array.from(this.entries.keys())
+  }
+
+  /**
+   * Add a document, replacing any previous version with the same id
+   */
+  add(id: string, { title, text, data }: IndexInput<T>): void {
+    this.remove(id)
+
+    const bodyTokens = tokenize(text)
+    const titleTokens = tokenize(title)
+
+    addPostings(this.bodyIndex, id, bodyTokens)
+    addPostings(this.titleIndex, id, titleTokens)
+
+    this.entries.set(id, {
+      title,
+      text,
+      data,
+      bodyTokens,
+      titleLength: titleTokens.length,
+      bodyLength: bodyTokens.length,
+    })
+    this.totalBodyLength += bodyTokens.length
+    this.totalTitleLength += titleTokens.length
+  }
+
+  remove(id: string): boolean {
+    const entry = this.entries.get(id)
+    if (!entry) {
+      return false
+    }
+
+    removePostings(this.bodyIndex, id, entry.bodyTokens)
+    removePostings(this.titleIndex, id, tokenize(entry.title))
+
+    this.entries.delete(id)
+    this.totalBodyLength -= entry.bodyLength
+    this.totalTitleLength -= entry.titleLength
+    return true
+  }
+
+  clear(): void {
+    this.entries.clear()
+    this.bodyIndex.clear()
+    this.titleIndex.clear()
+    this.totalBodyLength = 0
+    this.totalTitleLength = 0
+  }
+
+  search(query: string, options: SearchOptions<T> = {}): SearchResult<T>[] {
+    const { terms, phrases } = parseQuery(query)
+    if (terms.length === 0) {
+      return []
+    }
+
+    const scores = new Map<string, number>()
+    const addScores = (
+      index: Map<string, Postings>,
+      weight: number,
+      lengthOf: (entry: IndexedEntry<T>) => number,
+      averageLength: number
+    ) => {
+      for (const term of terms) {
+        const postings = index.get(term)
+        if (!postings) continue
+
+        const idf = Math.log(
+          1 + (this.size - postings.size + 0.5) / (postings.size + 0.5)
+        )
+        for (const [id, positions] of postings) {
+          const entry = this.entries.get(id)!
+          const tf = positions.length
+          const norm =
+            1 - BM25_B + BM25_B * (lengthOf(entry) / (averageLength || 1))
+          const score = (idf * tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm)
+          scores.set(id, (scores.get(id) || 0) + weight * score)
+        }
+      }
+    }
+
+    addScores(
+      this.bodyIndex,
+      1,
+      (entry) => entry.bodyLength,
+      this.totalBodyLength / (this.size || 1)
+    )
+    addScores(
+      this.titleIndex,
+      TITLE_WEIGHT,
+      (entry) => entry.titleLength,
+      this.totalTitleLength / (this.size || 1)
+    )
+
+    const results: SearchResult<T>[] = []
+    for (const [id, score] of scores) {
+      const entry = this.entries.get(id)!
+      if (options.filter && !options.filter(entry.data)) continue
+      if (!phrases.every((phrase) => this.containsPhrase(id, phrase))) continue
+
+      results.push({ id, score, data: entry.data, snippets: [] })
+    }
+
+    results.sort((a, b) => b.score - a.score)
+    const limited =
+      options.limit !== undefined ? results.slice(0, options.limit) : results
+
+    const termSet = new Set(terms)
+    limited.forEach((result) => {
+      result.score = Math.round(result.score * 1000) / 1000
+      result.snippets = buildSnippets(
+        this.entries.get(result.id)!,
+        termSet,
+        options
+      )
+    })
+
+    return limited
+  }
+
+  private containsPhrase(id: string, phrase: string[]): boolean {
+    return [this.bodyIndex, this.titleIndex].some((index) => {
+      const starts = index.get(phrase[0])?.get(id)
+      if (!starts) return false
+
+      return starts.some((start) =>
+        phrase.every((term, offset) =>
+          index
+            .get(term)
+            ?.get(id)
+            ?.includes(start + offset)
+        )
+      )
+    })
+  }
+}
+
+function addPostings(
+  index: Map<string, Postings>,
+  id: string,
+  tokens: Token[]
+): void {
+  tokens.forEach((token, position) => {
+    let postings = index.get(token.term)
+    if (!postings) {
+      postings = new Map()
+      index.set(token.term, postings)
+    }
+    const positions = postings.get(id)
+    if (positions) {
+      positions.push(position)
+    } else {
+      postings.set(id, [position])
+    }
+  })
+}
+
+function removePostings(
+  index: Map<string, Postings>,
+  id: string,
+  tokens: Token[]
+): void {
+  for (const token of tokens) {
+    const postings = index.get(token.term)
+    if (!postings) continue
+    postings.delete(id)
+    if (postings.size === 0) {
+      index.delete(token.term)
+    }
+  }
+}
+
+/**
+ * Pick the windows of text with the most distinct query terms and mark the
+ * matching words
+ */
+function buildSnippets<T>(
+  entry: IndexedEntry<T>,
+  terms: Set<string>,
+  options: SearchOptions<T>
+): Snippet[] {
+  const maxSnippets = options.maxSnippets ?? 3
+  const length = options.snippetLength ?? 160
+  const [open, close] = options.highlight ?? ['**', '**']
+  const text = entry.text
+
+  const hits = entry.bodyTokens.filter((token) => terms.has(token.term))
+  if (hits.length === 0 || maxSnippets === 0) {
+    return []
+  }
+
+  // Candidate windows centred on each hit, scored by distinct terms covered
+  const windows = hits.map((hit) => {
+    let start = Math.max(0, hit.start - Math.floor(length / 3))
+    let end = Math.min(text.length, start + length)
+    // Snap to word boundaries
+    while (start > 0 && /\S/.test(text[start - 1])) start--
+    while (end < text.length && /\S/.test(text[end])) end++
+
+    const covered = hits.filter((h) => h.start >= start && h.end <= end)
+    return {
+      start,
+      end,
+      covered,
+      score: new Set(covered.map((h) => h.term)).size,
+    }
+  })
+
+  windows.sort((a, b) => b.score - a.score || a.start - b.start)
+
+  const chosen: typeof windows = []
+  for (const window of windows) {
+    if (chosen.length >= maxSnippets) break
+    const overlaps = chosen.some(
+      (other) => window.start < other.end && window.end > other.start
+    )
+    if (!overlaps) chosen.push(window)
+  }
+
+  return chosen
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end, covered }) => {
+      let highlighted = ''
+      let cursor = start
+      for (const hit of covered) {
+        highlighted += text.slice(cursor, hit.start)
+        highlighted += open + text.slice(hit.start, hit.end) + close
+        cursor = hit.end
+      }
+      highlighted += text.slice(cursor, end)
+
+      const collapse = (value: string) => value.replace(/\s+/g, ' ').trim()
+      return {
+        text: collapse(text.slice(start, end)),
+        highlighted: collapse(highlighted),
+        offset: start,
+      }
+    })
+}
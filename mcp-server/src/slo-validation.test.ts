@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import * as fs from 'fs'
+import * as path from 'path'
+import { fileURLToPath } from 'url'
+import {
+  durationHours,
+  formatValidationReport,
+  parseSloDefinitions,
+  validateSloDocument,
+} from './slo-validation.js'
+
+// build/ -> repository root
+const TEMPLATE_PATH = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  '..',
+  'context',
+  'templates',
+  'slo-template.yaml'
+)
+
+function slo(overrides: Record<string, unknown> = {}) {
+  return {
+    name: 'checkout_availability',
+    description: 'Checkout requests that succeed',
+    sli: {
+      name: 'checkout_success_ratio',
+      measurement_method: 'event_based',
+      query: 'sum(rate(ok[5m])) / sum(rate(total[5m]))',
+      unit: 'percentage',
+    },
+    target: { value: 99.9, unit: 'percentage', comparison: '>=' },
+    time_window: { duration: '30d', type: 'rolling' },
+    ...overrides,
+  }
+}
+
+function issues(result: ReturnType<typeof validateSloDocument>) {
+  return {
+    errors: result.errors.map(({ path, message }) => `${path}: ${message}`),
+    warnings: result.warnings.map(({ path, message }) => `${path}: ${message}`),
+  }
+}
+
+test('the slo-template.yaml in context/ validates cleanly', () => {
+  const result = validateSloDocument(fs.readFileSync(TEMPLATE_PATH, 'utf-8'))
+
+  assert.equal(result.valid, true)
+  assert.equal(result.sloCount, 4)
+  assert.deepEqual(result.warnings, [])
+})
+
+test('the schema reports missing fields, bad values and unknown keys', () => {
+  const { errors, warnings } = issues(
+    validateSloDocument({
+      slos: [
+        slo({
+          name: 'Checkout Availability',
+          time_window: { duration: '30 days', type: 'sliding' },
+          description: undefined,
+          owner: 'payments',
+        }),
+      ],
+    })
+  )
+
+  assert.deepEqual(errors, [
+    'slos[0].description: is required',
+    'slos[0].name: "Checkout Availability" is not valid: Lowercase identifier, e.g. api_availability',
+    'slos[0].time_window.duration: "30 days" is not valid: A number and m/h/d/w, e.g. 30d',
+    'slos[0].time_window.type: must be one of rolling, calendar (got "sliding")',
+  ])
+  assert.match(warnings[0], /^slos\[0\]\.owner: is not a known field/)
+  assert.deepEqual(issues(validateSloDocument({ slos: [] })).errors, [
+    'slos: must have at least 1 item(s)',
+  ])
+})
+
+test('targets must agree with their SLI and be reachable', () => {
+  const { errors, warnings } = issues(
+    validateSloDocument({
+      slos: [
+        slo({
+          target: { value: 99.9, unit: 'milliseconds', comparison: '>=' },
+        }),
+        slo({
+          name: 'checkout_strict',
+          alerting: { burn_rate_threshold: 2000 },
+          error_budget: {
+            actions: [
+              { type: 'notify', threshold: 50 },
+              { type: 'freeze', threshold: 25 },
+            ],
+          },
+        }),
+        slo({ name: 'checkout_availability' }),
+      ],
+    })
+  )
+
+  assert.deepEqual(errors, [
+    'slos[0].target.unit: target unit milliseconds does not match the SLI unit percentage',
+    'slos[1].alerting.burn_rate_threshold: can never fire: with a 99.9% target the budget burns at most 1000x',
+    'slos[1].error_budget.actions[1].threshold: thresholds must be ascending; 25 comes after 50',
+    'slos[2].name: duplicate SLO name "checkout_availability" (also slos[0])',
+  ])
+  assert.deepEqual(warnings, [
+    'slos[0].target.comparison: ">=" on a milliseconds target means slower is better; did you mean "<="?',
+  ])
+})
+
+test('a percentage target gets range warnings from the document', () => {
+  const { errors, warnings } = issues(
+    validateSloDocument({
+      slos: [
+        slo({ target: { value: 100, unit: 'percentage', comparison: '>=' } }),
+        slo({
+          name: 'checkout_loose',
+          target: { value: 95, unit: 'percentage', comparison: '>=' },
+          time_window: { duration: '14d', type: 'rolling' },
+        }),
+      ],
+      validation: { slo_target_range: { min: 99, max: 99.99 } },
+    })
+  )
+
+  assert.deepEqual(errors, [])
+  assert.deepEqual(warnings, [
+    'slos[0].target.value: a 100% target leaves no error budget',
+    'slos[1].target.value: 95% is outside the recommended range 99-99.99%',
+    'slos[1].time_window.duration: 14d is not one of the standard windows (1d, 7d, 30d, 90d)',
+  ])
+})
+
+test('a single SLO is checked from its root, and syntax errors have a line', () => {
+  const single = validateSloDocument(
+    JSON.stringify(slo({ target: { value: 120, unit: 'percentage' } })),
+    { format: 'json' }
+  )
+  assert.equal(single.sloCount, 1)
+  assert.deepEqual(issues(single).errors, [
+    'target.comparison: is required',
+    'target.value: percentage target must be above 0 and at most 100 (got 120)',
+  ])
+
+  const broken = validateSloDocument('slos:\n  - name: [x\n')
+  assert.equal(broken.valid, false)
+  assert.match(broken.errors[0].message, /^YAML syntax error at line \d+/)
+})
+
+test('the report lists errors and warnings with their paths', () => {
+  const report = formatValidationReport(
+    validateSloDocument({ slos: [slo({ owner: 'payments' })] })
+  )
+
+  assert.equal(
+    report.split('\n').slice(0, 3).join('\n'),
+    'Valid: 1 SLO, 0 errors, 1 warning\n\nWarnings:'
+  )
+  assert.match(report, /slos\[0\]\.owner/)
+})
+
+test('parseSloDefinitions takes a list or a single SLO', () => {
+  assert.deepEqual(
+    parseSloDefinitions({ slos: [slo(), null, 'x'] }).map(({ name }) => name),
+    ['checkout_availability']
+  )
+  assert.equal(parseSloDefinitions(JSON.stringify(slo())).length, 1)
+  assert.throws(
+    () => parseSloDefinitions({ title: 'notes' }),
+    /Expected a slos list or a single SLO definition/
+  )
+})
+
+test('durationHours reads m, h, d and w', () => {
+  assert.equal(durationHours('30m'), 0.5)
+  assert.equal(durationHours('6h'), 6)
+  assert.equal(durationHours('30d'), 720)
+  assert.equal(durationHours('1w'), 168)
+  assert.equal(durationHours('30 days'), null)
+})
@@ -0,0 +1,645 @@
+/**
+ * Validation of SLO definitions written against
+ * context/templates/slo-template.yaml
+ *
+ * Two passes:
+ * 1. Structure: SLO_DOCUMENT_SCHEMA is a JSON Schema for the template. It is
+ *    checked with a small validator covering the keywords it uses. Unknown
+ *    keys inside an SLO are reported as warnings, since they are usually
+ *    typos of a real field.
+ * 2. Semantics: checks the schema can't express. These cover target ranges
+ *    per unit, SLI/target agreement, burn rates a target can actually
+ *    reach, and error budget actions in ascending order.
+ *
+ * Shared with server.js (POST /api/slo/validate) through lib/shared.js.
+ */
+
+import yaml from 'js-yaml'
+
+export type Severity = 'error' | 'warning'
+
+export interface ValidationIssue {
+  /** Where the problem is, e.g. "slos[0].target.comparison" */
+  path: string
+  message: string
+  severity: Severity
+}
+
+export interface SloValidationResult {
+  valid: boolean
+  sloCount: number
+  errors: ValidationIssue[]
+  warnings: ValidationIssue[]
+}
+
+interface Schema {
+  type?: 'object' | 'array' | 'string' | 'number' | 'boolean'
+  required?: string[]
+  properties?: Record<string, Schema>
+  additionalProperties?: boolean
+  items?: Schema
+  minItems?: number
+  enum?: Array<string | number>
+  pattern?: string
+  minLength?: number
+  minimum?: number
+  maximum?: number
+  exclusiveMinimum?: number
+  description?: string
+}
+
+const UNITS = [
+  'percentage',
+  'milliseconds',
+  'seconds',
+  'minutes',
+  'hours',
+  'days',
+  'count',
+]
+const TIME_UNITS = ['milliseconds', 'seconds', 'minutes', 'hours', 'days']
+const COMPARISONS = ['>=', '<=', '>', '<']
+
+// The template's own "validation" block supplies these; used when a
+// document doesn't have one
+const DEFAULT_TARGET_RANGE = { min: 90.0, max: 99.99 }
+const DEFAULT_TIME_WINDOWS = ['1d', '7d', '30d', '90d']
+
+const SLI_SCHEMA: Schema = {
+  type: 'object',
+  required: ['name', 'measurement_method', 'query', 'unit'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    measurement_method: {
+      type: 'string',
+      enum: ['event_based', 'distribution'],
+    },
+    query: { type: 'string', minLength: 1 },
+    unit: { type: 'string', enum: UNITS },
+  },
+}
+
+const SLO_SCHEMA: Schema = {
+  type: 'object',
+  required: ['name', 'description', 'sli', 'target', 'time_window'],
+  additionalProperties: false,
+  properties: {
+    name: {
+      type: 'string',
+      pattern: '^[a-z0-9][a-z0-9_-]*$',
+      description: 'Lowercase identifier, e.g. api_availability',
+    },
+    display_name: { type: 'string' },
+    description: { type: 'string', minLength: 1 },
+    service: { type: 'string' },
+    category: { type: 'string' },
+    sli: SLI_SCHEMA,
+    target: {
+      type: 'object',
+      required: ['value', 'unit', 'comparison'],
+      additionalProperties: false,
+      properties: {
+        value: { type: 'number' },
+        unit: { type: 'string', enum: UNITS },
+        comparison: { type: 'string', enum: COMPARISONS },
+      },
+    },
+    time_window: {
+      type: 'object',
+      required: ['duration', 'type'],
+      additionalProperties: false,
+      properties: {
+        duration: {
+          type: 'string',
+          pattern: '^[1-9][0-9]*[mhdw]$',
+          description: 'A number and m/h/d/w, e.g. 30d',
+        },
+        type: { type: 'string', enum: ['rolling', 'calendar'] },
+      },
+    },
+    alerting: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        burn_rate_threshold: { type: 'number', exclusiveMinimum: 0 },
+        notification_channels: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 },
+        },
+        severity: {
+          type: 'string',
+          enum: ['low', 'medium', 'high', 'critical'],
+        },
+      },
+    },
+    error_budget: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        policy: { type: 'string', enum: ['burn_rate', 'consumption'] },
+        consumption_rate_threshold: { type: 'number', exclusiveMinimum: 0 },
+        actions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['type', 'threshold'],
+            additionalProperties: false,
+            properties: {
+              type: { type: 'string', minLength: 1 },
+              threshold: { type: 'number', minimum: 0, maximum: 100 },
+            },
+          },
+        },
+      },
+    },
+  },
+}
+
+/**
+ * JSON Schema for an SLO document shaped like slo-template.yaml
+ */
+export const SLO_DOCUMENT_SCHEMA: Schema = {
+  type: 'object',
+  required: ['slos'],
+  properties: {
+    metadata: { type: 'object' },
+    slos: { type: 'array', minItems: 1, items: SLO_SCHEMA },
+    dashboard: { type: 'object' },
+    reporting: { type: 'object' },
+    integrations: { type: 'object' },
+    validation: {
+      type: 'object',
+      properties: {
+        slo_target_range: {
+          type: 'object',
+          properties: {
+            min: { type: 'number' },
+            max: { type: 'number' },
+          },
+        },
+        time_window_options: { type: 'array', items: { type: 'string' } },
+        required_fields: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    usage: { type: 'object' },
+  },
+}
+
+function typeOf(value: unknown): string {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+function childPath(parent: string, key: string | number): string {
+  if (typeof key === 'number') return `${parent}[${key}]`
+  return parent ? `${parent}.${key}` : key
+}
+
+function checkSchema(
+  value: unknown,
+  schema: Schema,
+  valuePath: string,
+  issues: ValidationIssue[]
+): void {
+  const error = (message: string) =>
+    issues.push({ path: valuePath || '(document)', message, severity: 'error' })
+
+  if (schema.type && typeOf(value) !== schema.type) {
+    error(`must be ${schema.type === 'array' ? 'a list' : `a ${schema.type}`}`)
+    return
+  }
+
+  if (schema.enum && !schema.enum.includes(value as string | number)) {
+    error(
+      `must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`
+    )
+  }
+  if (typeof value === 'string') {
+    if (
+      schema.minLength !== undefined &&
+      value.trim().length < schema.minLength
+    ) {
+      error('must not be empty')
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      error(
+        `${JSON.stringify(value)} is not valid${schema.description ? `: ${schema.description}` : ''}`
+      )
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      error(`must be at least ${schema.minimum} (got ${value})`)
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      error(`must be at most ${schema.maximum} (got ${value})`)
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      error(`must be greater than ${schema.exclusiveMinimum} (got ${value})`)
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(`must have at least ${schema.minItems} item(s)`)
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        checkSchema(item, schema.items!, childPath(valuePath, index), issues)
+      )
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const object = value as Record<string, unknown>
+    for (const key of schema.required || []) {
+      if (object[key] === undefined || object[key] === null) {
+        issues.push({
+          path: childPath(valuePath, key),
+          message: 'is required',
+          severity: 'error',
+        })
+      }
+    }
+    Object.entries(object).forEach(([key, child]) => {
+      const childSchema = schema.properties && schema.properties[key]
+      if (childSchema) {
+        if (child !== undefined && child !== null) {
+          checkSchema(child, childSchema, childPath(valuePath, key), issues)
+        }
+      } else if (schema.additionalProperties === false) {
+        issues.push({
+          path: childPath(valuePath, key),
+          message: `is not a known field (expected one of ${Object.keys(schema.properties || {}).join(', ')})`,
+          severity: 'warning',
+        })
+      }
+    })
+  }
+}
+
+function isNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+/**
+ * Length of a duration such as "5m", "6h", "30d" or "1w" in hours
+ */
+export function durationHours(duration: unknown): number | null {
+  const match =
+    typeof duration === 'string' && duration.match(/^(\d+)([mhdw])$/)
+  if (!match) return null
+  const hoursPerUnit = { m: 1 / 60, h: 1, d: 24, w: 168 }
+  return Number(match[1]) * hoursPerUnit[match[2] as keyof typeof hoursPerUnit]
+}
+
+/**
+ * Checks beyond the schema, for one SLO
+ */
+function lintSlo(
+  slo: Record<string, any>,
+  sloPath: string,
+  settings: {
+    targetRange: { min: number; max: number }
+    timeWindows: string[]
+  },
+  issues: ValidationIssue[]
+): void {
+  const issue = (path: string, message: string, severity: Severity) =>
+    issues.push({ path: childPath(sloPath, path), message, severity })
+
+  const sli = typeOf(slo.sli) === 'object' ? slo.sli : {}
+  const target = typeOf(slo.target) === 'object' ? slo.target : {}
+  const isPercentage = target.unit === 'percentage'
+
+  // Target range per unit
+  if (isNumber(target.value)) {
+    if (isPercentage) {
+      if (target.value <= 0 || target.value > 100) {
+        issue(
+          'target.value',
+          `percentage target must be above 0 and at most 100 (got ${target.value})`,
+          'error'
+        )
+      } else if (target.value === 100) {
+        issue('target.value', 'a 100% target leaves no error budget', 'warning')
+      } else if (
+        target.value < settings.targetRange.min ||
+        target.value > settings.targetRange.max
+      ) {
+        issue(
+          'target.value',
+          `${target.value}% is outside the recommended range ${settings.targetRange.min}-${settings.targetRange.max}%`,
+          'warning'
+        )
+      }
+    } else if (TIME_UNITS.includes(target.unit) || target.unit === 'count') {
+      if (target.value <= 0) {
+        issue(
+          'target.value',
+          `${target.unit} target must be greater than 0 (got ${target.value})`,
+          'error'
+        )
+      }
+    }
+  }
+
+  // The target must be in the SLI's terms
+  if (target.unit && sli.unit && target.unit !== sli.unit) {
+    const bothTimes =
+      TIME_UNITS.includes(target.unit) && TIME_UNITS.includes(sli.unit)
+    issue(
+      'target.unit',
+      bothTimes
+        ? `target is in ${target.unit} but the SLI measures ${sli.unit}; make sure the query is scaled to match`
+        : `target unit ${target.unit} does not match the SLI unit ${sli.unit}`,
+      bothTimes ? 'warning' : 'error'
+    )
+  }
+  if (sli.measurement_method === 'distribution' && sli.unit === 'percentage') {
+    issue(
+      'sli.measurement_method',
+      'distribution SLIs measure a quantity such as latency, not a percentage; use event_based',
+      'warning'
+    )
+  }
+  if (
+    sli.measurement_method === 'event_based' &&
+    TIME_UNITS.includes(sli.unit)
+  ) {
+    issue(
+      'sli.measurement_method',
+      `event_based SLIs are ratios; a ${sli.unit} SLI is usually a distribution`,
+      'warning'
+    )
+  }
+  if (
+    sli.measurement_method === 'event_based' &&
+    sli.unit === 'percentage' &&
+    typeof sli.query === 'string' &&
+    !sli.query.includes('/')
+  ) {
+    issue(
+      'sli.query',
+      'an event_based percentage SLI should divide good events by total events',
+      'warning'
+    )
+  }
+  if (target.comparison === '<=' || target.comparison === '<') {
+    if (isPercentage && /success|availab/i.test(`${sli.name} ${slo.name}`)) {
+      issue(
+        'target.comparison',
+        `"${target.comparison}" on a success rate means lower is better; did you mean ">="?`,
+        'warning'
+      )
+    }
+  } else if (target.comparison && TIME_UNITS.includes(target.unit)) {
+    issue(
+      'target.comparison',
+      `"${target.comparison}" on a ${target.unit} target means slower is better; did you mean "<="?`,
+      'warning'
+    )
+  }
+
+  const window = typeOf(slo.time_window) === 'object' ? slo.time_window : {}
+  if (
+    typeof window.duration === 'string' &&
+    durationHours(window.duration) !== null &&
+    !settings.timeWindows.includes(window.duration)
+  ) {
+    issue(
+      'time_window.duration',
+      `${window.duration} is not one of the standard windows (${settings.timeWindows.join(', ')})`,
+      'warning'
+    )
+  }
+
+  // Burn rate: 1 spends the budget exactly over the window. The fastest
+  // possible burn is when every event fails: 100 / (100 - target).
+  const alerting = typeOf(slo.alerting) === 'object' ? slo.alerting : {}
+  const burnRate = alerting.burn_rate_threshold
+  if (isNumber(burnRate) && burnRate > 0) {
+    if (burnRate < 1) {
+      issue(
+        'alerting.burn_rate_threshold',
+        `a burn rate of ${burnRate} fires while the budget would still last the whole window`,
+        'warning'
+      )
+    }
+    if (
+      isPercentage &&
+      isNumber(target.value) &&
+      target.value > 0 &&
+      target.value < 100
+    ) {
+      const maxBurnRate = 100 / (100 - target.value)
+      if (burnRate > maxBurnRate) {
+        issue(
+          'alerting.burn_rate_threshold',
+          `can never fire: with a ${target.value}% target the budget burns at most ${Number(maxBurnRate.toFixed(2))}x`,
+          'error'
+        )
+      }
+    }
+  }
+
+  const budget = typeOf(slo.error_budget) === 'object' ? slo.error_budget : {}
+  if (
+    isNumber(budget.consumption_rate_threshold) &&
+    budget.consumption_rate_threshold > 100
+  ) {
+    issue(
+      'error_budget.consumption_rate_threshold',
+      'more than 100% of the budget per hour can never be reached',
+      'error'
+    )
+  }
+  if (Array.isArray(budget.actions)) {
+    let previous: number | null = null
+    budget.actions.forEach((action: any, index: number) => {
+      if (!action || !isNumber(action.threshold)) return
+      if (previous !== null && action.threshold <= previous) {
+        issue(
+          `error_budget.actions[${index}].threshold`,
+          `thresholds must be ascending; ${action.threshold} comes after ${previous}`,
+          'error'
+        )
+      }
+      previous = action.threshold
+    })
+  }
+}
+
+/**
+ * Parse YAML or JSON; JSON is valid YAML, so YAML is the fallback
+ */
+function parseDocument(
+  content: string,
+  format?: 'yaml' | 'json'
+): { data?: unknown; error?: string } {
+  try {
+    return {
+      data: format === 'json' ? JSON.parse(content) : yaml.load(content),
+    }
+  } catch (error) {
+    if (error instanceof yaml.YAMLException) {
+      return {
+        error: `YAML syntax error at line ${error.mark.line + 1}, column ${error.mark.column + 1}: ${error.reason}`,
+      }
+    }
+    return {
+      error: `Invalid ${format === 'json' ? 'JSON' : 'YAML'}: ${error instanceof Error ? error.message : error}`,
+    }
+  }
+}
+
+// A single SLO rather than a document with a slos list
+function isSingleSlo(data: unknown): boolean {
+  return (
+    typeOf(data) === 'object' &&
+    !('slos' in (data as object)) &&
+    ('sli' in (data as object) || 'target' in (data as object))
+  )
+}
+
+/**
+ * The SLOs in a document (a slos list or a single SLO) given as YAML/JSON
+ * text or an object, for tools that use definitions without validating them
+ */
+export function parseSloDefinitions(
+  input: string | object,
+  { format }: { format?: 'yaml' | 'json' } = {}
+): Record<string, any>[] {
+  let data: unknown = input
+  if (typeof input === 'string') {
+    const parsed = parseDocument(input, format)
+    if (parsed.error) {
+      throw new Error(parsed.error)
+    }
+    data = parsed.data
+  }
+
+  if (isSingleSlo(data)) {
+    return [data as Record<string, any>]
+  }
+  if (typeOf(data) === 'object' && Array.isArray((data as any).slos)) {
+    return (data as any).slos.filter((slo: unknown) => typeOf(slo) === 'object')
+  }
+  throw new Error('Expected a slos list or a single SLO definition')
+}
+
+/**
+ * Validate an SLO document (a slos list like the template's, or a single
+ * SLO) given as YAML/JSON text or an already-parsed object
+ */
+export function validateSloDocument(
+  input: string | object,
+  { format }: { format?: 'yaml' | 'json' } = {}
+): SloValidationResult {
+  const issues: ValidationIssue[] = []
+  let data: unknown = input
+
+  if (typeof input === 'string') {
+    const parsed = parseDocument(input, format)
+    if (parsed.error) {
+      issues.push({
+        path: '(document)',
+        message: parsed.error,
+        severity: 'error',
+      })
+      return summarize(issues, 0)
+    }
+    data = parsed.data
+  }
+
+  // A lone SLO is validated as if it were slos[0], with paths from its root
+  const single = isSingleSlo(data)
+  const slos: unknown[] = single
+    ? [data]
+    : typeOf(data) === 'object' && Array.isArray((data as any).slos)
+      ? (data as any).slos
+      : []
+  const sloPath = (index: number) => (single ? '' : `slos[${index}]`)
+
+  if (single) {
+    checkSchema(data, SLO_SCHEMA, '', issues)
+  } else {
+    checkSchema(data, SLO_DOCUMENT_SCHEMA, '', issues)
+  }
+
+  const validation = (!single && (data as any)?.validation) || {}
+  const range = validation.slo_target_range || {}
+  const settings = {
+    targetRange: {
+      min: isNumber(range.min) ? range.min : DEFAULT_TARGET_RANGE.min,
+      max: isNumber(range.max) ? range.max : DEFAULT_TARGET_RANGE.max,
+    },
+    timeWindows: Array.isArray(validation.time_window_options)
+      ? validation.time_window_options
+      : DEFAULT_TIME_WINDOWS,
+  }
+
+  const seen = new Map<string, number>()
+  slos.forEach((slo, index) => {
+    if (typeOf(slo) !== 'object') return
+    const { name } = slo as Record<string, unknown>
+    if (typeof name === 'string') {
+      if (seen.has(name)) {
+        issues.push({
+          path: childPath(sloPath(index), 'name'),
+          message: `duplicate SLO name "${name}" (also ${sloPath(seen.get(name)!) || 'the document'})`,
+          severity: 'error',
+        })
+      } else {
+        seen.set(name, index)
+      }
+    }
+    lintSlo(slo as Record<string, any>, sloPath(index), settings, issues)
+  })
+
+  return summarize(issues, slos.length)
+}
+
+function summarize(
+  issues: ValidationIssue[],
+  sloCount: number
+): SloValidationResult {
+  const errors = issues.filter((issue) => issue.severity === 'error')
+  return {
+    valid: errors.length === 0,
+    sloCount,
+    errors,
+    warnings: issues.filter((issue) => issue.severity === 'warning'),
+  }
+}
+
+/**
+ * Plain-text report of a validation result, for tool output
+ */
+export function formatValidationReport(result: SloValidationResult): string {
+  const { valid, sloCount, errors, warnings } = result
+  const lines = [
+    `${valid ? 'Valid' : 'Invalid'}: ${sloCount} SLO${sloCount === 1 ? '' : 's'}, ${errors.length} error${errors.length === 1 ? '' : 's'}, ${warnings.length} warning${warnings.length === 1 ? '' : 's'}`,
+  ]
+  if (errors.length > 0) {
+    lines.push(
+      '',
+      'Errors:',
+      ...errors.map(({ path, message }) => `- ${path}: ${message}`)
+    )
+  }
+  if (warnings.length > 0) {
+    lines.push(
+      '',
+      'Warnings:',
+      ...warnings.map(({ path, message }) => `- ${path}: ${message}`)
+    )
+  }
+  return lines.join('\n')
+}
@@ -0,0 +1,138 @@
+/**
+ * File watching for documentation roots
+ *
+ * Each directory a root includes gets its own (non-recursive) fs.watch, so
+ * excluded trees such as node_modules are never watched. Events are
+ * debounced: editors typically write a file in several steps, and a burst of
+ * events for the same path should be handled once, after it settles.
+ *
+ * The watcher only reports which paths changed; the caller stats them and
+ * decides whether a document was added, changed or removed.
+ */
+
+import * as fs from 'fs'
+import * as path from 'path'
+import { DocRoot, isExcludedDirectory } from './config.js'
+
+export interface PathChange {
+  root: DocRoot
+  /** Absolute path of the file or directory that changed */
+  path: string
+}
+
+const DEFAULT_DEBOUNCE_MS = 300
+
+export class DocWatcher {
+  private watchers = new Map<string, fs.FSWatcher>()
+  private pending = new Map<string, PathChange>()
+  private timer: NodeJS.Timeout | null = null
+
+  constructor(
+    private onChange: (changes: PathChange[]) => void,
+    private debounceMs = DEFAULT_DEBOUNCE_MS
+  ) {}
+
+  get directoryCount(): number {
+    return this.watchers.size
+  }
+
+  /**
+   * Start watching a root and every directory under it that isn't excluded
+   */
+  watchRoot(root: DocRoot): boolean {
+    if (!fs.existsSync(root.path)) {
+      return false
+    }
+    this.watchDirectory(root, root.path)
+    return true
+  }
+
+  close(): void {
+    if (this.timer) {
+      clearTimeout(this.timer)
+      this.timer = null
+    }
+    this.pending.clear()
+    this.watchers.forEach((watcher) => watcher.close())
+    this.watchers.clear()
+  }
+
+  private watchDirectory(root: DocRoot, dirPath: string): void {
+    if (this.watchers.has(dirPath)) return
+
+    let entries: fs.Dirent[]
+    try {
+      const watcher = fs.watch(dirPath, (_event, filename) => {
+        this.queue({
+          root,
+          path: filename ? path.join(dirPath, filename.toString()) : dirPath,
+        })
+      })
+      // Raised when the directory goes away; the parent's event cleans up
+      watcher.on('error', () => this.unwatch(dirPath))
+      this.watchers.set(dirPath, watcher)
+      entries = fs.readdirSync(dirPath, { withFileTypes: true })
+    } catch (error) {
+      console.error(`Cannot watch ${dirPath}:`, error)
+      return
+    }
+
+    entries
+      .filter((entry) => entry.isDirectory())
+      .forEach((entry) => {
+        const fullPath = path.join(dirPath, entry.name)
+        if (!isExcludedDirectory(root, path.relative(root.path, fullPath))) {
+          this.watchDirectory(root, fullPath)
+        }
+      })
+  }
+
+  /**
+   * Stop watching a directory and everything below it
+   */
+  private unwatch(dirPath: string): void {
+    this.watchers.forEach((watcher, watchedPath) => {
+      if (
+        watchedPath === dirPath ||
+        watchedPath.startsWith(dirPath + path.sep)
+      ) {
+        watcher.close()
+        this.watchers.delete(watchedPath)
+      }
+    })
+  }
+
+  private queue(change: PathChange): void {
+    this.pending.set(change.path, change)
+    if (this.timer) {
+      clearTimeout(this.timer)
+    }
+    this.timer = setTimeout(() => this.flush(), this.debounceMs)
+  }
+
+  private flush(): void {
+    this.timer = null
+    const changes = Array.from(this.pending.values())
+    this.pending.clear()
+
+    changes.forEach(({ root, path: changedPath }) => {
+      let isDirectory = false
+      try {
+        isDirectory = fs.statSync(changedPath).isDirectory()
+      } catch {
+        // Deleted or renamed away
+        this.unwatch(changedPath)
+        return
+      }
+      if (
+        isDirectory &&
+        changedPath !== root.path &&
+        !isExcludedDirectory(root, path.relative(root.path, changedPath))
+      ) {
+        this.watchDirectory(root, changedPath)
+      }
+    })
+
+    this.onChange(changes)
+  }
+}
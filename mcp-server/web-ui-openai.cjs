@@ -3,6 +3,13 @@
 /**
  * DevSecOps Documentation Chat with OpenAI Integration
  * Enhanced web interface with conversational AI capabilities
+ *
+ * Answers come from a pluggable LLM provider (OpenAI-compatible, Anthropic,
+ * Ollama or the model-free extractive mode), chosen per request and per
+ * workspace; see lib/llm-providers.cjs. Users sign in with the same accounts
+ * and API keys as the PDF platform (lib/auth.js at the repository root).
+ * Every prompt, tool call and answer is written to the hash-chained audit
+ * log shared with the PDF platform (build/audit.js).
  */
 
 require('dotenv').config()
@@ -10,22 +17,74 @@ const express = require('express')
 const http = require('http')
 const socketIo = require('socket.io')
 const path = require('path')
-const { spawn } = require('child_process')
-const OpenAI = require('openai')
-
-// Initialize OpenAI client
-const openai = process.env.OPENAI_API_KEY
-  ? new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
-    })
-  : null
+const crypto = require('crypto')
+const { Authenticator, describeUser, hasRole } = require('../lib/auth.js')
+const {
+  extractCitations,
+  formatContextPassages,
+} = require('./lib/citations.cjs')
+const {
+  ConversationStore,
+  estimateTokens,
+  selectHistory,
+  toMarkdown,
+} = require('./lib/conversations.cjs')
+const { runToolCalls, toOpenAITools } = require('./lib/tool-bridge.cjs')
+const { McpClient } = require('./lib/mcp-client.cjs')
+const { CujDraftStore, STEPS } = require('./lib/cuj-builder.cjs')
+const {
+  LlmSettingsError,
+  allowedProviders,
+  createProvider,
+  loadLlmConfig,
+  providerNames,
+  resolveLlmSettings,
+} = require('./lib/llm-providers.cjs')
+const {
+  UsageLedger,
+  UsageLimitError,
+  UsageLimiter,
+  loadUsageConfig,
+} = require('./lib/usage.cjs')
+
+// Default, allowed and per-workspace LLM settings (LLM_* and LLM_CONFIG_PATH)
+const llmConfig = loadLlmConfig()
+// Provider instances by name, created on first use
+const llmProviders = new Map()
+// Rate limits and token quotas (USAGE_*), checked against the usage ledger
+const usageConfig = loadUsageConfig()
+const usageLedger = new UsageLedger(process.env.USAGE_PATH || undefined)
+const usageLimiter = new UsageLimiter(usageConfig, usageLedger)
+// Audit log of prompts, tool calls and answers (AUDIT_LOG_DIR), opened at
+// startup from the shared TypeScript module
+let audit = null
+
+// The platform's users, API keys and workspace roles (AUTH_CONFIG_PATH), with
+// sessions of the chat server's own
+const auth = Authenticator.fromEnv(process.env, {
+  sessionCookie: 'devsecops_chat_session',
+})
 
 // Configuration
 const PORT = process.env.PORT || 3001
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
-const OPENAI_MAX_TOKENS = parseInt(process.env.OPENAI_MAX_TOKENS) || 1000
-const OPENAI_TEMPERATURE = parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7
+const RETRIEVAL_TOP_K = parseInt(process.env.RETRIEVAL_TOP_K) || 5
+// Characters of surrounding text shown around a cited passage
+const PASSAGE_CONTEXT_CHARS = 400
+// Tokens of earlier turns (plus their summary) replayed with each message
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET) || 2000
+// Model round trips that may request tools before it must answer
+const TOOL_CALL_MAX_ROUNDS = parseInt(process.env.TOOL_CALL_MAX_ROUNDS) || 4
+// Already run for every message, with its passages numbered for citations
+const TOOLS_HIDDEN_FROM_MODEL = ['retrieve_context']
+const MCP_REQUEST_TIMEOUT_MS =
+  parseInt(process.env.MCP_REQUEST_TIMEOUT_MS) || 10000
+
+const conversations = new ConversationStore(
+  process.env.CONVERSATIONS_PATH || undefined
+)
+const cujDrafts = new CujDraftStore(process.env.CUJ_DRAFTS_PATH || undefined)
+// Conversations with a summarization request in flight
+const summarizing = new Set()
 
 // Create Express app
 const app = express()
@@ -34,121 +93,145 @@ const io = socketIo(server)
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')))
+app.use(express.json({ limit: '1mb' }))
+
+// MCP Server client; restarts the server process if it dies
+const mcpClient = new McpClient({
+  command: process.execPath,
+  args: [path.join(__dirname, 'build/index.js')],
+  clientInfo: {
+    name: 'devsecops-web-ui',
+    version: '1.0.0',
+  },
+  requestTimeoutMs: MCP_REQUEST_TIMEOUT_MS,
+})
+// OpenAI function definitions built from the MCP tools/list
+let openAITools = null
 
-// MCP Server instance
-let mcpServer = null
-let mcpReady = false
+mcpClient.on('log', (line) => {
+  console.error('MCP Server:', line)
+})
 
-// Initialize MCP Server
-function initializeMCPServer() {
-  console.log('MCP Server: Starting DevSecOps Documentation server...')
+mcpClient.on('ready', ({ serverInfo }) => {
+  console.log(
+    `MCP Server initialized successfully (${serverInfo.name} ${serverInfo.version})`
+  )
+})
 
-  mcpServer = spawn('node', [path.join(__dirname, 'build/index.js')], {
-    stdio: ['pipe', 'pipe', 'pipe'],
-  })
+mcpClient.on('exit', ({ code, signal }) => {
+  console.log(`MCP Server process exited with code ${code} (${signal})`)
+  openAITools = null
+})
 
-  mcpServer.stdout.on('data', (data) => {
-    const output = data.toString()
-    console.log('MCP Server:', output.trim())
+// Query MCP Server
+function queryMCPServer(method, params = {}) {
+  return mcpClient.request(method, params)
+}
 
-    if (output.includes('DevSecOps Documentation MCP server running')) {
-      mcpReady = true
-      console.log('MCP Server initialized successfully')
-    }
+// Append a call to the usage ledger; a failed write must not fail the answer
+function recordUsage(call) {
+  usageLedger.record(call, usageConfig.prices).catch((error) => {
+    console.error('Usage record failed:', error.message)
   })
+}
 
-  mcpServer.stderr.on('data', (data) => {
-    console.error('MCP Server Error:', data.toString())
-  })
+// Token counts for a call the provider didn't report on
+function estimateUsage(messages, content) {
+  return {
+    promptTokens: messages.reduce(
+      (sum, message) => sum + estimateTokens(message.content),
+      0
+    ),
+    completionTokens: estimateTokens(content),
+    estimated: true,
+  }
+}
 
-  mcpServer.on('close', (code) => {
-    console.log(`MCP Server process exited with code ${code}`)
-    mcpReady = false
-  })
+// Append an event to the audit log for the owner of a message; like usage, a
+// failed write must not fail the answer
+function recordAudit(owner, type, details) {
+  audit
+    .record({ type, user: owner.user, workspace: owner.workspace, details })
+    .catch((error) => {
+      console.error(`Audit record failed (${type}):`, error.message)
+    })
+}
 
-  // Initialize the server
-  const initMessage = {
-    jsonrpc: '2.0',
-    id: 1,
-    method: 'initialize',
-    params: {
-      protocolVersion: '2024-11-05',
-      capabilities: {
-        resources: {},
-        tools: {},
-        prompts: {},
-      },
-      clientInfo: {
-        name: 'devsecops-web-ui',
-        version: '1.0.0',
-      },
-    },
-  }
+// The documentation passages behind a prompt or an answer
+function auditSources(chunks) {
+  return (chunks || []).map(({ resource, chunkId }) => ({ resource, chunkId }))
+}
 
-  mcpServer.stdin.write(JSON.stringify(initMessage) + '\n')
+function getProvider(name) {
+  if (!llmProviders.has(name)) {
+    llmProviders.set(name, createProvider(name))
+  }
+  return llmProviders.get(name)
 }
 
-// Query MCP Server
-async function queryMCPServer(method, params = {}) {
-  return new Promise((resolve, reject) => {
-    if (!mcpReady || !mcpServer) {
-      reject(new Error('MCP Server not ready'))
-      return
-    }
+// Retrieve the top-k documentation chunks for a question
+async function retrieveContext(message) {
+  const result = await queryMCPServer('tools/call', {
+    name: 'retrieve_context',
+    arguments: {
+      query: message,
+      top_k: RETRIEVAL_TOP_K,
+    },
+  })
 
-    const message = {
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method: method,
-      params: params,
-    }
+  return JSON.parse(result.content[0].text)
+}
 
-    const timeout = setTimeout(() => {
-      reject(new Error('MCP Server timeout'))
-    }, 10000)
+// MCP tools offered to the model, fetched once per MCP server process
+async function getOpenAITools() {
+  if (openAITools) {
+    return openAITools
+  }
+  if (!mcpClient.ready) {
+    return []
+  }
 
-    const handleResponse = (data) => {
-      try {
-        const lines = data
-          .toString()
-          .split('\n')
-          .filter((line) => line.trim())
-        for (const line of lines) {
-          const response = JSON.parse(line)
-          if (response.id === message.id) {
-            clearTimeout(timeout)
-            mcpServer.stdout.removeListener('data', handleResponse)
-            if (response.error) {
-              reject(new Error(response.error.message))
-            } else {
-              resolve(response.result)
-            }
-            return
-          }
-        }
-      } catch (error) {
-        // Continue listening for more data
-      }
-    }
+  try {
+    const { tools } = await queryMCPServer('tools/list')
+    openAITools = toOpenAITools(tools, TOOLS_HIDDEN_FROM_MODEL)
+    return openAITools
+  } catch (error) {
+    console.log(
+      'MCP tools/list failed, continuing without tools:',
+      error.message
+    )
+    return []
+  }
+}
 
-    mcpServer.stdout.on('data', handleResponse)
-    mcpServer.stdin.write(JSON.stringify(message) + '\n')
+// Tools read and write the caller's workspace, which the MCP server takes
+// from _meta; saving an assessment needs the role the platform asks for
+async function callMCPTool(name, args, { workspace, role }) {
+  if (
+    name === 'assess_observability_maturity' &&
+    args.save === true &&
+    !hasRole(role, 'contributor')
+  ) {
+    throw new Error(
+      `Saving an assessment needs the contributor role in workspace ${workspace}`
+    )
+  }
+  return queryMCPServer('tools/call', {
+    name,
+    arguments: args,
+    _meta: { workspace },
   })
 }
 
 // Enhanced prompt for DevSecOps context
-function createDevSecOpsPrompt(userMessage, searchResults = null) {
+function createDevSecOpsPrompt(userMessage, contextChunks = null) {
   let contextInfo = ''
 
-  if (searchResults && searchResults.length > 0) {
+  if (contextChunks && contextChunks.length > 0) {
     contextInfo =
-      '\n\nRelevant Documentation:\n' +
-      searchResults
-        .map(
-          (result) =>
-            `- ${result.title}: ${result.content.substring(0, 200)}...`
-        )
-        .join('\n')
+      '\n\nRelevant Documentation (numbered passages):\n\n' +
+      formatContextPassages(contextChunks) +
+      '\n\nCite the passages you rely on inline with their number in square brackets, e.g. [2] or [1, 3]. Only cite passages listed above.'
   }
 
   return `You are a DevSecOps Subject Matter Expert assistant. You help teams with:
@@ -173,196 +256,785 @@ User Question: ${userMessage}
 Please provide a helpful, detailed response based on DevSecOps best practices and the available documentation.`
 }
 
-// Process chat message with OpenAI
-async function processWithOpenAI(message, searchResults = null) {
-  if (!openai) {
+// Stream an answer from the provider in settings, passing each text delta to
+// onDelta. A model may call MCP tools for up to TOOL_CALL_MAX_ROUNDS round
+// trips; each finished invocation is passed to onToolCall. Resolves with the
+// answer, its citations and the tool calls; when the signal aborts it
+// resolves with whatever arrived so far and cancelled: true. Every provider
+// call's token usage is passed to onUsage, estimated when not reported.
+// Tools run in the caller's workspace with their role there.
+async function processWithLLM(
+  message,
+  contextChunks = null,
+  history = null,
+  {
+    settings,
+    caller,
+    signal,
+    onDelta = () => {},
+    onToolCall = () => {},
+    onUsage = () => {},
+  } = {}
+) {
+  const provider = getProvider(settings.provider)
+  if (!provider.configured) {
     throw new Error(
-      'OpenAI API key not configured. Please set OPENAI_API_KEY in your .env file.'
+      `LLM provider ${provider.name} is not configured. See the LLM settings in your .env file.`
     )
   }
 
+  const prompt = createDevSecOpsPrompt(message, contextChunks)
+
+  const messages = [
+    {
+      role: 'system',
+      content:
+        'You are a DevSecOps Subject Matter Expert assistant specializing in CUJs, SLIs, SLOs, observability, and enterprise DevSecOps practices.',
+    },
+  ]
+  if (history && history.summary) {
+    messages.push({
+      role: 'system',
+      content: `Summary of the earlier conversation:\n${history.summary}`,
+    })
+  }
+  if (history) {
+    messages.push(...history.messages)
+  }
+  messages.push({ role: 'user', content: prompt })
+
+  const tools = provider.supportsTools ? await getOpenAITools() : []
+  const toolCalls = []
+  // Built from the deltas so a cancelled answer keeps its last partial round
+  let content = ''
+  try {
+    for (let round = 0; ; round++) {
+      // On the last round the model has to answer with what it has
+      const canUseTools = tools.length > 0 && round < TOOL_CALL_MAX_ROUNDS
+      let roundContent = ''
+      let answer = null
+      try {
+        answer = await provider.complete(
+          {
+            model: settings.model,
+            messages,
+            tools,
+            toolChoice: canUseTools ? 'auto' : 'none',
+            maxTokens: settings.maxTokens,
+            temperature: settings.temperature,
+            question: message,
+            context: contextChunks || [],
+          },
+          {
+            signal,
+            onDelta: (delta) => {
+              content += delta
+              roundContent += delta
+              onDelta(delta)
+            },
+          }
+        )
+      } finally {
+        // A call that streamed or was cancelled is still billed
+        if (answer && answer.usage) {
+          onUsage(answer.usage)
+        } else if (answer || roundContent || (signal && signal.aborted)) {
+          onUsage(estimateUsage(messages, roundContent))
+        }
+      }
+
+      if (answer.toolCalls.length === 0 || !canUseTools) {
+        break
+      }
+
+      messages.push({
+        role: 'assistant',
+        content: answer.content || null,
+        tool_calls: answer.toolCalls,
+      })
+      const results = await runToolCalls(answer.toolCalls, (name, args) =>
+        callMCPTool(name, args, caller)
+      )
+      results.invocations.forEach((invocation) => {
+        toolCalls.push(invocation)
+        onToolCall(invocation)
+      })
+      messages.push(...results.messages)
+
+      if (signal && signal.aborted) {
+        break
+      }
+    }
+  } catch (error) {
+    if (!signal || !signal.aborted) {
+      console.error(`${provider.name} API Error:`, error)
+      throw new Error(`${provider.name} processing failed: ${error.message}`)
+    }
+  }
+
+  return {
+    ...extractCitations(content, contextChunks || []),
+    toolCalls,
+    cancelled: Boolean(signal && signal.aborted),
+  }
+}
+
+// Fold turns that no longer fit the history budget into the running summary,
+// using the provider that answered the latest turn and billing its owner
+async function summarizeHistory(conversationId, settings, owner) {
+  const conversation = conversations.get(conversationId)
+  const provider = getProvider(settings.provider)
+  if (
+    !provider.generative ||
+    !provider.configured ||
+    !conversation ||
+    summarizing.has(conversationId)
+  ) {
+    return
+  }
+
+  const { summary, unsummarized, windowStart } = selectHistory(
+    conversation,
+    HISTORY_TOKEN_BUDGET
+  )
+  if (unsummarized.length === 0) {
+    return
+  }
+
+  summarizing.add(conversationId)
   try {
-    const prompt = createDevSecOpsPrompt(message, searchResults)
+    const transcript = unsummarized
+      .map(({ role, content }) => `${role.toUpperCase()}: ${content}`)
+      .join('\n\n')
 
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
+    const request = {
+      model: settings.model,
       messages: [
         {
           role: 'system',
           content:
-            'You are a DevSecOps Subject Matter Expert assistant specializing in CUJs, SLIs, SLOs, observability, and enterprise DevSecOps practices.',
+            'Summarize this DevSecOps conversation for your own later reference. Keep every concrete decision, service name, CUJ, SLI, SLO target and open question. Reply with the summary only.',
         },
         {
           role: 'user',
-          content: prompt,
+          content:
+            (summary ? `Summary so far:\n${summary}\n\n` : '') +
+            `New turns:\n${transcript}`,
         },
       ],
-      max_tokens: OPENAI_MAX_TOKENS,
-      temperature: OPENAI_TEMPERATURE,
+      maxTokens: Math.floor(HISTORY_TOKEN_BUDGET / 4),
+      temperature: 0,
+    }
+    const { content, usage } = await provider.complete(request)
+    recordUsage({
+      ...owner,
+      conversationId,
+      kind: 'summary',
+      provider: provider.name,
+      model: settings.model,
+      ...(usage || estimateUsage(request.messages, content)),
+    })
+    recordAudit(owner, 'llm.summary', {
+      conversationId,
+      provider: provider.name,
+      model: settings.model,
+      turns: unsummarized.length,
+      summary: content,
     })
 
-    return completion.choices[0].message.content
-  } catch (error) {
-    console.error('OpenAI API Error:', error)
-    throw new Error(`OpenAI processing failed: ${error.message}`)
+    await conversations.setSummary(conversationId, content, windowStart)
+  } finally {
+    summarizing.delete(conversationId)
   }
 }
 
-// Fallback response for when OpenAI is not available
-function getFallbackResponse(message) {
-  const lowerMessage = message.toLowerCase()
+// Health of the chat server and its MCP Server
+app.get('/api/health', (req, res) => {
+  const mcp = mcpClient.health()
+  res.status(mcp.ready ? 200 : 503).json({
+    status: mcp.ready ? 'ok' : 'degraded',
+    llm: {
+      provider: llmConfig.defaults.provider,
+      configured: getProvider(llmConfig.defaults.provider).configured,
+    },
+    mcp,
+  })
+})
 
-  if (
-    lowerMessage.includes('cuj') ||
-    lowerMessage.includes('critical user journey')
-  ) {
-    return `🎯 **Critical User Journeys (CUJs)**
+// Sign in with a username and password or an API key, as on the platform
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { user, token } = auth.login(req.body)
+    auth.setSessionCookie(res, token)
+    res.json({ user: describeUser(auth, user) })
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message })
+  }
+})
 
-A Critical User Journey represents the most important paths users take through your system. Here's how to get started:
+// Everything else under /api needs a signed-in user
+app.use('/api', (req, res, next) => auth.authenticate(req, res, next))
 
-**1. Identify Critical Paths**
-- User login and authentication
-- Core business transactions
-- Data retrieval and processing
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    user: describeUser(auth, req.user),
+    workspace: req.workspace,
+    role: req.role,
+  })
+})
 
-**2. Define Success Criteria**
-- Response time thresholds
-- Error rate limits
-- Availability requirements
+app.post('/api/auth/logout', (req, res) => {
+  if (req.sessionToken) {
+    auth.logout(req.sessionToken)
+    io.sockets.sockets.forEach((socket) => {
+      if (socket.data.sessionToken === req.sessionToken) {
+        socket.disconnect(true)
+      }
+    })
+  }
+  auth.clearSessionCookie(res)
+  res.json({ success: true })
+})
 
-**3. Implement Monitoring**
-- End-to-end journey tracking
-- Real-time alerting
-- Performance dashboards
+// Source passage behind a citation, with some surrounding text
+app.get('/api/passage', async (req, res) => {
+  const { resource } = req.query
+  const start = parseInt(req.query.start, 10)
+  const end = parseInt(req.query.end, 10)
 
-For detailed templates and examples, please refer to the CUJ documentation in your knowledge base.`
+  if (!resource || !resource.startsWith('devsecops:///')) {
+    return res
+      .status(400)
+      .json({ error: 'A devsecops:/// resource is required' })
+  }
+  if (Number.isNaN(start) || Number.isNaN(end) || start < 0 || end < start) {
+    return res.status(400).json({ error: 'Invalid passage offsets' })
   }
 
-  if (lowerMessage.includes('sli') || lowerMessage.includes('slo')) {
-    return `📊 **Service Level Indicators & Objectives**
+  try {
+    const result = await queryMCPServer('resources/read', { uri: resource })
+    const text = result.contents[0].text
+
+    res.json({
+      resource,
+      start,
+      end,
+      before: text.slice(Math.max(0, start - PASSAGE_CONTEXT_CHARS), start),
+      passage: text.slice(start, end),
+      after: text.slice(end, end + PASSAGE_CONTEXT_CHARS),
+    })
+  } catch (error) {
+    console.error('Passage lookup failed:', error.message)
+    res.status(404).json({ error: `Could not load ${resource}` })
+  }
+})
 
-**SLIs (Service Level Indicators)** - What you measure:
-- Request latency (response time)
-- Error rate (% of failed requests)
-- Availability (% uptime)
-- Throughput (requests per second)
+// LLM providers a workspace may use and the settings its requests get by
+// default; 400/403 when the workspace's own settings are invalid
+app.get('/api/llm', (req, res) => {
+  const { workspace } = req
+  try {
+    const allowed = allowedProviders(llmConfig, workspace)
+    res.json({
+      workspace,
+      maxTokensLimit: llmConfig.maxTokensLimit,
+      settings: resolveLlmSettings(llmConfig, { workspace }),
+      providers: providerNames().map((name) => {
+        const provider = getProvider(name)
+        return {
+          name,
+          configured: provider.configured,
+          generative: provider.generative,
+          supportsTools: provider.supportsTools,
+          allowed: allowed.includes(name),
+        }
+      }),
+    })
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message })
+  }
+})
 
-**SLOs (Service Level Objectives)** - Your targets:
-- 99.9% availability
-- 95% of requests < 200ms
-- Error rate < 0.1%
+// Token usage per day and user (or ?groupBy=day,workspace,provider,model),
+// optionally only ?from=&to= (YYYY-MM-DD, UTC), ?user= and ?workspace=.
+// Global admins see everyone's, a workspace's admins everyone's in that
+// workspace, and other users only their own.
+app.get('/api/usage', (req, res) => {
+  const { from, to } = req.query
+  let { user, workspace } = req.query
+  if (!hasRole(req.user.workspaces['*'], 'admin')) {
+    if (hasRole(req.role, 'admin')) {
+      workspace = req.workspace
+    } else {
+      user = req.user.id
+    }
+  }
 
-**Implementation Steps:**
-1. Choose meaningful SLIs for your service
-2. Set realistic SLO targets
-3. Implement monitoring and alerting
-4. Review and adjust based on data
+  const day = /^\d{4}-\d{2}-\d{2}$/
+  if ((from && !day.test(from)) || (to && !day.test(to))) {
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' })
+  }
 
-Would you like specific guidance on implementing SLIs/SLOs for your service?`
+  try {
+    res.json(
+      usageLedger.report({
+        from,
+        to,
+        user,
+        workspace,
+        groupBy: req.query.groupBy ? req.query.groupBy.split(',') : undefined,
+      })
+    )
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message })
   }
+})
 
-  if (
-    lowerMessage.includes('observability') ||
-    lowerMessage.includes('monitoring')
-  ) {
-    return `👁️ **Observability & Monitoring**
+// The caller's limits and what is left of today's quotas
+app.get('/api/usage/me', (req, res) => {
+  res.json(
+    usageLimiter.status({
+      user: req.user.id,
+      workspace: req.workspace,
+    })
+  )
+})
+
+// The caller's own stored conversations; anyone else's are not found
+app.get('/api/conversations', (req, res) => {
+  res.json({ conversations: conversations.list({ owner: req.user.id }) })
+})
+
+app.get('/api/conversations/:id', (req, res) => {
+  const conversation = conversations.getOwned(req.params.id, req.user.id)
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' })
+  }
+  res.json(conversation)
+})
+
+app.get('/api/conversations/:id/export', (req, res) => {
+  const conversation = conversations.getOwned(req.params.id, req.user.id)
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' })
+  }
+
+  if (req.query.format === 'markdown') {
+    res.type('text/markdown')
+    res.attachment(`conversation-${conversation.id}.md`)
+    return res.send(toMarkdown(conversation))
+  }
+
+  res.attachment(`conversation-${conversation.id}.json`)
+  res.send(JSON.stringify(conversation, null, 2))
+})
+
+app.delete('/api/conversations/:id', async (req, res) => {
+  try {
+    if (
+      !conversations.getOwned(req.params.id, req.user.id) ||
+      !(await conversations.delete(req.params.id))
+    ) {
+      return res.status(404).json({ error: 'Conversation not found' })
+    }
+    res.json({ success: true, message: 'Conversation deleted' })
+  } catch (error) {
+    console.error('Conversation delete error:', error)
+    res.status(500).json({ error: 'Failed to delete conversation' })
+  }
+})
+
+// CUJ builder: the wizard's steps and the drafts being built with it. Like
+// conversations, a draft belongs to the user who started it
+app.get('/api/cuj-builder/steps', (req, res) => {
+  res.json({ steps: STEPS })
+})
 
-**The Three Pillars:**
-1. **Metrics** - Numerical data about system performance
-2. **Logs** - Detailed records of system events
-3. **Traces** - Request flow through distributed systems
+app.post('/api/cuj-builder', async (req, res) => {
+  try {
+    const draft = await cujDrafts.create({ owner: req.user.id })
+    res.status(201).json(cujDrafts.describe(draft.id))
+  } catch (error) {
+    console.error('CUJ draft create error:', error)
+    res.status(500).json({ error: 'Failed to create CUJ draft' })
+  }
+})
 
-**Maturity Levels:**
-- **Level 0**: Basic monitoring, reactive
-- **Level 1**: Proactive monitoring, some automation
-- **Level 2**: Advanced analytics, predictive capabilities
-- **Level 3**: Full observability, self-healing systems
+app.get('/api/cuj-builder/:id', (req, res) => {
+  if (!cujDrafts.getOwned(req.params.id, req.user.id)) {
+    return res.status(404).json({ error: 'CUJ draft not found' })
+  }
+  res.json(cujDrafts.describe(req.params.id))
+})
 
-**Getting Started:**
-1. Implement structured logging
-2. Set up key performance metrics
-3. Add distributed tracing
-4. Create meaningful dashboards
-5. Configure intelligent alerting
+// Validate a step and save it when it passes; 400 lists the problems
+app.put('/api/cuj-builder/:id/steps/:step', async (req, res) => {
+  if (!cujDrafts.getOwned(req.params.id, req.user.id)) {
+    return res.status(404).json({ error: 'CUJ draft not found' })
+  }
+  if (!STEPS.some(({ id }) => id === req.params.step)) {
+    return res
+      .status(404)
+      .json({ error: `Unknown CUJ builder step: ${req.params.step}` })
+  }
 
-What specific aspect of observability would you like to explore?`
+  try {
+    const result = await cujDrafts.saveStep(
+      req.params.id,
+      req.params.step,
+      req.body
+    )
+    res.status(result.valid ? 200 : 400).json({
+      ...result,
+      draft: cujDrafts.describe(req.params.id),
+    })
+  } catch (error) {
+    console.error('CUJ draft save error:', error)
+    res.status(500).json({ error: 'Failed to save CUJ draft' })
   }
+})
 
-  return `🛡️ **DevSecOps Documentation Assistant**
+// The finished cba-cuj-template.json; 409 until every step is complete
+app.get('/api/cuj-builder/:id/export', async (req, res) => {
+  if (!cujDrafts.getOwned(req.params.id, req.user.id)) {
+    return res.status(404).json({ error: 'CUJ draft not found' })
+  }
+  const state = cujDrafts.describe(req.params.id)
+  if (!state.complete) {
+    return res.status(409).json({
+      error: 'Complete every step before exporting',
+      missing: state.steps.filter(({ complete }) => !complete),
+    })
+  }
 
-I can help you with:
+  try {
+    const document = await cujDrafts.export(req.params.id)
+    const slug =
+      document.cuj_definition.name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '') || 'cuj'
+    res.attachment(`${slug}-cuj.json`)
+    res.send(JSON.stringify(document, null, 2))
+  } catch (error) {
+    console.error('CUJ export error:', error)
+    res.status(500).json({ error: 'Failed to export CUJ definition' })
+  }
+})
 
-🎯 **Critical User Journeys (CUJs)** - Define and monitor user-focused reliability
-📊 **SLIs & SLOs** - Measure and maintain service quality
-👁️ **Observability** - Implement comprehensive system monitoring
-🔒 **DevSecOps Practices** - Security-first development approaches
-📚 **CBA Framework** - Enterprise-specific methodologies
+app.delete('/api/cuj-builder/:id', async (req, res) => {
+  try {
+    if (
+      !cujDrafts.getOwned(req.params.id, req.user.id) ||
+      !(await cujDrafts.delete(req.params.id))
+    ) {
+      return res.status(404).json({ error: 'CUJ draft not found' })
+    }
+    res.json({ success: true, message: 'CUJ draft deleted' })
+  } catch (error) {
+    console.error('CUJ draft delete error:', error)
+    res.status(500).json({ error: 'Failed to delete CUJ draft' })
+  }
+})
 
-**Try asking about:**
-- "How do I create a CUJ?"
-- "What SLIs should I track?"
-- "Observability maturity levels"
-- "DevSecOps best practices"
+// Socket.IO payloads are whatever the client sent, including nothing or null
+function isPayload(data) {
+  return Boolean(data) && typeof data === 'object'
+}
 
-Note: For enhanced conversational responses, please configure your OpenAI API key in the .env file.`
+// Bind the socket to a conversation, resuming it when the ID is one of the
+// user's own
+async function openSession(socket, sessionId) {
+  const owner = socket.data.user.id
+  const conversation =
+    (sessionId && conversations.getOwned(sessionId, owner)) ||
+    (await conversations.create({ owner }))
+
+  socket.data.conversationId = conversation.id
+  socket.emit('session', {
+    sessionId: conversation.id,
+    messages: conversation.messages,
+  })
+  return conversation
 }
 
+// Socket.IO handshakes carry the same credentials as the REST API
+io.use((socket, next) => auth.authenticateSocket(socket, next))
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id)
+  console.log('User connected:', socket.id, `(${socket.data.user.id})`)
+
+  socket.on('resume_session', async (data) => {
+    try {
+      await openSession(socket, isPayload(data) ? data.sessionId : null)
+    } catch (error) {
+      console.error('Session resume error:', error)
+    }
+  })
+
+  socket.on('new_session', async () => {
+    try {
+      await openSession(socket, null)
+    } catch (error) {
+      console.error('Session create error:', error)
+    }
+  })
+
+  // Responses being generated for this socket, by message ID
+  const inFlight = new Map()
+
+  socket.on('chat_cancel', (data) => {
+    const controller = isPayload(data) && inFlight.get(data.messageId)
+    if (controller) {
+      controller.abort()
+    }
+  })
 
   socket.on('chat_message', async (data) => {
+    let messageId = null
+    let message = null
+    // Whose limits apply and who the calls are billed to: the workspace the
+    // socket signed in to, never one a message names
+    const owner = {
+      user: socket.data.user.id,
+      workspace: socket.data.workspace,
+    }
+
     try {
-      const { message } = data
+      if (!isPayload(data) || typeof data.message !== 'string') {
+        socket.emit('chat_error', { messageId, error: 'Invalid chat message' })
+        return
+      }
+
+      // The client picks the ID so it can cancel before chat_start arrives
+      messageId = data.messageId || crypto.randomUUID()
+      message = data.message
+      const controller = new AbortController()
+      inFlight.set(messageId, controller)
+
+      if (!auth.isSocketActive(socket)) {
+        socket.emit('chat_error', {
+          messageId,
+          error: 'Your session has ended, sign in again',
+        })
+        socket.disconnect(true)
+        return
+      }
+
       console.log('Received message:', message)
 
-      let response
-      let searchResults = null
+      // Provider, model and parameters: the message's own over its
+      // workspace's over the defaults. A bad choice fails before anything
+      // is stored.
+      const settings = resolveLlmSettings(llmConfig, {
+        workspace: socket.data.workspace,
+        overrides: data.llm,
+      })
+      usageLimiter.check(owner)
+
+      // The conversation may have been deleted since the socket joined it
+      const conversation =
+        conversations.get(socket.data.conversationId) ||
+        (await openSession(socket, data.sessionId))
+      const history = selectHistory(conversation, HISTORY_TOKEN_BUDGET)
+      await conversations.appendMessage(conversation.id, {
+        role: 'user',
+        content: message,
+      })
+
+      let response = ''
+      let citations = []
+      let toolCalls = []
+      let cancelled = false
+      let contextChunks = null
+      // The provider that actually answered, after any fallback
+      let answeredWith = settings
 
-      // Try to search documentation first
+      // Retrieve supporting documentation first
       try {
-        if (mcpReady) {
-          searchResults = await queryMCPServer('tools/call', {
-            name: 'search_docs',
-            arguments: {
-              query: message,
-              max_results: 3,
-            },
-          })
+        if (mcpClient.ready) {
+          contextChunks = await retrieveContext(message)
         }
       } catch (error) {
-        console.log('MCP search failed, continuing with OpenAI:', error.message)
+        console.log(
+          'MCP retrieval failed, continuing without documentation:',
+          error.message
+        )
       }
 
-      // Process with OpenAI if available, otherwise use fallback
-      if (openai) {
+      recordAudit(owner, 'llm.prompt', {
+        conversationId: conversation.id,
+        messageId,
+        provider: settings.provider,
+        model: settings.model,
+        question: message,
+        sources: auditSources(contextChunks),
+      })
+      socket.emit('chat_start', { messageId })
+
+      // Stream from the provider; if it fails before saying anything, quote
+      // the documentation instead, which needs no model
+      if (controller.signal.aborted) {
+        cancelled = true
+      } else {
+        let streamed = false
+        const callbacks = {
+          caller: { workspace: socket.data.workspace, role: socket.data.role },
+          signal: controller.signal,
+          onUsage: (usage) => {
+            recordUsage({
+              ...owner,
+              conversationId: conversation.id,
+              messageId,
+              provider: answeredWith.provider,
+              model: answeredWith.model,
+              ...usage,
+            })
+          },
+          onDelta: (delta) => {
+            streamed = true
+            socket.emit('chat_delta', { messageId, delta })
+          },
+          onToolCall: (invocation) => {
+            recordAudit(owner, 'mcp.tool_call', {
+              conversationId: conversation.id,
+              messageId,
+              tool: invocation.name,
+              arguments: invocation.arguments,
+              error: invocation.error,
+              durationMs: invocation.durationMs,
+            })
+            socket.emit('chat_tool_call', { messageId, invocation })
+          },
+        }
+
+        let answer
         try {
-          response = await processWithOpenAI(message, searchResults)
+          answer = await processWithLLM(message, contextChunks, history, {
+            settings,
+            ...callbacks,
+          })
         } catch (error) {
-          console.error('OpenAI failed, using fallback:', error.message)
-          response = getFallbackResponse(message)
+          // Half an answer has already been shown; don't swap in the fallback
+          if (streamed || settings.provider === 'extractive') {
+            throw error
+          }
+          console.error(
+            `${settings.provider} failed, answering extractively:`,
+            error.message
+          )
+          answeredWith = { ...settings, provider: 'extractive', model: null }
+          answer = await processWithLLM(message, contextChunks, history, {
+            settings: answeredWith,
+            ...callbacks,
+          })
         }
-      } else {
-        response = getFallbackResponse(message)
+        response = answer.message
+        citations = answer.citations
+        toolCalls = answer.toolCalls
+        cancelled = answer.cancelled
+      }
+
+      const metadata = {
+        toolCalls,
+        llm: { provider: answeredWith.provider, model: answeredWith.model },
+      }
+      recordAudit(owner, 'llm.response', {
+        conversationId: conversation.id,
+        messageId,
+        provider: answeredWith.provider,
+        model: answeredWith.model,
+        fallback: answeredWith.provider !== settings.provider,
+        answer: response,
+        citations: auditSources(citations),
+        cancelled,
+      })
+      if (response) {
+        await conversations.appendMessage(conversation.id, {
+          role: 'assistant',
+          content: response,
+          citations,
+          metadata,
+          ...(cancelled && { cancelled }),
+        })
       }
+      socket.emit('chat_done', {
+        messageId,
+        message: response,
+        citations,
+        metadata,
+        cancelled,
+      })
 
-      socket.emit('chat_response', { message: response })
+      summarizeHistory(conversation.id, answeredWith, owner).catch((error) => {
+        console.error('Conversation summary failed:', error.message)
+      })
     } catch (error) {
+      recordAudit(owner, 'chat.error', {
+        messageId,
+        question: message,
+        code: error.code || null,
+        error: error.message,
+      })
+      if (error instanceof UsageLimitError) {
+        console.log(`Usage limit for ${socket.data.user.id}: ${error.message}`)
+        socket.emit('chat_error', {
+          messageId,
+          error: error.message,
+          code: error.code,
+          retryAfterSeconds: error.retryAfterSeconds,
+        })
+        return
+      }
       console.error('Chat processing error:', error)
       socket.emit('chat_error', {
+        messageId,
         error:
-          'Sorry, I encountered an error processing your message. Please try again.',
+          error instanceof LlmSettingsError
+            ? error.message
+            : 'Sorry, I encountered an error processing your message. Please try again.',
       })
+    } finally {
+      inFlight.delete(messageId)
     }
   })
 
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id)
+    // Nobody is listening any more, so stop paying for the tokens
+    inFlight.forEach((controller) => controller.abort())
   })
 })
 
-// Start the server
-server.listen(PORT, () => {
+// Start the server once stored conversations, CUJ drafts and usage are loaded
+// and the audit log is open; not at all with sign-in on but no users
+Promise.resolve()
+  .then(() => {
+    auth.assertConfigured()
+    if (!auth.enabled) {
+      console.warn('AUTH_MODE=off: every caller is an admin in every workspace')
+    }
+
+    return Promise.all([
+      conversations.load(),
+      cujDrafts.load(),
+      usageLedger.load(),
+      import('./build/audit.js').then(({ AuditLog }) => {
+        audit = new AuditLog('chat')
+        return audit.open()
+      }),
+    ])
+  })
+  .then(() => {
+    server.listen(PORT, onListening)
+  })
+  .catch((error) => {
+    console.error('Failed to start server:', error)
+    process.exit(1)
+  })
+
+function onListening() {
   console.log(
     `DevSecOps Documentation Chat UI running on http://localhost:${PORT}`
   )
@@ -371,24 +1043,37 @@ server.listen(PORT, () => {
   console.log('- Get CUJ guidance')
   console.log('- Get SLI/SLO recommendations')
   console.log('- Learn about observability maturity')
+  console.log('- Build a CUJ definition step by step')
 
-  if (openai) {
-    console.log('- ✅ OpenAI conversational AI enabled')
+  const { provider, model } = resolveLlmSettings(llmConfig)
+  if (provider === 'extractive') {
+    console.log(
+      '- ⚠️  No LLM provider set - answering by quoting documentation'
+    )
+    console.log(
+      '  To enable AI: Set LLM_PROVIDER (openai, anthropic or ollama) in .env file'
+    )
+  } else if (!getProvider(provider).configured) {
+    console.log(
+      `- ⚠️  ${provider} is not configured - answering by quoting documentation`
+    )
   } else {
-    console.log('- ⚠️  OpenAI not configured - using fallback responses')
-    console.log('  To enable AI: Set OPENAI_API_KEY in .env file')
+    console.log(`- ✅ Conversational AI enabled (${provider}, ${model})`)
   }
-})
+  if (Object.keys(llmConfig.workspaces).length > 0) {
+    console.log(
+      `  Workspace LLM settings from ${llmConfig.source}: ${Object.keys(llmConfig.workspaces).join(', ')}`
+    )
+  }
+}
 
-// Initialize MCP Server
-initializeMCPServer()
+// Start the MCP Server
+mcpClient.start()
 
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\nShutting down gracefully...')
-  if (mcpServer) {
-    mcpServer.kill()
-  }
+  mcpClient.stop()
   server.close(() => {
     console.log('Server closed')
     process.exit(0)
@@ -1,53 +1,360 @@
+require('dotenv').config()
 const express = require('express')
 const http = require('http')
+const crypto = require('crypto')
 const socketIo = require('socket.io')
 const multer = require('multer')
 const path = require('path')
 const fs = require('fs').promises
 const { spawn } = require('child_process')
 const cors = require('cors')
-const pdfParse = require('pdf-parse')
+const { createStore, workspaceStoragePath } = require('./lib/storage')
+const {
+  Authenticator,
+  DEFAULT_WORKSPACE,
+  describeUser,
+  hasRole,
+} = require('./lib/auth')
+const {
+  UploadError,
+  detectFormat,
+  displayName,
+  importStructuredRecords,
+  readUpload,
+  removeUpload,
+  sanitizeFilename,
+  uploadLimits,
+} = require('./lib/ingestion')
+const { createScanner, quarantineFile } = require('./lib/scanner')
+const { loadShared } = require('./lib/shared')
+const {
+  extractStructuredContent,
+  partitionByConfidence,
+  recordText,
+} = require('./lib/extraction')
+
+// Other origins may call the API only when listed in CORS_ORIGINS
+// (comma-separated); by default only the platform's own page can
+const corsOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean)
+const corsOptions = {
+  origin: corsOrigins.length > 0 ? corsOrigins : false,
+  credentials: true,
+}
 
 const app = express()
 const server = http.createServer(app)
 const io = socketIo(server, {
   cors: {
-    origin: '*',
+    ...corsOptions,
     methods: ['GET', 'POST'],
   },
 })
 
 const PORT = process.env.PORT || 3000
 
+const auth = Authenticator.fromEnv()
+
 // Middleware
-app.use(cors())
+app.use(cors(corsOptions))
 app.use(express.json())
 app.use(express.static('public'))
 
+const UPLOADS_DIR = 'uploads'
+
+const UPLOAD_LIMITS = uploadLimits()
+
+// Deleting uploads that no stored document refers to is opt-in: with the
+// memory store, or after KB_STORAGE_PATH changes, every upload looks orphaned
+const REMOVE_ORPHANED_UPLOADS = process.env.UPLOAD_REMOVE_ORPHANS === 'true'
+
+// Every upload is scanned before it is parsed (UPLOAD_SCANNER)
+const scanner = createScanner()
+
+// The default workspace keeps its uploads directly in uploads/, others in a
+// subdirectory named after the workspace
+const workspaceUploadsDir = (workspace) =>
+  workspace === DEFAULT_WORKSPACE
+    ? UPLOADS_DIR
+    : path.join(UPLOADS_DIR, workspace)
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, 'uploads/')
+    cb(null, `${req.knowledgeBase.uploadsDir}/`)
   },
   filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname)
+    const suffix = crypto.randomBytes(4).toString('hex')
+    cb(null, `${Date.now()}-${suffix}-${sanitizeFilename(file.originalname)}`)
   },
 })
 
-const upload = multer({ storage: storage })
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: UPLOAD_LIMITS.maxBytes, files: 1 },
+  // Turn away unsupported types before they are written to disk; the content
+  // itself is checked against the type when it is parsed
+  fileFilter: (req, file, cb) => {
+    if (
+      !detectFormat({ filename: file.originalname, mimetype: file.mimetype })
+    ) {
+      return cb(
+        new UploadError(`Unsupported file type: ${file.originalname}`, 415)
+      )
+    }
+    cb(null, true)
+  },
+})
+
+// Accept the document under "file", or "pdf" as older clients send it
+const uploadDocument = (req, res, next) =>
+  upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'pdf', maxCount: 1 },
+  ])(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400
+      const message =
+        error.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than the ${UPLOAD_LIMITS.maxBytes / 1024 / 1024} MB upload limit`
+          : error.message
+      return res.status(status).json({ error: message })
+    }
+    if (error instanceof UploadError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    if (error) {
+      return next(error)
+    }
+    const files = req.files || {}
+    req.file = (files.file || files.pdf || [])[0]
+    next()
+  })
 
 // Ensure uploads directory exists
-const ensureUploadsDir = async () => {
+const ensureUploadsDir = async (dir) => {
   try {
-    await fs.mkdir('uploads', { recursive: true })
+    await fs.mkdir(dir, { recursive: true })
   } catch (error) {
     console.error('Error creating uploads directory:', error)
   }
 }
 
-// DevSecOps Knowledge Base (in-memory for this demo)
-class DevSecOpsKnowledgeBase {
+// Secret and PII redaction shared with the MCP server, set up in
+// startServer() before any document is read
+let redactor = null
+
+// Hash-chained audit log shared with the chat server, opened in startServer()
+let audit = null
+
+// Append an event for the caller of a request or socket (anything with user
+// and workspace) without holding up the response
+const recordAudit = ({ user, workspace }, type, details) => {
+  audit
+    .record({ type, user: user ? user.id : null, workspace, details })
+    .catch((error) =>
+      console.error(`Error writing audit event ${type}:`, error)
+    )
+}
+
+// Filenames and documentation resources a search answered from
+const searchSources = ({ results }) => ({
+  documents: (results.pdfMatches || []).map((match) => match.filename),
+  resources: (results.contextMatches || []).map((match) => match.resourceId),
+})
+
+// What an upload or replacement keeps in the audit log: the file, and either
+// what was stored or why it was refused
+const uploadAudit = (file, result, error) => ({
+  name: displayName(file.originalname),
+  mimetype: file.mimetype,
+  size: file.size,
+  ...(result
+    ? {
+        outcome: 'stored',
+        filename: result.filename,
+        format: result.format,
+        redactions: result.redaction ? result.redaction.counts : null,
+      }
+    : {
+        outcome: 'refused',
+        status: error.status || 500,
+        error: error.message,
+        redactions: error.redaction ? error.redaction.counts : null,
+      }),
+})
+
+// Redact parsed document text, keeping its page offsets in step
+const redactDocument = ({ content, pageOffsets = [] }, name) => {
+  const redacted = redactor.redact(content, name)
+  const { mode, blocked, counts, findings } = redacted.report
+
+  return {
+    content: redacted.content,
+    pageOffsets: pageOffsets.map(redacted.mapOffset),
+    blocked,
+    redaction: { mode, counts, findings },
+    report: redacted.report,
+  }
+}
+
+// Run the upload scanner, moving a flagged file to quarantine before
+// anything parses it
+const screenUpload = async (filePath, details) => {
+  let verdict
+  try {
+    verdict = await scanner.scan(filePath)
+  } catch (error) {
+    // Fail closed: a file that could not be scanned is not ingested
+    throw new UploadError(`Upload could not be scanned: ${error.message}`, 503)
+  }
+
+  if (!verdict.clean) {
+    const id = await quarantineFile(filePath, {
+      ...details,
+      scanner: scanner.name,
+      signature: verdict.signature,
+    })
+    console.warn(
+      `Quarantined upload ${details.name} (${verdict.signature}) as ${id}`
+    )
+    throw new UploadError(
+      `Upload rejected: ${verdict.signature} detected; the file was quarantined as ${id}`,
+      422
+    )
+  }
+}
+
+// Snapshots before version 2 stored extracted entries as plain strings
+const migrateSnapshot = (snapshot) => {
+  if (snapshot.version >= 2) {
+    return snapshot
+  }
+
+  const provenance = snapshot.provenance || {}
+  const knowledgeBase = {}
+  const candidates = {}
+
+  Object.entries(snapshot.knowledgeBase || {}).forEach(([type, entries]) => {
+    knowledgeBase[type] = []
+    candidates[type] = entries.map((text) => ({
+      id: `legacy-${type}-${Buffer.from(text).toString('base64url').slice(0, 12)}`,
+      text,
+      confidence: 0,
+      source: { document: (provenance[type] || {})[text] || null },
+    }))
+  })
+
+  return { ...snapshot, version: 2, knowledgeBase, candidates }
+}
+
+// Documentation the MCP server serves (context/ by default), by resource ID.
+// Read once and shared by every workspace's knowledge base, which index it
+// alongside their own documents
+class ContextLibrary {
   constructor() {
+    this.docsConfig = null
+    this.docs = new Map()
+    this.listeners = new Set()
+    this.pendingLoad = Promise.resolve()
+  }
+
+  async load() {
+    const { loadDocsConfig } = await loadShared('config')
+    this.docsConfig = loadDocsConfig([], process.env)
+    await this.loadDocuments()
+    console.log(
+      `Indexed ${this.docs.size} documentation files (${this.docsConfig.source})`
+    )
+  }
+
+  // Read every file the documentation roots include; the first root to
+  // provide a resource ID wins, as in the MCP server
+  async loadDocuments() {
+    const { collectDocFiles } = await loadShared('config')
+    const { formatRedactionReport } = await loadShared('redaction')
+    const docs = new Map()
+
+    for (const root of this.docsConfig.roots) {
+      let files
+      try {
+        files = collectDocFiles(root).files
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Error reading documentation root ${root.path}:`, error)
+        }
+        continue
+      }
+
+      for (const file of files) {
+        if (docs.has(file.resourceId)) {
+          continue
+        }
+        try {
+          const { content, report } = redactor.redact(
+            await fs.readFile(file.path, 'utf-8'),
+            file.resourceId
+          )
+          if (report.blocked) {
+            console.warn(formatRedactionReport(report))
+            continue
+          }
+          docs.set(file.resourceId, {
+            resourceId: file.resourceId,
+            title: path.basename(file.path),
+            category: file.category,
+            content,
+          })
+        } catch (error) {
+          console.error(`Error reading ${file.path}:`, error)
+        }
+      }
+    }
+
+    const previous = this.docs
+    this.docs = docs
+    this.listeners.forEach((listener) => listener(previous))
+  }
+
+  // Call listener(previousDocs) after every reload
+  onChange(listener) {
+    this.listeners.add(listener)
+  }
+
+  // Re-read the documentation roots whenever a file under them changes
+  async watch() {
+    if (process.env.DEVSECOPS_DOCS_WATCH === 'false') {
+      return
+    }
+
+    const { DocWatcher } = await loadShared('watcher')
+    const watcher = new DocWatcher(() => {
+      // Serialise reloads so an older scan can never replace a newer one
+      this.pendingLoad = this.pendingLoad
+        .then(() => this.loadDocuments())
+        .catch((error) =>
+          console.error('Error reloading context documents:', error)
+        )
+    })
+    this.docsConfig.roots.forEach((root) => watcher.watchRoot(root))
+  }
+}
+
+// DevSecOps Knowledge Base of one workspace, persisted through a pluggable
+// store
+class DevSecOpsKnowledgeBase {
+  constructor({
+    workspace = DEFAULT_WORKSPACE,
+    store = createStore(),
+    context = new ContextLibrary(),
+    uploadsDir = UPLOADS_DIR,
+  } = {}) {
+    this.workspace = workspace
+    this.store = store
+    this.context = context
+    this.uploadsDir = uploadsDir
     this.pdfContents = new Map()
     this.knowledgeBase = {
       cujs: [],
@@ -56,116 +363,420 @@ class DevSecOpsKnowledgeBase {
       bestPractices: [],
       riskAssessments: [],
     }
+    // Low-confidence extraction hits, kept apart from accepted records
+    this.candidates = {
+      cujs: [],
+      slis: [],
+      slos: [],
+      bestPractices: [],
+    }
+    // Full-text index over documents, accepted records and the shared
+    // documentation, set up in load()
+    this.index = null
   }
 
-  async processPDF(filePath) {
-    try {
-      const fileBuffer = await fs.readFile(filePath)
-      const pdfData = await pdfParse(fileBuffer)
+  async load() {
+    const { SearchIndex } = await loadShared('search-index')
+    this.index = new SearchIndex()
+    this.context.onChange((previous) => this.refreshContext(previous))
+
+    const stored = await this.store.load()
+    if (!stored) {
+      this.syncIndex()
+      return
+    }
+
+    const snapshot = migrateSnapshot(stored)
+    this.pdfContents = new Map(
+      (snapshot.documents || []).map((doc) => [doc.filename, doc])
+    )
+    this.knowledgeBase = { ...this.knowledgeBase, ...snapshot.knowledgeBase }
+    this.candidates = { ...this.candidates, ...snapshot.candidates }
+    if (snapshot.version < 3) {
+      await this.redactStoredDocuments()
+    }
+    if (snapshot.version < 4) {
+      await this.removeStoredUploads()
+    }
+    this.syncIndex()
+
+    console.log(
+      `Loaded ${this.pdfContents.size} documents from knowledge base storage (workspace ${this.workspace})`
+    )
+  }
 
+  // Snapshots before version 3 hold documents stored before redaction
+  // existed: redact them now (dropping any block mode refuses) and re-derive
+  // the records from the redacted text
+  async redactStoredDocuments() {
+    const { formatRedactionReport } = await loadShared('redaction')
+
+    for (const doc of Array.from(this.pdfContents.values())) {
+      const redacted = redactDocument(doc, doc.name || doc.filename)
+      if (redacted.blocked) {
+        console.warn(formatRedactionReport(redacted.report))
+        this.pdfContents.delete(doc.filename)
+        await removeUpload(doc.filePath)
+        continue
+      }
+      doc.content = redacted.content
+      doc.pageOffsets = redacted.pageOffsets
+      doc.redaction = redacted.redaction
+    }
+
+    this.rebuildKnowledgeBase()
+    await this.persist()
+  }
+
+  // Snapshots before version 4 kept each original upload, unredacted, next
+  // to its text; nothing reads them, so delete them
+  async removeStoredUploads() {
+    const stored = Array.from(this.pdfContents.values()).filter(
+      (doc) => doc.filePath
+    )
+    if (stored.length === 0) {
+      return
+    }
+
+    for (const doc of stored) {
+      await removeUpload(doc.filePath)
+      delete doc.filePath
+    }
+    await this.persist()
+  }
+
+  // syncIndex only adds missing entries, so drop edited documentation first
+  refreshContext(previous) {
+    this.context.docs.forEach((doc, resourceId) => {
+      const old = previous.get(resourceId)
+      if (old && old.content !== doc.content) {
+        this.index.remove(`context:${resourceId}`)
+      }
+    })
+    this.syncIndex()
+  }
+
+  toSnapshot() {
+    return {
+      version: 4,
+      savedAt: new Date().toISOString(),
+      documents: Array.from(this.pdfContents.values()),
+      knowledgeBase: this.knowledgeBase,
+      candidates: this.candidates,
+    }
+  }
+
+  async persist() {
+    await this.store.save(this.toSnapshot())
+  }
+
+  // Bring the search index in line with the current documents and records,
+  // indexing only what was added and dropping only what was removed
+  syncIndex() {
+    const wanted = new Map()
+
+    this.pdfContents.forEach((doc) => {
+      wanted.set(`document:${doc.filename}`, {
+        title: doc.name || doc.filename,
+        text: doc.content,
+        data: { kind: 'document', doc },
+      })
+    })
+    this.context.docs.forEach((doc) => {
+      wanted.set(`context:${doc.resourceId}`, {
+        title: doc.title,
+        text: doc.content,
+        data: { kind: 'context', doc },
+      })
+    })
+    Object.entries(this.knowledgeBase).forEach(([type, records]) => {
+      records.forEach((record) => {
+        wanted.set(`${type}:${record.id}`, {
+          title: record.name || '',
+          text: recordText(record),
+          data: { kind: type, record },
+        })
+      })
+    })
+
+    this.index
+      .ids()
+      .filter((id) => !wanted.has(id))
+      .forEach((id) => this.index.remove(id))
+    wanted.forEach((input, id) => {
+      if (!this.index.has(id)) {
+        this.index.add(id, input)
+      }
+    })
+  }
+
+  addRecord(collection, type, record) {
+    const text = recordText(record).toLowerCase()
+    const isDuplicate = collection[type].some(
+      (existing) => recordText(existing).toLowerCase() === text
+    )
+
+    if (!isDuplicate) {
+      collection[type].push(record)
+    }
+  }
+
+  // Most recent extraction time of any upload that contributed to a category
+  getLastUpdated(type) {
+    const timestamps = this.knowledgeBase[type]
+      .map((record) => this.pdfContents.get(record.source.document))
+      .filter(Boolean)
+      .map((doc) => doc.extractedAt)
+      .sort()
+
+    return timestamps.length > 0 ? timestamps[timestamps.length - 1] : null
+  }
+
+  async processDocument(filePath, { name, mimetype, uploadedBy } = {}) {
+    try {
       const filename = path.basename(filePath)
-      const content = pdfData.text
+      await screenUpload(filePath, {
+        name: name || filename,
+        workspace: this.workspace,
+        uploadedBy: uploadedBy || null,
+      })
 
-      // Store PDF content
-      this.pdfContents.set(filename, {
+      const parsed = await readUpload(
+        filePath,
+        { filename: name || filename, mimetype },
+        UPLOAD_LIMITS
+      )
+      const { format, size } = parsed
+      const { content, pageOffsets, blocked, redaction, report } =
+        redactDocument(parsed, name || filename)
+      if (blocked) {
+        const { RedactionBlockedError } = await loadShared('redaction')
+        const refusal = new RedactionBlockedError(report)
+        refusal.status = 422
+        throw refusal
+      }
+      const extractedAt = new Date().toISOString()
+
+      // Store document content, with secrets and PII already redacted
+      const doc = {
         filename,
+        name: name || filename,
+        format,
+        size,
         content,
-        extractedAt: new Date().toISOString(),
-      })
+        pageOffsets,
+        extractedAt,
+        redaction,
+      }
+      this.pdfContents.set(filename, doc)
 
       // Extract DevSecOps-related content
-      await this.extractDevSecOpsContent(content)
+      let extracted
+      try {
+        extracted = this.extractFromDocument(doc)
+      } catch (error) {
+        this.pdfContents.delete(filename)
+        throw error
+      }
+      this.syncIndex()
+      await this.persist()
 
       return {
         success: true,
         filename,
+        name: doc.name,
+        format,
         contentLength: content.length,
-        extractedAt: new Date().toISOString(),
-        summary: `Successfully processed ${filename}. Extracted ${content.length} characters of content.`,
+        pages: pageOffsets.length || null,
+        extractedAt,
+        redaction,
+        summary: `Successfully processed ${doc.name}. Extracted ${content.length} characters of content.`,
         extractedConcepts: {
-          cujs: this.knowledgeBase.cujs.length,
-          slis: this.knowledgeBase.slis.length,
-          slos: this.knowledgeBase.slos.length,
-          bestPractices: this.knowledgeBase.bestPractices.length,
+          cujs: extracted.accepted.cujs.length,
+          slis: extracted.accepted.slis.length,
+          slos: extracted.accepted.slos.length,
+          bestPractices: extracted.accepted.bestPractices.length,
+        },
+        candidates: {
+          cujs: extracted.candidates.cujs.length,
+          slis: extracted.candidates.slis.length,
+          slos: extracted.candidates.slos.length,
+          bestPractices: extracted.candidates.bestPractices.length,
         },
       }
     } catch (error) {
-      throw new Error(`Failed to process PDF: ${error.message}`)
+      await removeUpload(filePath)
+      const failure = new Error(`Failed to process document: ${error.message}`)
+      failure.status = error.status
+      failure.redaction = error.report
+      throw failure
     }
   }
 
-  async extractDevSecOpsContent(content) {
-    // Extract CUJs
-    const cujPatterns = [
-      /critical user journey[s]?[:\-\s]([^.!?]*)/gi,
-      /cuj[s]?[:\-\s]([^.!?]*)/gi,
-      /user journey[s]?[:\-\s]([^.!?]*)/gi,
-    ]
+  // Structured SLO/CUJ files are imported as-is; everything else is scraped
+  extractFromDocument(doc) {
+    const imported = importStructuredRecords(
+      doc.format,
+      doc.content,
+      doc.filename
+    )
 
-    cujPatterns.forEach((pattern) => {
-      const matches = content.match(pattern)
-      if (matches) {
-        matches.forEach((match) => {
-          if (!this.knowledgeBase.cujs.includes(match.trim())) {
-            this.knowledgeBase.cujs.push(match.trim())
-          }
-        })
-      }
+    if (imported) {
+      return this.addExtracted(partitionByConfidence(imported))
+    }
+
+    return this.extractDevSecOpsContent(doc.content, {
+      source: doc.filename,
+      pageOffsets: doc.pageOffsets,
     })
+  }
 
-    // Extract SLIs
-    const sliPatterns = [
-      /service level indicator[s]?[:\-\s]([^.!?]*)/gi,
-      /sli[s]?[:\-\s]([^.!?]*)/gi,
-      /indicator[s]?[:\-\s]([^.!?]*)/gi,
-    ]
-
-    sliPatterns.forEach((pattern) => {
-      const matches = content.match(pattern)
-      if (matches) {
-        matches.forEach((match) => {
-          if (!this.knowledgeBase.slis.includes(match.trim())) {
-            this.knowledgeBase.slis.push(match.trim())
-          }
-        })
-      }
+  extractDevSecOpsContent(content, options) {
+    return this.addExtracted(
+      partitionByConfidence(extractStructuredContent(content, options))
+    )
+  }
+
+  addExtracted(extracted) {
+    Object.entries(extracted.accepted).forEach(([type, records]) => {
+      records.forEach((record) =>
+        this.addRecord(this.knowledgeBase, type, record)
+      )
+    })
+    Object.entries(extracted.candidates).forEach(([type, records]) => {
+      records.forEach((record) => this.addRecord(this.candidates, type, record))
     })
 
-    // Extract SLOs
-    const sloPatterns = [
-      /service level objective[s]?[:\-\s]([^.!?]*)/gi,
-      /slo[s]?[:\-\s]([^.!?]*)/gi,
-      /objective[s]?[:\-\s]([^.!?]*)/gi,
-    ]
-
-    sloPatterns.forEach((pattern) => {
-      const matches = content.match(pattern)
-      if (matches) {
-        matches.forEach((match) => {
-          if (!this.knowledgeBase.slos.includes(match.trim())) {
-            this.knowledgeBase.slos.push(match.trim())
-          }
-        })
-      }
+    return extracted
+  }
+
+  findDocumentByName(name) {
+    return Array.from(this.pdfContents.values()).find(
+      (doc) => doc.name === name
+    )
+  }
+
+  // Knowledge base records and candidates a document contributed
+  getDocumentEntries(filename) {
+    const entries = { knowledgeBase: {}, candidates: {} }
+
+    Object.entries(this.knowledgeBase).forEach(([type, records]) => {
+      entries.knowledgeBase[type] = records.filter(
+        (record) => record.source && record.source.document === filename
+      )
+    })
+    Object.entries(this.candidates).forEach(([type, records]) => {
+      entries.candidates[type] = records.filter(
+        (record) => record.source && record.source.document === filename
+      )
     })
 
-    // Extract best practices
-    const bestPracticePatterns = [
-      /best practice[s]?[:\-\s]([^.!?]*)/gi,
-      /recommendation[s]?[:\-\s]([^.!?]*)/gi,
-      /should[:\-\s]([^.!?]*)/gi,
-    ]
-
-    bestPracticePatterns.forEach((pattern) => {
-      const matches = content.match(pattern)
-      if (matches) {
-        matches.forEach((match) => {
-          if (!this.knowledgeBase.bestPractices.includes(match.trim())) {
-            this.knowledgeBase.bestPractices.push(match.trim())
-          }
-        })
-      }
+    return entries
+  }
+
+  describeDocument(doc) {
+    const entries = this.getDocumentEntries(doc.filename)
+    const countEntries = (collection) =>
+      Object.fromEntries(
+        Object.entries(collection).map(([type, records]) => [
+          type,
+          records.length,
+        ])
+      )
+
+    return {
+      id: doc.filename,
+      name: doc.name || doc.filename,
+      format: doc.format || 'pdf',
+      size: doc.size,
+      contentLength: doc.content.length,
+      pages: (doc.pageOffsets && doc.pageOffsets.length) || null,
+      extractedAt: doc.extractedAt,
+      redaction: doc.redaction || null,
+      contributed: countEntries(entries.knowledgeBase),
+      candidates: countEntries(entries.candidates),
+    }
+  }
+
+  listDocuments() {
+    return Array.from(this.pdfContents.values()).map((doc) =>
+      this.describeDocument(doc)
+    )
+  }
+
+  getDocument(filename) {
+    const doc = this.pdfContents.get(filename)
+    if (!doc) {
+      return null
+    }
+
+    return {
+      ...this.describeDocument(doc),
+      content: doc.content,
+      entries: this.getDocumentEntries(filename),
+    }
+  }
+
+  /**
+   * Re-derive all records from the stored documents. Records are deduplicated
+   * across documents, so retracting one document can surface a record another
+   * document also contained; rebuilding keeps that ownership correct.
+   */
+  rebuildKnowledgeBase() {
+    Object.keys(this.knowledgeBase).forEach((type) => {
+      this.knowledgeBase[type] = []
+    })
+    Object.keys(this.candidates).forEach((type) => {
+      this.candidates[type] = []
+    })
+
+    Array.from(this.pdfContents.values())
+      .sort((a, b) => a.extractedAt.localeCompare(b.extractedAt))
+      .forEach((doc) => this.extractFromDocument(doc))
+  }
+
+  async deleteDocument(filename) {
+    const doc = this.pdfContents.get(filename)
+    if (!doc) {
+      return null
+    }
+
+    const retracted = this.describeDocument(doc)
+    this.pdfContents.delete(filename)
+    this.rebuildKnowledgeBase()
+    this.syncIndex()
+    await this.persist()
+
+    return retracted
+  }
+
+  // Ingest a new upload in place of any existing document with the same name
+  async replaceDocument(name, filePath, { mimetype, uploadedBy } = {}) {
+    const previous = this.findDocumentByName(name)
+    const result = await this.processDocument(filePath, {
+      name,
+      mimetype,
+      uploadedBy,
     })
+
+    if (previous) {
+      await this.deleteDocument(previous.filename)
+    }
+
+    return { ...result, replaced: previous ? previous.filename : null }
+  }
+
+  // Remove files left in the workspace's uploads directory: uploads are
+  // deleted once parsed, so any still there were cut off mid-request.
+  // Subdirectories belong to other workspaces
+  async removeOrphanedUploads() {
+    const entries = await fs.readdir(this.uploadsDir, { withFileTypes: true })
+    const orphans = entries
+      .filter((entry) => entry.isFile())
+      .map((entry) => path.resolve(this.uploadsDir, entry.name))
+
+    await Promise.all(orphans.map(removeUpload))
+    return orphans.length
   }
 
   getDevSecOpsRecommendations(context) {
@@ -201,9 +812,9 @@ class DevSecOpsKnowledgeBase {
     }
 
     // Add recommendations from knowledge base
-    const relevantPractices = this.knowledgeBase.bestPractices.filter(
-      (practice) => practice.toLowerCase().includes(contextLower)
-    )
+    const relevantPractices = this.knowledgeBase.bestPractices
+      .map(recordText)
+      .filter((practice) => practice.toLowerCase().includes(contextLower))
 
     recommendations.push(...relevantPractices)
 
@@ -216,49 +827,54 @@ class DevSecOpsKnowledgeBase {
   }
 
   searchKnowledgeBase(query, category = 'all') {
-    const queryLower = query.toLowerCase()
-    const results = {}
-
-    if (category === 'all' || category === 'cujs') {
-      results.cujs = this.knowledgeBase.cujs.filter((cuj) =>
-        cuj.toLowerCase().includes(queryLower)
-      )
-    }
-
-    if (category === 'all' || category === 'slis') {
-      results.slis = this.knowledgeBase.slis.filter((sli) =>
-        sli.toLowerCase().includes(queryLower)
-      )
-    }
-
-    if (category === 'all' || category === 'slos') {
-      results.slos = this.knowledgeBase.slos.filter((slo) =>
-        slo.toLowerCase().includes(queryLower)
-      )
+    const kindsByCategory = {
+      cujs: 'cujs',
+      slis: 'slis',
+      slos: 'slos',
+      'best-practices': 'bestPractices',
+      pdfs: 'document',
+      context: 'context',
     }
+    const kinds =
+      category === 'all'
+        ? Object.values(kindsByCategory)
+        : [kindsByCategory[category]].filter(Boolean)
 
-    if (category === 'all' || category === 'best-practices') {
-      results.bestPractices = this.knowledgeBase.bestPractices.filter(
-        (practice) => practice.toLowerCase().includes(queryLower)
-      )
-    }
+    const matches = this.index.search(query, {
+      filter: (data) => kinds.includes(data.kind),
+    })
+    const recordsOfKind = (kind) =>
+      matches
+        .filter(({ data }) => data.kind === kind)
+        .map(({ data, score }) => ({ ...data.record, score }))
 
-    if (category === 'all' || category === 'pdfs') {
-      results.pdfMatches = Array.from(this.pdfContents.entries())
-        .filter(
-          ([filename, content]) =>
-            filename.toLowerCase().includes(queryLower) ||
-            content.content.toLowerCase().includes(queryLower)
-        )
-        .map(([filename, content]) => ({
-          filename,
-          extractedAt: content.extractedAt,
-          relevantSnippets: this.extractRelevantSnippets(
-            content.content,
-            query
-          ),
-        }))
-    }
+    const results = {}
+    kinds.forEach((kind) => {
+      if (kind === 'document') {
+        results.pdfMatches = matches
+          .filter(({ data }) => data.kind === 'document')
+          .map(({ data: { doc }, score, snippets }) => ({
+            filename: doc.filename,
+            name: doc.name || doc.filename,
+            extractedAt: doc.extractedAt,
+            score,
+            relevantSnippets: snippets.map((snippet) => snippet.highlighted),
+          }))
+      } else if (kind === 'context') {
+        results.contextMatches = matches
+          .filter(({ data }) => data.kind === 'context')
+          .map(({ data: { doc }, score, snippets }) => ({
+            resourceId: doc.resourceId,
+            uri: `devsecops:///${doc.resourceId}`,
+            title: doc.title,
+            category: doc.category,
+            score,
+            relevantSnippets: snippets.map((snippet) => snippet.highlighted),
+          }))
+      } else {
+        results[kind] = recordsOfKind(kind)
+      }
+    })
 
     const totalMatches = Object.values(results).reduce(
       (sum, arr) => sum + (Array.isArray(arr) ? arr.length : 0),
@@ -273,72 +889,247 @@ class DevSecOpsKnowledgeBase {
       searchedAt: new Date().toISOString(),
     }
   }
+}
+
+// Documentation shared by every workspace
+const contextLibrary = new ContextLibrary()
+
+// One knowledge base per workspace, loaded on first use. The default
+// workspace keeps the original storage path, so existing data and the MCP
+// server's mirror of it carry on working
+const knowledgeBases = new Map()
+
+const openKnowledgeBase = async (workspace) => {
+  const knowledgeBase = new DevSecOpsKnowledgeBase({
+    workspace,
+    store:
+      workspace === DEFAULT_WORKSPACE
+        ? createStore()
+        : createStore({ path: workspaceStoragePath(workspace) }),
+    context: contextLibrary,
+    uploadsDir: workspaceUploadsDir(workspace),
+  })
+  await ensureUploadsDir(knowledgeBase.uploadsDir)
+  await knowledgeBase.load()
 
-  extractRelevantSnippets(content, query, maxSnippets = 3) {
-    const sentences = content.split(/[.!?]+/)
-    const relevantSentences = sentences
-      .filter((sentence) =>
-        sentence.toLowerCase().includes(query.toLowerCase())
+  if (REMOVE_ORPHANED_UPLOADS) {
+    const orphans = await knowledgeBase.removeOrphanedUploads()
+    if (orphans > 0) {
+      console.log(
+        `Removed ${orphans} orphaned files from ${knowledgeBase.uploadsDir}/`
       )
-      .slice(0, maxSnippets)
-      .map((sentence) => sentence.trim())
+    }
+  }
+
+  return knowledgeBase
+}
 
-    return relevantSentences
+const getKnowledgeBase = (workspace) => {
+  if (!knowledgeBases.has(workspace)) {
+    const opening = openKnowledgeBase(workspace)
+    // Let a later request retry a workspace that failed to load
+    opening.catch(() => knowledgeBases.delete(workspace))
+    knowledgeBases.set(workspace, opening)
   }
+
+  return knowledgeBases.get(workspace)
 }
 
-// Initialize knowledge base
-const knowledgeBase = new DevSecOpsKnowledgeBase()
+// Attach the knowledge base of the request's workspace
+const withKnowledgeBase = async (req, res, next) => {
+  try {
+    req.knowledgeBase = await getKnowledgeBase(req.workspace)
+    next()
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+}
+
+// Knowledge base routes by the role they need in the request's workspace
+const canRead = [auth.requireRole('viewer'), withKnowledgeBase]
+const canContribute = [auth.requireRole('contributor'), withKnowledgeBase]
+const canDelete = [auth.requireRole('admin'), withKnowledgeBase]
 
 // Routes
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'))
 })
 
+// Sign in with a username and password or an API key; the session lives in
+// an HTTP-only cookie that both the REST API and Socket.IO accept
+app.post('/api/auth/login', (req, res) => {
+  const method = req.body && req.body.apiKey ? 'apiKey' : 'password'
+  try {
+    const { user, token } = auth.login(req.body)
+    auth.setSessionCookie(res, token)
+    recordAudit({ user }, 'auth.login', { method, success: true })
+    res.json({ user: describeUser(auth, user) })
+  } catch (error) {
+    // Failed sign-ins name the account tried, never the credentials
+    const username = method === 'password' && req.body && req.body.username
+    recordAudit(
+      { user: { id: typeof username === 'string' ? username : null } },
+      'auth.login',
+      { method, success: false, error: error.message }
+    )
+    res.status(error.status || 500).json({ error: error.message })
+  }
+})
+
+// Everything else under /api needs a signed-in user
+app.use('/api', (req, res, next) => auth.authenticate(req, res, next))
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    user: describeUser(auth, req.user),
+    workspace: req.workspace,
+    role: req.role,
+  })
+})
+
+app.post('/api/auth/logout', (req, res) => {
+  if (req.sessionToken) {
+    auth.logout(req.sessionToken)
+    io.sockets.sockets.forEach((socket) => {
+      if (socket.data.sessionToken === req.sessionToken) {
+        socket.disconnect(true)
+      }
+    })
+  }
+  auth.clearSessionCookie(res)
+  res.json({ success: true })
+})
+
 // API Routes
-app.post('/api/upload', upload.single('pdf'), async (req, res) => {
+app.post('/api/upload', canContribute, uploadDocument, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' })
     }
 
-    const result = await knowledgeBase.processPDF(req.file.path)
+    const result = await req.knowledgeBase.processDocument(req.file.path, {
+      name: displayName(req.file.originalname),
+      mimetype: req.file.mimetype,
+      uploadedBy: req.user.id,
+    })
+    recordAudit(req, 'document.upload', uploadAudit(req.file, result))
     res.json(result)
+  } catch (error) {
+    if (req.file) {
+      recordAudit(req, 'document.upload', uploadAudit(req.file, null, error))
+    }
+    res
+      .status(error.status || 500)
+      .json({ error: error.message, redaction: error.redaction })
+  }
+})
+
+app.get('/api/documents', canRead, (req, res) => {
+  const documents = req.knowledgeBase.listDocuments()
+  res.json({ documents, count: documents.length })
+})
+
+app.get('/api/documents/:id', canRead, (req, res) => {
+  const document = req.knowledgeBase.getDocument(req.params.id)
+
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' })
+  }
+
+  res.json(document)
+})
+
+app.delete('/api/documents/:id', canDelete, async (req, res) => {
+  try {
+    const deleted = await req.knowledgeBase.deleteDocument(req.params.id)
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    // The stored filename, as the upload's entry records it
+    recordAudit(req, 'document.delete', {
+      filename: deleted.id,
+      name: deleted.name,
+    })
+    res.json({ success: true, deleted })
   } catch (error) {
     res.status(500).json({ error: error.message })
   }
 })
 
-app.get('/api/knowledge-base/:type', (req, res) => {
+// Re-upload a document by its original name, retracting the older version
+app.put(
+  '/api/documents/:name',
+  canContribute,
+  uploadDocument,
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' })
+      }
+
+      const result = await req.knowledgeBase.replaceDocument(
+        displayName(req.params.name),
+        req.file.path,
+        { mimetype: req.file.mimetype, uploadedBy: req.user.id }
+      )
+      recordAudit(req, 'document.replace', {
+        ...uploadAudit(req.file, result),
+        replaced: result.replaced,
+      })
+      res.json(result)
+    } catch (error) {
+      if (req.file) {
+        recordAudit(req, 'document.replace', uploadAudit(req.file, null, error))
+      }
+      res
+        .status(error.status || 500)
+        .json({ error: error.message, redaction: error.redaction })
+    }
+  }
+)
+
+app.get('/api/knowledge-base/:type', canRead, (req, res) => {
   const { type } = req.params
+  const { knowledgeBase } = req
 
   switch (type) {
     case 'cujs':
       res.json({
         cujs: knowledgeBase.knowledgeBase.cujs,
         count: knowledgeBase.knowledgeBase.cujs.length,
-        lastUpdated: new Date().toISOString(),
+        lastUpdated: knowledgeBase.getLastUpdated('cujs'),
       })
       break
     case 'slis':
       res.json({
         slis: knowledgeBase.knowledgeBase.slis,
         count: knowledgeBase.knowledgeBase.slis.length,
-        lastUpdated: new Date().toISOString(),
+        lastUpdated: knowledgeBase.getLastUpdated('slis'),
       })
       break
     case 'slos':
       res.json({
         slos: knowledgeBase.knowledgeBase.slos,
         count: knowledgeBase.knowledgeBase.slos.length,
-        lastUpdated: new Date().toISOString(),
+        lastUpdated: knowledgeBase.getLastUpdated('slos'),
       })
       break
     case 'best-practices':
       res.json({
         bestPractices: knowledgeBase.knowledgeBase.bestPractices,
         count: knowledgeBase.knowledgeBase.bestPractices.length,
-        lastUpdated: new Date().toISOString(),
+        lastUpdated: knowledgeBase.getLastUpdated('bestPractices'),
+      })
+      break
+    case 'candidates':
+      res.json({
+        candidates: knowledgeBase.candidates,
+        count: Object.values(knowledgeBase.candidates).reduce(
+          (sum, records) => sum + records.length,
+          0
+        ),
       })
       break
     default:
@@ -346,36 +1137,371 @@ app.get('/api/knowledge-base/:type', (req, res) => {
   }
 })
 
-app.post('/api/search', (req, res) => {
+app.post('/api/search', canRead, (req, res) => {
   const { query, category } = req.body
 
   if (!query) {
     return res.status(400).json({ error: 'Query is required' })
   }
 
-  const results = knowledgeBase.searchKnowledgeBase(query, category)
+  const results = req.knowledgeBase.searchKnowledgeBase(query, category)
+  recordAudit(req, 'search', {
+    query,
+    category: results.category,
+    totalMatches: results.totalMatches,
+    ...searchSources(results),
+  })
   res.json(results)
 })
 
-app.post('/api/recommendations', (req, res) => {
+// SLO routes take raw YAML or JSON, or a JSON body of {content, format} or
+// {document}
+const sloText = express.text({
+  type: [
+    'text/yaml',
+    'text/x-yaml',
+    'application/yaml',
+    'application/x-yaml',
+    'text/plain',
+  ],
+})
+
+function sloInput(body) {
+  const input =
+    typeof body === 'string' ? body : body && (body.content || body.document)
+  if (!input || (typeof input === 'string' && !input.trim())) return null
+  return input
+}
+
+// Validate SLO definitions against the slo-template schema
+app.post('/api/slo/validate', canRead, sloText, async (req, res) => {
+  const input = sloInput(req.body)
+  if (!input) {
+    return res
+      .status(400)
+      .json({ error: 'SLO content (YAML or JSON) is required' })
+  }
+
+  try {
+    const { validateSloDocument } = await loadShared('slo-validation')
+    res.json(validateSloDocument(input, { format: req.body.format }))
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Export Prometheus recording and alerting rules for SLO definitions as a
+// rules file. A JSON body may add sloNames; ?format=json returns the rule
+// groups and warnings instead of YAML.
+app.post('/api/slo/alert-rules', canRead, sloText, async (req, res) => {
+  const input = sloInput(req.body)
+  if (!input) {
+    return res
+      .status(400)
+      .json({ error: 'SLO content (YAML or JSON) is required' })
+  }
+
+  try {
+    const { generateAlertRules } = await loadShared('alert-rules')
+    let result
+    try {
+      result = generateAlertRules(input, {
+        format: req.body.format,
+        sloNames: req.body.sloNames,
+      })
+    } catch (error) {
+      // Invalid definitions or unknown SLO names
+      return res.status(400).json({ error: error.message })
+    }
+
+    if (req.query.format === 'json') {
+      return res.json({ groups: result.groups, warnings: result.warnings })
+    }
+    res.type('text/yaml').attachment('slo-rules.yaml').send(result.yaml)
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Error budget, burn rates and projected exhaustion for an SLO. Body:
+// {target, window, slo, sloName, good, total, elapsed, series, now}
+app.post('/api/slo/error-budget', canRead, async (req, res) => {
+  try {
+    const { calculateErrorBudget } = await loadShared('error-budget')
+    try {
+      res.json(calculateErrorBudget(req.body || {}))
+    } catch (error) {
+      // Everything calculateErrorBudget rejects is a problem with the input
+      res.status(400).json({ error: error.message })
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Observability maturity self-assessment: the questionnaire, scoring and
+// per-team history (stored by the shared maturity module)
+app.get('/api/maturity/questionnaire', canRead, async (req, res) => {
+  try {
+    const { MATURITY_LEVELS, PILLAR_TITLES, QUESTIONNAIRE } =
+      await loadShared('maturity')
+    res.json({
+      levels: MATURITY_LEVELS,
+      pillars: PILLAR_TITLES,
+      questions: QUESTIONNAIRE,
+    })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Each workspace keeps its own assessments; the default one keeps the file
+// the MCP server shares, as its knowledge base does
+const assessmentStore = (AssessmentStore, workspace) =>
+  new AssessmentStore(
+    workspace === DEFAULT_WORKSPACE
+      ? undefined
+      : workspaceStoragePath(workspace).replace(
+          /\.json$/,
+          '.maturity-assessments.json'
+        )
+  )
+
+// Score and store an assessment. Body: {team, answers, targetLevel, quarter}
+app.post('/api/maturity/assessments', canContribute, async (req, res) => {
+  try {
+    const { AssessmentStore, formatGapReport, scoreAssessment } =
+      await loadShared('maturity')
+    let assessment
+    try {
+      assessment = scoreAssessment(req.body || {})
+    } catch (error) {
+      return res.status(400).json({ error: error.message })
+    }
+
+    const store = assessmentStore(AssessmentStore, req.workspace)
+    const previous = store.quarterly(assessment.team).pop() || null
+    store.save(assessment)
+    res.status(201).json({
+      assessment,
+      previous,
+      report: formatGapReport(assessment, previous),
+      quarters: store.quarterly(assessment.team),
+    })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// A team's assessments (latest per quarter, or all with ?all=true), or every
+// team's latest level without ?team
+app.get('/api/maturity/assessments', canRead, async (req, res) => {
+  try {
+    const { AssessmentStore } = await loadShared('maturity')
+    const store = assessmentStore(AssessmentStore, req.workspace)
+    const { team } = req.query
+
+    if (!team) {
+      return res.json({ teams: store.teams() })
+    }
+    res.json({
+      team,
+      assessments:
+        req.query.all === 'true' ? store.history(team) : store.quarterly(team),
+    })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+app.post('/api/recommendations', canRead, (req, res) => {
   const { context } = req.body
 
   if (!context) {
     return res.status(400).json({ error: 'Context is required' })
   }
 
-  const recommendations = knowledgeBase.getDevSecOpsRecommendations(context)
+  const recommendations = req.knowledgeBase.getDevSecOpsRecommendations(context)
+  recordAudit(req, 'recommendations', {
+    context,
+    recommendations: recommendations.recommendations,
+  })
   res.json(recommendations)
 })
 
-// Socket.IO for real-time chat
+// Audit log: admins of a workspace see its events, global admins (role "*")
+// see everything, including sign-ins and events of the chat server's users
+const auditScope = (user) => {
+  const globalAdmin = hasRole(user.workspaces['*'], 'admin')
+  return {
+    globalAdmin,
+    visible: (entry) =>
+      globalAdmin ||
+      (entry.workspace !== null &&
+        hasRole(user.workspaces[entry.workspace], 'admin')),
+  }
+}
+
+const canAudit = (req, res, next) => {
+  const administers = Object.values(req.user.workspaces).some((role) =>
+    hasRole(role, 'admin')
+  )
+  if (!administers) {
+    return res
+      .status(403)
+      .json({ error: 'Requires the admin role in some workspace' })
+  }
+  next()
+}
+
+// Filters shared by the query and export routes: user, workspace, source,
+// type (comma-separated, "document" matches every document.* event) and a
+// from/to time range
+const auditFilter = (query) => {
+  const text = (value) =>
+    typeof value === 'string' && value.trim() ? value.trim() : undefined
+  const filter = {
+    user: text(query.user),
+    workspace: text(query.workspace),
+    source: text(query.source),
+    types: text(query.type)
+      ? text(query.type)
+          .split(',')
+          .map((type) => type.trim())
+          .filter(Boolean)
+      : undefined,
+    from: text(query.from),
+    to: text(query.to),
+  }
+
+  for (const bound of ['from', 'to']) {
+    const value = filter[bound]
+    if (value === undefined) {
+      continue
+    }
+    if (Number.isNaN(Date.parse(value))) {
+      const error = new Error(`Invalid ${bound} time "${value}"`)
+      error.status = 400
+      throw error
+    }
+    // Entries compare as ISO strings; a bare date as `to` stays one so that
+    // it covers the whole day
+    if (bound === 'from' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      filter[bound] = new Date(value).toISOString()
+    }
+  }
+
+  return filter
+}
+
+// Newest first, at most `limit` (default 100, up to 1000)
+app.get('/api/audit', canAudit, async (req, res) => {
+  try {
+    const filter = auditFilter(req.query)
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 100, 1),
+      1000
+    )
+    const { queryAuditLogs } = await loadShared('audit')
+    const entries = await queryAuditLogs(filter, auditScope(req.user).visible)
+
+    res.json({
+      entries: entries.slice(-limit).reverse(),
+      total: entries.length,
+      limit,
+    })
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message })
+  }
+})
+
+// Every matching entry, oldest first, as JSON Lines (default) or CSV
+app.get('/api/audit/export', canAudit, async (req, res) => {
+  try {
+    const format = req.query.format || 'jsonl'
+    if (!['jsonl', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be jsonl or csv' })
+    }
+
+    const filter = auditFilter(req.query)
+    const { formatAuditCsv, queryAuditLogs } = await loadShared('audit')
+    const entries = await queryAuditLogs(filter, auditScope(req.user).visible)
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+
+    res.attachment(`audit-${stamp}.${format}`)
+    if (format === 'csv') {
+      res.type('text/csv').send(formatAuditCsv(entries))
+    } else {
+      res
+        .type('application/x-ndjson')
+        .send(entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''))
+    }
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message })
+  }
+})
+
+// Check every log's hash chain; a whole-log check, so global admins only
+app.get('/api/audit/verify', canAudit, async (req, res) => {
+  if (!auditScope(req.user).globalAdmin) {
+    return res
+      .status(403)
+      .json({ error: 'Requires the admin role in every workspace' })
+  }
+
+  try {
+    const { auditLogFiles, verifyAuditLog } = await loadShared('audit')
+    const logs = await Promise.all(
+      (await auditLogFiles()).map(({ source, file }) =>
+        verifyAuditLog(file, source, process.env.AUDIT_HMAC_KEY || undefined)
+      )
+    )
+
+    res.json({
+      valid: logs.every((log) => log.valid),
+      logs: logs.map(({ file, ...log }) => log),
+    })
+  } catch (error) {
+    res.status(500).json({ error: error.message })
+  }
+})
+
+// Socket.IO for real-time chat; the handshake carries the same credentials
+// as the REST API and fixes the workspace the socket searches
+io.use((socket, next) => auth.authenticateSocket(socket, next))
+
 io.on('connection', (socket) => {
-  console.log('User connected:', socket.id)
+  console.log(
+    'User connected:',
+    socket.id,
+    `(${socket.data.user.id} in ${socket.data.workspace})`
+  )
 
   socket.on('chat_message', async (data) => {
-    const { message, type } = data
-
     try {
+      if (
+        !data ||
+        typeof data !== 'object' ||
+        typeof data.message !== 'string'
+      ) {
+        socket.emit('chat_error', {
+          error: 'Invalid chat message',
+          timestamp: new Date().toISOString(),
+        })
+        return
+      }
+      const { message, type } = data
+
+      if (!auth.isSocketActive(socket)) {
+        socket.emit('chat_error', {
+          error: 'Your session has ended, sign in again',
+          timestamp: new Date().toISOString(),
+        })
+        socket.disconnect(true)
+        return
+      }
+
+      const knowledgeBase = await getKnowledgeBase(socket.data.workspace)
       let response
 
       switch (type) {
@@ -408,6 +1534,22 @@ io.on('connection', (socket) => {
           response = knowledgeBase.searchKnowledgeBase(message)
       }
 
+      if (type === 'recommendations') {
+        recordAudit(socket.data, 'recommendations', {
+          context: message,
+          recommendations: response.recommendations,
+          via: 'chat',
+        })
+      } else if (response.searchedAt) {
+        recordAudit(socket.data, 'search', {
+          query: message,
+          category: response.category,
+          totalMatches: response.totalMatches,
+          ...searchSources(response),
+          via: 'chat',
+        })
+      }
+
       // Enhanced response formatting
       if (response && typeof response === 'object') {
         // Add helpful context if no results found
@@ -444,12 +1586,37 @@ io.on('connection', (socket) => {
 
 // Initialize server
 const startServer = async () => {
-  await ensureUploadsDir()
+  auth.assertConfigured()
+  if (!auth.enabled) {
+    console.warn('AUTH_MODE=off: every caller is an admin in every workspace')
+  }
+
+  if (scanner.name === 'none') {
+    console.warn('UPLOAD_SCANNER is not set: uploads are not malware-scanned')
+  }
+
+  const { Redactor } = await loadShared('redaction')
+  redactor = new Redactor()
+  if (redactor.mode === 'off') {
+    console.warn(
+      'DEVSECOPS_REDACTION=off: documents are stored and sent to the LLM unredacted'
+    )
+  }
+
+  const { AuditLog } = await loadShared('audit')
+  audit = new AuditLog('platform')
+  await audit.open()
+
+  await contextLibrary.load()
+  await contextLibrary.watch()
+  await getKnowledgeBase(DEFAULT_WORKSPACE)
 
   server.listen(PORT, () => {
     console.log(`DevSecOps SME Platform running on http://localhost:${PORT}`)
     console.log('Features available:')
-    console.log('- PDF Upload and Processing')
+    console.log(
+      '- Document Upload and Processing (PDF, Markdown, HTML, DOCX, YAML, JSON)'
+    )
     console.log('- Real-time Chat Interface')
     console.log('- DevSecOps Knowledge Base')
     console.log('- CUJ/SLI/SLO Analysis')
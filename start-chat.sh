@@ -8,7 +8,7 @@ echo "🤖 Starting DevSecOps Chat Assistant..."
 if [ ! -f "mcp-server/.env" ]; then
     echo "⚠️  No .env file found. Creating from template..."
     cp mcp-server/.env.example mcp-server/.env
-    echo "📝 Please edit mcp-server/.env and add your OpenAI API key"
+    echo "📝 Please edit mcp-server/.env and add your OpenAI API key or set LLM_PROVIDER"
     echo "   Then run this script again."
     exit 1
 fi